@@ -0,0 +1,86 @@
+/**
+ * Tests for the headline requests agentController sends to the Content Creation Agent
+ */
+
+jest.mock('../../../src/core/utils/logger', () => require('../../../testing/testHelpers').mockServices.createLoggerMock());
+jest.mock('../../../src/common/services/logger', () => require('../../../testing/testHelpers').mockServices.createLoggerMock());
+
+const agentController = require('../../../src/api/controllers/agentController');
+const { MessageBus } = require('../../../src/core/messaging/messageBus');
+const InMemoryTransport = require('../../../src/core/messaging/inMemoryTransport');
+const { createMockRequest, createMockResponse } = require('../../../testing/testHelpers');
+
+describe('agentController generateHeadlines', () => {
+  let bus;
+  let req;
+  let res;
+  let next;
+
+  beforeEach(async () => {
+    bus = new MessageBus(new InMemoryTransport(), { validationMode: 'reject', requestTimeout: 50 });
+    await bus.connect();
+
+    req = createMockRequest({
+      body: { topic: 'AI websites', count: 2, type: 'blog', userId: 'user-1' },
+      app: {
+        locals: {
+          agentContainer: {
+            messaging: bus,
+            agents: { contentCreation: { agentId: 'content-creation', isRunning: true } }
+          }
+        }
+      }
+    });
+    res = createMockResponse();
+    res.on = jest.fn();
+    next = jest.fn();
+  });
+
+  it('should return the headlines the agent replies with', async () => {
+    // Arrange
+    const handler = jest.fn().mockResolvedValue({
+      headlines_id: 'headlines-1',
+      headlines: [{ text: 'Launch Your Site Today' }]
+    });
+    await bus.handleRequest('content-creation.generate-headlines', handler);
+
+    // Act
+    await agentController.generateHeadlines(req, res, next);
+
+    // Assert
+    expect(handler).toHaveBeenCalledWith(
+      { topic: 'AI websites', count: 2, type: 'blog', userId: 'user-1' },
+      expect.objectContaining({ replyTo: expect.any(String) })
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Headlines generated successfully',
+      headlinesId: 'headlines-1',
+      headlines: [{ text: 'Launch Your Site Today' }]
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should answer with a 504 when the agent does not reply in time', async () => {
+    // Arrange
+    let handlerSignal;
+    await bus.handleRequest('content-creation.generate-headlines', (data, { signal }) => {
+      handlerSignal = signal;
+      return new Promise(() => {});
+    });
+
+    // Act
+    await agentController.generateHeadlines(req, res, next);
+
+    // Assert
+    expect(res.status).toHaveBeenCalledWith(504);
+    expect(res.json).toHaveBeenCalledWith({
+      error: {
+        message: 'Content Creation Agent did not reply in time',
+        code: 'agent_timeout'
+      }
+    });
+    expect(handlerSignal.aborted).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -5,8 +5,7 @@
 const systemController = require('../../../src/api/controllers/systemController');
 const { 
   createMockRequest, 
-  createMockResponse, 
-  mockServices 
+  createMockResponse
 } = require('../../../testing/testHelpers');
 
 // Mock dependencies
@@ -20,24 +19,45 @@ jest.mock('../../../src/core/monitoring/healthMonitoringService', () => ({
       if (agentId === 'not-found') return null;
       return { agentId, status: 'running' };
     }),
-    registerAgent: jest.fn().mockResolvedValue(true)
+    registerAgent: jest.fn().mockResolvedValue(true),
+    getDatabaseHealth: jest.fn().mockResolvedValue({ status: 'connected', queryLatency: 4, poolStats: { total: 10 }, dbSize: 2048 }),
+    getCircuitBreakers: jest.fn().mockReturnValue({
+      openai: { state: 'open', reason: '5 failures', failures: 5, forced: false }
+    })
   })
 }));
 
 jest.mock('../../../src/core/error', () => ({
+  getInstance: jest.fn().mockResolvedValue({
+    getCircuitBreakers: jest.fn().mockResolvedValue([
+      { service: 'openai', state: 'open', failures: 5, forced: false, threshold: 5, resetTimeout: 60000 },
+      { service: 'wordpress', state: 'closed', failures: 0, forced: false, threshold: 3, resetTimeout: 120000 }
+    ]),
+    forceOpenCircuitBreaker: jest.fn().mockImplementation(service => ({ service, state: 'open', forced: true })),
+    forceCloseCircuitBreaker: jest.fn().mockImplementation(service => ({ service, state: 'closed', forced: true })),
+    resetCircuitBreaker: jest.fn().mockRejectedValue(new Error('Redis unavailable'))
+  }),
   getRecoveryService: jest.fn().mockResolvedValue({
-    getDeadLetterQueueEntries: jest.fn().mockImplementation((agentId) => {
+    getDeadLetterQueueEntries: jest.fn().mockImplementation(({ agentId }) => {
       if (agentId) {
-        return [{ key: 'entry1', agentId, error: 'Test error' }];
+        return { total: 1, entries: [{ key: 'entry1', agentId, error: 'Test error' }] };
       }
-      return [
-        { key: 'entry1', agentId: 'agent1', error: 'Test error' },
-        { key: 'entry2', agentId: 'agent2', error: 'Another error' }
-      ];
+      return {
+        total: 2,
+        entries: [
+          { key: 'entry1', agentId: 'agent1', error: 'Test error' },
+          { key: 'entry2', agentId: 'agent2', error: 'Another error' }
+        ]
+      };
+    }),
+    getDeadLetterQueueEntry: jest.fn().mockImplementation((key) => {
+      return key === 'not-found' ? null : { key, agentId: 'agent1', attempts: [] };
     }),
     retryDeadLetterQueueEntry: jest.fn().mockImplementation((key) => {
       return key !== 'not-found';
     }),
+    retryDeadLetterQueueEntries: jest.fn().mockResolvedValue({ retried: ['entry1'], failed: ['entry2'] }),
+    purgeDeadLetterQueueEntries: jest.fn().mockResolvedValue(2),
     deleteDeadLetterQueueEntry: jest.fn().mockImplementation((key) => {
       return key !== 'not-found';
     }),
@@ -51,11 +71,80 @@ jest.mock('../../../src/core/error', () => ({
 
 jest.mock('../../../src/core/messaging/messageBus', () => ({
   getInstance: jest.fn().mockResolvedValue({
-    publishCommand: jest.fn().mockResolvedValue({ id: 'cmd-123' })
+    publishCommand: jest.fn().mockResolvedValue({ id: 'cmd-123' }),
+    validationMode: 'warn',
+    getQuarantine: jest.fn().mockReturnValue([
+      { id: 1, kind: 'event', routingKey: 'agent.heartbeat', error: 'Data validation errors: "status" is required' }
+    ]),
+    clearQuarantine: jest.fn().mockImplementation((id) => (id === 404 ? 0 : 1))
+  })
+}));
+
+jest.mock('../../../src/core/scheduling/scheduler', () => ({
+  JobStatus: { RUNNING: 'running', SUCCEEDED: 'succeeded', FAILED: 'failed' },
+  getInstance: jest.fn().mockResolvedValue({
+    listJobs: jest.fn().mockResolvedValue([
+      { name: 'content-strategy.trend-refresh', schedule: '@daily', paused: false, registered: true, running: false }
+    ]),
+    getRuns: jest.fn().mockImplementation(name => (name === 'unknown' ? null : [
+      { id: 2, jobName: name, trigger: 'schedule', status: 'failed', error: 'Analytics unavailable' }
+    ])),
+    trigger: jest.fn().mockImplementation((name) => {
+      if (name === 'unknown') return null;
+      if (name === 'content-strategy.audience-refresh') return { running: true };
+      return { run: { id: 3, jobName: name, trigger: 'manual', status: 'running' } };
+    }),
+    pause: jest.fn().mockImplementation(name => (name === 'unknown' ? null : { name, paused: true }))
   })
 }));
 
-jest.mock('../../../src/common/services/logger', () => mockServices.createLoggerMock());
+jest.mock('../../../src/core/configuration/configManager', () => {
+  const { ValidationError } = jest.requireActual('../../../src/core/error/errors');
+  
+  return {
+    ConfigSource: { FILE: 'file', API: 'api' },
+    ConfigChangeStatus: { APPLIED: 'applied', REJECTED: 'rejected', FAILED: 'failed' },
+    getInstance: jest.fn().mockResolvedValue({
+      getAgentsConfig: jest.fn().mockReturnValue({
+        contentStrategy: { id: 'content-strategy', name: 'Content Strategy Agent', modules: {} }
+      }),
+      update: jest.fn().mockRejectedValue(new ValidationError('Invalid agent configuration', 'INVALID_AGENT_CONFIG', {
+        errors: ['"contentStrategy.id" is required']
+      })),
+      updateAgent: jest.fn().mockImplementation((name, agentConfig, change) => ({
+        id: 1,
+        ...change,
+        status: 'applied',
+        agents: [name],
+        changes: [{ path: `${name}.description`, before: null, after: agentConfig.description }]
+      })),
+      getAuditLog: jest.fn().mockResolvedValue([
+        { id: 1, actor: 'admin@example.com', source: 'api', status: 'applied', agents: ['contentStrategy'] }
+      ])
+    })
+  };
+});
+
+jest.mock('../../../src/core/usage/budgetManager', () => {
+  const { ValidationError } = jest.requireActual('../../../src/core/error/errors');
+  
+  return {
+    getInstance: jest.fn().mockResolvedValue({
+      getBudgets: jest.fn().mockResolvedValue([
+        { id: 1, scope: 'team', subject: 'Acme', monthlyLimit: 100, month: '2025-03', spent: 42, status: 'ok' }
+      ]),
+      setBudget: jest.fn().mockImplementation((scope, subject, settings, actor) => {
+        if (!settings.monthlyLimit) {
+          throw new ValidationError('Invalid AI budget', 'INVALID_AI_BUDGET', { errors: ['"monthlyLimit" is required'] });
+        }
+        return { id: 2, scope, subject, ...settings, updatedBy: actor, spent: 0, status: 'ok' };
+      }),
+      removeBudget: jest.fn().mockImplementation((scope, subject) => Promise.resolve(subject === 'Acme'))
+    })
+  };
+});
+
+jest.mock('../../../src/common/services/logger', () => require('../../../testing/testHelpers').mockServices.createLoggerMock());
 
 describe('systemController', () => {
   describe('healthCheck', () => {
@@ -83,13 +172,8 @@ describe('systemController', () => {
                 agent1: { isRunning: true, modules: new Map([['module1', {}]]) },
                 agent2: { isRunning: false, modules: new Map() }
               },
-              storage: {
-                db: {
-                  command: jest.fn().mockResolvedValue({ ok: 1 })
-                }
-              },
               messaging: {
-                isConnected: jest.fn().mockReturnValue(true)
+                isConnected: true
               }
             }
           }
@@ -115,22 +199,20 @@ describe('systemController', () => {
           })
         }),
         services: expect.objectContaining({
-          database: 'connected',
+          database: expect.objectContaining({ status: 'connected' }),
           messaging: 'connected'
         })
       }));
     });
     
     it('should handle errors and pass to next middleware', async () => {
+      const error = new Error('Test error');
       const req = createMockRequest({
         app: {
           locals: {
             agentContainer: {
-              agents: {},
-              storage: {
-                db: {
-                  command: jest.fn().mockRejectedValue(new Error('Database error'))
-                }
+              get agents() {
+                throw error;
               }
             }
           }
@@ -139,9 +221,6 @@ describe('systemController', () => {
       const res = createMockResponse();
       const next = jest.fn();
       
-      const error = new Error('Test error');
-      jest.spyOn(req.app.locals.agentContainer.storage.db, 'command').mockRejectedValue(error);
-      
       await systemController.getSystemStatus(req, res, next);
       
       expect(next).toHaveBeenCalledWith(error);
@@ -219,7 +298,46 @@ describe('systemController', () => {
     });
   });
   
+  describe('getDeadLetterQueueEntry', () => {
+    it('should return the entry', async () => {
+      const req = createMockRequest({
+        params: { key: 'entry1' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getDeadLetterQueueEntry(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        entry: expect.objectContaining({ key: 'entry1' })
+      }));
+    });
+    
+    it('should return 404 if entry not found', async () => {
+      const req = createMockRequest({
+        params: { key: 'not-found' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getDeadLetterQueueEntry(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+  
   describe('retryDeadLetterQueueEntry', () => {
+    it('should reject a payload that is not an object', async () => {
+      const req = createMockRequest({
+        params: { key: 'entry1' },
+        body: { payload: 'edited' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.retryDeadLetterQueueEntry(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+    
     it('should retry entry and return success', async () => {
       const req = createMockRequest({
         params: { key: 'entry1' }
@@ -281,6 +399,384 @@ describe('systemController', () => {
     });
   });
   
+  describe('retryDeadLetterQueueEntries', () => {
+    it('should retry the matching entries and report the results', async () => {
+      const req = createMockRequest({
+        body: { agentId: 'agent1', from: '2026-01-01T00:00:00Z' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.retryDeadLetterQueueEntries(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        retried: ['entry1'],
+        failed: ['entry2']
+      });
+    });
+    
+    it('should return 400 for an invalid date', async () => {
+      const req = createMockRequest({
+        body: { from: 'yesterday-ish' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.retryDeadLetterQueueEntries(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+  
+  describe('purgeDeadLetterQueue', () => {
+    it('should delete the matching entries', async () => {
+      const req = createMockRequest({
+        query: { category: 'transient' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.purgeDeadLetterQueue(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        deleted: 2
+      });
+    });
+    
+    it('should refuse to purge everything without all=true', async () => {
+      const req = createMockRequest({
+        query: {}
+      });
+      const res = createMockResponse();
+      
+      await systemController.purgeDeadLetterQueue(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+  
+  describe('getTrace', () => {
+    it('should return the timeline of a recorded trace', () => {
+      const { getTracer } = require('../../../src/core/tracing');
+      const traceId = getTracer().withSpan('GET /api/content', { kind: 'server' }, span => span.traceId);
+      const req = createMockRequest({
+        params: { traceId }
+      });
+      const res = createMockResponse();
+      
+      systemController.getTrace(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        trace: expect.objectContaining({
+          traceId,
+          spanCount: 1,
+          spans: [expect.objectContaining({ name: 'GET /api/content', depth: 0 })]
+        })
+      }));
+    });
+    
+    it('should return 404 for an unknown trace', () => {
+      const req = createMockRequest({
+        params: { traceId: '4bf92f3577b34da6a3ce929d0e0e4736' }
+      });
+      const res = createMockResponse();
+      
+      systemController.getTrace(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+    
+    it('should return 400 for a malformed trace ID', () => {
+      const req = createMockRequest({
+        params: { traceId: 'trace-1' }
+      });
+      const res = createMockResponse();
+      
+      systemController.getTrace(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+  
+  describe('circuit breakers', () => {
+    it('should list the circuit breakers', async () => {
+      const req = createMockRequest();
+      const res = createMockResponse();
+      
+      await systemController.getCircuitBreakers(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        count: 2,
+        circuitBreakers: expect.arrayContaining([
+          expect.objectContaining({ service: 'openai', state: 'open' })
+        ])
+      });
+    });
+    
+    it('should force a circuit open or closed', async () => {
+      const { getInstance } = require('../../../src/core/error');
+      const errorHandlingService = await getInstance();
+      const req = createMockRequest({
+        params: { service: 'wordpress' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.openCircuitBreaker(req, res);
+      await systemController.closeCircuitBreaker(req, res);
+      
+      expect(errorHandlingService.forceOpenCircuitBreaker).toHaveBeenCalledWith('wordpress');
+      expect(res.json).toHaveBeenNthCalledWith(1, {
+        status: 'ok',
+        circuitBreaker: { service: 'wordpress', state: 'open', forced: true }
+      });
+      expect(res.json).toHaveBeenNthCalledWith(2, {
+        status: 'ok',
+        circuitBreaker: { service: 'wordpress', state: 'closed', forced: true }
+      });
+    });
+    
+    it('should return 500 when a circuit breaker can not be changed', async () => {
+      const req = createMockRequest({
+        params: { service: 'openai' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.resetCircuitBreaker(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Failed to reset circuit breaker',
+        error: 'Redis unavailable'
+      }));
+    });
+  });
+  
+  describe('scheduled jobs', () => {
+    it('should list the scheduled jobs', async () => {
+      const req = createMockRequest();
+      const res = createMockResponse();
+      
+      await systemController.getJobs(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        count: 1,
+        jobs: [expect.objectContaining({ name: 'content-strategy.trend-refresh', schedule: '@daily' })]
+      });
+    });
+    
+    it('should get the runs of a job filtered by status', async () => {
+      const { getInstance } = require('../../../src/core/scheduling/scheduler');
+      const scheduler = await getInstance();
+      const req = createMockRequest({
+        params: { name: 'content-strategy.trend-refresh' },
+        query: { status: 'failed', limit: '5' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getJobRuns(req, res);
+      
+      expect(scheduler.getRuns).toHaveBeenCalledWith('content-strategy.trend-refresh', { status: 'failed', limit: 5 });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        count: 1,
+        runs: [expect.objectContaining({ status: 'failed', error: 'Analytics unavailable' })]
+      }));
+    });
+    
+    it('should reject an unknown run status', async () => {
+      const req = createMockRequest({
+        params: { name: 'content-strategy.trend-refresh' },
+        query: { status: 'crashed' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getJobRuns(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+    
+    it('should trigger a job', async () => {
+      const req = createMockRequest({
+        params: { name: 'content-management.freshness-check' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.triggerJob(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        run: expect.objectContaining({ trigger: 'manual', status: 'running' })
+      }));
+    });
+    
+    it('should return 409 when the job is already running', async () => {
+      const req = createMockRequest({
+        params: { name: 'content-strategy.audience-refresh' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.triggerJob(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+    
+    it('should pause a job and return 404 for unknown jobs', async () => {
+      const req = createMockRequest({
+        params: { name: 'content-management.workflow-reminders' }
+      });
+      const res = createMockResponse();
+      const unknownReq = createMockRequest({
+        params: { name: 'unknown' }
+      });
+      const unknownRes = createMockResponse();
+      
+      await systemController.pauseJob(req, res);
+      await systemController.pauseJob(unknownReq, unknownRes);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        job: { name: 'content-management.workflow-reminders', paused: true }
+      });
+      expect(unknownRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+  
+  describe('agent configuration', () => {
+    it('should get the agent configuration in effect', async () => {
+      const req = createMockRequest();
+      const res = createMockResponse();
+      
+      await systemController.getAgentsConfig(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        agents: { contentStrategy: expect.objectContaining({ id: 'content-strategy' }) }
+      });
+    });
+    
+    it('should apply an agent configuration and record who changed it', async () => {
+      const req = createMockRequest({
+        params: { agent: 'contentStrategy' },
+        body: { config: { id: 'content-strategy', name: 'Content Strategy Agent', description: 'Plans content' }, reason: 'Clarify role' },
+        user: { id: 'user-1', email: 'admin@example.com' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.updateAgentConfig(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        change: expect.objectContaining({ actor: 'admin@example.com', source: 'api', reason: 'Clarify role', status: 'applied' })
+      }));
+    });
+    
+    it('should return 404 for an unknown agent', async () => {
+      const req = createMockRequest({
+        params: { agent: 'unknownAgent' },
+        body: { config: {} },
+        user: { id: 'user-1' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.updateAgentConfig(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+    
+    it('should return 400 with the problems of an invalid configuration', async () => {
+      const req = createMockRequest({
+        body: { agents: { contentStrategy: { name: 'Content Strategy Agent' } } },
+        user: { id: 'user-1' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.updateAgentsConfig(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Invalid agent configuration',
+        errors: ['"contentStrategy.id" is required']
+      });
+    });
+    
+    it('should get the configuration audit log', async () => {
+      const { getInstance } = require('../../../src/core/configuration/configManager');
+      const configManager = await getInstance();
+      const req = createMockRequest({
+        query: { agent: 'contentStrategy', status: 'applied', limit: '10' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getConfigAuditLog(req, res);
+      
+      expect(configManager.getAuditLog).toHaveBeenCalledWith({ agent: 'contentStrategy', status: 'applied', limit: 10 });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok', count: 1 }));
+    });
+  });
+  
+  describe('AI budgets', () => {
+    it('should list the budgets with their spend this month', async () => {
+      const req = createMockRequest();
+      const res = createMockResponse();
+      
+      await systemController.getBudgets(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'ok',
+        count: 1,
+        budgets: [expect.objectContaining({ scope: 'team', subject: 'Acme', spent: 42 })]
+      });
+    });
+    
+    it('should set a budget and record who set it', async () => {
+      const req = createMockRequest({
+        params: { scope: 'user', subject: 'user-7' },
+        body: { monthlyLimit: 25, warnAt: 0.5 },
+        user: { id: 'user-1', email: 'admin@example.com' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.setBudget(req, res);
+      
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        budget: expect.objectContaining({ scope: 'user', subject: 'user-7', monthlyLimit: 25, warnAt: 0.5, updatedBy: 'admin@example.com' })
+      }));
+    });
+    
+    it('should return 400 with the problems of an invalid budget', async () => {
+      const req = createMockRequest({
+        params: { scope: 'user', subject: 'user-7' },
+        body: {},
+        user: { id: 'user-1' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.setBudget(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Invalid AI budget',
+        errors: ['"monthlyLimit" is required']
+      });
+    });
+    
+    it('should return 404 when removing a budget that does not exist', async () => {
+      const req = createMockRequest({ params: { scope: 'team', subject: 'Globex' } });
+      const res = createMockResponse();
+      
+      await systemController.deleteBudget(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+  
   describe('getAgentRecoveryHistory', () => {
     it('should return agent recovery history', async () => {
       const req = createMockRequest({
@@ -361,6 +857,53 @@ describe('systemController', () => {
     });
   });
   
+  describe('getMessageQuarantine', () => {
+    it('should return quarantined messages with the filters applied', async () => {
+      const req = createMockRequest({
+        query: { kind: 'event', routingKey: 'agent.heartbeat', limit: '10' }
+      });
+      const res = createMockResponse();
+      
+      await systemController.getMessageQuarantine(req, res);
+      
+      const messageBus = await require('../../../src/core/messaging/messageBus').getInstance();
+      
+      expect(messageBus.getQuarantine).toHaveBeenCalledWith({ kind: 'event', routingKey: 'agent.heartbeat', limit: 10 });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        validationMode: 'warn',
+        count: 1
+      }));
+    });
+  });
+  
+  describe('clearMessageQuarantine', () => {
+    it('should clear the whole quarantine when no ID is given', async () => {
+      const req = createMockRequest({ params: {} });
+      const res = createMockResponse();
+      
+      await systemController.clearMessageQuarantine(req, res);
+      
+      const messageBus = await require('../../../src/core/messaging/messageBus').getInstance();
+      
+      expect(messageBus.clearQuarantine).toHaveBeenCalledWith(undefined);
+      expect(res.json).toHaveBeenCalledWith({ status: 'ok', removed: 1 });
+    });
+    
+    it('should return 404 if the quarantined message is not found', async () => {
+      const req = createMockRequest({ params: { id: '404' } });
+      const res = createMockResponse();
+      
+      await systemController.clearMessageQuarantine(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'error',
+        message: expect.stringContaining('not found')
+      }));
+    });
+  });
+  
   describe('registerAgent', () => {
     it('should register agent and return success', async () => {
       const req = createMockRequest({
@@ -0,0 +1,227 @@
+/**
+ * Tests for workflowController
+ */
+
+const workflowController = require('../../../src/api/controllers/workflowController');
+const { AuthorizationError, NotFoundError, ValidationError, WorkflowError } = require('../../../src/core/error');
+
+// Mock dependencies
+jest.mock('../../../src/core/coordination/coordinationService', () => {
+  const service = {
+    pauseWorkflow: jest.fn(),
+    resumeWorkflow: jest.fn(),
+    cancelWorkflow: jest.fn(),
+    saveWorkflowTemplate: jest.fn(),
+    submitHumanDecision: jest.fn(),
+    startWorkflowFromTemplate: jest.fn()
+  };
+  
+  return {
+    getInstance: jest.fn().mockResolvedValue(service),
+    __service: service
+  };
+});
+
+jest.mock('../../../src/core/error', () => {
+  class AuthorizationError extends Error {}
+  class NotFoundError extends Error {}
+  class ValidationError extends Error {
+    constructor(message, code) {
+      super(message);
+      this.code = code;
+    }
+  }
+  class WorkflowError extends Error {
+    constructor(message, code) {
+      super(message);
+      this.code = code;
+    }
+  }
+  
+  return { AuthorizationError, NotFoundError, ValidationError, WorkflowError };
+});
+
+jest.mock('../../../src/common/services/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('workflowController', () => {
+  let coordinationService;
+  
+  const createMockRequest = (overrides = {}) => ({
+    params: {},
+    query: {},
+    body: {},
+    user: { id: 'user-123', roles: ['editor'] },
+    ...overrides
+  });
+  
+  const createMockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    coordinationService = require('../../../src/core/coordination/coordinationService').__service;
+  });
+  
+  describe('pauseWorkflow', () => {
+    it('should pause the workflow on behalf of the requesting user', async () => {
+      coordinationService.pauseWorkflow.mockResolvedValue({ workflowId: 'wf-1', status: 'paused', currentState: 'content-creation' });
+      const req = createMockRequest({ params: { id: 'wf-1' }, body: { reason: 'Waiting on legal' } });
+      const res = createMockResponse();
+      
+      await workflowController.pauseWorkflow(req, res);
+      
+      expect(coordinationService.pauseWorkflow).toHaveBeenCalledWith('wf-1', {
+        reason: 'Waiting on legal',
+        requestedBy: req.user.id
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'ok',
+        workflow: expect.objectContaining({ status: 'paused' })
+      }));
+    });
+    
+    it('should return 404 when the workflow is not running', async () => {
+      coordinationService.pauseWorkflow.mockRejectedValue(new NotFoundError('Workflow wf-1 not found or no longer running'));
+      const req = createMockRequest({ params: { id: 'wf-1' } });
+      const res = createMockResponse();
+      
+      await workflowController.pauseWorkflow(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+  
+  describe('resumeWorkflow', () => {
+    it('should return 409 when the workflow is not paused', async () => {
+      coordinationService.resumeWorkflow.mockRejectedValue(
+        new WorkflowError('Workflow wf-1 cannot be resumed while active', 'INVALID_WORKFLOW_STATUS')
+      );
+      const req = createMockRequest({ params: { id: 'wf-1' } });
+      const res = createMockResponse();
+      
+      await workflowController.resumeWorkflow(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'error',
+        code: 'INVALID_WORKFLOW_STATUS'
+      }));
+    });
+  });
+  
+  describe('cancelWorkflow', () => {
+    it('should cancel the workflow with the given reason', async () => {
+      coordinationService.cancelWorkflow.mockResolvedValue({ workflowId: 'wf-1', status: 'cancelled', currentState: 'content-creation' });
+      const req = createMockRequest({ params: { id: 'wf-1' }, body: { reason: 'Campaign withdrawn' } });
+      const res = createMockResponse();
+      
+      await workflowController.cancelWorkflow(req, res);
+      
+      expect(coordinationService.cancelWorkflow).toHaveBeenCalledWith('wf-1', 'Campaign withdrawn', {
+        requestedBy: req.user.id
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok' }));
+    });
+    
+    it('should return 500 for unexpected failures', async () => {
+      coordinationService.cancelWorkflow.mockRejectedValue(new Error('Database unavailable'));
+      const req = createMockRequest({ params: { id: 'wf-1' }, body: { reason: 'Campaign withdrawn' } });
+      const res = createMockResponse();
+      
+      await workflowController.cancelWorkflow(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'error',
+        error: 'Database unavailable'
+      }));
+    });
+  });
+  
+  describe('saveWorkflowTemplate', () => {
+    it('should save a new template version on behalf of the requesting user', async () => {
+      coordinationService.saveWorkflowTemplate.mockResolvedValue({ templateId: 'social-only', version: 3 });
+      const req = createMockRequest({ body: { templateId: 'social-only', source: 'name: Social', format: 'yaml' } });
+      const res = createMockResponse();
+      
+      await workflowController.saveWorkflowTemplate(req, res);
+      
+      expect(coordinationService.saveWorkflowTemplate).toHaveBeenCalledWith(
+        'social-only',
+        { definition: undefined, source: 'name: Social', format: 'yaml' },
+        { createdBy: 'user-123' }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+    
+    it('should return 400 for invalid templates', async () => {
+      coordinationService.saveWorkflowTemplate.mockRejectedValue(
+        new ValidationError("Workflow 'social-only' must define at least one final state", 'INVALID_WORKFLOW_DEFINITION')
+      );
+      const req = createMockRequest({ body: { templateId: 'social-only', definition: {} } });
+      const res = createMockResponse();
+      
+      await workflowController.saveWorkflowTemplate(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_WORKFLOW_DEFINITION' }));
+    });
+  });
+  
+  describe('createFromTemplate', () => {
+    it('should start a workflow from the requested template version', async () => {
+      coordinationService.startWorkflowFromTemplate.mockResolvedValue({ workflowId: 'wf-2', status: 'started', templateVersion: 2 });
+      const req = createMockRequest({ params: { id: 'social-only' }, body: { parameters: { campaign: 'spring' }, version: 2 } });
+      const res = createMockResponse();
+      
+      await workflowController.createFromTemplate(req, res);
+      
+      expect(coordinationService.startWorkflowFromTemplate).toHaveBeenCalledWith(
+        'social-only',
+        { campaign: 'spring' },
+        { userId: 'user-123' },
+        2
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        workflow: expect.objectContaining({ templateVersion: 2 })
+      }));
+    });
+  });
+  
+  describe('submitHumanDecision', () => {
+    it('should pass the decision and the user\'s roles to the coordinator', async () => {
+      coordinationService.submitHumanDecision.mockResolvedValue({ workflowId: 'wf-1', taskId: 'task-1', decision: 'approve', toState: 'content-management' });
+      const req = createMockRequest({ params: { id: 'wf-1', taskId: 'task-1' }, body: { decision: 'approve' } });
+      const res = createMockResponse();
+      
+      await workflowController.submitHumanDecision(req, res);
+      
+      expect(coordinationService.submitHumanDecision).toHaveBeenCalledWith('wf-1', 'task-1', {
+        decision: 'approve',
+        comments: null,
+        decidedBy: 'user-123',
+        roles: ['editor']
+      });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'ok' }));
+    });
+    
+    it('should return 403 when the user is not assigned to the task', async () => {
+      coordinationService.submitHumanDecision.mockRejectedValue(new AuthorizationError('User user-123 is not assigned to human task task-1'));
+      const req = createMockRequest({ params: { id: 'wf-1', taskId: 'task-1' }, body: { decision: 'reject' } });
+      const res = createMockResponse();
+      
+      await workflowController.submitHumanDecision(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Tests for the live, local and replay backends of AIProviderService
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockAxios = { create: jest.fn() };
+jest.mock('axios', () => mockAxios);
+
+jest.mock('../../services/ConfigService', () => {
+  const providerOptions = {
+    temperature: 0.7,
+    topP: 0.9,
+    maxTokens: 1000,
+    timeout: 30000,
+    retryStrategy: { attempts: 1, initialDelay: 10, factor: 2, maxDelay: 100 }
+  };
+
+  return {
+    getConfig: jest.fn().mockReturnValue({
+      ai: {
+        taskRouting: { default: 'anthropic', embeddings: 'openai' },
+        providers: {
+          anthropic: {
+            enabled: true,
+            apiKey: 'anthropic-key',
+            models: { default: 'claude-3-haiku-20240307' },
+            options: providerOptions
+          },
+          openai: {
+            enabled: true,
+            apiKey: 'openai-key',
+            models: { default: 'gpt-4-turbo', embeddings: 'text-embedding-3-small' },
+            options: providerOptions
+          }
+        },
+        cache: { ttl: 3600, checkperiod: 600, maxKeys: 100 }
+      }
+    })
+  };
+});
+
+jest.mock('../../services/LoggerService', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+const mockUsageTracker = { record: jest.fn().mockResolvedValue({}) };
+jest.mock('../../src/core/usage/usageTracker', () => ({
+  getInstance: jest.fn(() => Promise.resolve(mockUsageTracker))
+}));
+
+const mockBudgetManager = { check: jest.fn() };
+jest.mock('../../src/core/usage/budgetManager', () => ({
+  getInstance: jest.fn(() => Promise.resolve(mockBudgetManager))
+}));
+
+const { RateLimitError } = require('../../src/core/error/errors');
+
+describe('AIProviderService backends', () => {
+  let fixturesDir;
+  let client;
+  let usageContext;
+
+  // Load the service as an environment configured with the given AI backend would,
+  // along with the usage context of its module registry
+  const loadService = (aiBackend) => {
+    let service;
+
+    jest.isolateModules(() => {
+      jest.doMock('../../src/config', () => ({ aiBackend }));
+      service = require('../../services/AIProviderService');
+      usageContext = require('../../src/core/usage/usageContext');
+    });
+
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-replay-'));
+    client = { post: jest.fn(), defaults: { headers: {} } };
+    mockAxios.create.mockReturnValue(client);
+    mockBudgetManager.check.mockReset().mockResolvedValue({ downgrade: false });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('should serve the response recorded for the same call', async () => {
+    // Arrange
+    const service = loadService({ mode: 'replay', replay: { fixturesDir } });
+    const options = { temperature: 0.2, skipCache: true };
+    const key = service._generateCacheKey('anthropic', 'text', 'Write a headline', 'claude-3-haiku-20240307', options);
+    fs.writeFileSync(path.join(fixturesDir, `${key}.json`), JSON.stringify({ response: 'Recorded headline' }));
+
+    // Act
+    const text = await service.generateText('Write a headline', options);
+
+    // Assert
+    expect(text).toBe('Recorded headline');
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  it('should fail calls that have no recorded response without calling the provider', async () => {
+    // Arrange
+    const service = loadService({ mode: 'replay', replay: { fixturesDir } });
+
+    // Act & Assert
+    await expect(service.generateText('Write a tagline', { skipCache: true }))
+      .rejects.toThrow(/No recorded anthropic text response for claude-3-haiku-20240307 .*AI_REPLAY_RECORD=true/);
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  it('should record the responses of the live provider in record mode', async () => {
+    // Arrange
+    const service = loadService({ mode: 'replay', replay: { fixturesDir, record: true } });
+    client.post.mockResolvedValue({
+      data: { model: 'text-embedding-3-small', data: [{ embedding: [0.1, 0.2] }], usage: { prompt_tokens: 3 } }
+    });
+
+    // Act
+    const recorded = await service.generateEmbeddings('landing pages', { skipCache: true });
+    const replayed = await service.generateEmbeddings('landing pages', { skipCache: true });
+
+    // Assert
+    expect(recorded).toEqual([0.1, 0.2]);
+    expect(replayed).toEqual([0.1, 0.2]);
+    expect(client.post).toHaveBeenCalledTimes(1);
+
+    const [fixtureFile] = fs.readdirSync(fixturesDir);
+    expect(JSON.parse(fs.readFileSync(path.join(fixturesDir, fixtureFile), 'utf8'))).toEqual(expect.objectContaining({
+      provider: 'openai',
+      operation: 'embeddings',
+      prompt: 'landing pages',
+      response: [0.1, 0.2]
+    }));
+  });
+
+  it('should call the messages API of Anthropic and record its usage', async () => {
+    // Arrange
+    const service = loadService({ mode: 'live' });
+    client.post.mockResolvedValue({
+      data: {
+        model: 'claude-3-haiku-20240307',
+        content: [{ type: 'text', text: ' Launch your site today ' }],
+        usage: { input_tokens: 14, output_tokens: 6 }
+      }
+    });
+
+    // Act
+    const text = await service.generateText('Write a headline', { skipCache: true, systemPrompt: 'Be brief.' });
+
+    // Assert
+    expect(text).toBe('Launch your site today');
+    expect(client.post).toHaveBeenCalledWith('/v1/messages', expect.objectContaining({
+      model: 'claude-3-haiku-20240307',
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Write a headline' }],
+      max_tokens: 1000
+    }), expect.any(Object));
+    await new Promise(setImmediate);
+    expect(mockUsageTracker.record).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'anthropic',
+      model: 'claude-3-haiku-20240307',
+      inputTokens: 14,
+      outputTokens: 6
+    }));
+  });
+
+  it('should check the budgets of the user and team the call is made for', async () => {
+    // Arrange
+    const service = loadService({ mode: 'live' });
+    client.post.mockResolvedValue({
+      data: { content: [{ type: 'text', text: 'Launch your site today' }], usage: {} }
+    });
+
+    // Act
+    await usageContext.runWithUsageAttribution({ userId: 'user-1', team: 'growth' }, () => service.generateText('Write a headline', { skipCache: true }));
+
+    // Assert
+    expect(mockBudgetManager.check).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', team: 'growth' }));
+  });
+
+  it('should answer from the cache without checking the budgets', async () => {
+    // Arrange
+    const service = loadService({ mode: 'live' });
+    client.post.mockResolvedValue({
+      data: { content: [{ type: 'text', text: 'Launch your site today' }], usage: {} }
+    });
+    await service.generateText('Write a headline');
+    mockBudgetManager.check.mockRejectedValue(new RateLimitError('Monthly AI budget of user user-1 is spent', 'AI_BUDGET_EXCEEDED'));
+
+    // Act
+    const text = await service.generateText('Write a headline');
+
+    // Assert
+    expect(text).toBe('Launch your site today');
+    expect(mockBudgetManager.check).toHaveBeenCalledTimes(1);
+    expect(client.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send calls to a local OpenAI-compatible server with its model', async () => {
+    // Arrange
+    const service = loadService({
+      mode: 'local',
+      local: { baseURL: 'http://localhost:11434/v1', model: 'llama3.1' }
+    });
+    client.post.mockResolvedValue({
+      data: { model: 'llama3.1', choices: [{ message: { content: ' Local draft ' } }] }
+    });
+
+    // Act
+    const text = await service.generateText('Write an intro', { skipCache: true });
+
+    // Assert
+    expect(text).toBe('Local draft');
+    expect(mockAxios.create).toHaveBeenCalledWith({
+      baseURL: 'http://localhost:11434/v1',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    expect(client.post).toHaveBeenCalledWith('/chat/completions', expect.objectContaining({ model: 'llama3.1' }), expect.any(Object));
+    await new Promise(setImmediate);
+    expect(mockUsageTracker.record).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'local',
+      model: 'llama3.1',
+      inputTokens: 0,
+      outputTokens: 0
+    }));
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for BlogGenerator Module
+ */
+
+const BlogGenerator = require('../../../../../src/agents/content_creation/modules/blog-generator');
+
+describe('BlogGenerator Module', () => {
+  let blogGenerator;
+  let mockAIProvider;
+
+  const brief = { topic: 'AI website builders', keywords: ['ai', 'websites'], target_audience: 'founders' };
+
+  beforeEach(() => {
+    const mockStorage = {
+      collections: {
+        brand_guidelines: {
+          findOne: jest.fn().mockResolvedValue(null)
+        },
+        product_features: {
+          find: jest.fn().mockReturnValue({
+            toArray: jest.fn().mockResolvedValue([])
+          })
+        }
+      }
+    };
+
+    const mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+
+    mockAIProvider = { generateText: jest.fn() };
+
+    blogGenerator = new BlogGenerator(
+      { ai_model: { provider: 'anthropic', model: 'claude-3-opus-20240229' } },
+      mockStorage,
+      mockLogger,
+      mockAIProvider
+    );
+
+    return blogGenerator.initialize();
+  });
+
+  describe('generate', () => {
+    it('should generate a blog post with its meta description', async () => {
+      // Arrange
+      mockAIProvider.generateText.mockResolvedValue('# Title\n\nBody text\n\nMeta Description: Build sites fast');
+
+      // Act
+      const post = await blogGenerator.generate(brief);
+
+      // Assert
+      expect(post.content).toBe('# Title\n\nBody text');
+      expect(post.meta_description).toBe('Build sites fast');
+      expect(mockAIProvider.generateText.mock.calls[0][0].onText).toBeUndefined();
+    });
+
+    it('should stream the post and mark where each section starts', async () => {
+      // Arrange
+      const signal = new AbortController().signal;
+      const stream = { onText: jest.fn(), onSection: jest.fn(), signal };
+      mockAIProvider.generateText.mockImplementation(({ onText }) => {
+        ['# Building with AI\n\nIntro', ' text\n## Why it', ' matters\n### Speed\n', '## Next steps\nTry it'].forEach(onText);
+        return Promise.resolve('# Building with AI\n\nIntro text\n## Why it matters\n### Speed\n## Next steps\nTry it');
+      });
+
+      // Act
+      const post = await blogGenerator.generate(brief, stream);
+
+      // Assert
+      expect(mockAIProvider.generateText).toHaveBeenCalledWith(expect.objectContaining({ signal }));
+      expect(stream.onText).toHaveBeenCalledTimes(4);
+      expect(stream.onSection.mock.calls).toEqual([
+        [{ index: 0, title: 'Building with AI' }],
+        [{ index: 1, title: 'Why it matters' }],
+        [{ index: 2, title: 'Next steps' }]
+      ]);
+      expect(post.content).toContain('## Next steps');
+    });
+  });
+});
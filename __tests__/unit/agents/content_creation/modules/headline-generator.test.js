@@ -0,0 +1,91 @@
+/**
+ * Unit tests for HeadlineGenerator Module
+ */
+
+const HeadlineGenerator = require('../../../../../src/agents/content_creation/modules/headline-generator');
+
+describe('HeadlineGenerator Module', () => {
+  let headlineGenerator;
+  let mockAIProvider;
+
+  beforeEach(() => {
+    const mockStorage = {
+      collections: {
+        brand_guidelines: {
+          findOne: jest.fn().mockResolvedValue({ type: 'voice', content: 'Friendly and clear.' })
+        }
+      }
+    };
+
+    const mockLogger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn()
+    };
+
+    mockAIProvider = { generateStructured: jest.fn() };
+
+    headlineGenerator = new HeadlineGenerator(
+      { ai_model: { provider: 'openai', model: 'gpt-4o' } },
+      mockStorage,
+      mockLogger,
+      mockAIProvider
+    );
+
+    return headlineGenerator.initialize();
+  });
+
+  describe('generate', () => {
+    it('should return the requested number of structured headlines', async () => {
+      // Arrange
+      mockAIProvider.generateStructured.mockResolvedValue({
+        headlines: ['1. "Launch Your Site Today"', 'Websites Built by AI', 'A Third Headline']
+      });
+
+      // Act
+      const headlines = await headlineGenerator.generate('AI websites', 2);
+
+      // Assert
+      expect(headlines).toEqual([
+        { text: 'Launch Your Site Today', type: 'blog', topic: 'AI websites', character_count: 22 },
+        { text: 'Websites Built by AI', type: 'blog', topic: 'AI websites', character_count: 20 }
+      ]);
+      expect(mockAIProvider.generateStructured).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ required: ['headlines'] }),
+        expect.objectContaining({ provider: 'openai', model: 'gpt-4o', name: 'headlines', temperature: 0.8 })
+      );
+    });
+
+    it('should fail instead of falling back to templates when no headlines are produced', async () => {
+      // Arrange
+      mockAIProvider.generateStructured.mockRejectedValue(new Error('AI provider gave no valid headlines after 2 repairs'));
+
+      // Act & Assert
+      await expect(headlineGenerator.generate('AI websites')).rejects.toThrow('Failed to generate headlines');
+    });
+  });
+
+  describe('testEffectiveness', () => {
+    it('should match the scores to the headlines tested', async () => {
+      // Arrange
+      mockAIProvider.generateStructured.mockResolvedValue({
+        results: [
+          { index: 2, score: 4, explanation: 'Vague', suggestion: 'Be specific' },
+          { index: 1, score: 8, explanation: 'Clear', suggestion: 'Shorten it' }
+        ]
+      });
+
+      // Act
+      const results = await headlineGenerator.testEffectiveness(['First', 'Second', 'Third']);
+
+      // Assert
+      expect(results).toEqual([
+        { headline: 'First', score: 8, explanation: 'Clear', suggestion: 'Shorten it' },
+        { headline: 'Second', score: 4, explanation: 'Vague', suggestion: 'Be specific' },
+        { headline: 'Third', score: 5, explanation: 'No analysis available', suggestion: 'Consider revising for clarity and impact' }
+      ]);
+    });
+  });
+});
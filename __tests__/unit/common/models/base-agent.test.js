@@ -0,0 +1,378 @@
+/**
+ * Unit tests for the command capabilities and recovery commands of BaseAgent
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BaseAgent = require('../../../../src/common/models/base-agent');
+const { MessageBus } = require('../../../../src/core/messaging/messageBus');
+const InMemoryTransport = require('../../../../src/core/messaging/inMemoryTransport');
+const AIProviderService = require('../../../../src/common/services/ai-provider');
+const { currentPriority } = require('../../../../src/core/error/bulkhead');
+const { getUsageAttribution, runWithUsageAttribution } = require('../../../../src/core/usage/usageContext');
+
+class WriterAgent extends BaseAgent {
+  constructor(config) {
+    super({ ...config, name: 'writer' });
+  }
+
+  async handleGenerateContentCommand(command) {
+    const text = await this.aiProvider.generateText({
+      provider: 'anthropic',
+      messages: [{ role: 'user', content: `Write about ${command.payload.topic}` }]
+    });
+
+    return { text, metadata: command.metadata };
+  }
+}
+
+describe('BaseAgent', () => {
+  let agent;
+  let messaging;
+  let logger;
+
+  beforeEach(() => {
+    messaging = {
+      publishEvent: jest.fn().mockResolvedValue(true)
+    };
+    logger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+
+    agent = new WriterAgent({
+      messageBus: messaging,
+      logger,
+      agentConfigs: { writer: { id: 'writer-agent', commandPriorities: { generate_content: 3 } } }
+    });
+  });
+
+  it('should list the commands it has handlers for', () => {
+    // Act
+    const capabilities = agent.getCapabilities();
+
+    // Assert
+    expect(capabilities).toEqual(['generate_content', 'handle_delegation', 'use_fallback']);
+  });
+
+  it('should register its capabilities under its agent ID', async () => {
+    // Act
+    await agent.registerCapabilities();
+
+    // Assert
+    expect(messaging.publishEvent).toHaveBeenCalledWith('agent.register', expect.objectContaining({
+      agentId: 'writer-agent',
+      metadata: {
+        name: 'writer',
+        capabilities: ['generate_content', 'handle_delegation', 'use_fallback']
+      }
+    }));
+  });
+
+  it('should perform a command delegated by another agent', async () => {
+    // Arrange
+    agent.aiProvider = { generateText: jest.fn().mockResolvedValue('Delegated text') };
+
+    // Act
+    const result = await agent.handleHandleDelegationCommand({
+      id: 'cmd-1',
+      payload: {
+        originalAgentId: 'brand-consistency',
+        command: 'generate_content',
+        data: { payload: { topic: 'landing pages' } },
+        delegationReason: 'external_service'
+      }
+    });
+
+    // Assert
+    expect(result).toEqual({
+      text: 'Delegated text',
+      metadata: { delegatedBy: 'brand-consistency', delegationReason: 'external_service' }
+    });
+  });
+
+  it('should reject delegated commands it has no handler for', async () => {
+    // Act & Assert
+    await expect(agent.handleHandleDelegationCommand({
+      id: 'cmd-1',
+      payload: { originalAgentId: 'optimisation', command: 'generate_report', data: {} }
+    })).rejects.toThrow('Unsupported command type: generate_report');
+  });
+
+  it('should send every AI call of a fallback to the alternate provider', async () => {
+    // Arrange
+    const aiProvider = new AIProviderService({}, logger);
+    aiProvider._traceCall = jest.fn((provider, model) => Promise.resolve(`${provider}:${model}`));
+    agent.aiProvider = aiProvider;
+
+    // Act
+    const result = await agent.handleUseFallbackCommand({
+      id: 'cmd-2',
+      payload: {
+        fallbackMethod: 'alternateProvider',
+        provider: 'openai',
+        command: 'generate_content',
+        data: { payload: { topic: 'landing pages' } }
+      }
+    });
+    const unpinned = await aiProvider.generateText({ messages: [{ role: 'user', content: 'Hello' }] });
+
+    // Assert
+    expect(result.text).toBe('openai:gpt-4-0125-preview');
+    expect(unpinned).toBe('anthropic:claude-3-opus-20240229');
+  });
+
+  it('should account the AI usage of a command to the agent, module, content, user and team', async () => {
+    // Arrange
+    const recorded = [];
+    const usageTracker = {
+      record: jest.fn(usage => {
+        recorded.push({ ...usage, ...getUsageAttribution() });
+        return Promise.resolve();
+      })
+    };
+    const aiProvider = new AIProviderService({ usageTracker }, logger);
+    aiProvider.anthropic = {
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          model: 'claude-3-opus-20240229',
+          content: [{ text: 'Landing pages that convert' }],
+          usage: { input_tokens: 120, output_tokens: 480 }
+        })
+      }
+    };
+    logger.debug = jest.fn();
+    agent.aiProvider = aiProvider.withAttribution({ module: 'blogGenerator' });
+
+    // Act
+    await agent.handleCommand({
+      id: 'cmd-5',
+      type: 'generate_content',
+      payload: { topic: 'landing pages', contentId: 'content-42', userId: 'user-7' },
+      metadata: { team: 'growth' }
+    });
+
+    // Assert
+    expect(recorded).toEqual([{
+      provider: 'anthropic',
+      model: 'claude-3-opus-20240229',
+      inputTokens: 120,
+      outputTokens: 480,
+      agent: 'writer-agent',
+      module: 'blogGenerator',
+      contentId: 'content-42',
+      userId: 'user-7',
+      team: 'growth'
+    }]);
+  });
+
+  it('should run commands in its bulkhead at their message priority', async () => {
+    // Arrange
+    agent.handleGenerateContentCommand = jest.fn(() => Promise.resolve({ priority: currentPriority() }));
+
+    // Act
+    const result = await agent.handleCommand({
+      id: 'cmd-3',
+      type: 'generate_content',
+      payload: { topic: 'landing pages' },
+      metadata: { priority: 9 }
+    });
+
+    // Assert
+    expect(result).toEqual({ priority: 9 });
+    expect(messaging.publishEvent).toHaveBeenCalledWith('writer-agent.command.succeeded', {
+      command_id: 'cmd-3',
+      type: 'generate_content',
+      result: { priority: 9 }
+    }, { correlationId: 'cmd-3' });
+  });
+
+  it('should queue commands at the priority configured for their type', async () => {
+    // Arrange
+    const releases = [];
+    agent.handleGenerateContentCommand = jest.fn(() => new Promise(resolve => {
+      releases.push(resolve);
+    }));
+    const commands = [1, 2, 3, 4].map(index => agent.handleCommand({
+      id: `running-${index}`,
+      type: 'generate_content',
+      payload: {}
+    }));
+    const queued = agent.handleCommand({ id: 'queued', type: 'generate_content', payload: {} });
+
+    // Act
+    const status = agent.getQueueStatus();
+    agent.handleGenerateContentCommand.mockResolvedValue({});
+    releases.forEach(release => release({}));
+
+    // Assert
+    expect(status).toEqual(expect.objectContaining({ active: 4, queued: 1, maxConcurrent: 4 }));
+    expect(status.items).toEqual([
+      expect.objectContaining({ commandId: 'queued', type: 'generate_content', priority: 3 })
+    ]);
+
+    await Promise.all([...commands, queued]);
+  });
+
+  it('should schedule the jobs of its modules while it runs', async () => {
+    // Arrange
+    const scheduler = { register: jest.fn().mockResolvedValue({}), unregister: jest.fn() };
+    const refresh = jest.fn();
+    agent.scheduler = scheduler;
+    agent.modules.set('trendAnalyzer', {
+      start: jest.fn().mockResolvedValue(),
+      stop: jest.fn().mockResolvedValue(),
+      getScheduledJobs: () => [{ name: 'trend-refresh', schedule: '@daily', handler: refresh }]
+    });
+
+    // Act
+    await agent.start();
+    await agent.stop();
+
+    // Assert
+    expect(scheduler.register).toHaveBeenCalledWith('writer-agent.trend-refresh', expect.objectContaining({
+      schedule: '@daily',
+      handler: refresh
+    }));
+    expect(scheduler.unregister).toHaveBeenCalledWith('writer-agent.trend-refresh');
+  });
+
+  it('should apply a new configuration to its modules without restarting', async () => {
+    // Arrange
+    const scheduler = { register: jest.fn().mockResolvedValue({}), unregister: jest.fn() };
+    const trendAnalyzer = {
+      start: jest.fn().mockResolvedValue(),
+      stop: jest.fn().mockResolvedValue(),
+      reconfigure: jest.fn(),
+      getScheduledJobs: () => [{ name: 'trend-refresh', schedule: '@daily', handler: jest.fn() }]
+    };
+    const audienceInsights = { start: jest.fn().mockResolvedValue(), stop: jest.fn().mockResolvedValue() };
+    agent.scheduler = scheduler;
+    agent.modules.set('trendAnalyzer', trendAnalyzer);
+    agent.modules.set('audienceInsights', audienceInsights);
+    await agent.start();
+    const trendConfig = { enabled: true, settings: { schedule: '0 6 * * *' } };
+
+    // Act
+    await agent.reconfigure({
+      id: 'writer-agent',
+      modules: { trendAnalyzer: trendConfig, audienceInsights: { enabled: false } }
+    });
+
+    // Assert
+    expect(trendAnalyzer.reconfigure).toHaveBeenCalledWith(trendConfig);
+    expect(trendAnalyzer.stop).not.toHaveBeenCalled();
+    expect(audienceInsights.stop).toHaveBeenCalled();
+    expect([...agent.modules.keys()]).toEqual(['trendAnalyzer']);
+    expect(scheduler.unregister).toHaveBeenCalledWith('writer-agent.trend-refresh');
+    expect(scheduler.register).toHaveBeenCalledTimes(2);
+
+    await agent.stop();
+  });
+
+  describe('on the message bus', () => {
+    let bus;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(async () => {
+      bus = new MessageBus(new InMemoryTransport(), { validationMode: 'reject' });
+      await bus.connect();
+      logger.debug = jest.fn();
+
+      agent = new WriterAgent({
+        messageBus: bus,
+        logger,
+        agentConfigs: { writer: { id: 'content-strategy' } }
+      });
+    });
+
+    it('should publish its events under the routing keys of their schemas', async () => {
+      // Arrange
+      const received = jest.fn();
+      await agent.subscribeToAgentEvent('content-strategy.brief.*', received);
+      const insertedId = { toJSON: () => '65f1c0ffee' };
+
+      // Act
+      await agent.publishEvent('brief_created', { brief_id: insertedId, type: 'blog', topic: 'landing pages' }, 'cmd-7');
+
+      // Assert
+      expect(bus.getQuarantine()).toEqual([]);
+      expect(received).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'content-strategy.brief.created',
+        agent: 'content-strategy',
+        payload: { brief_id: '65f1c0ffee', type: 'blog', topic: 'landing pages' },
+        correlation_id: 'cmd-7'
+      }));
+    });
+
+    it('should have its invalid events quarantined', async () => {
+      // Arrange
+      const received = jest.fn();
+      await agent.subscribeToAgentEvent('content-strategy.brief.created', received);
+
+      // Act
+      const publishing = agent.publishEvent('brief_created', { brief_id: 'brief-1', type: 'blog' });
+
+      // Assert
+      await expect(publishing).rejects.toThrow('Invalid event content-strategy.brief.created');
+      expect(bus.getQuarantine()).toEqual([
+        expect.objectContaining({ kind: 'event', routingKey: 'content-strategy.brief.created', direction: 'publish' })
+      ]);
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    it('should handle the commands sent to its agent ID and publish their outcome', async () => {
+      // Arrange
+      const outcomes = jest.fn();
+      agent.aiProvider = { generateText: jest.fn().mockResolvedValue('Bus text') };
+      await agent.initialize();
+      await bus.subscribeToEvent('content-strategy.command.*', outcomes);
+
+      // Act
+      await bus.publishCommand('content-strategy.generate-content', { topic: 'landing pages' });
+      await flush();
+
+      // Assert
+      expect(agent.aiProvider.generateText).toHaveBeenCalledWith(expect.objectContaining({
+        messages: [{ role: 'user', content: 'Write about landing pages' }]
+      }));
+      expect(outcomes).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'generate_content', result: expect.objectContaining({ text: 'Bus text' }) }),
+        expect.objectContaining({ type: 'content-strategy.command.succeeded' })
+      );
+    });
+
+    it('should reply to requests for its commands with their result', async () => {
+      // Arrange
+      agent.aiProvider = { generateText: jest.fn().mockResolvedValue('Requested text') };
+      await agent.initialize();
+
+      // Act
+      const result = await bus.request('content-strategy.generate-content', { topic: 'landing pages' }, { timeout: 1000 });
+
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ text: 'Requested text' }));
+      expect(result.metadata.signal.aborted).toBe(false);
+    });
+
+    it('should get the user and team of the API request in the metadata of its commands', async () => {
+      // Arrange
+      agent.aiProvider = { generateText: jest.fn().mockResolvedValue('Requested text') };
+      await agent.initialize();
+
+      // Act
+      const result = await runWithUsageAttribution({ userId: 'user-7', team: 'growth' }, () =>
+        bus.request('content-strategy.generate-content', { topic: 'landing pages' }, { timeout: 1000 }));
+
+      // Assert
+      expect(result.metadata).toEqual(expect.objectContaining({ userId: 'user-7', team: 'growth' }));
+    });
+  });
+});
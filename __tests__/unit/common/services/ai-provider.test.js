@@ -0,0 +1,313 @@
+/**
+ * Unit tests for the AI Provider Service
+ */
+
+const AIProviderService = require('../../../../src/common/services/ai-provider');
+const { ExternalServiceError } = require('../../../../src/core/error/errors');
+
+describe('AIProviderService', () => {
+  let aiProvider;
+  let usageTracker;
+
+  // Async iterable standing in for the stream of an SDK
+  const streamOf = (...items) => ({
+    async *[Symbol.asyncIterator]() {
+      yield* items;
+    }
+  });
+
+  const messages = [{ role: 'user', content: 'Write a post' }];
+
+  beforeEach(() => {
+    usageTracker = { record: jest.fn().mockResolvedValue({}) };
+    aiProvider = new AIProviderService({ usageTracker }, {
+      info: jest.fn(),
+      debug: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    });
+    aiProvider.retryDelay = 0;
+  });
+
+  describe('streaming', () => {
+    it('should pass on the text streamed by Anthropic and record its usage', async () => {
+      // Arrange
+      const signal = new AbortController().signal;
+      const onText = jest.fn();
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue(streamOf(
+            { type: 'message_start', message: { model: 'claude-3-haiku-20240307', usage: { input_tokens: 12 } } },
+            { type: 'content_block_delta', delta: { type: 'text_delta', text: '## Intro\n' } },
+            { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Websites matter.' } },
+            { type: 'message_delta', usage: { output_tokens: 7 } }
+          ))
+        }
+      };
+
+      // Act
+      const text = await aiProvider.generateText({ provider: 'anthropic', messages, onText, signal });
+
+      // Assert
+      expect(text).toBe('## Intro\nWebsites matter.');
+      expect(onText.mock.calls).toEqual([['## Intro\n'], ['Websites matter.']]);
+      expect(aiProvider.anthropic.messages.create).toHaveBeenCalledWith(expect.objectContaining({ stream: true }), { signal });
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        provider: 'anthropic',
+        model: 'claude-3-haiku-20240307',
+        inputTokens: 12,
+        outputTokens: 7
+      });
+    });
+
+    it('should pass on the text streamed by OpenAI and record its usage', async () => {
+      // Arrange
+      const onText = jest.fn();
+      aiProvider.openai = {
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue(streamOf(
+              { model: 'gpt-4o', choices: [{ delta: { role: 'assistant', content: '' } }] },
+              { model: 'gpt-4o', choices: [{ delta: { content: 'Hero ' } }] },
+              { model: 'gpt-4o', choices: [{ delta: { content: 'copy' } }] },
+              { model: 'gpt-4o', choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } }
+            ))
+          }
+        }
+      };
+
+      // Act
+      const text = await aiProvider.generateText({ provider: 'openai', messages, onText });
+
+      // Assert
+      expect(text).toBe('Hero copy');
+      expect(onText.mock.calls).toEqual([['Hero '], ['copy']]);
+      expect(aiProvider.openai.chat.completions.create).toHaveBeenCalledWith(expect.objectContaining({
+        stream: true,
+        stream_options: { include_usage: true }
+      }), expect.any(Object));
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        provider: 'openai',
+        model: 'gpt-4o',
+        inputTokens: 9,
+        outputTokens: 2
+      });
+    });
+
+    it('should not retry a stream that failed after passing on text', async () => {
+      // Arrange
+      const onText = jest.fn();
+      const overloaded = Object.assign(new Error('Overloaded'), { status: 529 });
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            async *[Symbol.asyncIterator]() {
+              yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Partial' } };
+              throw overloaded;
+            }
+          })
+        }
+      };
+
+      // Act & Assert
+      await expect(aiProvider.generateText({ provider: 'anthropic', messages, onText })).rejects.toBe(overloaded);
+      expect(aiProvider.anthropic.messages.create).toHaveBeenCalledTimes(1);
+      expect(onText).toHaveBeenCalledWith('Partial');
+    });
+
+    it('should record the usage of an Anthropic stream that was aborted', async () => {
+      // Arrange
+      const abortController = new AbortController();
+      const aborted = Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            async *[Symbol.asyncIterator]() {
+              yield { type: 'message_start', message: { model: 'claude-3-haiku-20240307', usage: { input_tokens: 12 } } };
+              yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Websites matter.' } };
+              abortController.abort();
+              throw aborted;
+            }
+          })
+        }
+      };
+
+      // Act
+      const generating = aiProvider.generateText({ provider: 'anthropic', messages, onText: jest.fn(), signal: abortController.signal });
+
+      // Assert
+      await expect(generating).rejects.toBe(aborted);
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        provider: 'anthropic',
+        model: 'claude-3-haiku-20240307',
+        inputTokens: 12,
+        outputTokens: 4
+      });
+    });
+
+    it('should estimate the usage of an OpenAI stream that was aborted before reporting it', async () => {
+      // Arrange
+      const abortController = new AbortController();
+      const aborted = Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+      aiProvider.openai = {
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue({
+              async *[Symbol.asyncIterator]() {
+                yield { model: 'gpt-4o', choices: [{ delta: { content: 'Hero copy' } }] };
+                abortController.abort();
+                throw aborted;
+              }
+            })
+          }
+        }
+      };
+
+      // Act
+      const generating = aiProvider.generateText({ provider: 'openai', messages, onText: jest.fn(), signal: abortController.signal });
+
+      // Assert
+      await expect(generating).rejects.toBe(aborted);
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        provider: 'openai',
+        model: 'gpt-4o',
+        inputTokens: 3,
+        outputTokens: 3
+      });
+    });
+  });
+
+  describe('generateStructured', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        headlines: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        tone: { type: 'string', default: 'neutral' }
+      },
+      required: ['headlines']
+    };
+
+    const openAIAnswer = (args) => ({
+      model: 'gpt-4o',
+      choices: [{ message: { content: null, tool_calls: [{ function: { name: 'headlines', arguments: args } }] } }],
+      usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 }
+    });
+
+    it('should answer through a tool of Anthropic and fill in the defaults of the schema', async () => {
+      // Arrange
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            content: [{ type: 'tool_use', name: 'headlines', input: { headlines: ['Build faster'] } }],
+            usage: { input_tokens: 20, output_tokens: 10 }
+          })
+        }
+      };
+
+      // Act
+      const result = await aiProvider.generateStructured('Write a headline', schema, { provider: 'anthropic', name: 'headlines' });
+
+      // Assert
+      expect(result).toEqual({ headlines: ['Build faster'], tone: 'neutral' });
+      expect(aiProvider.anthropic.messages.create).toHaveBeenCalledWith(expect.objectContaining({
+        messages: [{ role: 'user', content: 'Write a headline' }],
+        tools: [{ name: 'headlines', description: 'Record the headlines', input_schema: schema }],
+        tool_choice: { type: 'tool', name: 'headlines' }
+      }));
+    });
+
+    it('should send system messages to Anthropic as its system prompt', async () => {
+      // Arrange
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            content: [{ type: 'tool_use', name: 'headlines', input: { headlines: ['Build faster'] } }],
+            usage: { input_tokens: 20, output_tokens: 10 }
+          })
+        }
+      };
+
+      // Act
+      await aiProvider.generateStructured([
+        { role: 'system', content: 'You are a headline writer.' },
+        { role: 'user', content: 'Write a headline' }
+      ], schema, { provider: 'anthropic', name: 'headlines' });
+
+      // Assert
+      const request = aiProvider.anthropic.messages.create.mock.calls[0][0];
+      expect(request.system).toBe('You are a headline writer.');
+      expect(request.messages).toEqual([{ role: 'user', content: 'Write a headline' }]);
+    });
+
+    it('should send an invalid answer back with its errors to be corrected', async () => {
+      // Arrange
+      aiProvider.openai = {
+        chat: {
+          completions: {
+            create: jest.fn()
+              .mockResolvedValueOnce(openAIAnswer('{"headlines": []}'))
+              .mockResolvedValueOnce(openAIAnswer('{"headlines": ["Launch today"]}'))
+          }
+        }
+      };
+
+      // Act
+      const result = await aiProvider.generateStructured('Write a headline', schema, { provider: 'openai', name: 'headlines' });
+
+      // Assert
+      expect(result.headlines).toEqual(['Launch today']);
+      expect(aiProvider.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+
+      const { messages, tool_choice: toolChoice } = aiProvider.openai.chat.completions.create.mock.calls[1][0];
+      expect(toolChoice).toEqual({ type: 'function', function: { name: 'headlines' } });
+      expect(messages).toEqual([
+        { role: 'user', content: 'Write a headline' },
+        { role: 'assistant', content: '{"headlines": []}' },
+        { role: 'user', content: expect.stringContaining('headlines.headlines should NOT have fewer than 1 items') }
+      ]);
+    });
+
+    it('should give up once the repairs are used up', async () => {
+      // Arrange
+      aiProvider.openai = {
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue(openAIAnswer('{"headlines": "Launch today"'))
+          }
+        }
+      };
+
+      // Act
+      const error = await aiProvider.generateStructured('Write a headline', schema, { provider: 'openai', maxRepairs: 1 })
+        .catch(generateError => generateError);
+
+      // Assert
+      expect(error).toBeInstanceOf(ExternalServiceError);
+      expect(error.code).toBe('AI_INVALID_STRUCTURED_OUTPUT');
+      expect(error.details.errors).toEqual([expect.stringMatching(/^the answer is not JSON/)]);
+      expect(aiProvider.openai.chat.completions.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the list of a structured text analysis', async () => {
+      // Arrange
+      aiProvider.anthropic = {
+        messages: {
+          create: jest.fn().mockResolvedValue({
+            content: [{ type: 'tool_use', name: 'keywords_analysis', input: { keywords: ['ai', 'websites'] } }],
+            usage: { input_tokens: 20, output_tokens: 10 }
+          })
+        }
+      };
+
+      // Act
+      const keywords = await aiProvider.analyzeText({
+        text: 'Build websites with AI',
+        task: 'keywords',
+        parameters: { format: 'json' }
+      });
+
+      // Assert
+      expect(keywords).toEqual(['ai', 'websites']);
+    });
+  });
+});
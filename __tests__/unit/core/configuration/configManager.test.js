@@ -0,0 +1,155 @@
+/**
+ * Unit tests for the ConfigManager
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ConfigManager,
+  ConfigSource,
+  ConfigChangeStatus
+} = require('../../../../src/core/configuration/configManager');
+const ConfigAuditStore = require('../../../../src/core/configuration/configAuditStore');
+const { ValidationError } = require('../../../../src/core/error/errors');
+
+describe('ConfigManager', () => {
+  const agentsConfig = {
+    contentStrategy: {
+      id: 'content-strategy',
+      name: 'Content Strategy Agent',
+      modules: {
+        trendAnalyzer: { enabled: true, settings: { updateFrequency: 'daily' } }
+      }
+    },
+    contentManagement: {
+      id: 'content-management',
+      name: 'Content Management Agent',
+      modules: {
+        freshnessChecker: { enabled: true, settings: { freshnessThreshold: 90 } }
+      }
+    }
+  };
+
+  let dir;
+  let agentsFile;
+  let manager;
+  let agents;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'agents-config-'));
+    agentsFile = path.join(dir, 'agents.json');
+    await fs.promises.writeFile(agentsFile, JSON.stringify(agentsConfig));
+
+    // Without connect() the audit store keeps changes in memory
+    const store = new ConfigAuditStore();
+    store.connect = jest.fn().mockResolvedValue(store);
+
+    manager = new ConfigManager({ agentsFile, watch: false, store });
+    await manager.init();
+
+    agents = {
+      contentStrategy: { reconfigure: jest.fn().mockResolvedValue() },
+      contentManagement: { reconfigure: jest.fn().mockResolvedValue() }
+    };
+    manager.attachAgents(agents);
+  });
+
+  afterEach(async () => {
+    await manager.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Copy of the configuration with one module setting changed
+   */
+  const withSetting = (agent, module, setting, value) => {
+    const changed = JSON.parse(JSON.stringify(agentsConfig));
+    changed[agent].modules[module].settings[setting] = value;
+    return changed;
+  };
+
+  it('should apply a change to the agents it affects and record who made it', async () => {
+    // Arrange
+    const changed = withSetting('contentManagement', 'freshnessChecker', 'freshnessThreshold', 60);
+
+    // Act
+    const entry = await manager.update(changed, { actor: 'admin@example.com', source: ConfigSource.FILE, reason: 'Shorter reviews' });
+
+    // Assert
+    expect(agents.contentManagement.reconfigure).toHaveBeenCalledWith(changed.contentManagement);
+    expect(agents.contentStrategy.reconfigure).not.toHaveBeenCalled();
+    expect(entry).toEqual(expect.objectContaining({
+      actor: 'admin@example.com',
+      reason: 'Shorter reviews',
+      status: ConfigChangeStatus.APPLIED,
+      agents: ['contentManagement'],
+      changes: [{ path: 'contentManagement.modules.freshnessChecker.settings.freshnessThreshold', before: 90, after: 60 }]
+    }));
+    expect(manager.getAgentsConfig()).toEqual(changed);
+  });
+
+  it('should reject an invalid configuration without applying it', async () => {
+    // Arrange
+    const changed = withSetting('contentStrategy', 'trendAnalyzer', 'schedule', 'every morning');
+
+    // Act & Assert
+    await expect(manager.update(changed, { actor: 'config file', source: ConfigSource.FILE }))
+      .rejects.toThrow(ValidationError);
+
+    expect(agents.contentStrategy.reconfigure).not.toHaveBeenCalled();
+    expect(manager.getAgentsConfig()).toEqual(agentsConfig);
+
+    const [entry] = await manager.getAuditLog();
+    expect(entry.status).toBe(ConfigChangeStatus.REJECTED);
+    expect(entry.errors[0]).toContain('contentStrategy.modules.trendAnalyzer.settings.schedule');
+  });
+
+  it('should keep the previous configuration of an agent that fails to apply a change', async () => {
+    // Arrange
+    agents.contentStrategy.reconfigure
+      .mockRejectedValueOnce(new Error('Trend source unavailable'))
+      .mockResolvedValueOnce();
+    const changed = withSetting('contentStrategy', 'trendAnalyzer', 'updateFrequency', 'hourly');
+
+    // Act
+    const entry = await manager.update(changed, { actor: 'admin@example.com', source: ConfigSource.FILE });
+
+    // Assert
+    expect(agents.contentStrategy.reconfigure).toHaveBeenLastCalledWith(agentsConfig.contentStrategy);
+    expect(entry.status).toBe(ConfigChangeStatus.FAILED);
+    expect(entry.errors).toEqual(['contentStrategy: Trend source unavailable']);
+    expect(manager.getAgentsConfig().contentStrategy).toEqual(agentsConfig.contentStrategy);
+  });
+
+  it('should write changes made through the API to the configuration file', async () => {
+    // Arrange
+    const listener = jest.fn();
+    manager.onChange(listener);
+    const agentConfig = withSetting('contentStrategy', 'trendAnalyzer', 'updateFrequency', 'weekly').contentStrategy;
+
+    // Act
+    await manager.updateAgent('contentStrategy', agentConfig, { actor: 'admin@example.com', source: ConfigSource.API });
+
+    // Assert
+    const written = JSON.parse(await fs.promises.readFile(agentsFile, 'utf8'));
+    expect(written.contentStrategy.modules.trendAnalyzer.settings.updateFrequency).toBe('weekly');
+    expect(listener).toHaveBeenCalledWith(written, expect.any(Array));
+  });
+
+  it('should not record anything when the configuration is unchanged', async () => {
+    // Act
+    const entry = await manager.update(agentsConfig, { actor: 'config file', source: ConfigSource.FILE });
+
+    // Assert
+    expect(entry).toBeNull();
+    expect(await manager.getAuditLog()).toEqual([]);
+  });
+});
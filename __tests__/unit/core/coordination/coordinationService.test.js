@@ -0,0 +1,1078 @@
+/**
+ * Unit tests for Coordination Service
+ */
+
+jest.mock('../../../../src/core/messaging/messageBus', () => {
+  const bus = {
+    subscribeToEvent: jest.fn().mockResolvedValue({}),
+    publishEvent: jest.fn().mockResolvedValue(true),
+    publishCommand: jest.fn().mockResolvedValue(true),
+    unsubscribe: jest.fn().mockResolvedValue(true)
+  };
+  
+  return {
+    getInstance: jest.fn().mockResolvedValue(bus),
+    __bus: bus
+  };
+});
+
+jest.mock('../../../../src/core/messaging/messageSchemas', () => ({
+  createMessage: jest.fn((type, action, data, metadata = {}) => ({ data, metadata }))
+}));
+
+jest.mock('../../../../src/core/coordination/stateManager', () => jest.fn());
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('CoordinationService', () => {
+  let coordinationService;
+  let messageBus;
+  
+  const createService = (persistedInstances = [], storedTemplates = []) => {
+    let service;
+    
+    jest.isolateModules(() => {
+      const StateManager = require('../../../../src/core/coordination/stateManager');
+      StateManager.mockImplementationOnce(() => ({
+        saveWorkflowState: jest.fn().mockResolvedValue(1),
+        updateWorkflowState: jest.fn().mockResolvedValue(1),
+        getWorkflowState: jest.fn().mockResolvedValue({ _state: 'strategy-planning', data: { contentId: 'content-1' } }),
+        workflowExists: jest.fn().mockResolvedValue(true),
+        saveWorkflowInstance: jest.fn().mockResolvedValue(true),
+        getWorkflowInstance: jest.fn().mockResolvedValue(null),
+        findWorkflowInstancesByStatus: jest.fn().mockResolvedValue(persistedInstances),
+        listWorkflowTemplates: jest.fn().mockResolvedValue(storedTemplates),
+        getWorkflowTemplate: jest.fn().mockResolvedValue(null),
+        saveWorkflowTemplate: jest.fn(template => Promise.resolve({
+          ...template,
+          version: storedTemplates.filter(stored => stored.templateId === template.templateId).length + 1,
+          createdTime: new Date()
+        }))
+      }));
+      
+      service = require('../../../../src/core/coordination/coordinationService').getInstance();
+    });
+    
+    return service;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageBus = require('../../../../src/core/messaging/messageBus').__bus;
+  });
+  
+  describe('Workflow persistence', () => {
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should persist the workflow instance and pending task when starting a workflow', async () => {
+      // Act
+      const result = await coordinationService.startWorkflow('content-creation', { contentId: 'content-1' });
+      
+      // Assert
+      expect(result.status).toBe('started');
+      
+      const saved = coordinationService.stateManager.saveWorkflowInstance.mock.calls.map(call => call[0]);
+      const lastSaved = saved[saved.length - 1];
+      
+      expect(lastSaved.id).toBe(result.workflowId);
+      expect(lastSaved.currentState).toBe('strategy-planning');
+      expect(lastSaved.pendingTask).toEqual(expect.objectContaining({
+        agent: 'content-strategy',
+        command: 'content-strategy.execute-task',
+        taskType: 'strategy-planning',
+        dispatchCount: 1
+      }));
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('content-strategy.execute-task', expect.any(Object));
+    });
+    
+    it('should clear the pending task when the workflow completes', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-optimization', {});
+      await coordinationService.transitionWorkflow(workflowId, 'success');
+      coordinationService.stateManager.saveWorkflowInstance.mockClear();
+      
+      // Act
+      await coordinationService.transitionWorkflow(workflowId, 'consistent');
+      
+      // Assert
+      expect(coordinationService.stateManager.saveWorkflowInstance).toHaveBeenCalledWith(expect.objectContaining({
+        id: workflowId,
+        status: 'completed',
+        currentState: 'workflow-completed',
+        pendingTask: null
+      }));
+      expect(coordinationService.activeWorkflows.has(workflowId)).toBe(false);
+    });
+  });
+  
+  describe('Workflow recovery', () => {
+    const persistedInstance = () => ({
+      id: 'wf-recovered',
+      type: 'content-creation',
+      currentState: 'content-optimization',
+      status: 'active',
+      history: [
+        { fromState: 'strategy-planning', toState: 'content-optimization', timestamp: new Date() }
+      ],
+      pendingTask: {
+        agent: 'optimisation',
+        command: 'optimisation.execute-task',
+        taskType: 'content-optimization',
+        dispatchedAt: new Date().toISOString(),
+        dispatchCount: 1
+      },
+      startTime: new Date(),
+      updatedTime: new Date()
+    });
+    
+    it('should rehydrate active workflows and re-dispatch the pending agent task on init', async () => {
+      // Act
+      coordinationService = await createService([persistedInstance()]);
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.has('wf-recovered')).toBe(true);
+      expect(messageBus.publishCommand).toHaveBeenCalledWith(
+        'optimisation.execute-task',
+        expect.objectContaining({ workflowId: 'wf-recovered', taskType: 'content-optimization' })
+      );
+      
+      const instance = coordinationService.activeWorkflows.get('wf-recovered');
+      expect(instance.pendingTask.dispatchCount).toBe(2);
+      expect(instance.data).toEqual({ contentId: 'content-1' });
+      expect(instance.history[instance.history.length - 1]).toEqual(expect.objectContaining({ recovered: true }));
+    });
+    
+    it('should expose which workflows were recovered', async () => {
+      // Act
+      coordinationService = await createService([persistedInstance()]);
+      
+      // Assert
+      expect(coordinationService.getRecoveredWorkflows()).toEqual([
+        expect.objectContaining({
+          workflowId: 'wf-recovered',
+          currentState: 'content-optimization',
+          pendingTask: 'optimisation.execute-task',
+          redispatched: true
+        })
+      ]);
+      
+      const status = await coordinationService.getWorkflowStatus('wf-recovered');
+      expect(status.recovered).toBe(true);
+      
+      const active = await coordinationService.listActiveWorkflows();
+      expect(active[0].recovered).toBe(true);
+    });
+    
+    it('should continue the recovered workflow when the agent reports back', async () => {
+      // Arrange
+      coordinationService = await createService([persistedInstance()]);
+      messageBus.publishCommand.mockClear();
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId: 'wf-recovered', result: { score: 80 } });
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.get('wf-recovered').currentState).toBe('brand-consistency-check');
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('brand-consistency.execute-task', expect.any(Object));
+    });
+    
+    it('should skip workflows whose state is no longer registered', async () => {
+      // Arrange
+      const instance = persistedInstance();
+      instance.currentState = 'removed-state';
+      
+      // Act
+      coordinationService = await createService([instance]);
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.has('wf-recovered')).toBe(false);
+      expect(coordinationService.getRecoveredWorkflows()).toEqual([]);
+    });
+  });
+  
+  describe('State timeouts', () => {
+    const timedWorkflow = {
+      name: 'Timed Workflow',
+      initialState: 'optimise',
+      states: {
+        optimise: {
+          agent: 'optimisation',
+          timeout: 60000,
+          timeoutRetries: 1,
+          onTimeout: 'escalated',
+          transitions: {
+            success: 'done',
+            failure: 'failed'
+          }
+        },
+        escalated: {
+          agent: 'content-management',
+          transitions: {
+            success: 'done'
+          }
+        },
+        done: { final: true },
+        failed: { final: true }
+      }
+    };
+    
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      coordinationService = await createService();
+      coordinationService.workflowRegistry.registerWorkflow('timed', timedWorkflow);
+    });
+    
+    afterEach(async () => {
+      await coordinationService.shutdown();
+      jest.useRealTimers();
+    });
+    
+    const flushPromises = async () => {
+      for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+      }
+    };
+    
+    it('should persist a deadline with the pending task', async () => {
+      // Act
+      const { workflowId } = await coordinationService.startWorkflow('timed', {});
+      
+      // Assert
+      const { pendingTask } = coordinationService.activeWorkflows.get(workflowId);
+      expect(pendingTask.deadline).toEqual(expect.any(String));
+      expect(pendingTask.timeoutCount).toBe(0);
+      expect(coordinationService.stateTimers.has(workflowId)).toBe(true);
+    });
+    
+    it('should re-dispatch the task while timeout retries remain', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('timed', {});
+      messageBus.publishCommand.mockClear();
+      
+      // Act
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+      
+      // Assert
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.state-timed-out', expect.objectContaining({
+        workflowId,
+        state: 'optimise',
+        action: 'retry',
+        timeoutCount: 1
+      }));
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('optimisation.execute-task', expect.any(Object));
+      expect(coordinationService.activeWorkflows.get(workflowId).pendingTask.timeoutCount).toBe(1);
+    });
+    
+    it('should follow the onTimeout transition once retries are exhausted', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('timed', {});
+      
+      // Act
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+      
+      // Assert
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.state-timed-out', expect.objectContaining({
+        action: 'transition',
+        toState: 'escalated',
+        timeoutCount: 2
+      }));
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('escalated');
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('content-management.execute-task', expect.any(Object));
+    });
+    
+    it('should cancel the timer when the agent reports back in time', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('timed', {});
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, result: {} });
+      jest.advanceTimersByTime(120000);
+      await flushPromises();
+      
+      // Assert
+      expect(messageBus.publishEvent).not.toHaveBeenCalledWith('workflow.state-timed-out', expect.any(Object));
+      expect(coordinationService.stateTimers.size).toBe(0);
+    });
+
+    it('should drop the result of a dispatch that was retried after a timeout', async () => {
+      // Arrange
+      coordinationService.workflowRegistry.registerWorkflow('timed-review', {
+        ...timedWorkflow,
+        states: {
+          ...timedWorkflow.states,
+          optimise: { ...timedWorkflow.states.optimise, transitions: { success: 'review', failure: 'failed' } },
+          review: { agent: 'content-management', transitions: { success: 'done' } }
+        }
+      });
+      const { workflowId } = await coordinationService.startWorkflow('timed-review', {});
+      const firstDispatch = messageBus.publishCommand.mock.calls[0][1];
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+      const retryDispatch = messageBus.publishCommand.mock.calls[1][1];
+
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, taskType: 'optimise', dispatchId: retryDispatch.dispatchId, result: {} });
+      await coordinationService.handleAgentTaskCompleted({ workflowId, taskType: 'optimise', dispatchId: firstDispatch.dispatchId, result: {} });
+
+      // Assert
+      expect(retryDispatch.dispatchId).not.toBe(firstDispatch.dispatchId);
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('review');
+      expect(messageBus.publishCommand).toHaveBeenLastCalledWith('content-management.execute-task', expect.any(Object));
+    });
+
+    it('should keep a workflow in its onTimeout state when the timed out agent reports late', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('timed', {});
+      const lateDispatch = messageBus.publishCommand.mock.calls[0][1];
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+      jest.advanceTimersByTime(60000);
+      await flushPromises();
+
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, taskType: 'optimise', dispatchId: lateDispatch.dispatchId, result: {} });
+      await coordinationService.handleAgentTaskFailed({ workflowId, taskType: 'optimise', error: 'Optimisation failed' });
+
+      // Assert
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('escalated');
+      expect(coordinationService.stateManager.updateWorkflowState).not.toHaveBeenCalledWith(workflowId, {});
+    });
+
+    it('should escalate recovered workflows whose deadline expired while the coordinator was down', async () => {
+      // Arrange
+      coordinationService.stateManager.findWorkflowInstancesByStatus.mockResolvedValueOnce([{
+        id: 'wf-expired',
+        type: 'timed',
+        currentState: 'optimise',
+        status: 'active',
+        history: [],
+        pendingTask: {
+          agent: 'optimisation',
+          command: 'optimisation.execute-task',
+          taskType: 'optimise',
+          dispatchCount: 2,
+          deadline: new Date(Date.now() - 1000).toISOString(),
+          timeoutCount: 1
+        },
+        startTime: new Date(),
+        updatedTime: new Date()
+      }]);
+      
+      // Act
+      const recovered = await coordinationService.recoverActiveWorkflows();
+      
+      // Assert
+      expect(recovered[0].redispatched).toBe(false);
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.state-timed-out', expect.objectContaining({
+        workflowId: 'wf-expired',
+        action: 'transition',
+        toState: 'escalated'
+      }));
+      expect(coordinationService.activeWorkflows.get('wf-expired').currentState).toBe('escalated');
+    });
+    
+    it('should keep the original deadline when re-dispatching a recovered task', async () => {
+      // Arrange
+      const deadline = new Date(Date.now() + 30000).toISOString();
+      coordinationService.stateManager.findWorkflowInstancesByStatus.mockResolvedValueOnce([{
+        id: 'wf-pending',
+        type: 'timed',
+        currentState: 'optimise',
+        status: 'active',
+        history: [],
+        pendingTask: {
+          agent: 'optimisation',
+          command: 'optimisation.execute-task',
+          taskType: 'optimise',
+          dispatchCount: 1,
+          deadline,
+          timeoutCount: 0
+        },
+        startTime: new Date(),
+        updatedTime: new Date()
+      }]);
+      
+      // Act
+      await coordinationService.recoverActiveWorkflows();
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.get('wf-pending').pendingTask.deadline).toBe(deadline);
+      expect(coordinationService.stateTimers.has('wf-pending')).toBe(true);
+    });
+  });
+  
+  describe('Parallel branches', () => {
+    const parallelWorkflow = (joinOverrides = {}) => ({
+      name: 'Parallel Workflow',
+      initialState: 'review',
+      states: {
+        review: {
+          type: 'fork',
+          branches: {
+            brand: { agent: 'brand-consistency' },
+            seo: { agent: 'optimisation', taskType: 'seo-optimization' }
+          },
+          join: 'review-join'
+        },
+        'review-join': {
+          type: 'join',
+          transitions: {
+            success: 'workflow-completed',
+            failure: 'workflow-failed'
+          },
+          ...joinOverrides
+        },
+        'workflow-completed': { final: true },
+        'workflow-failed': { final: true }
+      }
+    });
+    
+    const startParallel = (joinOverrides) => {
+      coordinationService.workflowRegistry.registerWorkflow('parallel', parallelWorkflow(joinOverrides));
+      return coordinationService.startWorkflow('parallel', {});
+    };
+    
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should dispatch a task to every branch of a fork', async () => {
+      // Act
+      const { workflowId } = await startParallel();
+      
+      // Assert
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('brand-consistency.execute-task', expect.objectContaining({
+        workflowId,
+        taskType: 'review',
+        branch: 'brand'
+      }));
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('optimisation.execute-task', expect.objectContaining({
+        workflowId,
+        taskType: 'seo-optimization',
+        branch: 'seo'
+      }));
+      expect(coordinationService.activeWorkflows.get(workflowId).pendingTask.branches).toEqual(['brand', 'seo']);
+    });
+    
+    it('should wait for all branches and merge their results under the branch names', async () => {
+      // Arrange
+      const { workflowId } = await startParallel();
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, branch: 'brand', result: { consistent: true } });
+      const midState = coordinationService.activeWorkflows.get(workflowId).currentState;
+      await coordinationService.handleAgentTaskCompleted({ workflowId, branch: 'seo', result: { score: 92 } });
+      
+      // Assert
+      expect(midState).toBe('review');
+      expect(coordinationService.stateManager.updateWorkflowState).toHaveBeenCalledWith(workflowId, {
+        brand: { consistent: true },
+        seo: { score: 92 }
+      });
+      expect(coordinationService.activeWorkflows.has(workflowId)).toBe(false);
+      expect(coordinationService.stateManager.saveWorkflowInstance).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: workflowId,
+        currentState: 'workflow-completed',
+        status: 'completed'
+      }));
+    });
+    
+    it('should join after N of M branches and cancel the rest', async () => {
+      // Arrange
+      const { workflowId } = await startParallel({ waitFor: 1, merge: 'flat' });
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, branch: 'seo', result: { score: 92 } });
+      await coordinationService.handleAgentTaskCompleted({ workflowId, branch: 'brand', result: { consistent: true } });
+      
+      // Assert
+      expect(coordinationService.stateManager.updateWorkflowState).toHaveBeenCalledWith(workflowId, { score: 92 });
+      expect(coordinationService.stateManager.updateWorkflowState).not.toHaveBeenCalledWith(workflowId, { consistent: true });
+      
+      const completed = coordinationService.stateManager.saveWorkflowInstance.mock.calls
+        .map(call => call[0])
+        .find(instance => instance.currentState === 'workflow-completed');
+      expect(completed.branches.brand.status).toBe('cancelled');
+    });
+    
+    it('should fail the join once too few branches can still complete', async () => {
+      // Arrange
+      const { workflowId } = await startParallel();
+      
+      // Act
+      await coordinationService.handleAgentTaskFailed({ workflowId, branch: 'brand', error: 'Brand guidelines unavailable' });
+      
+      // Assert
+      const instance = coordinationService.activeWorkflows.get(workflowId);
+      expect(instance.currentState).toBe('workflow-failed');
+      expect(instance.branches.seo.status).toBe('cancelled');
+      expect(coordinationService.stateManager.updateWorkflowState).toHaveBeenCalledWith(workflowId, {
+        branchErrors: [{ branch: 'brand', error: 'Brand guidelines unavailable' }]
+      });
+    });
+    
+    it('should only re-dispatch pending branches when recovering a fork', async () => {
+      // Arrange
+      coordinationService.workflowRegistry.registerWorkflow('parallel', parallelWorkflow());
+      coordinationService.stateManager.findWorkflowInstancesByStatus.mockResolvedValueOnce([{
+        id: 'wf-forked',
+        type: 'parallel',
+        currentState: 'review',
+        status: 'active',
+        history: [],
+        pendingTask: { taskType: 'review', branches: ['seo'], dispatchCount: 1 },
+        branches: {
+          brand: { agent: 'brand-consistency', status: 'completed', result: { consistent: true }, error: null, completedAt: new Date().toISOString() },
+          seo: { agent: 'optimisation', status: 'pending', result: null, error: null, completedAt: null }
+        },
+        startTime: new Date(),
+        updatedTime: new Date()
+      }]);
+      
+      // Act
+      await coordinationService.recoverActiveWorkflows();
+      
+      // Assert
+      expect(messageBus.publishCommand).toHaveBeenCalledTimes(1);
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('optimisation.execute-task', expect.objectContaining({
+        workflowId: 'wf-forked',
+        branch: 'seo'
+      }));
+    });
+  });
+  
+  describe('Pause, resume and cancel', () => {
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should record the pause in history and emit an event', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', { contentId: 'content-1' });
+      
+      // Act
+      const result = await coordinationService.pauseWorkflow(workflowId, { reason: 'Waiting on legal', requestedBy: 'user-1' });
+      
+      // Assert
+      expect(result).toEqual({ workflowId, status: 'paused', currentState: 'strategy-planning' });
+      
+      const instance = coordinationService.activeWorkflows.get(workflowId);
+      expect(instance.history[instance.history.length - 1]).toEqual(expect.objectContaining({
+        action: 'paused',
+        reason: 'Waiting on legal',
+        requestedBy: 'user-1'
+      }));
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.paused', expect.objectContaining({
+        workflowId,
+        state: 'strategy-planning'
+      }));
+    });
+    
+    it('should hold agent results while paused and apply them on resume', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', { contentId: 'content-1' });
+      await coordinationService.pauseWorkflow(workflowId);
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, result: { strategy: 'done' } });
+      const pausedState = coordinationService.activeWorkflows.get(workflowId).currentState;
+      const result = await coordinationService.resumeWorkflow(workflowId, { requestedBy: 'user-1' });
+      
+      // Assert
+      expect(pausedState).toBe('strategy-planning');
+      expect(result.appliedResults).toBe(1);
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('content-creation');
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.resumed', expect.objectContaining({
+        workflowId,
+        heldResults: 1
+      }));
+    });
+    
+    it('should reject resuming a workflow that is not paused', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', {});
+      
+      // Act & Assert
+      await expect(coordinationService.resumeWorkflow(workflowId))
+        .rejects.toThrow(`Workflow ${workflowId} cannot be resumed while active`);
+    });
+    
+    it('should cancel a paused workflow with a reason and drop late results', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', {});
+      await coordinationService.pauseWorkflow(workflowId);
+      
+      // Act
+      await coordinationService.cancelWorkflow(workflowId, 'Campaign withdrawn', { requestedBy: 'user-1' });
+      await coordinationService.handleAgentTaskCompleted({ workflowId, result: {} });
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.has(workflowId)).toBe(false);
+      expect(coordinationService.stateManager.saveWorkflowInstance).toHaveBeenCalledWith(expect.objectContaining({
+        id: workflowId,
+        status: 'cancelled',
+        pendingTask: null
+      }));
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.cancelled', expect.objectContaining({
+        workflowId,
+        reason: 'Campaign withdrawn'
+      }));
+      expect(coordinationService.stateManager.updateWorkflowState).not.toHaveBeenCalled();
+    });
+    
+    it('should require a reason to cancel', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', {});
+      
+      // Act & Assert
+      await expect(coordinationService.cancelWorkflow(workflowId)).rejects.toThrow('A reason is required');
+    });
+    
+    it('should restore paused workflows without dispatching until they are resumed', async () => {
+      // Arrange
+      coordinationService.stateManager.findWorkflowInstancesByStatus.mockResolvedValueOnce([{
+        id: 'wf-paused',
+        type: 'content-creation',
+        currentState: 'content-optimization',
+        status: 'paused',
+        history: [],
+        pendingTask: {
+          agent: 'optimisation',
+          command: 'optimisation.execute-task',
+          taskType: 'content-optimization',
+          dispatchCount: 1
+        },
+        heldResults: [],
+        startTime: new Date(),
+        updatedTime: new Date()
+      }]);
+      
+      // Act
+      await coordinationService.recoverActiveWorkflows();
+      const dispatchedWhilePaused = messageBus.publishCommand.mock.calls.length;
+      await coordinationService.resumeWorkflow('wf-paused');
+      
+      // Assert
+      expect(dispatchedWhilePaused).toBe(0);
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('optimisation.execute-task', expect.objectContaining({
+        workflowId: 'wf-paused'
+      }));
+    });
+  });
+  
+  describe('Workflow templates', () => {
+    const socialDefinition = (agent = 'content-creation') => ({
+      name: 'Social-only Campaign',
+      description: 'Draft and publish social posts',
+      initialState: 'draft',
+      states: {
+        draft: {
+          agent,
+          transitions: {
+            success: 'workflow-completed',
+            failure: 'workflow-failed'
+          }
+        },
+        'workflow-completed': { final: true },
+        'workflow-failed': { final: true }
+      }
+    });
+    
+    const storedTemplate = (version, agent) => ({
+      templateId: 'social-only',
+      version,
+      name: 'Social-only Campaign',
+      definition: socialDefinition(agent),
+      createdTime: new Date()
+    });
+    
+    it('should register stored template versions on init', async () => {
+      // Act
+      coordinationService = await createService([], [storedTemplate(1, 'content-creation'), storedTemplate(2, 'brand-consistency')]);
+      
+      // Assert
+      expect(coordinationService.workflowRegistry.getWorkflow('social-only').version).toBe(2);
+      expect(coordinationService.workflowRegistry.getWorkflow('social-only', 1).states.draft.agent).toBe('content-creation');
+    });
+    
+    it('should record the template version a workflow was started from', async () => {
+      // Arrange
+      coordinationService = await createService([], [storedTemplate(1, 'content-creation'), storedTemplate(2, 'brand-consistency')]);
+      
+      // Act
+      const result = await coordinationService.startWorkflowFromTemplate('social-only', { campaign: 'spring' }, {}, 1);
+      
+      // Assert
+      expect(result.templateVersion).toBe(1);
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('content-creation.execute-task', expect.any(Object));
+      expect(coordinationService.stateManager.saveWorkflowInstance).toHaveBeenCalledWith(expect.objectContaining({
+        id: result.workflowId,
+        templateVersion: 1
+      }));
+    });
+    
+    it('should keep running instances on the version they were started from', async () => {
+      // Arrange
+      coordinationService = await createService([], [storedTemplate(1, 'content-creation')]);
+      const { workflowId } = await coordinationService.startWorkflowFromTemplate('social-only', {});
+      
+      // Act
+      await coordinationService.saveWorkflowTemplate('social-only', { definition: socialDefinition('brand-consistency') });
+      await coordinationService.transitionWorkflow(workflowId, 'success');
+      
+      // Assert
+      expect(coordinationService.workflowRegistry.getWorkflow('social-only').version).toBe(2);
+      expect(coordinationService.stateManager.saveWorkflowInstance).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: workflowId,
+        status: 'completed',
+        templateVersion: 1
+      }));
+    });
+    
+    it('should parse, validate and register YAML templates', async () => {
+      // Arrange
+      coordinationService = await createService();
+      const source = [
+        'name: Legal-reviewed Landing Page',
+        'initialState: legal-review',
+        'states:',
+        '  legal-review:',
+        '    agent: content-management',
+        '    transitions:',
+        '      success: workflow-completed',
+        '  workflow-completed:',
+        '    final: true'
+      ].join('\n');
+      
+      // Act
+      const template = await coordinationService.saveWorkflowTemplate('legal-landing-page', { source, format: 'yaml' }, { createdBy: 'user-1' });
+      
+      // Assert
+      expect(template).toEqual(expect.objectContaining({ templateId: 'legal-landing-page', version: 1, builtIn: false }));
+      expect(coordinationService.stateManager.saveWorkflowTemplate).toHaveBeenCalledWith(expect.objectContaining({
+        format: 'yaml',
+        source,
+        createdBy: 'user-1'
+      }));
+      expect(coordinationService.workflowRegistry.getWorkflow('legal-landing-page').initialState).toBe('legal-review');
+    });
+    
+    it('should reject invalid templates without storing them', async () => {
+      // Arrange
+      coordinationService = await createService();
+      const definition = socialDefinition();
+      definition.initialState = 'missing';
+      
+      // Act & Assert
+      await expect(coordinationService.saveWorkflowTemplate('social-only', { definition }))
+        .rejects.toThrow("initialState 'missing' is not defined in states");
+      await expect(coordinationService.saveWorkflowTemplate('social-only', { source: 'name: [', format: 'yaml' }))
+        .rejects.toThrow('Workflow template is not valid YAML');
+      await expect(coordinationService.saveWorkflowTemplate('content-creation', { definition: socialDefinition() }))
+        .rejects.toThrow("'content-creation' is a built-in workflow");
+      expect(coordinationService.stateManager.saveWorkflowTemplate).not.toHaveBeenCalled();
+    });
+    
+    it('should list built-in workflows alongside the latest stored template versions', async () => {
+      // Arrange
+      coordinationService = await createService([], [storedTemplate(1), storedTemplate(2)]);
+      
+      // Act
+      const templates = await coordinationService.listWorkflowTemplates();
+      
+      // Assert
+      expect(templates.filter(template => template.builtIn).map(template => template.templateId))
+        .toEqual(expect.arrayContaining(['content-creation', 'content-optimization']));
+      expect(templates.find(template => template.templateId === 'social-only')).toEqual(expect.objectContaining({
+        version: 2,
+        versions: 2,
+        builtIn: false
+      }));
+    });
+  });
+  
+  describe('Human tasks', () => {
+    const startReview = async () => {
+      const { workflowId } = await coordinationService.startWorkflow('content-creation', { contentId: 'content-1' });
+      await coordinationService.transitionWorkflow(workflowId, 'success');
+      await coordinationService.transitionWorkflow(workflowId, 'review');
+      
+      return { workflowId, task: coordinationService.activeWorkflows.get(workflowId).humanTask };
+    };
+    
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should open a task and hand it to the content management agent', async () => {
+      // Act
+      const { workflowId, task } = await startReview();
+      
+      // Assert
+      expect(task).toEqual(expect.objectContaining({
+        state: 'content-review',
+        role: 'editor',
+        status: 'open',
+        decisions: ['approve', 'request-changes', 'reject']
+      }));
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('content-management.assign-human-task', expect.objectContaining({
+        taskId: task.taskId,
+        workflowId,
+        role: 'editor',
+        contentId: 'content-1'
+      }));
+    });
+    
+    it('should use the decision as the transition out of the task', async () => {
+      // Arrange
+      const { workflowId, task } = await startReview();
+      
+      // Act
+      const result = await coordinationService.submitHumanDecision(workflowId, task.taskId, {
+        decision: 'request-changes',
+        comments: 'Tighten the intro',
+        decidedBy: 'user-7',
+        roles: ['editor']
+      });
+      
+      // Assert
+      expect(result.toState).toBe('content-creation');
+      
+      const instance = coordinationService.activeWorkflows.get(workflowId);
+      expect(instance.humanTask).toBeNull();
+      expect(instance.history).toContainEqual(expect.objectContaining({
+        action: 'human-decision',
+        decision: 'request-changes',
+        decidedBy: 'user-7'
+      }));
+      expect(coordinationService.stateManager.updateWorkflowState).toHaveBeenCalledWith(workflowId, {
+        humanDecision: expect.objectContaining({ decision: 'request-changes', comments: 'Tighten the intro' })
+      });
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.human-task-decided', expect.objectContaining({
+        taskId: task.taskId,
+        decision: 'request-changes'
+      }));
+    });
+    
+    it('should only accept decisions from assigned users or roles', async () => {
+      // Arrange
+      const { workflowId, task } = await startReview();
+      
+      // Act & Assert
+      await expect(coordinationService.submitHumanDecision(workflowId, task.taskId, {
+        decision: 'approve',
+        decidedBy: 'user-8',
+        roles: ['writer']
+      })).rejects.toThrow('User user-8 is not assigned to human task');
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('content-review');
+    });
+    
+    it('should reject decisions for tasks that are no longer open', async () => {
+      // Arrange
+      const { workflowId, task } = await startReview();
+      await coordinationService.submitHumanDecision(workflowId, task.taskId, {
+        decision: 'approve',
+        decidedBy: 'user-7',
+        roles: ['editor']
+      });
+      
+      // Act & Assert
+      await expect(coordinationService.submitHumanDecision(workflowId, task.taskId, {
+        decision: 'approve',
+        decidedBy: 'user-7',
+        roles: ['editor']
+      })).rejects.toThrow(`Human task ${task.taskId} is not open`);
+    });
+    
+    it('should reopen the task when the workflow could not be moved on', async () => {
+      // Arrange
+      const { workflowId, task } = await startReview();
+      const decision = { decision: 'approve', decidedBy: 'user-7', roles: ['editor'] };
+      coordinationService.stateManager.updateWorkflowState.mockRejectedValueOnce(new Error('Database unavailable'));
+      
+      // Act
+      await expect(coordinationService.submitHumanDecision(workflowId, task.taskId, decision))
+        .rejects.toThrow('Database unavailable');
+      
+      // Assert
+      const instance = coordinationService.activeWorkflows.get(workflowId);
+      expect(instance.currentState).toBe('content-review');
+      expect(instance.humanTask).toEqual(expect.objectContaining({ status: 'open', decision: null }));
+      expect(instance.history).not.toContainEqual(expect.objectContaining({ action: 'human-decision' }));
+      expect(messageBus.publishEvent).not.toHaveBeenCalledWith('workflow.human-task-decided', expect.anything());
+      
+      const result = await coordinationService.submitHumanDecision(workflowId, task.taskId, decision);
+      expect(result.decision).toBe('approve');
+      expect(instance.currentState).not.toBe('content-review');
+    });
+    
+    it('should list open tasks the user may decide', async () => {
+      // Arrange
+      const { task } = await startReview();
+      
+      // Act
+      const editorTasks = coordinationService.listHumanTasks({ userId: 'user-7', roles: ['editor'] });
+      const writerTasks = coordinationService.listHumanTasks({ userId: 'user-8', roles: ['writer'] });
+      
+      // Assert
+      expect(editorTasks.map(openTask => openTask.taskId)).toEqual([task.taskId]);
+      expect(writerTasks).toEqual([]);
+    });
+  });
+  
+  describe('Guarded transitions', () => {
+    const startGuarded = () => {
+      coordinationService.workflowRegistry.registerWorkflow('guarded', {
+        name: 'Guarded Workflow',
+        initialState: 'brand-check',
+        states: {
+          'brand-check': {
+            agent: 'brand-consistency',
+            transitions: {
+              success: [
+                { when: 'brandScore < 0.8', to: 'content-revision' },
+                { when: "contentType == 'email' && wordCount > 2000", to: 'content-revision' },
+                { to: 'workflow-completed' }
+              ]
+            }
+          },
+          'content-revision': {
+            agent: 'content-creation',
+            transitions: {
+              success: 'brand-check'
+            }
+          },
+          'workflow-completed': { final: true }
+        }
+      });
+      
+      return coordinationService.startWorkflow('guarded', { contentType: 'email' });
+    };
+    
+    const withWorkflowData = (data) => {
+      coordinationService.stateManager.getWorkflowState.mockResolvedValue({ _state: 'brand-check', data });
+    };
+    
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should follow the first option whose guard passes on the workflow data', async () => {
+      // Arrange
+      const { workflowId } = await startGuarded();
+      withWorkflowData({ contentType: 'email', brandScore: 0.65, wordCount: 800 });
+      
+      // Act
+      await coordinationService.handleAgentTaskCompleted({ workflowId, result: { brandScore: 0.65 } });
+      
+      // Assert
+      expect(coordinationService.activeWorkflows.get(workflowId).currentState).toBe('content-revision');
+      expect(messageBus.publishEvent).toHaveBeenCalledWith('workflow.state-changed', expect.objectContaining({
+        fromState: 'brand-check',
+        toState: 'content-revision',
+        guard: 'brandScore < 0.8'
+      }));
+    });
+    
+    it('should fall back to the unguarded option when no guard passes', async () => {
+      // Arrange
+      const { workflowId } = await startGuarded();
+      withWorkflowData({ contentType: 'email', brandScore: 0.93, wordCount: 1200 });
+      
+      // Act
+      const result = await coordinationService.transitionWorkflow(workflowId, 'success', { brandScore: 0.93 });
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ toState: 'workflow-completed', guard: null }));
+    });
+    
+    it('should evaluate guards after recording the data of the transition', async () => {
+      // Arrange
+      const { workflowId } = await startGuarded();
+      withWorkflowData({ contentType: 'email', brandScore: 0.9, wordCount: 2400 });
+      coordinationService.stateManager.updateWorkflowState.mockClear();
+      
+      // Act
+      const result = await coordinationService.transitionWorkflow(workflowId, 'success', { wordCount: 2400 });
+      
+      // Assert
+      const updateOrder = coordinationService.stateManager.updateWorkflowState.mock.invocationCallOrder[0];
+      const readOrder = coordinationService.stateManager.getWorkflowState.mock.invocationCallOrder.slice(-1)[0];
+      
+      expect(updateOrder).toBeLessThan(readOrder);
+      expect(result.toState).toBe('content-revision');
+      expect(result.guard).toBe("contentType == 'email' && wordCount > 2000");
+    });
+  });
+  
+  describe('Revision loop limits', () => {
+    const reviseUntil = async (workflowId, revisions) => {
+      for (let i = 0; i < revisions; i++) {
+        await coordinationService.transitionWorkflow(workflowId, 'inconsistent');
+        await coordinationService.transitionWorkflow(workflowId, 'success');
+      }
+    };
+    
+    beforeEach(async () => {
+      coordinationService = await createService();
+    });
+    
+    it('should count revisions in the workflow status', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-optimization', { contentId: 'content-1' });
+      await coordinationService.transitionWorkflow(workflowId, 'success');
+      
+      // Act
+      await reviseUntil(workflowId, 2);
+      const status = await coordinationService.getWorkflowStatus(workflowId);
+      
+      // Assert
+      expect(status.currentState).toBe('brand-consistency-check');
+      expect(status.revisionCount).toBe(2);
+      expect(status.visits).toEqual({
+        'content-optimization': 1,
+        'brand-consistency-check': 3,
+        'content-revision': 2
+      });
+    });
+    
+    it('should hand the content to an editor once the revisions are used up', async () => {
+      // Arrange
+      const { workflowId } = await coordinationService.startWorkflow('content-optimization', { contentId: 'content-1' });
+      await coordinationService.transitionWorkflow(workflowId, 'success');
+      await reviseUntil(workflowId, 3);
+      
+      // Act
+      const result = await coordinationService.transitionWorkflow(workflowId, 'inconsistent');
+      
+      // Assert
+      const instance = coordinationService.activeWorkflows.get(workflowId);
+      
+      expect(result.toState).toBe('brand-review');
+      expect(instance.humanTask).toEqual(expect.objectContaining({ state: 'brand-review', role: 'editor' }));
+      expect(instance.history).toContainEqual(expect.objectContaining({
+        fromState: 'brand-consistency-check',
+        toState: 'content-revision',
+        action: 'max-visits-reached',
+        visits: 3,
+        redirectedTo: 'brand-review'
+      }));
+      expect(messageBus.publishCommand).toHaveBeenCalledWith('content-management.assign-human-task', expect.objectContaining({
+        workflowId,
+        role: 'editor'
+      }));
+      expect((await coordinationService.getWorkflowStatus(workflowId)).revisionCount).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for transition guard expressions
+ */
+
+const { MAX_CACHED_GUARDS, compileGuard, evaluateGuard } = require('../../../../src/core/coordination/guardExpression');
+
+describe('guardExpression', () => {
+  const data = {
+    brandScore: 0.72,
+    contentType: 'email',
+    wordCount: 2400,
+    approved: false,
+    seo: { score: 91 },
+    sentiment: -0.4,
+    tags: ['launch', 'q3']
+  };
+
+  describe('evaluateGuard', () => {
+    it('should compare numbers and strings from the workflow data', () => {
+      // Act & Assert
+      expect(evaluateGuard('brandScore < 0.8', data)).toBe(true);
+      expect(evaluateGuard("contentType == 'email'", data)).toBe(true);
+      expect(evaluateGuard('contentType != "blog"', data)).toBe(true);
+      expect(evaluateGuard('wordCount > 2000', data)).toBe(true);
+      expect(evaluateGuard('wordCount <= 2000', data)).toBe(false);
+    });
+
+    it('should compare against negative numbers', () => {
+      // Act & Assert
+      expect(evaluateGuard('sentiment > -1', data)).toBe(true);
+      expect(evaluateGuard('sentiment < -0.5', data)).toBe(false);
+      expect(evaluateGuard('-sentiment == 0.4', data)).toBe(true);
+      expect(evaluateGuard('-(seo.score) <= -90', data)).toBe(true);
+      expect(evaluateGuard('-readability < 0', data)).toBe(false);
+    });
+
+    it('should follow dotted paths, including array lengths', () => {
+      // Act & Assert
+      expect(evaluateGuard('seo.score >= 90', data)).toBe(true);
+      expect(evaluateGuard('tags.length == 2', data)).toBe(true);
+    });
+
+    it('should combine conditions with &&, ||, ! and parentheses', () => {
+      // Act & Assert
+      expect(evaluateGuard("contentType == 'email' && (brandScore >= 0.8 || wordCount > 2000)", data)).toBe(true);
+      expect(evaluateGuard('!approved && brandScore > 0.9', data)).toBe(false);
+      expect(evaluateGuard('!(seo.score < 50)', data)).toBe(true);
+    });
+
+    it('should treat missing data as failing ordered comparisons', () => {
+      // Act & Assert
+      expect(evaluateGuard('readability < 60', data)).toBe(false);
+      expect(evaluateGuard('readability > 60', data)).toBe(false);
+      expect(evaluateGuard('seo.missing.deep == null', data)).toBe(false);
+      expect(evaluateGuard('!readability', data)).toBe(true);
+    });
+
+    it('should not reach properties outside the workflow data', () => {
+      // Act & Assert
+      expect(evaluateGuard('constructor', data)).toBe(false);
+      expect(evaluateGuard('seo.__proto__', data)).toBe(false);
+      expect(evaluateGuard('contentType.toString', data)).toBe(false);
+    });
+  });
+
+  describe('compileGuard', () => {
+    it.each([
+      ['', 'Expression is empty'],
+      ['brandScore <', 'Unexpected end of expression'],
+      ['brandScore < 0.8 0.9', "Unexpected '0.9' at position 17"],
+      ["contentType == 'email", 'Unterminated string at position 15'],
+      ['(wordCount > 2000', 'Missing closing parenthesis'],
+      ['wordCount = 2000', "Unexpected character '=' at position 10"],
+      ['wordCount - 2000 > 0', "Unexpected '-' at position 10"],
+      ['process.exit()', "Unexpected '('"]
+    ])('should reject %p', (expression, message) => {
+      // Act & Assert
+      expect(() => compileGuard(expression)).toThrow(message);
+    });
+
+    it('should keep a limited number of parsed expressions', () => {
+      // Arrange
+      const oldest = compileGuard('wordCount > -1');
+
+      // Act
+      for (let count = 0; count < MAX_CACHED_GUARDS; count++) {
+        compileGuard(`wordCount > ${count}`);
+      }
+
+      // Assert
+      expect(compileGuard(`wordCount > ${MAX_CACHED_GUARDS - 1}`)).toBe(compileGuard(`wordCount > ${MAX_CACHED_GUARDS - 1}`));
+      expect(compileGuard('wordCount > -1')).not.toBe(oldest);
+      expect(compileGuard('wordCount > -1')).toEqual(oldest);
+    });
+
+    it('should reject expressions that are not strings', () => {
+      // Act & Assert
+      expect(() => compileGuard(42)).toThrow('Expression must be a string');
+    });
+  });
+});
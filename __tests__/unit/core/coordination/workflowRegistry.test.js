@@ -0,0 +1,355 @@
+/**
+ * Unit tests for Workflow Registry
+ */
+
+const WorkflowRegistry = require('../../../../src/core/coordination/workflowRegistry');
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('WorkflowRegistry', () => {
+  let registry;
+  let logger;
+  
+  const createDefinition = (stateOverrides = {}) => ({
+    name: 'Test Workflow',
+    initialState: 'review',
+    states: {
+      review: {
+        agent: 'content-management',
+        transitions: {
+          success: 'done'
+        },
+        ...stateOverrides
+      },
+      escalated: {
+        agent: 'content-management',
+        transitions: {
+          success: 'done'
+        }
+      },
+      done: { final: true }
+    }
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new WorkflowRegistry();
+    logger = require('../../../../src/core/utils/logger');
+  });
+  
+  describe('State timeouts', () => {
+    it('should accept a state with a timeout, retries and onTimeout target', () => {
+      // Act
+      const result = registry.registerWorkflow('test', createDefinition({
+        timeout: 60000,
+        timeoutRetries: 2,
+        onTimeout: 'escalated'
+      }));
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(registry.getWorkflow('test').states.review.timeout).toBe(60000);
+    });
+    
+    it('should reject an onTimeout target that is not defined', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', createDefinition({
+        timeout: 60000,
+        onTimeout: 'missing'
+      }))).toThrow("Timeout transition in state 'review' points to undefined state 'missing'");
+    });
+    
+    it('should reject a timeout without an onTimeout transition', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', createDefinition({
+        timeout: 60000
+      }))).toThrow('defines a timeout but no onTimeout transition');
+    });
+    
+    it('should reject invalid timeout values', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', createDefinition({
+        timeout: -5,
+        onTimeout: 'escalated'
+      }))).toThrow('must be a positive number of milliseconds');
+      
+      expect(() => registry.registerWorkflow('test', createDefinition({
+        timeout: 60000,
+        timeoutRetries: 1.5,
+        onTimeout: 'escalated'
+      }))).toThrow('timeoutRetries');
+    });
+    
+    it('should reject onTimeout without a timeout', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', createDefinition({
+        onTimeout: 'escalated'
+      }))).toThrow('without a timeout');
+    });
+    
+    it('should treat onTimeout targets as reachable', () => {
+      // Act
+      registry.registerWorkflow('test', createDefinition({
+        timeout: 60000,
+        onTimeout: 'escalated'
+      }));
+      
+      // Assert
+      expect(logger.warn).not.toHaveBeenCalledWith(expect.stringContaining('unreachable states'));
+    });
+  });
+  
+  describe('Fork and join states', () => {
+    const createParallelDefinition = (forkOverrides = {}, joinOverrides = {}) => ({
+      name: 'Parallel Workflow',
+      initialState: 'review',
+      states: {
+        review: {
+          type: 'fork',
+          branches: {
+            brand: { agent: 'brand-consistency' },
+            seo: { agent: 'optimisation' }
+          },
+          join: 'review-join',
+          ...forkOverrides
+        },
+        'review-join': {
+          type: 'join',
+          transitions: {
+            success: 'done',
+            failure: 'failed'
+          },
+          ...joinOverrides
+        },
+        done: { final: true },
+        failed: { final: true }
+      }
+    });
+    
+    it('should accept a fork that joins at a join state', () => {
+      // Act
+      const result = registry.registerWorkflow('parallel', createParallelDefinition({}, { waitFor: 1 }));
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+    
+    it('should reject a fork without branches or with a branch lacking an agent', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({ branches: {} })))
+        .toThrow("Fork state 'review' in workflow 'parallel' must define at least one branch");
+      
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({ branches: { brand: {} } })))
+        .toThrow("Branch 'brand' of fork state 'review' in workflow 'parallel' must define an agent");
+    });
+    
+    it('should reject a fork whose join is not a join state', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({ join: 'done' })))
+        .toThrow("must join at a state of type 'join'");
+    });
+    
+    it('should reject a join waiting for more branches than the fork has', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({}, { waitFor: 3 })))
+        .toThrow("waits for 3 branches but fork state 'review' only has 2");
+      
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({}, { waitFor: 0 })))
+        .toThrow("must be 'all' or a positive integer");
+    });
+    
+    it('should reject a join without success and failure transitions', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('parallel', createParallelDefinition({}, { transitions: { success: 'done' } })))
+        .toThrow("Join state 'review-join' in workflow 'parallel' must define success and failure transitions");
+    });
+    
+    it('should reject ordinary transitions into a join state', () => {
+      // Arrange
+      const definition = createParallelDefinition();
+      definition.initialState = 'draft';
+      definition.states.draft = {
+        agent: 'content-creation',
+        transitions: {
+          success: 'review',
+          skip: 'review-join'
+        }
+      };
+      
+      // Act & Assert
+      expect(() => registry.registerWorkflow('parallel', definition))
+        .toThrow("State 'draft' in workflow 'parallel' transitions directly to join state 'review-join'");
+    });
+    
+    it('should warn about cycles that can never reach a final state', () => {
+      // Arrange
+      const definition = createParallelDefinition({}, {
+        transitions: {
+          success: 'revise',
+          failure: 'revise'
+        }
+      });
+      definition.states.revise = {
+        agent: 'content-creation',
+        transitions: {
+          success: 'review'
+        }
+      };
+      
+      // Act
+      registry.registerWorkflow('parallel', definition);
+      
+      // Assert
+      expect(logger.warn).toHaveBeenCalledWith(
+        "Workflow 'parallel' has states that cannot reach a final state: review, review-join, revise"
+      );
+    });
+  });
+  
+  describe('Versioned definitions', () => {
+    it('should keep every version and make the highest one current', () => {
+      // Act
+      registry.registerWorkflow('test', { ...createDefinition(), version: 2 });
+      registry.registerWorkflow('test', { ...createDefinition({ agent: 'optimisation' }), version: 1 });
+      
+      // Assert
+      expect(registry.getWorkflow('test').version).toBe(2);
+      expect(registry.getWorkflow('test', 1).states.review.agent).toBe('optimisation');
+      expect(registry.getWorkflow('test', 3)).toBeNull();
+      expect(logger.warn).not.toHaveBeenCalledWith(expect.stringContaining('already registered'));
+    });
+    
+    it('should reject versions that are not positive integers', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', { ...createDefinition(), version: 0 }))
+        .toThrow("Workflow 'test' version must be a positive integer");
+    });
+  });
+  
+  describe('Human-task states', () => {
+    const humanTask = (overrides = {}) => createDefinition({
+      agent: undefined,
+      type: 'human-task',
+      role: 'editor',
+      transitions: {
+        approve: 'done',
+        'request-changes': 'escalated'
+      },
+      ...overrides
+    });
+    
+    it('should accept a human task assigned to a role', () => {
+      // Act
+      const result = registry.registerWorkflow('test', humanTask({ dueIn: 86400000 }));
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(logger.warn).not.toHaveBeenCalledWith(expect.stringContaining('does not define an agent'));
+    });
+    
+    it('should require assignees or a role', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', humanTask({ role: undefined, assignees: [] })))
+        .toThrow("Human-task state 'review' in workflow 'test' must define assignees or a role");
+    });
+    
+    it('should only allow decisions as transitions', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', humanTask({ transitions: { approved: 'done' } })))
+        .toThrow("Transition 'approved' in human-task state 'review' must be one of approve, reject, request-changes");
+    });
+  });
+  
+  describe('Guarded transitions', () => {
+    const guarded = (options) => createDefinition({
+      transitions: {
+        success: options
+      }
+    });
+    
+    it('should accept guarded options ending with a default and treat every target as reachable', () => {
+      // Act
+      const result = registry.registerWorkflow('test', guarded([
+        { when: 'brandScore < 0.8', to: 'escalated' },
+        { to: 'done' }
+      ]));
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+    
+    it('should reject invalid guard expressions', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', guarded([
+        { when: 'brandScore <', to: 'escalated' },
+        { to: 'done' }
+      ]))).toThrow("Invalid guard 'brandScore <' on transition 'success' in state 'review' of workflow 'test': Unexpected end of expression");
+    });
+    
+    it('should reject options pointing to undefined states', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', guarded([
+        { when: 'brandScore < 0.8', to: 'missing' },
+        { to: 'done' }
+      ]))).toThrow("Transition 'success' in state 'review' points to undefined state 'missing'");
+    });
+    
+    it('should require the last option, and only the last, to have no guard', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', guarded([
+        { when: 'brandScore < 0.8', to: 'escalated' }
+      ]))).toThrow("Transition 'success' in state 'review' must end with an option without a 'when' guard");
+      
+      expect(() => registry.registerWorkflow('test', guarded([
+        { to: 'escalated' },
+        { to: 'done' }
+      ]))).toThrow("Only the last option of transition 'success' in state 'review' may omit its 'when' guard");
+    });
+  });
+  
+  describe('Visit limits', () => {
+    it('should accept a visit limit with a fallback state', () => {
+      // Act
+      const result = registry.registerWorkflow('test', createDefinition({
+        maxVisits: 3,
+        onMaxVisits: 'escalated'
+      }));
+      
+      // Assert
+      expect(result).toBe(true);
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+    
+    it('should reject invalid limits and missing fallbacks', () => {
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', createDefinition({ maxVisits: 0, onMaxVisits: 'escalated' })))
+        .toThrow("maxVisits for state 'review' in workflow 'test' must be a positive integer");
+      
+      expect(() => registry.registerWorkflow('test', createDefinition({ maxVisits: 3 })))
+        .toThrow("State 'review' in workflow 'test' defines maxVisits but no onMaxVisits transition");
+      
+      expect(() => registry.registerWorkflow('test', createDefinition({ onMaxVisits: 'escalated' })))
+        .toThrow('defines onMaxVisits without maxVisits');
+      
+      expect(() => registry.registerWorkflow('test', createDefinition({ maxVisits: 3, onMaxVisits: 'missing' })))
+        .toThrow("Max visits transition in state 'review' points to undefined state 'missing'");
+    });
+    
+    it('should reject a fallback state that has a visit limit of its own', () => {
+      // Arrange
+      const definition = createDefinition({ maxVisits: 3, onMaxVisits: 'escalated' });
+      definition.states.escalated = { ...definition.states.escalated, maxVisits: 1, onMaxVisits: 'review' };
+      
+      // Act & Assert
+      expect(() => registry.registerWorkflow('test', definition))
+        .toThrow("onMaxVisits state 'escalated' of state 'review' in workflow 'test' must not define maxVisits itself");
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for Bulkhead
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  Bulkhead,
+  BulkheadType,
+  getBulkhead,
+  currentPriority,
+  runWithPriority
+} = require('../../../../src/core/error/bulkhead');
+const { RateLimitError } = require('../../../../src/core/error/errors');
+const { register } = require('../../../../src/core/monitoring/metrics');
+
+/**
+ * Create a task that runs until it is released
+ */
+function blockingTask(label, order) {
+  let release;
+  const released = new Promise(resolve => {
+    release = resolve;
+  });
+
+  return {
+    release: () => release(),
+    run: async () => {
+      order.push(label);
+      await released;
+      return label;
+    }
+  };
+}
+
+describe('Bulkhead', () => {
+  let bulkhead;
+  let order;
+
+  beforeEach(() => {
+    bulkhead = new Bulkhead({ type: BulkheadType.AGENT, name: 'contentCreation', maxConcurrent: 1, maxQueue: 2 });
+    order = [];
+  });
+
+  it('should run queued tasks by priority once a slot is free', async () => {
+    // Arrange
+    const running = blockingTask('running', order);
+    const first = bulkhead.run(running.run);
+    const low = bulkhead.run(() => order.push('low'), { priority: 2 });
+    const high = bulkhead.run(() => order.push('high'), { priority: 9 });
+
+    // Act
+    running.release();
+    await Promise.all([first, low, high]);
+
+    // Assert
+    expect(order).toEqual(['running', 'high', 'low']);
+    expect(bulkhead.getStats()).toEqual(expect.objectContaining({ active: 0, queued: 0 }));
+  });
+
+  it('should run long-waiting tasks ahead of newer urgent ones', async () => {
+    // Arrange
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    bulkhead = new Bulkhead({ type: BulkheadType.AGENT, name: 'contentStrategy', maxConcurrent: 1, maxQueue: 5, agingInterval: 1000 });
+    const running = blockingTask('running', order);
+    const tasks = [
+      bulkhead.run(running.run),
+      bulkhead.run(() => order.push('calendar'), { priority: 2 })
+    ];
+    now.mockReturnValue(1700000008000);
+    tasks.push(bulkhead.run(() => order.push('brand fix'), { priority: 9 }));
+
+    // Act
+    now.mockReturnValue(1700000009000);
+    running.release();
+    await Promise.all(tasks);
+    now.mockRestore();
+
+    // Assert
+    expect(order).toEqual(['running', 'calendar', 'brand fix']);
+  });
+
+  it('should list queued tasks in the order they will run', async () => {
+    // Arrange
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    bulkhead = new Bulkhead({ type: BulkheadType.AGENT, name: 'brandConsistency', maxConcurrent: 1, maxQueue: 5, agingInterval: 1000 });
+    const running = blockingTask('running', order);
+    const tasks = [
+      bulkhead.run(running.run),
+      bulkhead.run(() => 'review', { priority: 5, info: { type: 'review_content' } }),
+      bulkhead.run(() => 'fix', { priority: 9, info: { type: 'fix_consistency_issues' } })
+    ];
+
+    // Act
+    now.mockReturnValue(1700000002500);
+    const queue = bulkhead.getQueue();
+    now.mockRestore();
+
+    // Assert
+    expect(queue).toEqual([
+      expect.objectContaining({ type: 'fix_consistency_issues', position: 1, priority: 9, effectivePriority: 10, waitMs: 2500 }),
+      expect.objectContaining({ type: 'review_content', position: 2, priority: 5, effectivePriority: 7 })
+    ]);
+
+    running.release();
+    await Promise.all(tasks);
+  });
+
+  it('should reject tasks with a RateLimitError when the queue is full', async () => {
+    // Arrange
+    const running = blockingTask('running', order);
+    const tasks = [bulkhead.run(running.run), bulkhead.run(() => 'queued'), bulkhead.run(() => 'queued')];
+
+    // Act
+    const rejected = bulkhead.run(() => 'rejected');
+
+    // Assert
+    await expect(rejected).rejects.toThrow(RateLimitError);
+    await expect(rejected).rejects.toEqual(expect.objectContaining({
+      code: 'BULKHEAD_FULL',
+      details: expect.objectContaining({ type: 'agent', name: 'contentCreation', maxQueue: 2 })
+    }));
+
+    running.release();
+    await Promise.all(tasks);
+  });
+
+  it('should report queue depth as a metric', async () => {
+    // Arrange
+    const running = blockingTask('running', order);
+    const tasks = [bulkhead.run(running.run), bulkhead.run(() => 'queued')];
+
+    // Act
+    const metric = await register.getSingleMetric('landing_pad_bulkhead_queue_depth').get();
+
+    // Assert
+    expect(metric.values).toContainEqual(expect.objectContaining({
+      labels: { type: 'agent', name: 'contentCreation' },
+      value: 1
+    }));
+
+    running.release();
+    await Promise.all(tasks);
+  });
+
+  it('should free the slot of a task that fails', async () => {
+    // Act
+    const failed = bulkhead.run(() => Promise.reject(new Error('AI provider unavailable')));
+    const next = bulkhead.run(() => 'next');
+
+    // Assert
+    await expect(failed).rejects.toThrow('AI provider unavailable');
+    await expect(next).resolves.toBe('next');
+    expect(bulkhead.getStats().active).toBe(0);
+  });
+
+  it('should let nested calls inherit the priority of the task', async () => {
+    // Act
+    const inherited = await bulkhead.run(() => currentPriority(), { priority: 8 });
+    const batch = await runWithPriority(2, () => bulkhead.run(() => currentPriority()));
+
+    // Assert
+    expect(inherited).toBe(8);
+    expect(batch).toBe(2);
+    expect(currentPriority()).toBe(5);
+  });
+
+  it('should create bulkheads from the configured limits', () => {
+    // Act
+    const openai = getBulkhead(BulkheadType.PROVIDER, 'openai');
+    const agent = getBulkhead(BulkheadType.AGENT, 'optimisation');
+
+    // Assert
+    expect(getBulkhead(BulkheadType.PROVIDER, 'openai')).toBe(openai);
+    expect(openai.getStats()).toEqual(expect.objectContaining({ maxConcurrent: 10, maxQueue: 200 }));
+    expect(agent.getStats()).toEqual(expect.objectContaining({ maxConcurrent: 4, maxQueue: 50 }));
+  });
+});
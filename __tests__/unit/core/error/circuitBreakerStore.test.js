@@ -0,0 +1,159 @@
+/**
+ * Unit tests for Circuit Breaker Store
+ */
+
+const mockClient = {
+  isReady: true,
+  on: jest.fn(),
+  connect: jest.fn(),
+  quit: jest.fn().mockResolvedValue('OK'),
+  hGetAll: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn(),
+  sMembers: jest.fn(),
+  multi: jest.fn()
+};
+
+jest.mock('redis', () => ({
+  createClient: jest.fn(() => mockClient)
+}));
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const CircuitBreakerStore = require('../../../../src/core/error/circuitBreakerStore');
+const logger = require('../../../../src/core/utils/logger');
+
+describe('CircuitBreakerStore', () => {
+  let store;
+  let transaction;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    transaction = {
+      hIncrBy: jest.fn().mockReturnThis(),
+      hSet: jest.fn().mockReturnThis(),
+      hSetNX: jest.fn().mockReturnThis(),
+      sAdd: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([])
+    };
+
+    mockClient.isReady = true;
+    mockClient.connect.mockResolvedValue();
+    mockClient.multi.mockReturnValue(transaction);
+
+    store = new CircuitBreakerStore({ url: 'redis://localhost:6379' });
+    await store.connect();
+  });
+
+  it('should store breakers as Redis hashes', async () => {
+    // Arrange
+    mockClient.hGetAll.mockResolvedValue({
+      state: 'open',
+      failures: '5',
+      lastFailure: '1700000000000',
+      nextAttempt: '1700000030000',
+      forced: '0',
+      updatedAt: '1700000000000'
+    });
+
+    // Act
+    await store.save('openai', { state: 'open', failures: 5, lastFailure: 1700000000000, nextAttempt: 1700000030000 });
+    const breaker = await store.get('openai');
+
+    // Assert
+    expect(transaction.hSet).toHaveBeenCalledWith('landing-pad:circuit-breaker:openai', expect.objectContaining({
+      state: 'open',
+      failures: '5',
+      nextAttempt: '1700000030000',
+      forced: '0'
+    }));
+    expect(transaction.sAdd).toHaveBeenCalledWith('landing-pad:circuit-breaker', 'openai');
+    expect(breaker).toEqual(expect.objectContaining({
+      state: 'open',
+      failures: 5,
+      nextAttempt: 1700000030000,
+      forced: false
+    }));
+  });
+
+  it('should count failures from every process atomically', async () => {
+    // Arrange
+    transaction.exec.mockResolvedValue([3, 0, 0, 0]);
+
+    // Act
+    const failures = await store.recordFailure('wordpress', 1700000000000);
+
+    // Assert
+    expect(failures).toBe(3);
+    expect(transaction.hIncrBy).toHaveBeenCalledWith('landing-pad:circuit-breaker:wordpress', 'failures', 1);
+    expect(transaction.hSetNX).toHaveBeenCalledWith('landing-pad:circuit-breaker:wordpress', 'state', 'closed');
+  });
+
+  it('should give the half-open trial to a single caller', async () => {
+    // Arrange
+    mockClient.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+
+    // Act
+    const first = await store.acquireTrial('openai', 30000);
+    const second = await store.acquireTrial('openai', 30000);
+
+    // Assert
+    expect(first).toBe(true);
+    expect(second).toBe(false);
+    expect(mockClient.set).toHaveBeenCalledWith('landing-pad:circuit-breaker:openai:trial', '1', { NX: true, PX: 30000 });
+  });
+
+  it('should use memory while the Redis connection is down', async () => {
+    // Arrange
+    mockClient.isReady = false;
+
+    // Act
+    await store.recordFailure('anthropic', 1700000000000);
+    await store.recordFailure('anthropic', 1700000001000);
+    const first = await store.acquireTrial('anthropic', 30000);
+    const second = await store.acquireTrial('anthropic', 30000);
+
+    // Assert
+    expect(await store.list()).toEqual({
+      anthropic: expect.objectContaining({ state: 'closed', failures: 2, lastFailure: 1700000001000 })
+    });
+    expect(first).toBe(true);
+    expect(second).toBe(false);
+    expect(mockClient.multi).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to memory when a Redis command fails', async () => {
+    // Arrange
+    mockClient.hGetAll.mockRejectedValue(new Error('Connection lost'));
+
+    // Act
+    const breaker = await store.get('openai');
+
+    // Assert
+    expect(breaker).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Connection lost'));
+  });
+
+  it('should keep state in memory when Redis can not be reached on startup', async () => {
+    // Arrange
+    mockClient.connect.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    const unreachable = new CircuitBreakerStore({ url: 'redis://localhost:6379' });
+
+    // Act
+    await unreachable.connect();
+    await unreachable.save('openai', { state: 'open', failures: 5, nextAttempt: null, forced: true });
+    await unreachable.save('wordpress', { state: 'closed', failures: 1, nextAttempt: null, forced: false });
+
+    // Assert
+    expect(unreachable.client).toBeNull();
+    expect(await unreachable.get('openai')).toEqual(expect.objectContaining({ state: 'open', forced: true }));
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('connect ECONNREFUSED'));
+  });
+});
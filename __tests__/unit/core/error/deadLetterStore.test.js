@@ -0,0 +1,31 @@
+/**
+ * Unit tests for Dead Letter Store
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const DeadLetterStore = require('../../../../src/core/error/deadLetterStore');
+
+describe('DeadLetterStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new DeadLetterStore();
+  });
+
+  describe('buildWhere', () => {
+    it('should match the error text as it is, not as a pattern', () => {
+      // Act
+      const where = store.buildWhere({ error: '100% of quota_limit used, see C:\\logs' });
+
+      // Assert
+      expect(where.error).toEqual({ [Op.iLike]: '%100\\% of quota\\_limit used, see C:\\\\logs%' });
+    });
+  });
+});
@@ -13,6 +13,14 @@ jest.mock('../../../../src/core/messaging/messageBus', () => ({
   })
 }));
 
+// Redis is unreachable, so circuit breakers fall back to memory
+jest.mock('redis', () => ({
+  createClient: jest.fn(() => ({
+    on: jest.fn(),
+    connect: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))
+  }))
+}));
+
 jest.mock('../../../../src/core/utils/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
@@ -317,99 +325,155 @@ describe('ErrorHandlingService', () => {
   });
   
   describe('Circuit Breaker', () => {
-    it('should record failures and open circuit after threshold', () => {
+    const openBreaker = (nextAttempt, forced = false) => ({
+      state: 'open',
+      failures: 5,
+      lastFailure: Date.now() - 60000,
+      nextAttempt,
+      forced
+    });
+    
+    it('should record failures and open circuit after threshold', async () => {
       // Arrange
       const serviceName = 'test-service-circuit';
       
-      // Mock the private methods
-      const recordFailure = errorHandler._recordFailure.bind(errorHandler);
-      const checkCircuitBreaker = errorHandler._checkCircuitBreaker.bind(errorHandler);
-      
-      // Initialize circuit breaker
-      checkCircuitBreaker(serviceName);
-      
       // Circuit should start closed
-      const initialBreaker = errorHandler.circuitBreakers.get(serviceName);
+      const initialBreaker = await errorHandler.getCircuitBreaker(serviceName);
       expect(initialBreaker.state).toBe('closed');
       
       // Act - Record failures up to threshold
       for (let i = 0; i < initialBreaker.threshold; i++) {
-        recordFailure(serviceName, new Error(`Failure ${i}`));
+        await errorHandler._recordFailure(serviceName, new Error(`Failure ${i}`));
       }
       
       // Assert - Circuit should now be open
-      const breaker = errorHandler.circuitBreakers.get(serviceName);
+      const breaker = await errorHandler.getCircuitBreaker(serviceName);
       expect(breaker.state).toBe('open');
-      expect(breaker.nextAttempt).toBeGreaterThan(Date.now());
+      expect(breaker.failures).toBe(initialBreaker.threshold);
+      expect(new Date(breaker.nextAttempt).getTime()).toBeGreaterThan(Date.now());
       expect(logger.warn).toHaveBeenCalledWith(
         expect.stringContaining('Circuit opened'),
         expect.any(Object)
       );
+      expect(errorHandler.messageBus.publishEvent).toHaveBeenCalledTimes(1);
+      expect(errorHandler.messageBus.publishEvent).toHaveBeenCalledWith('circuit-breaker.state-changed', expect.objectContaining({
+        service: serviceName,
+        state: 'open',
+        previousState: 'closed',
+        failures: 5,
+        forced: false
+      }));
+    });
+    
+    it('should use the threshold configured for the service', async () => {
+      // Act
+      for (let i = 0; i < 3; i++) {
+        await errorHandler._recordFailure('wordpress', new Error('ECONNRESET'));
+      }
+      
+      // Assert
+      const breaker = await errorHandler.getCircuitBreaker('wordpress');
+      expect(breaker).toEqual(expect.objectContaining({ state: 'open', threshold: 3, resetTimeout: 120000 }));
     });
     
-    it('should throw error when circuit is open', () => {
+    it('should throw error when circuit is open', async () => {
       // Arrange
       const serviceName = 'open-circuit-service';
       
       // Setup open circuit
-      errorHandler.circuitBreakers.set(serviceName, {
-        state: 'open',
-        failures: 5,
-        lastFailure: Date.now(),
-        nextAttempt: Date.now() + 30000, // 30 seconds in the future
-        threshold: 5,
-        resetTimeout: 30000
-      });
+      await errorHandler.circuitBreakerStore.save(serviceName, openBreaker(Date.now() + 30000));
       
       // Act & Assert
-      expect(() => {
-        errorHandler._checkCircuitBreaker(serviceName);
-      }).toThrow('Service open-circuit-service is unavailable');
+      await expect(errorHandler._checkCircuitBreaker(serviceName))
+        .rejects.toThrow('Service open-circuit-service is unavailable');
     });
     
-    it('should set circuit to half-open after reset timeout', () => {
+    it('should set circuit to half-open after reset timeout and let a single trial through', async () => {
       // Arrange
       const serviceName = 'timeout-circuit-service';
       
       // Setup open circuit with expired nextAttempt
-      errorHandler.circuitBreakers.set(serviceName, {
-        state: 'open',
-        failures: 5,
-        lastFailure: Date.now() - 60000, // 60 seconds ago
-        nextAttempt: Date.now() - 1000, // 1 second ago (expired)
-        threshold: 5,
-        resetTimeout: 30000
-      });
+      await errorHandler.circuitBreakerStore.save(serviceName, openBreaker(Date.now() - 1000));
       
       // Act
-      errorHandler._checkCircuitBreaker(serviceName);
+      await errorHandler._checkCircuitBreaker(serviceName);
       
       // Assert
-      const breaker = errorHandler.circuitBreakers.get(serviceName);
+      const breaker = await errorHandler.getCircuitBreaker(serviceName);
       expect(breaker.state).toBe('half-open');
+      await expect(errorHandler._checkCircuitBreaker(serviceName))
+        .rejects.toThrow('Service timeout-circuit-service is unavailable');
     });
     
-    it('should close circuit after successful operation in half-open state', () => {
+    it('should close circuit after successful operation in half-open state', async () => {
       // Arrange
       const serviceName = 'half-open-circuit-service';
       
       // Setup half-open circuit
-      errorHandler.circuitBreakers.set(serviceName, {
-        state: 'half-open',
-        failures: 5,
-        lastFailure: Date.now() - 60000,
-        nextAttempt: null,
-        threshold: 5,
-        resetTimeout: 30000
+      await errorHandler.circuitBreakerStore.save(serviceName, {
+        ...openBreaker(null),
+        state: 'half-open'
       });
       
       // Act
-      errorHandler._recordSuccess(serviceName);
+      await errorHandler._recordSuccess(serviceName);
       
       // Assert
-      const breaker = errorHandler.circuitBreakers.get(serviceName);
+      const breaker = await errorHandler.getCircuitBreaker(serviceName);
       expect(breaker.state).toBe('closed');
       expect(breaker.failures).toBe(0);
+      expect(errorHandler.messageBus.publishEvent).toHaveBeenCalledWith('circuit-breaker.state-changed', expect.objectContaining({
+        service: serviceName,
+        state: 'closed',
+        previousState: 'half-open'
+      }));
+    });
+    
+    it('should not count requests shed by an open circuit as failures', async () => {
+      // Arrange
+      const serviceName = 'shed-circuit-service';
+      const operation = jest.fn();
+      await errorHandler.forceOpenCircuitBreaker(serviceName);
+      
+      // Act & Assert
+      await expect(errorHandler.executeWithRetry(operation, 'quick', { service: serviceName }))
+        .rejects.toThrow('Service shed-circuit-service is unavailable');
+      expect(operation).not.toHaveBeenCalled();
+      expect((await errorHandler.getCircuitBreaker(serviceName)).failures).toBe(0);
+    });
+    
+    it('should keep forced circuits until they are reset', async () => {
+      // Arrange
+      const serviceName = 'forced-circuit-service';
+      
+      // Act - Failures don't open a circuit forced closed
+      await errorHandler.forceCloseCircuitBreaker(serviceName);
+      for (let i = 0; i < 10; i++) {
+        await errorHandler._recordFailure(serviceName, new Error(`Failure ${i}`));
+      }
+      const forcedClosed = await errorHandler.getCircuitBreaker(serviceName);
+      
+      // Act - Reset returns the circuit to normal operation
+      const reset = await errorHandler.resetCircuitBreaker(serviceName);
+      
+      // Assert
+      expect(forcedClosed).toEqual(expect.objectContaining({ state: 'closed', failures: 10, forced: true }));
+      expect(reset).toEqual(expect.objectContaining({ state: 'closed', failures: 0, forced: false }));
+    });
+    
+    it('should list configured services alongside the breakers with state', async () => {
+      // Act
+      const breakers = await errorHandler.getCircuitBreakers();
+      
+      // Assert
+      const services = breakers.map(breaker => breaker.service);
+      expect(services).toEqual(expect.arrayContaining(['openai', 'anthropic', 'wordpress', 'test-service-circuit']));
+      expect(breakers.find(breaker => breaker.service === 'openai')).toEqual(expect.objectContaining({
+        state: 'closed',
+        failures: 0,
+        threshold: 5,
+        resetTimeout: 60000
+      }));
     });
   });
   
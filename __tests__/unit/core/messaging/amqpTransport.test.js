@@ -0,0 +1,266 @@
+/**
+ * Unit tests for the AMQP transport, run against the broker stand-in
+ */
+
+jest.mock('amqplib', () => require('../../../../testing/amqpBrokerStandIn').createAmqplibStandIn());
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const AmqpTransport = require('../../../../src/core/messaging/amqpTransport');
+
+const flush = async (times = 3) => {
+  for (let i = 0; i < times; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+// Lets promise chains settle while timers are faked
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+const envelope = (data) => ({
+  data,
+  metadata: { type: 'test', timestamp: new Date().toISOString(), messageId: `msg-${Math.random()}` }
+});
+
+describe('AmqpTransport', () => {
+  let broker;
+  let transports;
+
+  const createTransport = async (options = {}) => {
+    const transport = new AmqpTransport({
+      uri: 'amqp://localhost',
+      queuePrefix: 'test',
+      reconnectStrategy: { retries: 3, initialDelay: 100, maxDelay: 1000, factor: 2 },
+      ...options
+    });
+    await transport.connect();
+    transports.push(transport);
+    return transport;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    broker = require('amqplib').__broker;
+    broker.dropConnections();
+    broker.queues.clear();
+    broker.published = [];
+    broker.refuseConnections = false;
+    transports = [];
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+
+    for (const transport of transports) {
+      await transport.close();
+    }
+  });
+
+  it('should declare durable exchanges and a durable queue per command', async () => {
+    // Arrange
+    const transport = await createTransport();
+
+    // Act
+    await transport.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+
+    // Assert
+    expect(broker.exchanges.get('core-commands')).toEqual({ type: 'direct', options: { durable: true } });
+    expect(broker.exchanges.get('core-events')).toEqual({ type: 'topic', options: { durable: true } });
+    expect(broker.queues.get('test.command.optimisation.execute-task').options).toEqual({ durable: true });
+    expect(broker.queueDepth('test.command.optimisation.execute-task')).toBe(1);
+  });
+
+  it('should acknowledge a delivery only once its handler has finished', async () => {
+    // Arrange
+    const transport = await createTransport();
+    let finish;
+    const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    await transport.subscribe('command', 'optimisation.execute-task', handler);
+
+    // Act
+    await transport.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+    await flush();
+    const unackedWhileHandling = transport.channel.unacked.size;
+    finish();
+    await flush();
+
+    // Assert
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { id: 1 } }));
+    expect(unackedWhileHandling).toBe(1);
+    expect(transport.channel.unacked.size).toBe(0);
+  });
+
+  it('should limit unacknowledged deliveries to the prefetch count', async () => {
+    // Arrange
+    const transport = await createTransport({ prefetch: 2 });
+    const pending = [];
+    await transport.subscribe('command', 'optimisation.execute-task', () => new Promise(resolve => pending.push(resolve)));
+
+    // Act
+    for (let id = 1; id <= 5; id++) {
+      await transport.publish('command', 'optimisation.execute-task', envelope({ id }));
+    }
+    await flush();
+
+    // Assert
+    expect(pending).toHaveLength(2);
+    expect(broker.queueDepth('test.command.optimisation.execute-task')).toBe(3);
+
+    pending.forEach(resolve => resolve());
+    await flush();
+
+    expect(pending).toHaveLength(4);
+  });
+
+  it('should requeue a failed message once and drop malformed messages', async () => {
+    // Arrange
+    const transport = await createTransport();
+    const handler = jest.fn().mockRejectedValue(new Error('boom'));
+    await transport.subscribe('command', 'optimisation.execute-task', handler);
+
+    // Act
+    await transport.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+    await flush(6);
+    transport.channel.publish('core-commands', 'optimisation.execute-task', Buffer.from('not json'), {});
+    await flush(6);
+
+    // Assert
+    const queue = broker.queues.get('test.command.optimisation.execute-task');
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(queue.deadLettered).toHaveLength(2);
+    expect(queue.messages).toHaveLength(0);
+  });
+
+  it('should share command queues between processes and give each named service its own event queue', async () => {
+    // Arrange
+    const first = await createTransport({ serviceName: 'worker' });
+    const second = await createTransport({ serviceName: 'worker' });
+    const monitor = await createTransport({ serviceName: 'monitor' });
+    const commands = jest.fn();
+    const events = { first: jest.fn(), second: jest.fn(), monitor: jest.fn() };
+    await first.subscribe('command', 'optimisation.execute-task', commands);
+    await second.subscribe('command', 'optimisation.execute-task', commands);
+    await first.subscribe('event', 'workflow.*', events.first);
+    await second.subscribe('event', 'workflow.*', events.second);
+    await monitor.subscribe('event', 'workflow.*', events.monitor);
+
+    // Act
+    await monitor.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+    await monitor.publish('event', 'workflow.state-changed', envelope({ id: 2 }));
+    await flush();
+
+    // Assert
+    expect(commands).toHaveBeenCalledTimes(1);
+    expect(events.first.mock.calls.length + events.second.mock.calls.length).toBe(1);
+    expect(events.monitor).toHaveBeenCalledTimes(1);
+    expect(broker.queues.get('test.worker.event.workflow.*').bindings).toEqual([
+      { exchange: 'core-events', bindingKey: 'workflow.*' }
+    ]);
+  });
+
+  it('should give every local subscription to the same pattern each event', async () => {
+    // Arrange
+    const transport = await createTransport({ serviceName: 'coordinator' });
+    const first = jest.fn();
+    const second = jest.fn();
+    const firstHandle = await transport.subscribe('event', 'workflow.#', first);
+    await transport.subscribe('event', 'workflow.#', second);
+
+    // Act
+    await transport.publish('event', 'workflow.state.changed', envelope({ id: 1 }));
+    await flush();
+    await transport.unsubscribe(firstHandle);
+    await transport.publish('event', 'workflow.completed', envelope({ id: 2 }));
+    await flush();
+
+    // Assert
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(2);
+    expect(broker.queues.get('test.coordinator.event.workflow.#').consumers).toHaveLength(1);
+  });
+
+  it('should reconnect with backoff and restore its consumers', async () => {
+    // Arrange
+    const transport = await createTransport();
+    const handler = jest.fn();
+    await transport.subscribe('command', 'optimisation.execute-task', handler);
+    jest.useFakeTimers();
+
+    // Act
+    broker.refuseConnections = true;
+    broker.dropConnections();
+    jest.advanceTimersByTime(100);
+    await settle();
+    const connectedDuringOutage = transport.isConnected;
+
+    broker.refuseConnections = false;
+    jest.advanceTimersByTime(200);
+    await settle();
+    jest.useRealTimers();
+    await flush();
+    await transport.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+    await flush();
+
+    // Assert
+    expect(connectedDuringOutage).toBe(false);
+    expect(transport.isConnected).toBe(true);
+    expect(transport.reconnectAttempts).toBe(0);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { id: 1 } }));
+  });
+
+  it('should reconnect when the broker closes its channel', async () => {
+    // Arrange
+    const logger = require('../../../../src/core/utils/logger');
+    const transport = await createTransport();
+    const handler = jest.fn();
+    await transport.subscribe('command', 'optimisation.execute-task', handler);
+    const closedChannel = transport.channel;
+    jest.useFakeTimers();
+
+    // Act
+    broker.closeChannel(closedChannel, new Error('PRECONDITION_FAILED - inequivalent arg'));
+    const connectedAfterClose = transport.isConnected;
+    jest.advanceTimersByTime(100);
+    await settle();
+    jest.useRealTimers();
+    await flush();
+    await transport.publish('command', 'optimisation.execute-task', envelope({ id: 1 }));
+    await flush();
+
+    // Assert
+    expect(logger.error).toHaveBeenCalledWith('AMQP channel error', expect.objectContaining({ message: 'PRECONDITION_FAILED - inequivalent arg' }));
+    expect(connectedAfterClose).toBe(false);
+    expect(transport.isConnected).toBe(true);
+    expect(transport.channel).not.toBe(closedChannel);
+    expect(broker.connections.size).toBe(1);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { id: 1 } }));
+  });
+
+  it('should give up after the configured number of reconnect attempts', async () => {
+    // Arrange
+    const logger = require('../../../../src/core/utils/logger');
+    const transport = await createTransport({ reconnectStrategy: { retries: 1, initialDelay: 10 } });
+    jest.useFakeTimers();
+
+    // Act
+    broker.refuseConnections = true;
+    broker.dropConnections();
+    jest.advanceTimersByTime(10);
+    jest.useRealTimers();
+    await flush();
+
+    // Assert
+    expect(transport.isConnected).toBe(false);
+    expect(logger.error).toHaveBeenCalledWith('Giving up reconnecting to AMQP broker after 1 attempts');
+    await expect(transport.publish('event', 'workflow.completed', envelope({}))).rejects.toThrow('AMQP transport not connected');
+  });
+});
@@ -0,0 +1,605 @@
+/**
+ * Unit tests for the core MessageBus and its transports
+ */
+
+jest.mock('amqplib', () => require('../../../../testing/amqpBrokerStandIn').createAmqplibStandIn());
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { MessageBus, createTransport, createBusOptions } = require('../../../../src/core/messaging/messageBus');
+const InMemoryTransport = require('../../../../src/core/messaging/inMemoryTransport');
+const AmqpTransport = require('../../../../src/core/messaging/amqpTransport');
+const { getTracer, parseTraceparent } = require('../../../../src/core/tracing');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const heartbeat = (overrides = {}) => ({
+  agentId: 'content-creation',
+  status: 'running',
+  timestamp: new Date().toISOString(),
+  ...overrides
+});
+
+describe('MessageBus', () => {
+  const originalEnv = {
+    MESSAGE_BUS_TRANSPORT: process.env.MESSAGE_BUS_TRANSPORT,
+    MESSAGE_BUS_VALIDATION: process.env.MESSAGE_BUS_VALIDATION
+  };
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  describe('createTransport', () => {
+    it('should use the in-memory transport unless configured otherwise', () => {
+      // Act
+      const transport = createTransport({});
+
+      // Assert
+      expect(transport).toBeInstanceOf(InMemoryTransport);
+    });
+
+    it('should build the AMQP transport from the messaging configuration', () => {
+      // Arrange
+      process.env.MESSAGE_BUS_TRANSPORT = 'amqp';
+
+      // Act
+      const transport = createTransport({
+        bus: { amqp: { queuePrefix: 'test', prefetch: 5 } },
+        rabbitMQ: {
+          uri: 'amqp://broker:5672',
+          options: { heartbeat: 60, reconnectStrategy: { retries: 3 } }
+        }
+      });
+
+      // Assert
+      expect(transport).toBeInstanceOf(AmqpTransport);
+      expect(transport.uri).toBe('amqp://broker:5672');
+      expect(transport.prefetch).toBe(5);
+      expect(transport.queuePrefix).toBe('test');
+      expect(transport.reconnectStrategy).toEqual(expect.objectContaining({ retries: 3, factor: 2 }));
+    });
+
+    it('should reject unknown transports', () => {
+      // Act & Assert
+      expect(() => createTransport({ bus: { transport: 'carrier-pigeon' } }))
+        .toThrow("Unknown message bus transport 'carrier-pigeon'");
+    });
+  });
+
+  describe('with the in-memory transport', () => {
+    let bus;
+
+    beforeEach(async () => {
+      bus = new MessageBus(new InMemoryTransport());
+      await bus.connect();
+    });
+
+    it('should deliver commands and events with their metadata', async () => {
+      // Arrange
+      const commandHandler = jest.fn();
+      const eventHandler = jest.fn();
+      await bus.subscribeToCommand('content-creation.execute-task', commandHandler);
+      await bus.subscribeToEvent('workflow.completed', eventHandler);
+
+      // Act
+      await bus.publishCommand('content-creation.execute-task', { workflowId: 'wf-1' });
+      await bus.publishEvent('workflow.completed', { workflowId: 'wf-1' });
+      await flush();
+
+      // Assert
+      expect(commandHandler).toHaveBeenCalledWith({ workflowId: 'wf-1' }, expect.objectContaining({
+        type: 'content-creation.execute-task',
+        messageId: expect.any(String)
+      }));
+      expect(eventHandler).toHaveBeenCalledWith({ workflowId: 'wf-1' }, expect.objectContaining({ type: 'workflow.completed' }));
+    });
+
+    it('should deliver events with AMQP-style wildcards, once per subscription', async () => {
+      // Arrange
+      const handlers = { single: jest.fn(), middle: jest.fn(), deep: jest.fn(), overlapping: jest.fn() };
+      await bus.subscribeToEvent('workflow.*', handlers.single);
+      await bus.subscribeToEvent('content.*.completed', handlers.middle);
+      await bus.subscribeToEvent('content.#', handlers.deep);
+      await bus.subscribeToEvent('#.#', handlers.overlapping);
+
+      // Act
+      await bus.publishEvent('workflow.state.changed', {});
+      await bus.publishEvent('content.blog.completed', {});
+      await flush();
+
+      // Assert
+      expect(handlers.single).not.toHaveBeenCalled();
+      expect(handlers.middle).toHaveBeenCalledTimes(1);
+      expect(handlers.deep).toHaveBeenCalledTimes(1);
+      expect(handlers.overlapping).toHaveBeenCalledTimes(2);
+    });
+
+    it('should remove exactly the subscription that is unsubscribed', async () => {
+      // Arrange
+      const first = jest.fn();
+      const second = jest.fn();
+      const subscription = await bus.subscribeToEvent('workflow.*', first);
+      await bus.subscribeToEvent('workflow.*', second);
+
+      // Act
+      await subscription.unsubscribe();
+      await bus.publishEvent('workflow.completed', {});
+      await flush();
+
+      // Assert
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(await bus.unsubscribe(subscription)).toBe(false);
+      expect(bus.getStatus()).toEqual(expect.objectContaining({ type: 'in-memory', subscriptionCount: 1, eventSubscriptions: 1 }));
+    });
+
+    it('should remove every subscription to a key when given a type and key', async () => {
+      // Arrange
+      const handler = jest.fn();
+      await bus.subscribeToEvent('workflow.*', handler);
+      await bus.subscribeToEvent('workflow.*', handler);
+
+      // Act
+      const result = await bus.unsubscribe('event', 'workflow.*');
+      await bus.publishEvent('workflow.completed', {});
+
+      // Assert
+      expect(result).toBe(true);
+      expect(handler).not.toHaveBeenCalled();
+      expect(bus.getStatus().subscriptionCount).toBe(0);
+    });
+
+    it('should reject malformed event patterns', async () => {
+      // Act & Assert
+      await expect(bus.subscribeToEvent('workflow..completed', jest.fn())).rejects.toThrow('has an empty segment');
+    });
+
+    it('should refuse to publish once closed', async () => {
+      // Act
+      await bus.close();
+
+      // Assert
+      expect(bus.isConnected).toBe(false);
+      await expect(bus.publishEvent('workflow.completed', {})).rejects.toThrow('MessageBus not connected');
+    });
+  });
+
+  describe('createBusOptions', () => {
+    it('should read the validation settings, letting MESSAGE_BUS_VALIDATION override the mode', () => {
+      // Arrange
+      process.env.MESSAGE_BUS_VALIDATION = 'reject';
+
+      // Act
+      const options = createBusOptions({ bus: { validation: { mode: 'warn', requireSchema: true, quarantineSize: 10 } } });
+
+      // Assert
+      expect(options).toEqual(expect.objectContaining({ validationMode: 'reject', requireSchema: true, quarantineSize: 10 }));
+    });
+
+    it('should reject unknown validation modes', () => {
+      // Act & Assert
+      expect(() => new MessageBus(new InMemoryTransport(), { validationMode: 'strict' }))
+        .toThrow("Unknown message validation mode 'strict'");
+    });
+  });
+
+  describe('schema validation', () => {
+    const createBus = async (options) => {
+      const bus = new MessageBus(new InMemoryTransport(), { source: 'coordinator', ...options });
+      await bus.connect();
+      return bus;
+    };
+
+    it('should stamp the source and schema version on published messages', async () => {
+      // Arrange
+      const bus = await createBus();
+      const handler = jest.fn();
+      await bus.subscribeToEvent('agent.heartbeat', handler);
+
+      // Act
+      await bus.publishEvent('agent.heartbeat', heartbeat(), { correlationId: 'corr-1' });
+      await flush();
+
+      // Assert
+      expect(handler).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({
+        source: 'coordinator',
+        correlationId: 'corr-1',
+        schemaVersion: 1
+      }));
+      expect(bus.getQuarantine()).toEqual([]);
+    });
+
+    it('should quarantine invalid messages once but still deliver them in warn mode', async () => {
+      // Arrange
+      const bus = await createBus({ validationMode: 'warn' });
+      const first = jest.fn();
+      const second = jest.fn();
+      await bus.subscribeToEvent('agent.*', first);
+      await bus.subscribeToEvent('agent.#', second);
+
+      // Act
+      await bus.publishEvent('agent.heartbeat', heartbeat({ status: undefined }));
+      await flush();
+
+      // Assert
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(bus.getQuarantine()).toEqual([expect.objectContaining({
+        kind: 'event',
+        routingKey: 'agent.heartbeat',
+        direction: 'publish',
+        rejected: false,
+        error: expect.stringContaining('"status" is required')
+      })]);
+    });
+
+    it('should refuse to publish invalid messages in reject mode', async () => {
+      // Arrange
+      const bus = await createBus({ validationMode: 'reject' });
+      const handler = jest.fn();
+      await bus.subscribeToCommand('content-creation.execute-task', handler);
+
+      // Act & Assert
+      await expect(bus.publishCommand('content-creation.execute-task', { workflowId: 'wf-1' }))
+        .rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_MESSAGE' });
+      await flush();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(bus.getQuarantine()[0]).toEqual(expect.objectContaining({ rejected: true, direction: 'publish' }));
+    });
+
+    it('should drop invalid deliveries from other producers in reject mode', async () => {
+      // Arrange
+      const bus = await createBus({ validationMode: 'reject' });
+      const handler = jest.fn();
+      await bus.subscribeToEvent('agent.heartbeat', handler);
+
+      // Act: a producer that skipped validation
+      await bus.transport.publish('event', 'agent.heartbeat', {
+        data: { agentId: 42 },
+        metadata: { type: 'agent.heartbeat', timestamp: new Date().toISOString(), messageId: 'm-1', source: 'legacy' }
+      });
+      await flush();
+
+      // Assert
+      expect(handler).not.toHaveBeenCalled();
+      expect(bus.getQuarantine()).toEqual([expect.objectContaining({ direction: 'consume', rejected: true })]);
+    });
+
+    it('should let messages without a schema through unless one is required', async () => {
+      // Arrange
+      const lenient = await createBus({ validationMode: 'reject' });
+      const strict = await createBus({ validationMode: 'reject', requireSchema: true });
+
+      // Act
+      await lenient.publishCommand('content-creation.ping', {});
+
+      // Assert
+      await expect(strict.publishCommand('content-creation.ping', {})).rejects.toThrow('No schema defined for command content-creation.ping');
+      expect(lenient.getQuarantine()).toEqual([]);
+    });
+
+    it('should keep the newest entries within the quarantine size and let admins clear them', async () => {
+      // Arrange
+      const bus = await createBus({ quarantineSize: 2 });
+
+      // Act
+      for (const agentId of ['a', 'b', 'c']) {
+        await bus.publishEvent('agent.heartbeat', heartbeat({ agentId, status: undefined }));
+      }
+      await bus.publishEvent('system.health', { component: 'database' });
+
+      // Assert
+      expect(bus.getQuarantine().map(entry => entry.routingKey)).toEqual(['system.health', 'agent.heartbeat']);
+      expect(bus.getQuarantine({ routingKey: 'agent.heartbeat' })[0].message.data.agentId).toBe('c');
+      expect(bus.getStatus()).toEqual(expect.objectContaining({ validationMode: 'warn', quarantined: 2 }));
+
+      const [newest] = bus.getQuarantine();
+
+      expect(bus.clearQuarantine(newest.id)).toBe(1);
+      expect(bus.clearQuarantine(newest.id)).toBe(0);
+      expect(bus.clearQuarantine()).toBe(1);
+      expect(bus.getQuarantine()).toEqual([]);
+    });
+
+    it('should skip validation when it is off', async () => {
+      // Arrange
+      const bus = await createBus({ validationMode: 'off' });
+
+      // Act
+      await bus.publishEvent('agent.heartbeat', {});
+
+      // Assert
+      expect(bus.getQuarantine()).toEqual([]);
+    });
+  });
+
+  describe('request/reply', () => {
+    let bus;
+
+    beforeEach(async () => {
+      bus = new MessageBus(new InMemoryTransport(), { source: 'api' });
+      await bus.connect();
+    });
+
+    it('should resolve with the result of the request handler', async () => {
+      // Arrange
+      const handler = jest.fn().mockResolvedValue({ headlines: ['One', 'Two'] });
+      await bus.handleRequest('content-creation.generate-headlines', handler);
+
+      // Act
+      const result = await bus.request('content-creation.generate-headlines', { topic: 'AI' }, { metadata: { userId: 'user-1' } });
+
+      // Assert
+      expect(result).toEqual({ headlines: ['One', 'Two'] });
+      expect(handler).toHaveBeenCalledWith({ topic: 'AI' }, expect.objectContaining({
+        correlationId: expect.any(String),
+        source: 'api',
+        signal: expect.objectContaining({ aborted: false })
+      }));
+      expect(bus.getStatus().pendingRequests).toBe(0);
+    });
+
+    it('should reject with the error thrown by the request handler', async () => {
+      // Arrange
+      await bus.handleRequest('content-creation.generate-headlines', () => {
+        throw Object.assign(new Error('Headline generator module not found'), { code: 'module_not_found' });
+      });
+
+      // Act & Assert
+      await expect(bus.request('content-creation.generate-headlines', {})).rejects.toMatchObject({
+        name: 'MessagingError',
+        message: 'Headline generator module not found',
+        code: 'module_not_found'
+      });
+    });
+
+    it('should time out with a TimeoutError and cancel the handler', async () => {
+      // Arrange
+      let handlerSignal;
+      await bus.handleRequest('content-creation.generate-headlines', (data, metadata) => {
+        handlerSignal = metadata.signal;
+        return new Promise(resolve => setTimeout(() => resolve('too late'), 50));
+      });
+
+      // Act
+      const request = bus.request('content-creation.generate-headlines', {}, { timeout: 10 });
+
+      // Assert
+      await expect(request).rejects.toMatchObject({ name: 'TimeoutError', code: 'REQUEST_TIMEOUT' });
+      await flush();
+      expect(handlerSignal.aborted).toBe(true);
+      expect(bus.getStatus().pendingRequests).toBe(0);
+    });
+
+    it('should cancel the request when the caller aborts', async () => {
+      // Arrange
+      const controller = new AbortController();
+      let handlerSignal;
+      await bus.handleRequest('content-creation.generate-headlines', (data, metadata) => {
+        handlerSignal = metadata.signal;
+        return new Promise(() => {});
+      });
+
+      // Act
+      const request = bus.request('content-creation.generate-headlines', {}, { signal: controller.signal });
+      await flush();
+      controller.abort();
+
+      // Assert
+      await expect(request).rejects.toMatchObject({ name: 'MessagingError', code: 'REQUEST_CANCELLED' });
+      await flush();
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    it('should not leave the reply rejected unhandled while the command is being published', async () => {
+      // Arrange
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      jest.spyOn(bus, 'publishCommand').mockImplementation(() => new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Broker unavailable')), 30);
+      }));
+
+      try {
+        // Act
+        const request = bus.request('content-creation.generate-headlines', {}, { timeout: 5 });
+
+        // Assert
+        await expect(request).rejects.toThrow('Broker unavailable');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.removeListener('unhandledRejection', unhandled);
+      }
+    });
+
+    it('should cancel a request whose caller aborted while the reply address was set up', async () => {
+      // Arrange
+      const controller = new AbortController();
+      const handler = jest.fn();
+      await bus.handleRequest('content-creation.generate-headlines', handler);
+      jest.spyOn(bus, 'ensureReplyAddress').mockImplementation(() => {
+        controller.abort();
+        return Promise.resolve('replies.api');
+      });
+
+      // Act & Assert
+      await expect(bus.request('content-creation.generate-headlines', {}, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+      expect(handler).not.toHaveBeenCalled();
+      expect(bus.getStatus().pendingRequests).toBe(0);
+    });
+
+    it('should reject pending requests when the bus closes', async () => {
+      // Arrange
+      await bus.handleRequest('content-creation.generate-headlines', () => new Promise(() => {}));
+      const request = bus.request('content-creation.generate-headlines', {});
+      await flush();
+
+      // Act
+      await bus.close();
+
+      // Assert
+      await expect(request).rejects.toMatchObject({ code: 'BUS_CLOSED' });
+    });
+  });
+
+  describe('tracing', () => {
+    let bus;
+
+    beforeEach(async () => {
+      bus = new MessageBus(new InMemoryTransport(), { source: 'coordinator' });
+      await bus.connect();
+    });
+
+    it('should carry the trace of the publisher to the handlers and what they publish', async () => {
+      // Arrange
+      const tracer = getTracer();
+      const eventHandler = jest.fn();
+      await bus.subscribeToCommand('content-creation.execute-task', async (data) => {
+        await bus.publishEvent('agent.task-completed', { workflowId: data.workflowId });
+      });
+      await bus.subscribeToEvent('agent.*', eventHandler);
+
+      // Act
+      const traceId = await tracer.withSpan('POST /api/workflows', { kind: 'server' }, async (span) => {
+        await bus.publishCommand('content-creation.execute-task', { workflowId: 'wf-1' });
+        await flush();
+        return span.traceId;
+      });
+
+      // Assert
+      const metadata = eventHandler.mock.calls[0][1];
+      expect(metadata.correlationId).toBe(traceId);
+      expect(parseTraceparent(metadata.traceparent).traceId).toBe(traceId);
+
+      const trace = tracer.getTrace(traceId);
+      expect(trace.spans.map(span => [span.name, span.depth])).toEqual([
+        ['POST /api/workflows', 0],
+        ['publish content-creation.execute-task', 1],
+        ['process content-creation.execute-task', 2],
+        ['publish agent.task-completed', 3],
+        ['process agent.task-completed', 4]
+      ]);
+    });
+
+    it('should keep a correlation ID given by the publisher', async () => {
+      // Arrange
+      const handler = jest.fn();
+      await bus.subscribeToEvent('workflow.completed', handler);
+
+      // Act
+      await getTracer().withSpan('retry', {}, () => bus.publishEvent('workflow.completed', {}, { correlationId: 'corr-1' }));
+      await flush();
+
+      // Assert
+      expect(handler.mock.calls[0][1].correlationId).toBe('corr-1');
+    });
+
+    it('should not start traces for messages published outside one', async () => {
+      // Arrange
+      const handler = jest.fn();
+      await bus.subscribeToEvent('agent.heartbeat', handler);
+
+      // Act
+      await bus.publishEvent('agent.heartbeat', heartbeat());
+      await flush();
+
+      // Assert
+      expect(handler.mock.calls[0][1].traceparent).toBeUndefined();
+      expect(handler.mock.calls[0][1].correlationId).toBeUndefined();
+    });
+  });
+
+  describe('with the AMQP transport', () => {
+    const broker = require('amqplib').__broker;
+    const createBus = async (serviceName) => {
+      const bus = new MessageBus(new AmqpTransport({ uri: 'amqp://localhost', serviceName, queuePrefix: 'test' }), { source: serviceName });
+      await bus.connect();
+      return bus;
+    };
+
+    let coordinator;
+    let agent;
+
+    beforeEach(async () => {
+      coordinator = await createBus('coordinator');
+      agent = await createBus('content-creation');
+    });
+
+    afterEach(async () => {
+      await coordinator.close();
+      await agent.close();
+    });
+
+    it('should carry commands and events between separate buses', async () => {
+      // Arrange
+      const commandHandler = jest.fn();
+      const eventHandler = jest.fn();
+      await agent.subscribeToCommand('content-creation.execute-task', commandHandler);
+      await coordinator.subscribeToEvent('agent.*', eventHandler);
+
+      // Act
+      await coordinator.publishCommand('content-creation.execute-task', { workflowId: 'wf-1' });
+      await agent.publishEvent('agent.task-completed', { workflowId: 'wf-1' });
+      await flush();
+      await flush();
+
+      // Assert
+      expect(commandHandler).toHaveBeenCalledWith({ workflowId: 'wf-1' }, expect.objectContaining({
+        type: 'content-creation.execute-task'
+      }));
+      expect(eventHandler).toHaveBeenCalledWith({ workflowId: 'wf-1' }, expect.objectContaining({
+        type: 'agent.task-completed'
+      }));
+      expect(broker.published[0].options).toEqual(expect.objectContaining({ persistent: true, contentType: 'application/json' }));
+      expect(coordinator.getStatus()).toEqual(expect.objectContaining({ type: 'amqp', connected: true, subscriptionCount: 1 }));
+    });
+
+    it('should send replies to the exclusive queue of the requesting process', async () => {
+      // Arrange
+      await agent.handleRequest('content-creation.generate-headlines', ({ topic }) => ({ headlines: [`${topic} explained`] }));
+
+      // Act
+      const result = await coordinator.request('content-creation.generate-headlines', { topic: 'AI' }, { timeout: 1000 });
+
+      // Assert
+      expect(result).toEqual({ headlines: ['AI explained'] });
+
+      const reply = broker.published.find(message => message.exchange === '');
+
+      expect(reply.routingKey).toMatch(/^test\.reply\.coordinator\./);
+      expect(broker.queues.get(reply.routingKey).options).toEqual({ exclusive: true, autoDelete: true });
+    });
+
+    it('should have the transport requeue a command whose handler failed, once', async () => {
+      // Arrange
+      const commandHandler = jest.fn().mockRejectedValue(new Error('Agent busy'));
+      await agent.subscribeToCommand('content-creation.execute-task', commandHandler);
+
+      // Act
+      await coordinator.publishCommand('content-creation.execute-task', { workflowId: 'wf-1' });
+      await flush();
+      await flush();
+      await flush();
+
+      // Assert
+      const queue = broker.queues.get('test.command.content-creation.execute-task');
+      expect(commandHandler).toHaveBeenCalledTimes(2);
+      expect(queue.deadLettered).toHaveLength(1);
+      expect(queue.messages).toHaveLength(0);
+    });
+  });
+});
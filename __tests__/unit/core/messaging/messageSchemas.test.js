@@ -0,0 +1,123 @@
+/**
+ * Unit tests for message schemas and their versions
+ */
+
+const Joi = require('joi');
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  validateMessage,
+  createMessage,
+  getLatestVersion,
+  schemas
+} = require('../../../../src/core/messaging/messageSchemas');
+
+const metadata = (overrides = {}) => ({
+  timestamp: new Date().toISOString(),
+  messageId: 'msg-1',
+  source: 'test',
+  ...overrides
+});
+
+describe('messageSchemas', () => {
+  describe('schema lookup', () => {
+    it('should match wildcard keys segment by segment', () => {
+      // Arrange
+      const command = {
+        taskType: 'content-creation',
+        workflowId: 'wf-1',
+        workflowType: 'content-creation',
+        branch: 'seo',
+        data: { topic: 'AI' }
+      };
+
+      // Act
+      const result = validateMessage('commands', 'content-creation.execute-task', command, metadata());
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(getLatestVersion('commands', 'optimisation.execute-task')).toBe(1);
+      expect(getLatestVersion('commands', 'content.creation.execute-task')).toBeNull();
+      expect(getLatestVersion('events', 'error.validation')).toBe(1);
+    });
+
+    it('should report messages without a schema', () => {
+      // Act
+      const result = validateMessage('events', 'content.teleported', {}, metadata());
+
+      // Assert
+      expect(result).toEqual({
+        success: false,
+        error: 'No schema defined for message type: events.content.teleported'
+      });
+    });
+
+    it('should describe every invalid field of an agent event', () => {
+      // Act
+      const result = validateMessage('events', 'content-strategy.brief.created', { type: 42 }, metadata());
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('"brief_id" is required');
+      expect(result.error).toContain('"type" must be a string');
+    });
+  });
+
+  describe('versions', () => {
+    beforeEach(() => {
+      schemas.events['test.versioned'] = {
+        1: Joi.object({ name: Joi.string().required() }),
+        2: Joi.object({ name: Joi.string().required(), size: Joi.number().required() })
+      };
+    });
+
+    afterEach(() => {
+      delete schemas.events['test.versioned'];
+    });
+
+    it('should validate messages against the version in their metadata', () => {
+      // Act
+      const legacy = validateMessage('events', 'test.versioned', { name: 'a' }, metadata());
+      const current = validateMessage('events', 'test.versioned', { name: 'a' }, metadata({ schemaVersion: 2 }));
+
+      // Assert
+      expect(legacy.success).toBe(true);
+      expect(current.success).toBe(false);
+      expect(current.error).toContain('"size" is required');
+    });
+
+    it('should accept fields added by producers on newer versions', () => {
+      // Act
+      const result = validateMessage('events', 'test.versioned', { name: 'a', size: 1, colour: 'red' }, metadata({ schemaVersion: 3 }));
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(result.metadata.schemaVersion).toBe(3);
+    });
+
+    it('should reject versions older than the latest that are not defined', () => {
+      // Arrange
+      delete schemas.events['test.versioned'][1];
+
+      // Act
+      const result = validateMessage('events', 'test.versioned', { name: 'a' }, metadata({ schemaVersion: 1 }));
+
+      // Assert
+      expect(result.error).toBe('No schema version 1 defined for message type: events.test.versioned');
+    });
+
+    it('should stamp the latest version on created messages', () => {
+      // Act
+      const message = createMessage('events', 'test.versioned', { name: 'a', size: 1 });
+
+      // Assert
+      expect(message.metadata).toEqual(expect.objectContaining({ schemaVersion: 2, source: 'system' }));
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for topic pattern matching
+ */
+
+const TopicTrie = require('../../../../src/core/messaging/topicTrie');
+const { validatePattern } = require('../../../../src/core/messaging/topicTrie');
+
+describe('TopicTrie', () => {
+  let trie;
+
+  const matching = (topic) => [...trie.match(topic)].sort();
+
+  beforeEach(() => {
+    trie = new TopicTrie();
+  });
+
+  it('should match * against exactly one segment', () => {
+    // Arrange
+    trie.add('content.*.completed', 'middle');
+    trie.add('workflow.*', 'trailing');
+
+    // Act & Assert
+    expect(matching('content.blog.completed')).toEqual(['middle']);
+    expect(matching('content.completed')).toEqual([]);
+    expect(matching('content.blog.post.completed')).toEqual([]);
+    expect(matching('workflow.started')).toEqual(['trailing']);
+    expect(matching('workflow.state.changed')).toEqual([]);
+  });
+
+  it('should match # against zero or more segments', () => {
+    // Arrange
+    trie.add('#', 'everything');
+    trie.add('workflow.#', 'workflow');
+    trie.add('content.#.completed', 'completed');
+
+    // Act & Assert
+    expect(matching('workflow')).toEqual(['everything', 'workflow']);
+    expect(matching('workflow.state.changed')).toEqual(['everything', 'workflow']);
+    expect(matching('content.completed')).toEqual(['completed', 'everything']);
+    expect(matching('content.blog.post.completed')).toEqual(['completed', 'everything']);
+    expect(matching('agent.heartbeat')).toEqual(['everything']);
+  });
+
+  it('should return a subscriber once even when several of its paths match', () => {
+    // Arrange
+    const subscriber = { name: 'greedy' };
+    trie.add('#.#', subscriber);
+    trie.add('content.#.#.completed', subscriber);
+
+    // Act
+    const matches = trie.match('content.blog.completed');
+
+    // Assert
+    expect(matches.size).toBe(1);
+    expect(matches.has(subscriber)).toBe(true);
+  });
+
+  it('should remove exactly one subscriber and prune empty branches', () => {
+    // Arrange
+    const first = { name: 'first' };
+    const second = { name: 'second' };
+    trie.add('workflow.*', first);
+    trie.add('workflow.*', second);
+
+    // Act
+    const removed = trie.remove('workflow.*', first);
+    const removedAgain = trie.remove('workflow.*', first);
+
+    // Assert
+    expect(removed).toBe(true);
+    expect(removedAgain).toBe(false);
+    expect([...trie.match('workflow.started')]).toEqual([second]);
+
+    trie.remove('workflow.*', second);
+
+    expect(trie.size).toBe(0);
+    expect(trie.root.children.size).toBe(0);
+  });
+
+  it.each([
+    ['', 'must be a non-empty string'],
+    ['workflow..started', 'has an empty segment'],
+    ['workflow.start*', 'Wildcards must be whole segments'],
+    ['content.#blog', 'Wildcards must be whole segments']
+  ])('should reject the pattern %p', (pattern, message) => {
+    // Act & Assert
+    expect(() => validatePattern(pattern)).toThrow(message);
+    expect(() => trie.add(pattern, 'subscriber')).toThrow(message);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for CronExpression
+ */
+
+const CronExpression = require('../../../../src/core/scheduling/cronExpression');
+const { ValidationError } = require('../../../../src/core/error/errors');
+
+describe('CronExpression', () => {
+  it('should find the next matching minute of a step expression', () => {
+    // Arrange
+    const cron = new CronExpression('*/15 * * * *');
+
+    // Act
+    const next = cron.next(new Date('2025-03-10T10:07:30Z'));
+
+    // Assert
+    expect(next.toISOString()).toBe('2025-03-10T10:15:00.000Z');
+  });
+
+  it('should move to the next day when no hour is left', () => {
+    // Arrange
+    const cron = new CronExpression('0 6 * * *');
+
+    // Act
+    const next = cron.next(new Date('2025-03-10T06:00:00Z'));
+
+    // Assert
+    expect(next.toISOString()).toBe('2025-03-11T06:00:00.000Z');
+  });
+
+  it('should accept weekday names and ranges', () => {
+    // Arrange
+    const cron = new CronExpression('30 9 * * mon-fri');
+
+    // Act
+    const next = cron.next(new Date('2025-03-14T10:00:00Z'));
+
+    // Assert
+    expect(next.toISOString()).toBe('2025-03-17T09:30:00.000Z');
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // Arrange
+    const cron = new CronExpression('0 0 1 * sun');
+
+    // Act
+    const next = cron.next(new Date('2025-03-10T00:00:00Z'));
+
+    // Assert
+    expect(next.toISOString()).toBe('2025-03-16T00:00:00.000Z');
+  });
+
+  it('should expand shorthands', () => {
+    // Arrange
+    const weekly = new CronExpression('@weekly');
+    const monthly = new CronExpression('@monthly');
+    const from = new Date('2025-03-12T08:00:00Z');
+
+    // Act & Assert
+    expect(weekly.next(from).toISOString()).toBe('2025-03-16T00:00:00.000Z');
+    expect(monthly.next(from).toISOString()).toBe('2025-04-01T00:00:00.000Z');
+    expect(weekly.toString()).toBe('@weekly');
+  });
+
+  it('should reject invalid expressions with a ValidationError', () => {
+    // Act & Assert
+    expect(() => new CronExpression('0 6 * *')).toThrow(ValidationError);
+    expect(() => new CronExpression('61 * * * *')).toThrow('out of range');
+    expect(() => new CronExpression('0 */0 * * *')).toThrow('Invalid step');
+    expect(() => new CronExpression('0 0 * * funday')).toThrow(expect.objectContaining({ code: 'INVALID_CRON_EXPRESSION' }));
+  });
+
+  it('should throw when the expression never matches', () => {
+    // Arrange
+    const cron = new CronExpression('0 0 30 feb *');
+
+    // Act & Assert
+    expect(() => cron.next(new Date('2025-01-01T00:00:00Z'))).toThrow('never matches');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the Scheduler
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { Scheduler, JobTrigger, JobStatus } = require('../../../../src/core/scheduling/scheduler');
+const JobStore = require('../../../../src/core/scheduling/jobStore');
+const { ValidationError } = require('../../../../src/core/error/errors');
+
+describe('Scheduler', () => {
+  let store;
+  let scheduler;
+
+  beforeEach(() => {
+    // Without connect() the store keeps job state in memory
+    store = new JobStore();
+    scheduler = new Scheduler({ store, instanceId: 'instance-a' });
+  });
+
+  /**
+   * Wait for the runs the scheduler started to finish
+   */
+  const runsFinished = () => Promise.all([...scheduler.running.values()].map(({ done }) => done));
+
+  it('should run a due job once and schedule its next run', async () => {
+    // Arrange
+    const handler = jest.fn().mockResolvedValue();
+    await scheduler.register('content-strategy.trend-refresh', { schedule: '@daily', handler, runImmediately: true });
+
+    // Act
+    await scheduler.tick();
+    await scheduler.tick();
+    await runsFinished();
+
+    // Assert
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const job = await scheduler.getJob('content-strategy.trend-refresh');
+    expect(job).toEqual(expect.objectContaining({ lastStatus: JobStatus.SUCCEEDED, lockedBy: null, running: false }));
+    expect(new Date(job.nextRunAt) > new Date()).toBe(true);
+    expect(job.runs).toEqual([
+      expect.objectContaining({ trigger: JobTrigger.SCHEDULE, status: JobStatus.SUCCEEDED, instanceId: 'instance-a' })
+    ]);
+  });
+
+  it('should run a due job on only one instance', async () => {
+    // Arrange
+    const other = new Scheduler({ store, instanceId: 'instance-b' });
+    const handlerA = jest.fn().mockResolvedValue();
+    const handlerB = jest.fn().mockResolvedValue();
+    await scheduler.register('content-management.freshness-check', { schedule: '@daily', handler: handlerA, runImmediately: true });
+    await other.register('content-management.freshness-check', { schedule: '@daily', handler: handlerB, runImmediately: true });
+
+    // Act
+    await Promise.all([scheduler.tick(), other.tick()]);
+    await runsFinished();
+    await Promise.all([...other.running.values()].map(({ done }) => done));
+
+    // Assert
+    expect(handlerA.mock.calls.length + handlerB.mock.calls.length).toBe(1);
+  });
+
+  it('should record the error and duration of a failed run', async () => {
+    // Arrange
+    await scheduler.register('content-management.status-update', {
+      schedule: '0 * * * *',
+      handler: () => Promise.reject(new Error('Platform API unavailable'))
+    });
+
+    // Act
+    const { run } = await scheduler.trigger('content-management.status-update');
+    await runsFinished();
+
+    // Assert
+    expect(run.status).toBe(JobStatus.RUNNING);
+
+    const runs = await scheduler.getRuns('content-management.status-update');
+    expect(runs).toEqual([expect.objectContaining({
+      trigger: JobTrigger.MANUAL,
+      status: JobStatus.FAILED,
+      error: 'Platform API unavailable',
+      durationMs: expect.any(Number)
+    })]);
+  });
+
+  it('should not trigger a job that is already running', async () => {
+    // Arrange
+    let finish;
+    await scheduler.register('content-strategy.audience-refresh', {
+      schedule: '@weekly',
+      handler: () => new Promise(resolve => {
+        finish = resolve;
+      })
+    });
+    await scheduler.trigger('content-strategy.audience-refresh');
+
+    // Act
+    const result = await scheduler.trigger('content-strategy.audience-refresh');
+
+    // Assert
+    expect(result).toEqual({ running: true });
+    expect((await scheduler.listJobs())[0]).toEqual(expect.objectContaining({ running: true, lockedBy: 'instance-a' }));
+
+    finish();
+    await runsFinished();
+  });
+
+  it('should ask the instance that has a job registered to run it', async () => {
+    // Arrange
+    const cli = new Scheduler({ store, instanceId: 'cli' });
+    const handler = jest.fn().mockResolvedValue();
+    await scheduler.register('content-management.workflow-reminders', { schedule: '@daily', handler });
+
+    // Act
+    const result = await cli.trigger('content-management.workflow-reminders');
+    await scheduler.tick();
+    await runsFinished();
+
+    // Assert
+    expect(result).toEqual({ requested: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect((await scheduler.getRuns('content-management.workflow-reminders'))[0].trigger).toBe(JobTrigger.MANUAL);
+  });
+
+  it('should not run paused jobs until they are resumed', async () => {
+    // Arrange
+    const handler = jest.fn().mockResolvedValue();
+    await scheduler.register('content-strategy.trend-refresh', { schedule: '@daily', handler, runImmediately: true });
+
+    // Act
+    const paused = await scheduler.pause('content-strategy.trend-refresh');
+    await scheduler.tick();
+    const resumed = await scheduler.resume('content-strategy.trend-refresh');
+
+    // Assert
+    expect(paused.paused).toBe(true);
+    expect(handler).not.toHaveBeenCalled();
+    expect(resumed.paused).toBe(false);
+    expect(new Date(resumed.nextRunAt) > new Date()).toBe(true);
+  });
+
+  it('should return null for jobs that do not exist', async () => {
+    // Act & Assert
+    expect(await scheduler.trigger('unknown')).toBeNull();
+    expect(await scheduler.pause('unknown')).toBeNull();
+    expect(await scheduler.resume('unknown')).toBeNull();
+    expect(await scheduler.getJob('unknown')).toBeNull();
+    expect(await scheduler.getRuns('unknown')).toBeNull();
+  });
+
+  it('should reject jobs with an invalid schedule', async () => {
+    // Act & Assert
+    await expect(scheduler.register('broken', { schedule: 'every day', handler: jest.fn() }))
+      .rejects.toThrow(ValidationError);
+    expect(await scheduler.listJobs()).toEqual([]);
+  });
+});
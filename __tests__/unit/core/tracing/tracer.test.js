@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the tracer, trace context and OTLP export
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  Tracer,
+  currentSpan,
+  getTraceContext,
+  parseTraceparent,
+  formatTraceparent
+} = require('../../../../src/core/tracing/tracer');
+const OtlpExporter = require('../../../../src/core/tracing/otlpExporter');
+const logger = require('../../../../src/core/utils/logger');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Tracer', () => {
+  let tracer;
+
+  beforeEach(() => {
+    tracer = new Tracer({ serviceName: 'test', maxTraces: 2 });
+  });
+
+  describe('trace context', () => {
+    it('should follow the current span across awaits', async () => {
+      // Act
+      const [outer, inner] = await tracer.withSpan('outer', {}, async (span) => {
+        await delay(1);
+        const child = await tracer.withSpan('inner', {}, async () => {
+          await delay(1);
+          return currentSpan();
+        });
+        return [span, child];
+      });
+
+      // Assert
+      expect(inner.traceId).toBe(outer.traceId);
+      expect(inner.parentSpanId).toBe(outer.spanId);
+      expect(currentSpan()).toBeNull();
+      expect(getTraceContext()).toBeNull();
+    });
+
+    it('should mark spans as failed when their function throws', async () => {
+      // Act
+      let failed;
+      await expect(tracer.withSpan('failing', {}, (span) => {
+        failed = span;
+        return Promise.reject(new Error('AI provider unavailable'));
+      })).rejects.toThrow('AI provider unavailable');
+
+      // Assert
+      expect(failed.status).toEqual({ code: 'error', message: 'AI provider unavailable' });
+      expect(failed.events[0]).toEqual(expect.objectContaining({ name: 'exception' }));
+    });
+
+    it('should only add child spans inside a trace', () => {
+      // Act
+      const untraced = tracer.withChildSpan('db insert', {}, span => span);
+      const traced = tracer.withSpan('request', {}, () => tracer.withChildSpan('db insert', {}, span => span));
+
+      // Assert
+      expect(untraced).toBeNull();
+      expect(traced).toEqual(expect.objectContaining({ name: 'db insert' }));
+    });
+
+    it('should parse and format W3C traceparent values', () => {
+      // Arrange
+      const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+      // Act
+      const parent = parseTraceparent(traceparent);
+
+      // Assert
+      expect(parent).toEqual({ traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' });
+      expect(formatTraceparent(parent)).toBe(traceparent);
+      expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+      expect(parseTraceparent('not-a-traceparent')).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+    });
+
+    it('should add the IDs of the current trace to the entries of the agents\' logger', () => {
+      // Arrange
+      const agentLogger = require('../../../../src/common/services/logger');
+      const entry = () => agentLogger.format.transform({ level: 'info', message: 'Generating content' });
+
+      // Act
+      const [span, traced] = tracer.withSpan('generate content', {}, active => [active, entry()]);
+      const untraced = entry();
+
+      // Assert
+      expect(traced).toEqual(expect.objectContaining({ traceId: span.traceId, spanId: span.spanId }));
+      expect(untraced).not.toHaveProperty('traceId');
+    });
+  });
+
+  describe('getTrace', () => {
+    it('should reconstruct the timeline of a trace', async () => {
+      // Arrange
+      const remote = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' };
+
+      // Act
+      await tracer.withSpan('GET /api/content', { kind: 'server', parent: remote }, async () => {
+        await delay(2);
+        await tracer.withSpan('ai.generate anthropic', { kind: 'client', attributes: { 'ai.model': 'claude' } }, () => delay(2));
+      });
+      const trace = tracer.getTrace(remote.traceId);
+
+      // Assert
+      expect(trace).toEqual(expect.objectContaining({ traceId: remote.traceId, spanCount: 2, service: 'test' }));
+      expect(trace.spans[0]).toEqual(expect.objectContaining({ name: 'GET /api/content', depth: 0, offsetMs: 0, parentSpanId: remote.spanId }));
+      expect(trace.spans[1]).toEqual(expect.objectContaining({
+        name: 'ai.generate anthropic',
+        depth: 1,
+        attributes: { 'ai.model': 'claude' },
+        status: { code: 'ok' }
+      }));
+      expect(trace.spans[1].offsetMs).toBeGreaterThan(0);
+      expect(trace.durationMs).toBeGreaterThanOrEqual(trace.spans[1].durationMs);
+    });
+
+    it('should forget the oldest traces beyond the limit', () => {
+      // Act
+      const ids = ['first', 'second', 'third'].map(name => tracer.withSpan(name, {}, span => span.traceId));
+
+      // Assert
+      expect(tracer.getTrace(ids[0])).toBeNull();
+      expect(tracer.getTrace(ids[1])).not.toBeNull();
+      expect(tracer.getTrace(ids[2])).not.toBeNull();
+    });
+  });
+
+  describe('OtlpExporter', () => {
+    const originalFetch = global.fetch;
+    let exporter;
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      exporter = new OtlpExporter({ endpoint: 'http://localhost:4318/', serviceName: 'test' });
+      tracer.addExporter(exporter);
+    });
+
+    afterEach(async () => {
+      await exporter.shutdown();
+      global.fetch = originalFetch;
+    });
+
+    it('should send finished spans to the collector as OTLP JSON', async () => {
+      // Arrange
+      const span = tracer.withSpan('publish workflow.completed', { kind: 'producer', attributes: { attempt: 2 } }, current => current);
+
+      // Act
+      await exporter.flush();
+
+      // Assert
+      const [url, request] = global.fetch.mock.calls[0];
+      const body = JSON.parse(request.body);
+      const [exported] = body.resourceSpans[0].scopeSpans[0].spans;
+
+      expect(url).toBe('http://localhost:4318/v1/traces');
+      expect(body.resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'test' } }]);
+      expect(exported).toEqual(expect.objectContaining({
+        traceId: span.traceId,
+        spanId: span.spanId,
+        name: 'publish workflow.completed',
+        kind: 4,
+        attributes: [{ key: 'attempt', value: { intValue: 2 } }],
+        status: { code: 1 }
+      }));
+      expect(BigInt(exported.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(exported.startTimeUnixNano));
+    });
+
+    it('should drop spans and warn once while the collector is unreachable', async () => {
+      // Arrange
+      global.fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      // Act
+      tracer.withSpan('first', {}, () => {});
+      await exporter.flush();
+      tracer.withSpan('second', {}, () => {});
+      await exporter.flush();
+
+      // Assert
+      expect(exporter.queue).toHaveLength(0);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('connect ECONNREFUSED'));
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the BudgetManager
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { BudgetManager, BudgetStatus } = require('../../../../src/core/usage/budgetManager');
+const BudgetStore = require('../../../../src/core/usage/budgetStore');
+const { UsageTracker } = require('../../../../src/core/usage/usageTracker');
+const UsageStore = require('../../../../src/core/usage/usageStore');
+const ModelPricing = require('../../../../src/core/usage/modelPricing');
+const { runWithUsageAttribution } = require('../../../../src/core/usage/usageContext');
+const { RateLimitError, ValidationError } = require('../../../../src/core/error/errors');
+const AIProviderService = require('../../../../src/common/services/ai-provider');
+
+describe('BudgetManager', () => {
+  let tracker;
+  let messageBus;
+  let budgetManager;
+
+  // Spend a number of US dollars on behalf of the given work
+  const spend = (attribution, dollars) => runWithUsageAttribution(attribution, () =>
+    tracker.record({ provider: 'openai', model: 'gpt-4o', inputTokens: dollars * 1000000, outputTokens: 0 }));
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    // Without a PostgreSQL connection budgets and usage are kept in memory
+    tracker = new UsageTracker({
+      store: new UsageStore(),
+      pricing: new ModelPricing({ openai: { 'gpt-4o': { input: 1, output: 1 } } })
+    });
+    messageBus = { publishEvent: jest.fn().mockResolvedValue(true) };
+    budgetManager = new BudgetManager({ store: new BudgetStore(), usageTracker: tracker, messageBus });
+    await budgetManager.init();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should reject calls once a budget is spent for the month', async () => {
+    // Arrange
+    await budgetManager.setBudget('user', 'user-7', { monthlyLimit: 10 }, 'admin@example.com');
+    await spend({ userId: 'user-7' }, 10);
+
+    // Act & Assert
+    const error = await budgetManager.check({ userId: 'user-7' }).catch(checkError => checkError);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.code).toBe('AI_BUDGET_EXCEEDED');
+    expect(error.details).toEqual(expect.objectContaining({ scope: 'user', subject: 'user-7', month: '2025-03', spent: 10 }));
+
+    // Other users and next month are not held back
+    await expect(budgetManager.check({ userId: 'user-8' })).resolves.toEqual({ downgrade: false, budgets: [] });
+    jest.setSystemTime(new Date('2025-04-01T00:00:00.000Z'));
+    await expect(budgetManager.check({ userId: 'user-7' })).resolves.toEqual(expect.objectContaining({ downgrade: false }));
+  });
+
+  it('should downgrade calls of a team once its downgrade share is spent', async () => {
+    // Arrange
+    await budgetManager.setBudget('team', 'Acme', { monthlyLimit: 100, downgradeAt: 0.75 });
+    await spend({ team: 'Acme', userId: 'user-1' }, 70);
+
+    // Act
+    const before = await budgetManager.check({ team: 'Acme' });
+    await spend({ team: 'Acme', userId: 'user-2' }, 10);
+    const after = await budgetManager.check({ team: 'Acme' });
+
+    // Assert
+    expect(before.downgrade).toBe(false);
+    expect(after.downgrade).toBe(true);
+    expect(after.budgets).toEqual([expect.objectContaining({ spent: 80, remaining: 20, percentUsed: 80, status: BudgetStatus.DOWNGRADED })]);
+  });
+
+  it('should publish a warning once a month when a budget runs low', async () => {
+    // Arrange
+    await budgetManager.setBudget('agent', 'content-creation', { monthlyLimit: 50, warnAt: 0.5 });
+    await spend({ agent: 'content-creation' }, 30);
+
+    // Act
+    await budgetManager.check({ agent: 'content-creation' });
+    await budgetManager.check({ agent: 'content-creation' });
+
+    // Assert
+    expect(messageBus.publishEvent).toHaveBeenCalledTimes(1);
+    expect(messageBus.publishEvent).toHaveBeenCalledWith('ai.budget-warning', expect.objectContaining({
+      scope: 'agent',
+      subject: 'content-creation',
+      month: '2025-03',
+      spent: 30,
+      percentUsed: 60,
+      status: BudgetStatus.WARNING
+    }));
+  });
+
+  it('should reject invalid budgets', async () => {
+    // Act & Assert
+    const error = await budgetManager.setBudget('project', 'website', { monthlyLimit: -5 }).catch(setError => setError);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details.errors).toEqual([
+      'scope must be one of: user, team, agent',
+      '"monthlyLimit" must be a positive number'
+    ]);
+    await expect(budgetManager.getBudgets()).resolves.toEqual([]);
+  });
+
+  it('should report the burn-down of each budget over the month', async () => {
+    // Arrange
+    await budgetManager.setBudget('user', 'user-7', { monthlyLimit: 62 });
+    jest.setSystemTime(new Date('2025-03-01T09:00:00.000Z'));
+    await spend({ userId: 'user-7' }, 4);
+    jest.setSystemTime(new Date('2025-03-03T09:00:00.000Z'));
+    await spend({ userId: 'user-7' }, 2);
+
+    // Act
+    const burnDown = await budgetManager.getBurnDown();
+
+    // Assert
+    expect(burnDown.month).toBe('2025-03');
+    expect(burnDown.budgets).toEqual([expect.objectContaining({
+      spent: 6,
+      remaining: 56,
+      projected: 62,
+      status: BudgetStatus.OK,
+      days: [
+        { date: '2025-03-01', spent: 4, remaining: 58 },
+        { date: '2025-03-02', spent: 0, remaining: 58 },
+        { date: '2025-03-03', spent: 2, remaining: 56 }
+      ]
+    })]);
+  });
+
+  it('should make AI calls with the fast model while the budget runs low', async () => {
+    // Arrange
+    const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const aiProvider = new AIProviderService({
+      budgetManager,
+      fastModels: { anthropic: 'claude-3-haiku-20240307' }
+    }, logger);
+    aiProvider.anthropic = {
+      messages: {
+        create: jest.fn().mockResolvedValue({ content: [{ text: 'Draft' }], usage: { input_tokens: 10, output_tokens: 5 } })
+      }
+    };
+    await budgetManager.setBudget('user', 'user-7', { monthlyLimit: 10 });
+    await spend({ userId: 'user-7' }, 9.5);
+
+    // Act
+    await runWithUsageAttribution({ userId: 'user-7' }, () =>
+      aiProvider.generateText({ messages: [{ role: 'user', content: 'Write a post' }] }));
+    await spend({ userId: 'user-7' }, 0.5);
+    const rejected = runWithUsageAttribution({ userId: 'user-7' }, () =>
+      aiProvider.generateText({ messages: [{ role: 'user', content: 'Write another post' }] }));
+
+    // Assert
+    expect(aiProvider.anthropic.messages.create).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-3-haiku-20240307' }));
+    await expect(rejected).rejects.toThrow(RateLimitError);
+    expect(aiProvider.anthropic.messages.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the UsageTracker
+ */
+
+jest.mock('../../../../src/core/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { UsageTracker } = require('../../../../src/core/usage/usageTracker');
+const UsageStore = require('../../../../src/core/usage/usageStore');
+const ModelPricing = require('../../../../src/core/usage/modelPricing');
+const { runWithUsageAttribution } = require('../../../../src/core/usage/usageContext');
+const { aiTokenCounter, aiCostCounter } = require('../../../../src/core/monitoring/metrics');
+
+describe('UsageTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    aiTokenCounter.reset();
+    aiCostCounter.reset();
+
+    // Without connect() the store keeps calls in memory
+    tracker = new UsageTracker({
+      store: new UsageStore(),
+      pricing: new ModelPricing({
+        anthropic: {
+          'claude-3-opus': { input: 15, output: 75 },
+          'claude-3-haiku': { input: 0.25, output: 1.25 }
+        },
+        openai: {
+          'gpt-4o': { input: 2.5, output: 10 },
+          'gpt-4o-mini': { input: 0.15, output: 0.6 }
+        }
+      })
+    });
+  });
+
+  it('should price a call and attribute it to the work it was made for', async () => {
+    // Act
+    const entry = await runWithUsageAttribution({ agent: 'content-creation', userId: 'user-7' }, () =>
+      runWithUsageAttribution({ module: 'blogGenerator', contentId: 'content-42' }, () => tracker.record({
+        provider: 'anthropic',
+        model: 'claude-3-opus-20240229',
+        inputTokens: 2000,
+        outputTokens: 1000
+      })));
+
+    // Assert
+    expect(entry).toEqual(expect.objectContaining({
+      provider: 'anthropic',
+      operation: 'generate',
+      cost: 0.105,
+      agent: 'content-creation',
+      module: 'blogGenerator',
+      contentId: 'content-42',
+      userId: 'user-7',
+      workflowId: null
+    }));
+  });
+
+  it('should use the price of the longest model name a model starts with', () => {
+    // Arrange
+    const { pricing } = tracker;
+
+    // Act & Assert
+    expect(pricing.getPrice('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(pricing.getPrice('openai', 'gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(pricing.getPrice('openai', 'gpt-3.5-turbo')).toBeNull();
+  });
+
+  it('should record calls to models without a price with no cost', async () => {
+    // Act
+    const entry = await tracker.record({ provider: 'openai', model: 'gpt-3.5-turbo', inputTokens: 100, outputTokens: 50 });
+    const { totals } = await tracker.getSummary();
+
+    // Assert
+    expect(entry.cost).toBeNull();
+    expect(totals).toEqual({ calls: 1, inputTokens: 100, outputTokens: 50, cost: 0, unpricedCalls: 1 });
+  });
+
+  it('should sum up the cost of each content item', async () => {
+    // Arrange
+    const record = (contentId, model, inputTokens, outputTokens) => runWithUsageAttribution({ contentId }, () =>
+      tracker.record({ provider: 'openai', model, inputTokens, outputTokens }));
+    await record('content-1', 'gpt-4o', 1000000, 0);
+    await record('content-1', 'gpt-4o-mini', 0, 1000000);
+    await record('content-2', 'gpt-4o', 0, 100000);
+
+    // Act
+    const summary = await tracker.getSummary({ groupBy: 'content' });
+
+    // Assert
+    expect(summary.groups).toEqual([
+      { key: 'content-1', calls: 2, inputTokens: 1000000, outputTokens: 1000000, cost: 3.1, unpricedCalls: 0 },
+      { key: 'content-2', calls: 1, inputTokens: 0, outputTokens: 100000, cost: 1, unpricedCalls: 0 }
+    ]);
+    expect(summary.totals.cost).toBeCloseTo(4.1);
+  });
+
+  it('should count tokens and cost in Prometheus by agent', async () => {
+    // Act
+    await runWithUsageAttribution({ agent: 'optimisation' }, () =>
+      tracker.record({ provider: 'anthropic', model: 'claude-3-haiku', inputTokens: 400000, outputTokens: 80000 }));
+
+    // Assert
+    const tokens = (await aiTokenCounter.get()).values;
+    const cost = (await aiCostCounter.get()).values;
+    expect(tokens).toEqual(expect.arrayContaining([
+      expect.objectContaining({ labels: expect.objectContaining({ agent: 'optimisation', type: 'input' }), value: 400000 }),
+      expect.objectContaining({ labels: expect.objectContaining({ agent: 'optimisation', type: 'output' }), value: 80000 })
+    ]));
+    expect(cost).toEqual([expect.objectContaining({ labels: expect.objectContaining({ model: 'claude-3-haiku' }), value: 0.2 })]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for Tracing Middleware
+ */
+
+const { EventEmitter } = require('events');
+const { traceRequest } = require('../../../src/api/middleware/tracing');
+const { getTracer, currentSpan } = require('../../../src/core/tracing');
+
+describe('Tracing Middleware', () => {
+  let req;
+  let res;
+
+  beforeEach(() => {
+    const headers = {};
+
+    req = {
+      method: 'POST',
+      path: '/workflows/wf-1/start',
+      originalUrl: '/api/workflows/wf-1/start',
+      baseUrl: '/api',
+      headers,
+      get: jest.fn(name => headers[name.toLowerCase()])
+    };
+
+    res = new EventEmitter();
+    res.statusCode = 200;
+    res.writableFinished = false;
+    res.set = jest.fn();
+  });
+
+  it('should run the request in a server span that ends with the response', () => {
+    // Arrange
+    let span;
+
+    // Act
+    traceRequest(req, res, () => {
+      span = currentSpan();
+    });
+    req.route = { path: '/workflows/:workflowId/start' };
+    res.statusCode = 202;
+    res.writableFinished = true;
+    res.emit('finish');
+
+    // Assert
+    expect(res.set).toHaveBeenCalledWith('X-Trace-Id', span.traceId);
+    expect(getTracer().getTrace(span.traceId).spans[0]).toEqual(expect.objectContaining({
+      name: 'POST /api/workflows/:workflowId/start',
+      kind: 'server',
+      status: { code: 'ok' },
+      attributes: expect.objectContaining({
+        'http.route': '/api/workflows/:workflowId/start',
+        'http.status_code': 202
+      })
+    }));
+  });
+
+  it('should continue the trace of a traceparent header', () => {
+    // Arrange
+    req.headers.traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    let span;
+
+    // Act
+    traceRequest(req, res, () => {
+      span = currentSpan();
+    });
+
+    // Assert
+    expect(span.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(span.parentSpanId).toBe('00f067aa0ba902b7');
+  });
+
+  it('should mark requests aborted by the client as failed', () => {
+    // Arrange
+    let span;
+    traceRequest(req, res, () => {
+      span = currentSpan();
+    });
+
+    // Act
+    res.emit('close');
+
+    // Assert
+    expect(span.status).toEqual({ code: 'error', message: 'Request aborted' });
+    expect(span.endTime).not.toBeNull();
+  });
+});
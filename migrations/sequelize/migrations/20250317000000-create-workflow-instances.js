@@ -0,0 +1,75 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // The coordinator's StateManager creates the table itself when it connects first
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('workflow_instances')) {
+      return;
+    }
+
+    // Workflow instances the coordinator recovers on restart
+    await queryInterface.createTable('workflow_instances', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      workflowId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      workflowType: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      currentState: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      history: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      pendingTask: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      startTime: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      updatedTime: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('workflow_instances', ['status'], {
+      name: 'idx_workflow_instance_status'
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('workflow_instances');
+  }
+};
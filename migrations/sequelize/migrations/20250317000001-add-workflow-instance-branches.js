@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Tables the coordinator's StateManager created after this change already have the column
+    const table = await queryInterface.describeTable('workflow_instances');
+
+    if (table.branches) {
+      return;
+    }
+
+    // Branches of the fork state a workflow instance is in
+    await queryInterface.addColumn('workflow_instances', 'branches', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('workflow_instances', 'branches');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // StateManager's sync() creates the column on tables it created since pausing was added
+    const table = await queryInterface.describeTable('workflow_instances');
+
+    if (table.heldResults) {
+      return;
+    }
+
+    // Agent results that arrived while a workflow instance was paused, handled on resume
+    await queryInterface.addColumn('workflow_instances', 'heldResults', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('workflow_instances', 'heldResults');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // The coordinator's StateManager creates the table itself when it connects first
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('workflow_templates')) {
+      return;
+    }
+
+    // User-defined workflow definitions; every save adds a version
+    await queryInterface.createTable('workflow_templates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      templateId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      format: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'json'
+      },
+      source: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      definition: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      createdBy: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdTime: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW')
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('workflow_templates', ['templateId', 'version'], {
+      unique: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('workflow_templates');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Tables StateManager created since templates were stored already have the column
+    const table = await queryInterface.describeTable('workflow_instances');
+
+    if (table.templateVersion) {
+      return;
+    }
+
+    // Version of the stored template a workflow instance was started from
+    await queryInterface.addColumn('workflow_instances', 'templateVersion', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('workflow_instances', 'templateVersion');
+  }
+};
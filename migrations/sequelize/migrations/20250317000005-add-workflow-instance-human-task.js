@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Skip tables StateManager created with the column since human tasks were added
+    const table = await queryInterface.describeTable('workflow_instances');
+
+    if (table.humanTask) {
+      return;
+    }
+
+    // Human task a workflow instance waits on for a decision
+    await queryInterface.addColumn('workflow_instances', 'humanTask', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('workflow_instances', 'humanTask');
+  }
+};
@@ -10,17 +10,36 @@
  * - API key management
  * - Request retry logic
  * - Error handling
+ * - Token usage and cost accounting of each call
+ * - Monthly spend budgets, with the fast model used while a budget runs low
+ * - Local and replay backends, selected per environment, for development and tests
  */
 
 const axios = require('axios');
 const NodeCache = require('node-cache');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const ConfigService = require('./ConfigService');
+const appConfig = require('../src/config');
 const logger = require('./LoggerService');
+const { getTracer } = require('../src/core/tracing');
+const { getInstance: getUsageTracker } = require('../src/core/usage/usageTracker');
+const { getInstance: getBudgetManager } = require('../src/core/usage/budgetManager');
+const { getUsageAttribution } = require('../src/core/usage/usageContext');
+
+// Where AI calls go: the providers of config/external-services.json, an OpenAI-compatible
+// local server, or responses recorded earlier
+const AIBackend = {
+  LIVE: 'live',
+  LOCAL: 'local',
+  REPLAY: 'replay'
+};
 
 class AIProviderService {
   constructor() {
     this.config = ConfigService.getConfig('external-services').ai;
+    this.backend = appConfig.aiBackend || { mode: AIBackend.LIVE };
     this.logger = logger.createLogger('ai-provider');
     this.providers = {};
     
@@ -94,16 +113,78 @@ class AIProviderService {
     return crypto.createHash('sha256').update(dataToHash).digest('hex');
   }
 
+  /**
+   * Run a provider call as a span of the current trace
+   * Cached results are returned without a call, so they get no span.
+   * @private
+   * @param {string} operation - Operation type (generate, embeddings)
+   * @param {string} providerName - AI provider name
+   * @param {string} modelName - Model name
+   * @param {Function} call - Makes the provider call
+   * @returns {Promise<*>} - Result of the call
+   */
+  _traceCall(operation, providerName, modelName, call) {
+    return getTracer().withChildSpan(`ai.${operation} ${providerName}`, {
+      kind: 'client',
+      attributes: {
+        'ai.provider': providerName,
+        'ai.model': modelName,
+        'ai.operation': operation
+      }
+    }, call);
+  }
+
+  /**
+   * Record the tokens a provider call used
+   * Cached results make no call, so they use no tokens.
+   * @private
+   * @param {string} providerName - AI provider name
+   * @param {Object} usage - operation, model, inputTokens and outputTokens of the call
+   */
+  _recordUsage(providerName, usage) {
+    getUsageTracker()
+      .then(tracker => tracker.record({ provider: providerName, ...usage }))
+      .catch(error => this.logger.error(`Failed to record ${providerName} usage: ${error.message}`));
+  }
+
+  /**
+   * Check the spend budgets of a call and pick its model
+   * Calls to the provider's default model use its fast model while a budget runs low.
+   * @private
+   * @param {string} providerName - AI provider name
+   * @param {string} modelName - Requested model name
+   * @returns {Promise<string>} - Model to call
+   * @throws {RateLimitError} - If a budget of the call is spent
+   */
+  async _budgetedModel(providerName, modelName) {
+    // Local and recorded responses cost nothing
+    if (this.backend.mode !== AIBackend.LIVE) {
+      return modelName;
+    }
+    
+    const budgetManager = await getBudgetManager();
+    const { downgrade } = await budgetManager.check(getUsageAttribution());
+    const models = this.config.providers[providerName].models;
+    
+    if (downgrade && models.fast && modelName === models.default) {
+      this.logger.info(`AI budget running low, using ${providerName} model ${models.fast} instead of ${modelName}`);
+      return models.fast;
+    }
+    
+    return modelName;
+  }
+
   /**
    * Generate text with AI model
    * @param {string} prompt - Prompt for the AI
    * @param {Object} options - Generation options
    * @returns {Promise<string>} - Generated text
+   * @throws {RateLimitError} - If a spend budget of the work the call is made for is spent
    */
   async generateText(prompt, options = {}) {
     try {
       const providerName = options.provider || this.config.taskRouting.default;
-      const modelName = options.model || this.config.providers[providerName].models.default;
+      const requestedModel = options.model || this.config.providers[providerName].models.default;
       
       // Update request metrics
       this.metrics.totalRequests++;
@@ -111,7 +192,7 @@ class AIProviderService {
       // Skip cache if explicitly disabled in options
       if (options.skipCache !== true && options.temperature !== 0) {
         // Check if result is in cache (only cache if temperature > 0 for deterministic results)
-        const cacheKey = this._generateCacheKey(providerName, 'text', prompt, modelName, options);
+        const cacheKey = this._generateCacheKey(providerName, 'text', prompt, requestedModel, options);
         const cachedResult = this.responseCache.get(cacheKey);
         
         if (cachedResult) {
@@ -124,6 +205,9 @@ class AIProviderService {
         this.logger.debug(`Cache miss for ${providerName} text generation`);
       }
       
+      // Cached responses cost nothing, so the budgets are only checked for calls to the provider
+      const modelName = await this._budgetedModel(providerName, requestedModel);
+      
       this.logger.info(`Generating text with ${providerName} model: ${modelName}`);
       
       // Check if provider is available
@@ -136,7 +220,7 @@ class AIProviderService {
       
       // Generate text
       const startTime = process.hrtime.bigint();
-      const result = await provider.generateText(prompt, modelName, options);
+      const result = await this._traceCall('generate', providerName, modelName, () => provider.generateText(prompt, modelName, options));
       const endTime = process.hrtime.bigint();
       
       // Calculate execution time in milliseconds
@@ -200,7 +284,7 @@ class AIProviderService {
       
       // Generate embeddings
       const startTime = process.hrtime.bigint();
-      const result = await provider.generateEmbeddings(text, modelName, options);
+      const result = await this._traceCall('embeddings', providerName, modelName, () => provider.generateEmbeddings(text, modelName, options));
       const endTime = process.hrtime.bigint();
       
       // Calculate execution time in milliseconds
@@ -459,7 +543,8 @@ class AIProviderService {
       // Initialize Anthropic provider
       if (this.config.providers.anthropic && this.config.providers.anthropic.enabled) {
         this.providers.anthropic = new AnthropicProvider(
-          this.config.providers.anthropic
+          this.config.providers.anthropic,
+          usage => this._recordUsage('anthropic', usage)
         );
         this.logger.info('Initialized Anthropic provider');
       }
@@ -467,23 +552,73 @@ class AIProviderService {
       // Initialize OpenAI provider
       if (this.config.providers.openai && this.config.providers.openai.enabled) {
         this.providers.openai = new OpenAIProvider(
-          this.config.providers.openai
+          this.config.providers.openai,
+          usage => this._recordUsage('openai', usage)
         );
         this.logger.info('Initialized OpenAI provider');
       }
+      
+      this._initializeBackend();
     } catch (error) {
       this.logger.error(`Failed to initialize AI providers: ${error.message}`, error);
       throw error;
     }
   }
+
+  /**
+   * Stand the local or replay backend in for each enabled provider
+   * Callers keep naming the providers of config/external-services.json, so the backend
+   * of an environment is chosen in its src/config/environments file alone.
+   * @private
+   */
+  _initializeBackend() {
+    const { mode } = this.backend;
+    
+    if (mode === AIBackend.LIVE) {
+      return;
+    }
+    
+    if (mode !== AIBackend.LOCAL && mode !== AIBackend.REPLAY) {
+      this.logger.warn(`Unknown AI backend ${mode}, calling the AI providers`);
+      return;
+    }
+    
+    for (const [providerName, providerConfig] of Object.entries(this.config.providers)) {
+      if (!providerConfig.enabled) {
+        continue;
+      }
+      
+      this.providers[providerName] = mode === AIBackend.LOCAL
+        ? new LocalProvider(
+          // The provider's generation and retry options, but never its API key
+          { ...providerConfig, ...this.backend.local, apiKey: this.backend.local.apiKey },
+          usage => this._recordUsage('local', usage)
+        )
+        : new ReplayProvider(
+          providerName,
+          this.backend.replay,
+          this._generateCacheKey.bind(this),
+          this.providers[providerName]
+        );
+    }
+    
+    this.logger.info(mode === AIBackend.LOCAL
+      ? `AI calls go to the local server at ${this.backend.local.baseURL}`
+      : `AI calls are served from the recorded responses in ${this.backend.replay.fixturesDir}`);
+  }
 }
 
 /**
  * Anthropic provider implementation
  */
 class AnthropicProvider {
-  constructor(config) {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {Function} [onUsage] - Called with the tokens used by each call
+   */
+  constructor(config, onUsage = () => {}) {
     this.config = config;
+    this.onUsage = onUsage;
     this.apiKey = config.apiKey;
     this.client = axios.create({
       baseURL: 'https://api.anthropic.com',
@@ -507,22 +642,38 @@ class AnthropicProvider {
       // Create request
       const request = {
         model,
-        prompt: `Human: ${prompt}\n\nAssistant:`,
-        max_tokens_to_sample: options.maxTokens || this.config.options.maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: options.maxTokens || this.config.options.maxTokens,
         temperature: options.temperature !== undefined ? options.temperature : this.config.options.temperature,
         top_p: options.topP !== undefined ? options.topP : this.config.options.topP,
         stream: false
       };
       
+      if (options.systemPrompt) {
+        request.system = options.systemPrompt;
+      }
+      
       // Send request with retry logic
       const response = await this._retryRequest(() => 
-        this.client.post('/v1/complete', request, {
+        this.client.post('/v1/messages', request, {
           timeout: this.config.options.timeout || 60000
         })
       );
       
-      // Return completion
-      return response.data.completion.trim();
+      const usage = response.data.usage || {};
+      this.onUsage({
+        operation: 'generate',
+        model: response.data.model || model,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      });
+      
+      // Return the text blocks of the message
+      return response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
     } catch (error) {
       logger.createLogger('anthropic').error(`Text generation failed: ${error.message}`, error);
       throw new Error(`Anthropic text generation failed: ${error.message}`);
@@ -587,8 +738,14 @@ class AnthropicProvider {
  * OpenAI provider implementation
  */
 class OpenAIProvider {
-  constructor(config) {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {Function} [onUsage] - Called with the tokens used by each call
+   */
+  constructor(config, onUsage = () => {}) {
     this.config = config;
+    this.onUsage = onUsage;
+    this.name = 'openai';
     this.apiKey = config.apiKey;
     this.client = axios.create({
       baseURL: 'https://api.openai.com/v1',
@@ -628,11 +785,20 @@ class OpenAIProvider {
         })
       );
       
+      // Some OpenAI-compatible servers report no usage
+      const usage = response.data.usage || {};
+      this.onUsage({
+        operation: 'generate',
+        model: response.data.model || model,
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      });
+      
       // Return completion
       return response.data.choices[0].message.content.trim();
     } catch (error) {
-      logger.createLogger('openai').error(`Text generation failed: ${error.message}`, error);
-      throw new Error(`OpenAI text generation failed: ${error.message}`);
+      logger.createLogger(this.name).error(`Text generation failed: ${error.message}`, error);
+      throw new Error(`${this.name} text generation failed: ${error.message}`);
     }
   }
 
@@ -658,11 +824,18 @@ class OpenAIProvider {
         })
       );
       
+      this.onUsage({
+        operation: 'embeddings',
+        model: response.data.model || model,
+        inputTokens: (response.data.usage || {}).prompt_tokens || 0,
+        outputTokens: 0
+      });
+      
       // Return embeddings
       return response.data.data[0].embedding;
     } catch (error) {
-      logger.createLogger('openai').error(`Embedding generation failed: ${error.message}`, error);
-      throw new Error(`OpenAI embedding generation failed: ${error.message}`);
+      logger.createLogger(this.name).error(`Embedding generation failed: ${error.message}`, error);
+      throw new Error(`${this.name} embedding generation failed: ${error.message}`);
     }
   }
 
@@ -695,7 +868,7 @@ class OpenAIProvider {
           this.config.options.retryStrategy.maxDelay
         );
         
-        logger.createLogger('openai').warn(`Retrying request after ${delay}ms (attempt ${attempt}/${maxRetries})`);
+        logger.createLogger(this.name).warn(`Retrying request after ${delay}ms (attempt ${attempt}/${maxRetries})`);
         
         // Wait for delay
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -720,6 +893,133 @@ class OpenAIProvider {
   }
 }
 
+/**
+ * Provider for OpenAI-compatible local servers, such as Ollama or llama.cpp
+ * Calls use the model loaded in the server rather than the one requested, so local
+ * development needs no API keys.
+ */
+class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseURL - Base URL of the server's OpenAI-compatible API
+   * @param {string} [config.model] - Model for text generation; the requested one if omitted
+   * @param {string} [config.embeddingsModel] - Model for embeddings; the requested one if omitted
+   * @param {string} [config.apiKey] - API key, if the server asks for one
+   * @param {Object} config.options - Generation and retry options
+   * @param {Function} [onUsage] - Called with the tokens used by each call
+   */
+  constructor(config, onUsage) {
+    super(config, onUsage);
+    this.name = 'local';
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+      }
+    });
+  }
+
+  generateText(prompt, model, options = {}) {
+    return super.generateText(prompt, this.config.model || model, options);
+  }
+
+  generateEmbeddings(text, model, options = {}) {
+    return super.generateEmbeddings(text, this.config.embeddingsModel || model, options);
+  }
+}
+
+/**
+ * Provider that serves recorded responses instead of calling a model
+ * Each response is a JSON fixture named by the hash the response cache keys calls
+ * with, so a call gets what was recorded for the same provider, prompt, model and
+ * options. In record mode calls without a fixture go to the live provider and their
+ * responses are recorded.
+ */
+class ReplayProvider {
+  /**
+   * @param {string} providerName - Provider whose calls are replayed
+   * @param {Object} config - Replay configuration
+   * @param {string} config.fixturesDir - Directory of the recorded responses
+   * @param {boolean} [config.record] - Record the responses of calls without a fixture
+   * @param {Function} generateKey - Key of a call, see AIProviderService._generateCacheKey
+   * @param {Object} [liveProvider] - Provider calls are recorded from
+   */
+  constructor(providerName, config, generateKey, liveProvider = null) {
+    this.providerName = providerName;
+    this.fixturesDir = path.resolve(config.fixturesDir);
+    this.record = config.record === true;
+    this.generateKey = generateKey;
+    this.liveProvider = liveProvider;
+  }
+
+  /**
+   * Replay the generated text of a call
+   * @param {string} prompt - Prompt for the AI
+   * @param {string} model - Model name
+   * @param {Object} options - Generation options
+   * @returns {Promise<string>} - Recorded text
+   */
+  generateText(prompt, model, options = {}) {
+    return this._replay('text', prompt, model, options, () => this.liveProvider.generateText(prompt, model, options));
+  }
+
+  /**
+   * Replay the embeddings of a call
+   * @param {string} text - Text to embed
+   * @param {string} model - Model name
+   * @param {Object} options - Embedding options
+   * @returns {Promise<Array>} - Recorded embeddings
+   */
+  generateEmbeddings(text, model, options = {}) {
+    return this._replay('embeddings', text, model, options, () => this.liveProvider.generateEmbeddings(text, model, options));
+  }
+
+  /**
+   * Get the recorded response of a call, recording it first in record mode
+   * @private
+   * @param {string} operation - Operation type (text, embeddings), as in the cache key
+   * @param {string} prompt - Prompt or text of the call
+   * @param {string} model - Model name
+   * @param {Object} options - Options of the call
+   * @param {Function} callLive - Makes the call with the live provider
+   * @returns {Promise<*>} - Response
+   */
+  async _replay(operation, prompt, model, options, callLive) {
+    const key = this.generateKey(this.providerName, operation, prompt, model, options);
+    const file = path.join(this.fixturesDir, `${key}.json`);
+    
+    try {
+      const fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unreadable AI response fixture ${file}: ${error.message}`);
+      }
+    }
+    
+    if (!this.record || !this.liveProvider) {
+      throw new Error(`No recorded ${this.providerName} ${operation} response for ${model} (${key}); record one with AI_REPLAY_RECORD=true`);
+    }
+    
+    const response = await callLive();
+    
+    // The prompt is kept alongside the response to make fixtures reviewable
+    await fs.promises.mkdir(this.fixturesDir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+      provider: this.providerName,
+      operation,
+      model,
+      prompt,
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+    
+    logger.createLogger('ai-replay').info(`Recorded ${this.providerName} ${operation} response ${key}`);
+    return response;
+  }
+}
+
 // Singleton instance
 const instance = new AIProviderService();
 
@@ -12,6 +12,7 @@
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
+const { traceLogFormat } = require('../src/core/tracing');
 require('dotenv').config();
 
 // Create logs directory if it doesn't exist
@@ -28,6 +29,7 @@ if (!fs.existsSync(agentLogsDir)) {
 
 // Configure Winston format
 const logFormat = winston.format.combine(
+  traceLogFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
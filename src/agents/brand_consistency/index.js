@@ -15,15 +15,13 @@ class BrandConsistencyAgent extends BaseAgent {
     await super.initialize();
     
     // Subscribe to relevant events from other agents
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_creation.content_created',
+    await this.subscribeToAgentEvent(
+      'content-creation.content.created',
       this.handleContentCreatedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_creation.content_edited',
+    await this.subscribeToAgentEvent(
+      'content-creation.content.edited',
       this.handleContentEditedEvent.bind(this)
     );
   }
@@ -5,6 +5,31 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// JSON schema of the AI analysis of content against the brand guidelines
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', minimum: 1, maximum: 10 },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['voice_misalignment', 'terminology_issue', 'messaging_inconsistency', 'tone_issue'] },
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          description: { type: 'string' },
+          recommendation: { type: 'string' },
+          location: { type: 'string' },
+          autoCorrectible: { type: 'boolean', default: false }
+        },
+        required: ['type', 'severity', 'description', 'recommendation', 'location']
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['score', 'issues', 'summary']
+};
+
 class ConsistencyChecker extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
@@ -260,60 +285,24 @@ ${Object.entries(brandGuidelines).map(([type, content]) => `${type}: ${content}`
 
 Please provide:
 1. A brand consistency score from 1-10 (where 10 is perfectly aligned with brand guidelines)
-2. Specific issues where the content doesn't align with the brand guidelines
-3. For each issue, indicate the severity (high, medium, or low)
-
-Format your response as JSON with the following structure:
-{
-  "score": [1-10 score],
-  "issues": [
-    {
-      "type": "voice_misalignment|terminology_issue|messaging_inconsistency|tone_issue",
-      "severity": "high|medium|low",
-      "description": "[detailed description of the issue]",
-      "recommendation": "[how to fix it]",
-      "location": "[where in the content the issue appears]",
-      "autoCorrectible": false
-    },
-    ...
-  ],
-  "summary": "[brief summary of findings]"
-}
+2. Specific issues where the content doesn't align with the brand guidelines, each with its
+   type, severity (high, medium, or low), a detailed description, how to fix it and where in
+   the content it appears
+3. A brief summary of findings
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
+      const analysis = await this.aiProvider.generateStructured([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ], ANALYSIS_SCHEMA, {
         provider: this.config.ai_model.provider,
         model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+        name: 'brand_consistency_analysis',
         temperature: 0.3,
         max_tokens: 2500
       });
       
-      // Parse JSON response
-      let analysis;
-      try {
-        // Try to parse the response as JSON
-        analysis = JSON.parse(response);
-      } catch (parseError) {
-        // If that fails, try to extract JSON from the response
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            analysis = JSON.parse(jsonMatch[0]);
-          } catch (nestedError) {
-            // If JSON parsing fails, create a structured object manually
-            analysis = this._extractAnalysisFromText(response);
-          }
-        } else {
-          // If no JSON-like structure is found, extract analysis manually
-          analysis = this._extractAnalysisFromText(response);
-        }
-      }
-      
       this.logger.info('AI consistency check completed', { 
         score: analysis.score,
         issueCount: analysis.issues.length
@@ -332,103 +321,6 @@ Format your response as JSON with the following structure:
     }
   }
   
-  /**
-   * Extract analysis from text when JSON parsing fails
-   * @private
-   */
-  _extractAnalysisFromText(text) {
-    // Default analysis structure
-    const analysis = {
-      score: 7.5, // Default to moderately good score
-      issues: [],
-      summary: 'Extracted from text due to JSON parsing failure.'
-    };
-    
-    // Try to extract score
-    const scoreMatch = text.match(/score:?\s*(\d+(?:\.\d+)?)/i);
-    if (scoreMatch) {
-      analysis.score = parseFloat(scoreMatch[1]);
-    }
-    
-    // Try to extract summary
-    const summaryMatch = text.match(/summary:?\s*([^\n]+(?:\n[^#]+)*)/i);
-    if (summaryMatch) {
-      analysis.summary = summaryMatch[1].trim();
-    }
-    
-    // Try to extract issues
-    const issueTypes = ['voice_misalignment', 'terminology_issue', 'messaging_inconsistency', 'tone_issue'];
-    const severityLevels = ['high', 'medium', 'low'];
-    
-    // Look for severity indicators
-    for (const severity of severityLevels) {
-      const severityRegex = new RegExp(`${severity}:?\\s*([^\\n]+(?:\\n[^\\n]+)*)`, 'gi');
-      let match;
-      
-      while ((match = severityRegex.exec(text)) !== null) {
-        const issueContent = match[1].trim();
-        
-        // Determine issue type
-        let type = 'general_issue';
-        for (const issueType of issueTypes) {
-          if (issueContent.toLowerCase().includes(issueType.replace('_', ' '))) {
-            type = issueType;
-            break;
-          }
-        }
-        
-        analysis.issues.push({
-          type,
-          severity,
-          description: issueContent,
-          recommendation: 'Review and adjust to align with brand guidelines.',
-          location: 'Unspecified',
-          autoCorrectible: false
-        });
-      }
-    }
-    
-    // If no issues found using severity, look for numbered issues
-    if (analysis.issues.length === 0) {
-      const issueRegex = /\d+\.\s+([^\n]+(?:\n[^\d][^\n]+)*)/g;
-      let match;
-      
-      while ((match = issueRegex.exec(text)) !== null) {
-        const issueContent = match[1].trim();
-        
-        // Determine severity from content
-        let severity = 'medium';
-        if (issueContent.toLowerCase().includes('critical') || 
-            issueContent.toLowerCase().includes('severe')) {
-          severity = 'high';
-        } else if (issueContent.toLowerCase().includes('minor') || 
-                  issueContent.toLowerCase().includes('slight')) {
-          severity = 'low';
-        }
-        
-        // Determine issue type
-        let type = 'general_issue';
-        for (const issueType of issueTypes) {
-          if (issueContent.toLowerCase().includes(issueType.replace('_', ' '))) {
-            type = issueType;
-            break;
-          }
-        }
-        
-        analysis.issues.push({
-          type,
-          severity,
-          description: issueContent,
-          recommendation: 'Review and adjust to align with brand guidelines.',
-          location: 'Unspecified',
-          autoCorrectible: false
-        });
-      }
-    }
-    
-    return analysis;
-  }
-  
   /**
    * Get default brand patterns for pattern matching
    * @private
@@ -4,6 +4,7 @@
  */
 
 const BaseAgent = require('../../common/models/base-agent');
+const { runWithUsageAttribution } = require('../../core/usage/usageContext');
 
 class ContentCreationAgent extends BaseAgent {
   constructor(config) {
@@ -15,27 +16,23 @@ class ContentCreationAgent extends BaseAgent {
     await super.initialize();
     
     // Subscribe to relevant events from other agents
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_strategy.brief_created',
+    await this.subscribeToAgentEvent(
+      'content-strategy.brief.created',
       this.handleBriefCreatedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_strategy.brief_updated',
+    await this.subscribeToAgentEvent(
+      'content-strategy.brief.updated',
       this.handleBriefUpdatedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'optimisation.seo_recommendations',
+    await this.subscribeToAgentEvent(
+      'optimisation.seo.recommendations',
       this.handleSeoRecommendationsEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'brand_consistency.review_completed',
+    await this.subscribeToAgentEvent(
+      'brand-consistency.review.completed',
       this.handleBrandReviewCompletedEvent.bind(this)
     );
   }
@@ -91,11 +88,13 @@ class ContentCreationAgent extends BaseAgent {
       throw new Error(`No generator available for content type: ${contentType}`);
     }
     
-    // Generate content
-    const content = await generator.generate(brief);
+    // Generate content; its ID is chosen up front so the AI usage is accounted to it
+    const contentId = this.storage.ObjectId();
+    const content = await runWithUsageAttribution({ contentId }, () => generator.generate(brief));
     
     // Store the generated content
     const contentItem = {
+      _id: contentId,
       brief_id: briefId ? this.storage.ObjectId(briefId) : null,
       type: contentType,
       content,
@@ -245,14 +244,16 @@ class ContentCreationAgent extends BaseAgent {
         continue;
       }
       
-      // Generate content for this type
-      const content = await generator.generate({
+      // Generate content for this type, accounting its AI usage to the content
+      const contentId = this.storage.ObjectId();
+      const content = await runWithUsageAttribution({ contentId }, () => generator.generate({
         ...campaign,
         type
-      });
+      }));
       
       // Store the generated content
       const contentItem = {
+        _id: contentId,
         campaign_id: this.storage.ObjectId(campaignId),
         type,
         content,
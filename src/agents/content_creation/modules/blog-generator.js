@@ -5,6 +5,9 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// Headings of the title and main sections of a post, which is written in Markdown
+const SECTION_HEADING = /^#{1,2}\s+(.+)$/;
+
 class BlogGenerator extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
@@ -66,9 +69,13 @@ class BlogGenerator extends BaseModule {
   /**
    * Generate a blog post based on a content brief
    * @param {Object} brief - Content brief with topic, keywords, and other metadata
+   * @param {Object} [stream] - Receiver of the post as it is written
+   * @param {Function} stream.onText - Called with each piece of text as it arrives
+   * @param {Function} [stream.onSection] - Called as each section of the post starts
+   * @param {AbortSignal} [stream.signal] - Stops the generation
    * @returns {Object} Generated blog post content
    */
-  async generate(brief) {
+  async generate(brief, stream) {
     this.logger.info('Generating blog post', { topic: brief.topic });
     
     // Extract necessary information from brief
@@ -114,7 +121,9 @@ Include a suggested meta description for SEO purposes.
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7,
-        max_tokens: 3000
+        max_tokens: 3000,
+        onText: this.streamSections(stream, SECTION_HEADING),
+        signal: stream && stream.signal
       });
       
       // Parse response to extract meta description and content
@@ -5,6 +5,41 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// JSON schema of generated headlines, calls-to-action and variations
+const HEADLINES_SCHEMA = {
+  type: 'object',
+  properties: {
+    headlines: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: 1
+    }
+  },
+  required: ['headlines']
+};
+
+// JSON schema of the effectiveness of tested headlines
+const EFFECTIVENESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          // Number of the headline in the list it was given in, from 1
+          index: { type: 'integer', minimum: 1 },
+          score: { type: 'number', minimum: 1, maximum: 10 },
+          explanation: { type: 'string' },
+          suggestion: { type: 'string' }
+        },
+        required: ['index', 'score', 'explanation', 'suggestion']
+      }
+    }
+  },
+  required: ['results']
+};
+
 class HeadlineGenerator extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
@@ -95,24 +130,15 @@ The headlines should:
 5. Include the topic naturally
 ${headlineType === 'cta' ? '6. Use action verbs and create urgency' : ''}
 
-Format your response as a numbered list of headlines only.
+Give the text of each headline only, without numbering or quotes.
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
-        provider: this.config.ai_model.provider,
-        model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+      const headlines = await this._generateHeadlineList(systemPrompt, userPrompt, count, {
         temperature: 0.8,
         max_tokens: 1000
       });
       
-      // Parse response to extract headlines
-      const headlines = this._parseHeadlineResponse(response, count);
-      
       return headlines.map(headline => ({
         text: headline,
         type: headlineType,
@@ -153,24 +179,15 @@ The CTAs should:
 4. Be specific and clear about the next step
 5. Align with Landing Pad Digital's AI website builder offering
 
-Format your response as a numbered list of CTA texts only.
+Give the text of each CTA only, without numbering or quotes.
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
-        provider: this.config.ai_model.provider,
-        model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+      const ctas = await this._generateHeadlineList(systemPrompt, userPrompt, count, {
         temperature: 0.7,
         max_tokens: 500
       });
       
-      // Parse response to extract CTAs
-      const ctas = this._parseHeadlineResponse(response, count);
-      
       return ctas.map(cta => ({
         text: cta,
         type: 'cta',
@@ -212,24 +229,15 @@ The variations should:
 3. Be of similar length
 4. Stay true to the brand voice
 
-Format your response as a numbered list of headline variations only.
+Give the text of each variation only, without numbering or quotes.
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
-        provider: this.config.ai_model.provider,
-        model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+      const variations = await this._generateHeadlineList(systemPrompt, userPrompt, count, {
         temperature: 0.7,
         max_tokens: 500
       });
       
-      // Parse response to extract variations
-      const variations = this._parseHeadlineResponse(response, count);
-      
       return variations.map(variation => ({
         original: originalHeadline,
         variation,
@@ -268,49 +276,28 @@ Evaluate the following headlines for their effectiveness:
 ${headlines.map((h, i) => `${i + 1}. "${h}"`).join('\n')}
 
 For each headline, provide:
-1. Overall score (1-10)
-2. Brief explanation (1-2 sentences)
-3. One suggestion for improvement
-
-Format your response as JSON with the headline text as the key and an object with score, explanation, and suggestion as the value.
+1. The number of the headline in the list above
+2. Overall score (1-10)
+3. Brief explanation (1-2 sentences)
+4. One suggestion for improvement
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
+      const { results } = await this.aiProvider.generateStructured([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ], EFFECTIVENESS_SCHEMA, {
         provider: this.config.ai_model.provider,
         model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+        name: 'headline_effectiveness',
         temperature: 0.4,
         max_tokens: 1500
       });
       
-      // Parse JSON response
-      let results;
-      try {
-        // Try to parse the response as JSON
-        results = JSON.parse(response);
-      } catch (parseError) {
-        // If that fails, try to extract JSON from the response
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            results = JSON.parse(jsonMatch[0]);
-          } catch (nestedError) {
-            // If JSON parsing fails, create a structured object manually
-            results = this._extractHeadlineResults(response, headlines);
-          }
-        } else {
-          // If no JSON-like structure is found, extract results manually
-          results = this._extractHeadlineResults(response, headlines);
-        }
-      }
-      
-      // Convert to array format
-      return headlines.map(headline => {
-        const result = results[headline] || {
+      // Convert to array format, in the order the headlines were given; results are
+      // matched by number, as models reword or requote the headlines
+      return headlines.map((headline, index) => {
+        const result = results.find(entry => entry.index === index + 1) || {
           score: 5,
           explanation: 'No analysis available',
           suggestion: 'Consider revising for clarity and impact'
@@ -330,86 +317,24 @@ Format your response as JSON with the headline text as the key and an object wit
   }
   
   /**
-   * Parse headline response from AI
-   * @private
-   */
-  _parseHeadlineResponse(response, count) {
-    // Extract headlines from numbered list
-    const headlineRegex = /\d+\.\s+(.+?)(?=\n\d+\.|\n*$)/g;
-    const headlines = [];
-    let match;
-    
-    while ((match = headlineRegex.exec(response)) !== null && headlines.length < count) {
-      const headline = match[1].trim();
-      // Remove quotes if present
-      const cleanHeadline = headline.replace(/^["']|["']$/g, '');
-      headlines.push(cleanHeadline);
-    }
-    
-    // If regex failed to extract, use a simpler approach
-    if (headlines.length === 0) {
-      const lines = response.split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0);
-      
-      for (const line of lines) {
-        // Remove numbering and quotes
-        const cleanLine = line
-          .replace(/^\d+\.\s+/, '')
-          .replace(/^["']|["']$/g, '')
-          .trim();
-        
-        if (cleanLine.length > 0) {
-          headlines.push(cleanLine);
-          if (headlines.length >= count) break;
-        }
-      }
-    }
-    
-    // Use templates as fallback if no headlines were extracted
-    if (headlines.length === 0) {
-      const templates = this.headlineTemplates.blog || [
-        'How to Build a Website with AI',
-        'The Ultimate Guide to Website Creation',
-        'Create Your Professional Website in Minutes'
-      ];
-      
-      return templates.slice(0, count);
-    }
-    
-    return headlines;
-  }
-  
-  /**
-   * Extract headline results when JSON parsing fails
+   * Generate a list of headlines, calls-to-action or variations
    * @private
    */
-  _extractHeadlineResults(response, headlines) {
-    const results = {};
-    
-    for (const headline of headlines) {
-      const headlinePattern = headline.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape regex special chars
-      const headlineRegex = new RegExp(`"${headlinePattern}"[\\s\\S]*?score:?\\s*(\\d+)[\\s\\S]*?explanation:?\\s*([^\\n]+(?:\\n[^\\n]+)*?)[\\s\\S]*?suggestion:?\\s*([^\\n]+)`, 'i');
-      
-      const match = response.match(headlineRegex);
-      
-      if (match) {
-        results[headline] = {
-          score: parseInt(match[1], 10),
-          explanation: match[2].trim(),
-          suggestion: match[3].trim()
-        };
-      } else {
-        // Default values if no match found
-        results[headline] = {
-          score: 5,
-          explanation: 'No analysis available',
-          suggestion: 'Consider revising for clarity and impact'
-        };
-      }
-    }
+  async _generateHeadlineList(systemPrompt, userPrompt, count, options) {
+    const { headlines } = await this.aiProvider.generateStructured([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], HEADLINES_SCHEMA, {
+      provider: this.config.ai_model.provider,
+      model: this.config.ai_model.model,
+      name: 'headlines',
+      ...options
+    });
     
-    return results;
+    // Models sometimes quote or number the text regardless
+    return headlines
+      .map(headline => headline.replace(/^\d+\.\s+/, '').replace(/^["']|["']$/g, '').trim())
+      .slice(0, count);
   }
 }
 
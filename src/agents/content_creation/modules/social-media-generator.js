@@ -4,6 +4,10 @@
  */
 
 const BaseModule = require('../../../common/models/base-module');
+const { currentPriority, runWithPriority } = require('../../../core/error/bulkhead');
+
+// Batches queue their AI calls behind interactive requests
+const BATCH_PRIORITY = 2;
 
 class SocialMediaGenerator extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
@@ -156,14 +160,16 @@ class SocialMediaGenerator extends BaseModule {
     // Generate batches for each platform
     const batches = {};
     
-    for (const platform of targetPlatforms) {
-      batches[platform] = await this._generateBatchForPlatform(
-        platform.toLowerCase(),
-        topic,
-        keywords,
-        count
-      );
-    }
+    await runWithPriority(Math.min(currentPriority(), BATCH_PRIORITY), async () => {
+      for (const platform of targetPlatforms) {
+        batches[platform] = await this._generateBatchForPlatform(
+          platform.toLowerCase(),
+          topic,
+          keywords,
+          count
+        );
+      }
+    });
     
     return {
       topic,
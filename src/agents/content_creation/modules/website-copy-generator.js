@@ -5,6 +5,9 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// Heading lines of the sections of a landing page, e.g. "## 2. Features Section"
+const SECTION_HEADING = /^[#*\s]*(?:\d+\.\s*)?([a-z][\w ]*? section)\b[*:\s]*$/i;
+
 class WebsiteCopyGenerator extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
@@ -102,9 +105,13 @@ class WebsiteCopyGenerator extends BaseModule {
   /**
    * Generate website copy based on a content brief
    * @param {Object} brief - Content brief with page type, business info, and other metadata
+   * @param {Object} [stream] - Receiver of the copy as it is written
+   * @param {Function} stream.onText - Called with each piece of text as it arrives
+   * @param {Function} [stream.onSection] - Called as the copy of each section starts
+   * @param {AbortSignal} [stream.signal] - Stops the generation
    * @returns {Object} Generated website copy
    */
-  async generate(brief) {
+  async generate(brief, stream) {
     const { 
       type: pageType = 'landing_page', 
       business_info = {}, 
@@ -128,23 +135,35 @@ class WebsiteCopyGenerator extends BaseModule {
     // Generate copy for each requested section
     const pageSections = {};
     
+    let index = 0;
+    
     for (const section of sections) {
       if (this.sectionTemplates[section]) {
+        if (stream && stream.onSection) {
+          stream.onSection({ index: index++, title: section });
+        }
+        
         pageSections[section] = await this._generateSection(
           section,
           targetPageType,
           business_info,
           audienceInfo,
-          keywords
+          keywords,
+          stream
         );
       }
     }
     
+    if (stream && stream.onSection) {
+      stream.onSection({ index, title: 'seo_metadata' });
+    }
+    
     // Generate SEO metadata
     const seoMetadata = await this._generateSeoMetadata(
       targetPageType,
       business_info,
-      keywords
+      keywords,
+      stream
     );
     
     return {
@@ -158,9 +177,10 @@ class WebsiteCopyGenerator extends BaseModule {
   /**
    * Generate a complete landing page
    * @param {Object} brief - Landing page brief
+   * @param {Object} [stream] - Receiver of the copy as it is written, as for generate
    * @returns {Object} Complete landing page content
    */
-  async generateLandingPage(brief) {
+  async generateLandingPage(brief, stream) {
     const { 
       title, 
       business_info = {}, 
@@ -221,7 +241,9 @@ Format each section clearly in your response.
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7,
-        max_tokens: 3000
+        max_tokens: 3000,
+        onText: this.streamSections(stream, SECTION_HEADING),
+        signal: stream && stream.signal
       });
       
       // Parse response to extract sections
@@ -236,7 +258,7 @@ Format each section clearly in your response.
    * Generate a single section of website copy
    * @private
    */
-  async _generateSection(sectionType, pageType, businessInfo, audienceInfo, keywords) {
+  async _generateSection(sectionType, pageType, businessInfo, audienceInfo, keywords, stream) {
     const template = this.sectionTemplates[sectionType];
     
     if (!template) {
@@ -272,7 +294,9 @@ Format your response as JSON with keys matching the elements listed above.
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7,
-        max_tokens: 1000
+        max_tokens: 1000,
+        onText: stream && stream.onText,
+        signal: stream && stream.signal
       });
       
       // Parse JSON response
@@ -310,7 +334,7 @@ Format your response as JSON with keys matching the elements listed above.
    * Generate SEO metadata for a page
    * @private
    */
-  async _generateSeoMetadata(pageType, businessInfo, keywords) {
+  async _generateSeoMetadata(pageType, businessInfo, keywords, stream) {
     const systemPrompt = `
 You are an SEO specialist creating metadata for Landing Pad Digital's website pages.
     `;
@@ -339,7 +363,9 @@ Format your response as JSON.
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7,
-        max_tokens: 500
+        max_tokens: 500,
+        onText: stream && stream.onText,
+        signal: stream && stream.signal
       });
       
       // Parse JSON response
@@ -15,25 +15,46 @@ class ContentManagementAgent extends BaseAgent {
     await super.initialize();
     
     // Subscribe to relevant events from other agents
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_creation.content_created',
+    await this.subscribeToAgentEvent(
+      'content-creation.content.created',
       this.handleContentCreatedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_creation.content_approved',
+    await this.subscribeToAgentEvent(
+      'content-creation.content.approved',
       this.handleContentApprovedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_strategy.brief_created',
+    await this.subscribeToAgentEvent(
+      'content-strategy.brief.created',
       this.handleBriefCreatedEvent.bind(this)
     );
   }
   
+  /**
+   * Get the periodic jobs of the agent, run by the scheduler
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    const freshnessChecker = (this.config.modules || {}).freshnessChecker || {};
+    const settings = freshnessChecker.settings || {};
+    
+    if (!freshnessChecker.enabled) {
+      return [];
+    }
+    
+    return [{
+      name: 'freshness-check',
+      schedule: settings.schedule || '@daily',
+      description: 'Find content older than the freshness threshold and request updates',
+      handler: () => this.handleCommand({
+        id: this._generateId(),
+        type: 'check_content_freshness',
+        payload: { thresholdDays: settings.freshnessThreshold }
+      })
+    }];
+  }
+  
   /**
    * Track content item
    */
@@ -242,6 +263,58 @@ class ContentManagementAgent extends BaseAgent {
     };
   }
   
+  /**
+   * Track a human task from a coordinated workflow
+   * The task's assignees and due date are stored on the content workflow so
+   * the workflow manager's reminder schedule covers the task.
+   */
+  async handleAssignHumanTaskCommand(command) {
+    const { taskId, workflowId, title, assignees, role, dueAt, contentId } = command.payload;
+    
+    this.logger.info('Assigning human task', { taskId, workflowId });
+    
+    if (!contentId) {
+      this.logger.warn('Human task has no content to track', { taskId, workflowId });
+      
+      return {
+        task_id: taskId,
+        tracked: false
+      };
+    }
+    
+    // Get workflow manager module
+    const workflowManager = this.modules.get('workflow_manager');
+    if (!workflowManager) {
+      throw new Error('Workflow manager module not available');
+    }
+    
+    const notes = `Human task assigned: ${title} (${taskId})`;
+    
+    let contentWorkflow = await workflowManager.getWorkflowForContent(contentId);
+    
+    if (!contentWorkflow) {
+      contentWorkflow = await workflowManager.createWorkflow(contentId, { user: 'coordinator', notes });
+    }
+    
+    // Roles are tracked as assignees so reminders reach everyone who may decide
+    const taskAssignees = role ? [...assignees, `role:${role}`] : assignees;
+    
+    await workflowManager.updateAssignees(contentWorkflow.workflow_id, taskAssignees, { user: 'coordinator', notes });
+    
+    if (dueAt) {
+      await workflowManager.updateDeadline(contentWorkflow.workflow_id, new Date(dueAt), { user: 'coordinator', notes });
+    }
+    
+    this.logger.info('Human task assigned', { taskId, workflow_id: contentWorkflow.workflow_id });
+    
+    return {
+      task_id: taskId,
+      workflow_id: contentWorkflow.workflow_id,
+      assignees: taskAssignees,
+      tracked: true
+    };
+  }
+  
   /**
    * Check content freshness
    */
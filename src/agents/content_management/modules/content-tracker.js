@@ -55,10 +55,7 @@ class ContentTracker extends BaseModule {
     }
     
     // Validate and merge configuration
-    this.trackingSettings = {
-      ...this.defaultTrackingSettings,
-      ...(this.config.tracking || {})
-    };
+    this._applySettings();
     
     this.logger.info('Content tracker module initialized with settings:', {
       platforms: this.platforms,
@@ -69,22 +66,41 @@ class ContentTracker extends BaseModule {
   async start() {
     await super.start();
     this.logger.info('Content tracker module started');
-    
-    // Start scheduled status updates if enabled
-    if (this.trackingSettings.checkFrequency > 0) {
-      this._scheduleStatusUpdates();
-    }
   }
   
   async stop() {
     await super.stop();
     this.logger.info('Content tracker module stopped');
+  }
+  
+  /**
+   * Apply new settings; a changed check frequency takes effect through the scheduler
+   * @param {Object} config - Module configuration
+   */
+  reconfigure(config) {
+    super.reconfigure(config);
+    this._applySettings();
+  }
+  
+  /**
+   * Get the periodic jobs of the module, run by the scheduler
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    const settings = this.config.settings || {};
+    const { checkFrequency } = this.trackingSettings;
     
-    // Clear any scheduled updates
-    if (this._updateTimer) {
-      clearTimeout(this._updateTimer);
-      this._updateTimer = null;
+    if (!(checkFrequency > 0)) {
+      return [];
     }
+    
+    return [{
+      name: 'status-update',
+      // Every checkFrequency hours, or daily for a day or more
+      schedule: settings.schedule || (checkFrequency < 24 ? `0 */${checkFrequency} * * *` : '@daily'),
+      description: `Refresh the status of content not updated in the last ${checkFrequency} hours`,
+      handler: () => this._updateContentStatuses()
+    }];
   }
   
   /**
@@ -385,44 +401,40 @@ class ContentTracker extends BaseModule {
   }
   
   /**
-   * Schedule regular status updates
+   * Merge the tracking settings over the defaults
    * @private
    */
-  _scheduleStatusUpdates() {
-    const updateIntervalMs = this.trackingSettings.checkFrequency * 60 * 60 * 1000;
-    
-    const performUpdate = async () => {
-      try {
-        this.logger.info('Running scheduled content status update');
-        
-        // Find content items published within the update frequency timeframe
-        const cutoffDate = new Date();
-        cutoffDate.setHours(cutoffDate.getHours() - this.trackingSettings.checkFrequency);
-        
-        const recentStatuses = await this.storage.collections.content_status.find({
-          status: 'published',
-          last_updated: { $lt: cutoffDate }
-        }).limit(100).toArray();
-        
-        this.logger.info(`Found ${recentStatuses.length} content items for status update`);
-        
-        // Process in batches to avoid overwhelming the system
-        for (const status of recentStatuses) {
-          await this._refreshContentStatus(status.content_id.toString(), status.platform);
-        }
-        
-        this.logger.info('Scheduled content status update completed');
-      } catch (error) {
-        this.logger.error('Error in scheduled content status update:', error);
-      }
-      
-      // Schedule next update
-      this._updateTimer = setTimeout(performUpdate, updateIntervalMs);
+  _applySettings() {
+    this.trackingSettings = {
+      ...this.defaultTrackingSettings,
+      ...(this.config.tracking || {})
     };
+  }
+  
+  /**
+   * Refresh the status of published content not updated within the check frequency
+   * @private
+   */
+  async _updateContentStatuses() {
+    this.logger.info('Running scheduled content status update');
+    
+    // Find content items published within the update frequency timeframe
+    const cutoffDate = new Date();
+    cutoffDate.setHours(cutoffDate.getHours() - this.trackingSettings.checkFrequency);
+    
+    const recentStatuses = await this.storage.collections.content_status.find({
+      status: 'published',
+      last_updated: { $lt: cutoffDate }
+    }).limit(100).toArray();
+    
+    this.logger.info(`Found ${recentStatuses.length} content items for status update`);
+    
+    // Process in batches to avoid overwhelming the system
+    for (const status of recentStatuses) {
+      await this._refreshContentStatus(status.content_id.toString(), status.platform);
+    }
     
-    // Start the update cycle
-    this._updateTimer = setTimeout(performUpdate, updateIntervalMs);
-    this.logger.info(`Scheduled content status updates every ${this.trackingSettings.checkFrequency} hours`);
+    this.logger.info('Scheduled content status update completed');
   }
   
   /**
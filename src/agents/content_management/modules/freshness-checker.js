@@ -5,20 +5,22 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// Default freshness thresholds by content type (in days)
+const DEFAULT_FRESHNESS_THRESHOLDS = {
+  blog: 90,      // Blog posts older than 90 days might need updates
+  social: 365,   // Social posts generally don't need updating
+  website: 180,  // Website copy should be reviewed every 6 months
+  email: 180,    // Email templates should be reviewed every 6 months
+  default: 120   // Default threshold for other content types
+};
+
 class FreshnessChecker extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
     this.aiProvider = aiProvider;
     this.name = 'freshness_checker';
     
-    // Default freshness thresholds by content type (in days)
-    this.freshnessThresholds = {
-      blog: 90,      // Blog posts older than 90 days might need updates
-      social: 365,   // Social posts generally don't need updating
-      website: 180,  // Website copy should be reviewed every 6 months
-      email: 180,    // Email templates should be reviewed every 6 months
-      default: 120   // Default threshold for other content types
-    };
+    this.freshnessThresholds = { ...DEFAULT_FRESHNESS_THRESHOLDS };
     
     // Content types that require seasonal updates
     this.seasonalContentTypes = [
@@ -29,13 +31,29 @@ class FreshnessChecker extends BaseModule {
   async initialize() {
     this.logger.info('Initializing freshness checker module');
     
-    // Load custom thresholds from config
+    this._loadThresholds();
+  }
+  
+  /**
+   * Apply new settings, replacing the custom thresholds
+   * @param {Object} config - Module configuration
+   */
+  reconfigure(config) {
+    super.reconfigure(config);
+    this._loadThresholds();
+  }
+  
+  /**
+   * Load custom thresholds from config over the defaults
+   * @private
+   */
+  _loadThresholds() {
+    this.freshnessThresholds = {
+      ...DEFAULT_FRESHNESS_THRESHOLDS,
+      ...this.config.freshness_thresholds
+    };
+    
     if (this.config.freshness_thresholds) {
-      this.freshnessThresholds = {
-        ...this.freshnessThresholds,
-        ...this.config.freshness_thresholds
-      };
-      
       this.logger.info('Loaded custom freshness thresholds', { 
         thresholds: this.freshnessThresholds 
       });
@@ -21,11 +21,7 @@ class WorkflowManager extends BaseModule {
     this.logger.info('Initializing workflow manager module');
     
     // Set configuration options
-    if (this.config.settings) {
-      this.workflowStages = this.config.settings.stages || [];
-      this.autoProgressEnabled = this.config.settings.autoProgressEnabled || false;
-      this.reminderFrequency = this.config.settings.reminderFrequency || 'daily';
-    }
+    this._applySettings();
     
     // Create collection for workflows if it doesn't exist
     if (!this.storage.collections.content_workflows) {
@@ -49,14 +45,6 @@ class WorkflowManager extends BaseModule {
       await this.storage.collections.workflow_transitions.createIndex({ timestamp: 1 });
     }
     
-    // Set up default workflow stages if none exist
-    if (this.workflowStages.length === 0) {
-      this.workflowStages = ['draft', 'review', 'approved', 'scheduled', 'published'];
-    }
-    
-    // Set up scheduled tasks
-    this.reminderInterval = this._setupReminderSchedule();
-    
     // Set up event handlers
     this._setupEventHandlers();
     
@@ -75,15 +63,33 @@ class WorkflowManager extends BaseModule {
   async stop() {
     await super.stop();
     
-    // Clear reminder interval
-    if (this.reminderInterval) {
-      clearInterval(this.reminderInterval);
-      this.reminderInterval = null;
-    }
-    
     this.logger.info('Workflow manager module stopped');
   }
 
+  /**
+   * Apply new settings; a changed reminder frequency takes effect through the scheduler
+   * @param {Object} config - Module configuration
+   */
+  reconfigure(config) {
+    super.reconfigure(config);
+    this._applySettings();
+  }
+
+  /**
+   * Get the periodic jobs of the module, run by the scheduler
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    const settings = this.config.settings || {};
+    
+    return [{
+      name: 'workflow-reminders',
+      schedule: settings.schedule || `@${this.reminderFrequency}`,
+      description: 'Remind assignees of approaching and overdue workflow deadlines',
+      handler: () => this._sendWorkflowReminders()
+    }];
+  }
+
   /**
    * Create new workflow for content
    * 
@@ -598,24 +604,20 @@ class WorkflowManager extends BaseModule {
   }
 
   /**
-   * Set up reminder schedule
+   * Read the workflow stages, auto progress and reminder frequency from the settings
    * @private
    */
-  _setupReminderSchedule() {
-    // Convert frequency to milliseconds
-    const frequencies = {
-      hourly: 60 * 60 * 1000,
-      daily: 24 * 60 * 60 * 1000,
-      weekly: 7 * 24 * 60 * 60 * 1000
-    };
+  _applySettings() {
+    const settings = this.config.settings || {};
     
-    const interval = frequencies[this.reminderFrequency] || frequencies.daily;
+    this.workflowStages = settings.stages || [];
+    this.autoProgressEnabled = settings.autoProgressEnabled || false;
+    this.reminderFrequency = settings.reminderFrequency || 'daily';
     
-    // Set up interval
-    return setInterval(() => {
-      this._sendWorkflowReminders()
-        .catch(error => this.logger.error('Error sending workflow reminders:', error));
-    }, interval);
+    // Set up default workflow stages if none exist
+    if (this.workflowStages.length === 0) {
+      this.workflowStages = ['draft', 'review', 'approved', 'scheduled', 'published'];
+    }
   }
 
   /**
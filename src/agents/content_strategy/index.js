@@ -15,9 +15,8 @@ class ContentStrategyAgent extends BaseAgent {
     await super.initialize();
     
     // Subscribe to relevant events from other agents
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'optimisation.analysis_completed',
+    await this.subscribeToAgentEvent(
+      'optimisation.analysis.completed',
       this.handleOptimisationAnalysisEvent.bind(this)
     );
   }
@@ -42,32 +42,40 @@ class AudienceInsights {
     });
   }
 
-  async start() {
-    this.logger.info('Starting audience insights module');
-    
-    // Schedule periodic data collection for all configured segments
-    this.refreshInterval = setInterval(
-      () => this._refreshAudienceData(),
-      24 * 60 * 60 * 1000 // Refresh daily
-    );
-    
-    // Run initial data collection
-    await this._refreshAudienceData();
-    
+  // Periodic refreshes are run by the scheduler, see getScheduledJobs()
+  start() {
     this.logger.info('Audience insights module started');
   }
 
-  async stop() {
-    this.logger.info('Stopping audience insights module');
-    
-    if (this.refreshInterval) {
-      clearInterval(this.refreshInterval);
-      this.refreshInterval = null;
-    }
-    
+  stop() {
     this.logger.info('Audience insights module stopped');
   }
 
+  /**
+   * Apply new settings, redefining the audience segments
+   * @param {Object} config - Module configuration
+   */
+  reconfigure(config) {
+    this.config = config;
+    this._initializeAudienceSegments();
+  }
+
+  /**
+   * Get the periodic jobs of the module, run by the scheduler
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    const settings = this.config.settings || {};
+
+    return [{
+      name: 'audience-refresh',
+      schedule: settings.schedule || `@${settings.updateFrequency || 'daily'}`,
+      description: 'Collect fresh audience data for every segment',
+      handler: () => this._refreshAudienceData(),
+      runImmediately: true
+    }];
+  }
+
   /**
    * Get insights for a specific audience segment
    * 
@@ -159,15 +167,22 @@ class AudienceInsights {
     this.logger.info('Refreshing audience data for all segments');
     
     const segments = Array.from(this.audienceSegments.keys());
+    const failed = [];
     
     for (const segment of segments) {
       try {
         await this.analyzeSegment(segment);
       } catch (error) {
         this.logger.error('Error refreshing audience data for segment', { segment, error });
+        failed.push(segment);
       }
     }
     
+    // Refresh the other segments before reporting the failed ones
+    if (failed.length > 0) {
+      throw new Error(`Failed to refresh audience data for segments: ${failed.join(', ')}`);
+    }
+    
     this.logger.info('Audience data refresh completed');
   }
 
@@ -202,6 +217,7 @@ class AudienceInsights {
     const segmentsToUse = this.config.primary_segments || defaultSegments.map(s => s.name);
     
     // Initialize map with segment definitions
+    this.audienceSegments.clear();
     for (const segmentName of segmentsToUse) {
       const defaultSegment = defaultSegments.find(s => s.name === segmentName);
       this.audienceSegments.set(segmentName, defaultSegment || {
@@ -91,33 +91,31 @@ class TrendAnalyzer {
     this.logger.info('Trend analyzer module initialized');
   }
 
-  async start() {
-    this.logger.info('Starting trend analyzer module');
-    
-    // Schedule periodic trend analysis
-    this.refreshInterval = setInterval(
-      () => this.refreshTrendData(),
-      this.config.refresh_interval * 1000
-    );
-    
-    // Run initial refresh
-    await this.refreshTrendData();
-    
+  // Periodic refreshes are run by the scheduler, see getScheduledJobs()
+  start() {
     this.logger.info('Trend analyzer module started');
   }
 
-  async stop() {
-    this.logger.info('Stopping trend analyzer module');
-    
-    // Clear refresh interval
-    if (this.refreshInterval) {
-      clearInterval(this.refreshInterval);
-      this.refreshInterval = null;
-    }
-    
+  stop() {
     this.logger.info('Trend analyzer module stopped');
   }
 
+  /**
+   * Get the periodic jobs of the module, run by the scheduler
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    const settings = this.config.settings || {};
+
+    return [{
+      name: 'trend-refresh',
+      schedule: settings.schedule || `@${settings.updateFrequency || 'daily'}`,
+      description: 'Refresh trend data from analytics and social sources',
+      handler: () => this.refreshTrendData(),
+      runImmediately: true
+    }];
+  }
+
   /**
    * Refresh trend data from all sources
    */
@@ -154,6 +152,7 @@ class TrendAnalyzer {
       this.logger.info('Trend data refreshed successfully');
     } catch (error) {
       this.logger.error('Error refreshing trend data:', error);
+      throw error;
     }
   }
 
@@ -15,21 +15,18 @@ class OptimisationAgent extends BaseAgent {
     await super.initialize();
     
     // Subscribe to relevant events from other agents
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_creation.content_created',
+    await this.subscribeToAgentEvent(
+      'content-creation.content.created',
       this.handleContentCreatedEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_management.content_scheduled',
+    await this.subscribeToAgentEvent(
+      'content-management.content.scheduled',
       this.handleContentScheduledEvent.bind(this)
     );
     
-    await this.messaging.subscribeToExchange(
-      'agent_events', 
-      'content_management.content_categorised',
+    await this.subscribeToAgentEvent(
+      'content-management.content.categorised',
       this.handleContentCategorisedEvent.bind(this)
     );
   }
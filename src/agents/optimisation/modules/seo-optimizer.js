@@ -5,6 +5,48 @@
 
 const BaseModule = require('../../../common/models/base-module');
 
+// JSON schema of AI-powered SEO recommendations
+const RECOMMENDATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string' },
+          issue: { type: 'string' },
+          recommendation: { type: 'string' },
+          priority: { type: 'integer', minimum: 1, maximum: 10 }
+        },
+        required: ['category', 'issue', 'recommendation', 'priority']
+      }
+    }
+  },
+  required: ['recommendations']
+};
+
+// JSON schema of keyword opportunities
+const OPPORTUNITIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    opportunities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          keyword: { type: 'string' },
+          type: { type: 'string', enum: ['related', 'semantic', 'long_tail'] },
+          relevance: { type: 'integer', minimum: 1, maximum: 10 },
+          search_volume: { type: 'string', enum: ['high', 'medium', 'low'] }
+        },
+        required: ['keyword', 'type', 'relevance', 'search_volume']
+      }
+    }
+  },
+  required: ['opportunities']
+};
+
 class SeoOptimizer extends BaseModule {
   constructor(config, storage, logger, aiProvider) {
     super(config, storage, logger);
@@ -608,51 +650,22 @@ Provide specific, actionable SEO recommendations in these categories:
 3. On-page SEO elements
 4. User engagement factors
 
-Format your response as JSON with the following structure:
-[
-  {
-    "category": "category_name",
-    "issue": "brief description of the issue",
-    "recommendation": "specific, actionable recommendation",
-    "priority": number from 1-10 (10 being highest priority)
-  },
-  ...
-]
+For each recommendation, give its category, a brief description of the issue, the
+specific, actionable recommendation and its priority from 1-10 (10 being highest priority).
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
+      const { recommendations } = await this.aiProvider.generateStructured([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ], RECOMMENDATIONS_SCHEMA, {
         provider: this.config.ai_model.provider,
         model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+        name: 'seo_recommendations',
         temperature: 0.4,
         max_tokens: 2000
       });
       
-      // Parse JSON response
-      let recommendations = [];
-      try {
-        // Try to parse the response as JSON
-        recommendations = JSON.parse(response);
-        
-        // Ensure it's an array
-        if (!Array.isArray(recommendations)) {
-          if (typeof recommendations === 'object') {
-            // Some models might return an object with a recommendations property
-            recommendations = recommendations.recommendations || [];
-          } else {
-            recommendations = [];
-          }
-        }
-      } catch (parseError) {
-        // If JSON parsing fails, try to extract recommendations manually
-        this.logger.warn('Error parsing AI SEO recommendations:', parseError);
-        recommendations = this._extractRecommendationsFromText(response);
-      }
-      
       this.logger.info('Generated AI-powered SEO recommendations', { 
         count: recommendations.length 
       });
@@ -692,50 +705,22 @@ Suggest:
 2. Semantic variations of existing keywords
 3. Long-tail keyword opportunities
 
-Return your suggestions as a JSON array of objects with the following structure:
-[
-  {
-    "keyword": "suggested keyword",
-    "type": "related|semantic|long_tail",
-    "relevance": number from 1-10 (10 being most relevant),
-    "search_volume": "high|medium|low" (estimated)
-  },
-  ...
-]
+For each suggestion, give the keyword, its type (related, semantic or long_tail), its
+relevance from 1-10 (10 being most relevant) and its estimated search volume (high, medium or low).
     `;
     
     try {
-      const response = await this.aiProvider.generateText({
+      const { opportunities } = await this.aiProvider.generateStructured([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ], OPPORTUNITIES_SCHEMA, {
         provider: this.config.ai_model.provider,
         model: this.config.ai_model.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+        name: 'keyword_opportunities',
         temperature: 0.5,
         max_tokens: 1500
       });
       
-      // Parse JSON response
-      let opportunities = [];
-      try {
-        // Try to parse the response as JSON
-        opportunities = JSON.parse(response);
-        
-        // Ensure it's an array
-        if (!Array.isArray(opportunities)) {
-          if (typeof opportunities === 'object') {
-            // Some models might return an object with an opportunities property
-            opportunities = opportunities.opportunities || [];
-          } else {
-            opportunities = [];
-          }
-        }
-      } catch (parseError) {
-        this.logger.warn('Error parsing keyword opportunities:', parseError);
-        return [];
-      }
-      
       this.logger.info('Identified keyword opportunities', { 
         count: opportunities.length 
       });
@@ -747,56 +732,6 @@ Return your suggestions as a JSON array of objects with the following structure:
     }
   }
   
-  /**
-   * Extract recommendations from text when JSON parsing fails
-   * @private
-   */
-  _extractRecommendationsFromText(text) {
-    const recommendations = [];
-    
-    // Try to identify recommendation patterns in the text
-    const categoryPatterns = [
-      'keyword usage', 'keyword placement', 'keywords?',
-      'content structure', 'readability',
-      'on-page SEO', 'meta',
-      'user engagement', 'engagement'
-    ];
-    
-    for (const category of categoryPatterns) {
-      const categoryRegex = new RegExp(`${category}[:\\s]+(.*?)(?=\\n\\n|$)`, 'gi');
-      const matches = text.match(categoryRegex);
-      
-      if (matches) {
-        for (const match of matches) {
-          // Try to extract a concise recommendation
-          const recommendationText = match.replace(/^.*?[:\\s]+/, '').trim();
-          
-          if (recommendationText) {
-            recommendations.push({
-              category: category.replace(/[^a-z0-9]/gi, '_').toLowerCase(),
-              issue: 'Improvement opportunity',
-              recommendation: recommendationText,
-              priority: 5 // Default priority
-            });
-          }
-        }
-      }
-    }
-    
-    // Fallback: If we couldn't extract structured recommendations, 
-    // create a general recommendation from the text
-    if (recommendations.length === 0 && text.trim().length > 0) {
-      recommendations.push({
-        category: 'general',
-        issue: 'SEO improvement opportunity',
-        recommendation: text.substring(0, 200) + (text.length > 200 ? '...' : ''),
-        priority: 5
-      });
-    }
-    
-    return recommendations;
-  }
-  
   /**
    * Check if two recommendations are similar
    * @private
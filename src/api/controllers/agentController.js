@@ -3,6 +3,9 @@
  * Handles API endpoints for agent operations
  */
 
+const logger = require('../../common/services/logger');
+const { TimeoutError } = require('../../core/error/errors');
+
 /**
  * Get status for all agents
  */
@@ -81,6 +84,7 @@ exports.getAgentStatus = async (req, res, next) => {
       moduleCount: modules.length,
       modules,
       lastActivity: agent.lastActivity || null,
+      queue: typeof agent.getQueueStatus === 'function' ? agent.getQueueStatus() : null,
       config: agent.config || {}
     });
   } catch (error) {
@@ -386,113 +390,142 @@ exports.analyzeAudience = async (req, res, next) => {
 // ==========================================
 
 /**
- * Generate content
+ * Find the brief and generator module of a content generation request
+ * @returns {Promise<Object>} Agent container, brief and generator, or the status and body of the error response
  */
-exports.generateContent = async (req, res, next) => {
-  try {
-    const { briefId, type, overrides, userId } = req.body;
-    const agentContainer = req.app.locals.agentContainer;
-    
-    if (!agentContainer) {
-      return res.status(503).json({
-        error: {
-          message: 'Agent container not available',
-          code: 'agents_unavailable'
-        }
-      });
-    }
-    
-    const agent = agentContainer.agents.contentCreation;
-    
-    if (!agent) {
-      return res.status(404).json({
-        error: {
-          message: 'Content Creation Agent not found',
-          code: 'agent_not_found'
-        }
-      });
-    }
+async function resolveContentGeneration(req) {
+  const { briefId, overrides } = req.body;
+  const agentContainer = req.app.locals.agentContainer;
+  
+  if (!agentContainer) {
+    return {
+      status: 503,
+      error: {
+        message: 'Agent container not available',
+        code: 'agents_unavailable'
+      }
+    };
+  }
+  
+  const agent = agentContainer.agents.contentCreation;
+  
+  if (!agent) {
+    return {
+      status: 404,
+      error: {
+        message: 'Content Creation Agent not found',
+        code: 'agent_not_found'
+      }
+    };
+  }
+  
+  if (!agent.isRunning) {
+    return {
+      status: 400,
+      error: {
+        message: 'Content Creation Agent is not running',
+        code: 'agent_not_running'
+      }
+    };
+  }
+  
+  let brief;
+  
+  // If briefId is provided, fetch the brief
+  if (briefId) {
+    brief = await agentContainer.storage.getBrief(briefId);
     
-    if (!agent.isRunning) {
-      return res.status(400).json({
+    if (!brief) {
+      return {
+        status: 404,
         error: {
-          message: 'Content Creation Agent is not running',
-          code: 'agent_not_running'
+          message: `Brief with ID '${briefId}' not found`,
+          code: 'brief_not_found'
         }
-      });
-    }
-    
-    let brief;
-    
-    // If briefId is provided, fetch the brief
-    if (briefId) {
-      brief = await agentContainer.storage.getBrief(briefId);
-      
-      if (!brief) {
-        return res.status(404).json({
-          error: {
-            message: `Brief with ID '${briefId}' not found`,
-            code: 'brief_not_found'
-          }
-        });
-      }
-    } else if (overrides) {
-      // Use overrides as brief
-      brief = {
-        type: overrides.type,
-        topic: overrides.topic,
-        targetAudience: overrides.target_audience,
-        keywords: overrides.keywords
       };
-    } else {
-      return res.status(400).json({
-        error: {
-          message: 'Either briefId or overrides must be provided',
-          code: 'missing_parameters'
-        }
-      });
-    }
-    
-    // Select appropriate generator module based on content type
-    let generator;
-    
-    switch (brief.type) {
-      case 'blog':
-        generator = agent.getModule('blogGenerator');
-        break;
-      case 'social':
-        generator = agent.getModule('socialMediaGenerator');
-        break;
-      case 'website':
-      case 'landing_page':
-        generator = agent.getModule('websiteCopyGenerator');
-        break;
-      default:
-        generator = agent.getModule('contentGenerator');
     }
+  } else if (overrides) {
+    // Use overrides as brief
+    brief = {
+      type: overrides.type,
+      topic: overrides.topic,
+      targetAudience: overrides.target_audience,
+      keywords: overrides.keywords
+    };
+  } else {
+    return {
+      status: 400,
+      error: {
+        message: 'Either briefId or overrides must be provided',
+        code: 'missing_parameters'
+      }
+    };
+  }
+  
+  // Select appropriate generator module based on content type
+  let generator;
+  
+  switch (brief.type) {
+    case 'blog':
+      generator = agent.getModule('blogGenerator');
+      break;
+    case 'social':
+      generator = agent.getModule('socialMediaGenerator');
+      break;
+    case 'website':
+    case 'landing_page':
+      generator = agent.getModule('websiteCopyGenerator');
+      break;
+    default:
+      generator = agent.getModule('contentGenerator');
+  }
+  
+  if (!generator) {
+    return {
+      status: 404,
+      error: {
+        message: `Generator module for type '${brief.type}' not found`,
+        code: 'module_not_found'
+      }
+    };
+  }
+  
+  return { agentContainer, brief, generator };
+}
+
+/**
+ * Store generated content as a draft
+ * @returns {Promise<string>} ID of the stored content
+ */
+function storeGeneratedContent(agentContainer, brief, content, userId) {
+  return agentContainer.storage.storeContent({
+    type: brief.type,
+    title: content.title || brief.topic,
+    content: content.body || content,
+    keywords: brief.keywords,
+    userId,
+    createdAt: new Date(),
+    status: 'draft'
+  });
+}
+
+/**
+ * Generate content
+ */
+exports.generateContent = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const { agentContainer, brief, generator, status, error } = await resolveContentGeneration(req);
     
-    if (!generator) {
-      return res.status(404).json({
-        error: {
-          message: `Generator module for type '${brief.type}' not found`,
-          code: 'module_not_found'
-        }
-      });
+    if (error) {
+      return res.status(status).json({ error });
     }
     
     // Generate content
     const content = await generator.generate(brief);
     
     // Store content
-    const contentId = await agentContainer.storage.storeContent({
-      type: brief.type,
-      title: content.title || brief.topic,
-      content: content.body || content,
-      keywords: brief.keywords,
-      userId,
-      createdAt: new Date(),
-      status: 'draft'
-    });
+    const contentId = await storeGeneratedContent(agentContainer, brief, content, userId);
     
     return res.status(201).json({
       message: 'Content generated successfully',
@@ -504,6 +537,68 @@ exports.generateContent = async (req, res, next) => {
   }
 };
 
+/**
+ * Generate content, streaming it to the client as server-sent events
+ * Sends "section" events as each section starts, "text" events with the output as it
+ * arrives and a final "done" or "error" event. The generation is aborted when the
+ * client disconnects.
+ */
+exports.generateContentStream = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const { agentContainer, brief, generator, status, error } = await resolveContentGeneration(req);
+    
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const abortController = new AbortController();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info('Client disconnected, aborting content generation', { type: brief.type });
+        abortController.abort();
+      }
+    });
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Keep proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    try {
+      const content = await generator.generate(brief, {
+        onText: text => send('text', { text }),
+        onSection: section => send('section', section),
+        signal: abortController.signal
+      });
+      
+      const contentId = await storeGeneratedContent(agentContainer, brief, content, userId);
+      
+      send('done', { contentId, content });
+    } catch (generationError) {
+      if (abortController.signal.aborted) {
+        return;
+      }
+      
+      logger.error('Error streaming content generation:', generationError);
+      send('error', {
+        message: generationError.message,
+        code: 'generation_failed'
+      });
+    }
+    
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Edit content
  */
@@ -592,8 +687,13 @@ exports.editContent = async (req, res, next) => {
 
 /**
  * Generate headlines
+ * The Content Creation Agent is asked over the message bus, so it can run in another
+ * process. The request is cancelled when the client disconnects, and answers with a
+ * 504 when the agent does not reply in time.
  */
 exports.generateHeadlines = async (req, res, next) => {
+  const abortController = new AbortController();
+  
   try {
     const { topic, count, type, targetAudience, userId } = req.body;
     const agentContainer = req.app.locals.agentContainer;
@@ -627,32 +727,41 @@ exports.generateHeadlines = async (req, res, next) => {
       });
     }
     
-    // Get headline generator module
-    const headlineGenerator = agent.getModule('headlineGenerator');
-    
-    if (!headlineGenerator) {
-      return res.status(404).json({
-        error: {
-          message: 'Headline Generator module not found',
-          code: 'module_not_found'
-        }
-      });
-    }
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
     
-    // Generate headlines
-    const headlines = await headlineGenerator.generate({
+    const result = await agentContainer.messaging.request(`${agent.agentId}.generate-headlines`, {
       topic,
       count,
       type,
       targetAudience,
       userId
-    });
+    }, { signal: abortController.signal });
     
     return res.status(200).json({
       message: 'Headlines generated successfully',
-      headlines
+      headlinesId: result.headlines_id,
+      headlines: result.headlines
     });
   } catch (error) {
+    if (abortController.signal.aborted) {
+      return;
+    }
+    
+    if (error instanceof TimeoutError) {
+      logger.warn('Content Creation Agent did not reply in time', { routingKey: error.details.routingKey });
+      
+      return res.status(504).json({
+        error: {
+          message: 'Content Creation Agent did not reply in time',
+          code: 'agent_timeout'
+        }
+      });
+    }
+    
     next(error);
   }
 };
@@ -3,6 +3,37 @@
  * Handles API endpoints for analytics operations
  */
 
+const { getInstance: getUsageTracker, GROUP_BY } = require('../../core/usage/usageTracker');
+const { getInstance: getBudgetManager } = require('../../core/usage/budgetManager');
+
+// Query parameters AI usage can be filtered by
+const USAGE_FILTERS = ['provider', 'model', 'agent', 'module', 'workflowId', 'contentId', 'userId', 'team'];
+
+/**
+ * Parse an AI usage query
+ * @param {Object} query - Request query
+ * @param {string} defaultGroupBy - Grouping when the query names none
+ * @returns {Object} - { options } or { error } if the query is invalid
+ */
+function parseUsageQuery(query, defaultGroupBy) {
+  const groupBy = query.groupBy || defaultGroupBy;
+  
+  if (!GROUP_BY.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}` };
+  }
+  
+  const from = query.from ? new Date(query.from) : undefined;
+  const to = query.to ? new Date(query.to) : undefined;
+  
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be dates, e.g. 2025-03-01' };
+  }
+  
+  const filters = Object.fromEntries(USAGE_FILTERS.filter(field => query[field]).map(field => [field, query[field]]));
+  
+  return { options: { groupBy, from, to, ...filters } };
+}
+
 /**
  * Get performance metrics for content
  */
@@ -338,4 +369,97 @@ exports.getDashboardData = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the tokens and cost of AI calls, grouped by agent, module, workflow,
+ * content item, user, provider, model or day
+ */
+exports.getAIUsage = async (req, res, next) => {
+  try {
+    const { options, error } = parseUsageQuery(req.query, 'agent');
+    
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error,
+          code: 'invalid_usage_query'
+        }
+      });
+    }
+    
+    const usageTracker = await getUsageTracker();
+    const { totals, groups } = await usageTracker.getSummary(options);
+    
+    return res.status(200).json({
+      groupBy: options.groupBy,
+      from: options.from || null,
+      to: options.to || null,
+      currency: 'USD',
+      totals,
+      groups
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get what a content item cost to produce in AI calls, by module unless grouped otherwise
+ */
+exports.getContentAICost = async (req, res, next) => {
+  try {
+    const { contentId } = req.params;
+    const { options, error } = parseUsageQuery({ ...req.query, contentId }, 'module');
+    
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error,
+          code: 'invalid_usage_query'
+        }
+      });
+    }
+    
+    const usageTracker = await getUsageTracker();
+    const { totals, groups } = await usageTracker.getSummary(options);
+    
+    return res.status(200).json({
+      contentId,
+      groupBy: options.groupBy,
+      currency: 'USD',
+      totals,
+      groups
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the burn-down of the AI spend budgets over a month
+ */
+exports.getAIBudgetBurnDown = async (req, res, next) => {
+  try {
+    const { month } = req.query;
+    
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        error: {
+          message: 'month must be a month, e.g. 2025-03',
+          code: 'invalid_budget_query'
+        }
+      });
+    }
+    
+    const budgetManager = await getBudgetManager();
+    const burnDown = await budgetManager.getBurnDown(month);
+    
+    return res.status(200).json({
+      ...burnDown,
+      currency: 'USD'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
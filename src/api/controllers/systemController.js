@@ -7,7 +7,16 @@
 const os = require('os');
 const { version } = require('../../../package.json');
 const { getInstance: getHealthMonitoringService } = require('../../core/monitoring/healthMonitoringService');
-const { getRecoveryService } = require('../../core/error');
+const { getInstance: getErrorHandlingService, getRecoveryService } = require('../../core/error');
+const { getTracer } = require('../../core/tracing');
+const { getInstance: getScheduler, JobStatus } = require('../../core/scheduling/scheduler');
+const {
+  getInstance: getConfigManager,
+  ConfigSource,
+  ConfigChangeStatus
+} = require('../../core/configuration/configManager');
+const { getInstance: getBudgetManager } = require('../../core/usage/budgetManager');
+const { ValidationError } = require('../../core/error/errors');
 const logger = require('../../common/services/logger');
 
 /**
@@ -81,16 +90,18 @@ exports.getSystemStatus = async (req, res, next) => {
     // Get messaging status
     let messagingStatus = 'unknown';
     try {
-      messagingStatus = agentContainer.messaging.isConnected() ? 'connected' : 'disconnected';
+      messagingStatus = agentContainer.messaging.isConnected ? 'connected' : 'disconnected';
     } catch (error) {
       messagingStatus = 'error';
     }
     
     // Get healthMonitoring agent status if available
     let detailedAgentStatus = {};
+    let circuitBreakers = {};
     try {
       const healthService = await getHealthMonitoringService();
       detailedAgentStatus = await healthService.getAllAgentsStatus();
+      circuitBreakers = healthService.getCircuitBreakers();
     } catch (error) {
       logger.warn('Failed to get detailed agent status from health monitoring service', error);
     }
@@ -118,7 +129,8 @@ exports.getSystemStatus = async (req, res, next) => {
           status: dbStatus,
           details: dbDetails
         },
-        messaging: messagingStatus
+        messaging: messagingStatus,
+        circuitBreakers
       }
     });
   } catch (error) {
@@ -165,18 +177,62 @@ exports.getAgentHealth = async (req, res) => {
   }
 };
 
+/**
+ * Read dead letter queue filters from a query string or request body
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} - Filters, or an error message if they are invalid
+ */
+function parseDeadLetterFilters(source = {}) {
+  const filters = {};
+  
+  for (const name of ['agentId', 'category', 'error']) {
+    if (source[name]) {
+      filters[name] = source[name];
+    }
+  }
+  
+  for (const name of ['from', 'to']) {
+    if (source[name]) {
+      const date = new Date(source[name]);
+      
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid '${name}' date: ${source[name]}` };
+      }
+      
+      filters[name] = date;
+    }
+  }
+  
+  if (source.keys) {
+    filters.keys = Array.isArray(source.keys) ? source.keys : String(source.keys).split(',');
+  }
+  
+  return { filters };
+}
+
 /**
  * Get dead letter queue entries
  */
 exports.getDeadLetterQueue = async (req, res) => {
   try {
-    const { agentId } = req.query;
+    const { filters, error } = parseDeadLetterFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 1000);
+    const offset = parseInt(req.query.offset || '0', 10);
     
     const recoveryService = await getRecoveryService();
-    const entries = recoveryService.getDeadLetterQueueEntries(agentId);
+    const { total, entries } = await recoveryService.getDeadLetterQueueEntries(filters, { limit, offset });
     
     return res.json({
       status: 'ok',
+      total,
       count: entries.length,
       entries
     });
@@ -192,11 +248,44 @@ exports.getDeadLetterQueue = async (req, res) => {
 };
 
 /**
- * Retry a dead letter queue entry
+ * Get a dead letter queue entry with its payload and attempt history
+ */
+exports.getDeadLetterQueueEntry = async (req, res) => {
+  try {
+    const { key } = req.params;
+    
+    const recoveryService = await getRecoveryService();
+    const entry = await recoveryService.getDeadLetterQueueEntry(key);
+    
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Entry with key ${key} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      entry
+    });
+  } catch (error) {
+    logger.error(`Failed to get dead letter queue entry ${req.params.key}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve dead letter queue entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry a dead letter queue entry, optionally with an edited payload
  */
 exports.retryDeadLetterQueueEntry = async (req, res) => {
   try {
     const { key } = req.params;
+    const { payload } = req.body || {};
     
     if (!key) {
       return res.status(400).json({
@@ -205,8 +294,15 @@ exports.retryDeadLetterQueueEntry = async (req, res) => {
       });
     }
     
+    if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Payload must be an object'
+      });
+    }
+    
     const recoveryService = await getRecoveryService();
-    const result = await recoveryService.retryDeadLetterQueueEntry(key);
+    const result = await recoveryService.retryDeadLetterQueueEntry(key, { payload });
     
     if (!result) {
       return res.status(404).json({
@@ -230,6 +326,41 @@ exports.retryDeadLetterQueueEntry = async (req, res) => {
   }
 };
 
+/**
+ * Retry every dead letter queue entry matching the filters in the body
+ */
+exports.retryDeadLetterQueueEntries = async (req, res) => {
+  try {
+    const { filters, error } = parseDeadLetterFilters(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    const limit = Math.min(parseInt((req.body && req.body.limit) || '100', 10), 1000);
+    
+    const recoveryService = await getRecoveryService();
+    const result = await recoveryService.retryDeadLetterQueueEntries(filters, { limit });
+    
+    return res.json({
+      status: 'ok',
+      retried: result.retried,
+      failed: result.failed
+    });
+  } catch (error) {
+    logger.error('Failed to retry dead letter queue entries', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retry dead letter queue entries',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete a dead letter queue entry
  */
@@ -245,7 +376,7 @@ exports.deleteDeadLetterQueueEntry = async (req, res) => {
     }
     
     const recoveryService = await getRecoveryService();
-    const result = recoveryService.deleteDeadLetterQueueEntry(key);
+    const result = await recoveryService.deleteDeadLetterQueueEntry(key);
     
     if (!result) {
       return res.status(404).json({
@@ -269,6 +400,675 @@ exports.deleteDeadLetterQueueEntry = async (req, res) => {
   }
 };
 
+/**
+ * Delete every dead letter queue entry matching the filters in the query
+ * Purging the whole queue needs all=true, so a missing filter can't empty it by accident.
+ */
+exports.purgeDeadLetterQueue = async (req, res) => {
+  try {
+    const { filters, error } = parseDeadLetterFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    if (Object.keys(filters).length === 0 && req.query.all !== 'true') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Give at least one filter, or all=true to purge every entry'
+      });
+    }
+    
+    const recoveryService = await getRecoveryService();
+    const deleted = await recoveryService.purgeDeadLetterQueueEntries(filters);
+    
+    return res.json({
+      status: 'ok',
+      deleted
+    });
+  } catch (error) {
+    logger.error('Failed to purge dead letter queue', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to purge dead letter queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get messages quarantined by the message bus because they failed schema validation
+ */
+exports.getMessageQuarantine = async (req, res) => {
+  try {
+    const { kind, routingKey } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    
+    const { getInstance: getMessageBus } = require('../../core/messaging/messageBus');
+    const messageBus = await getMessageBus();
+    const entries = messageBus.getQuarantine({ kind, routingKey, limit });
+    
+    return res.json({
+      status: 'ok',
+      validationMode: messageBus.validationMode,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('Failed to get quarantined messages', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve quarantined messages',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a quarantined message, or all of them when no ID is given
+ */
+exports.clearMessageQuarantine = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { getInstance: getMessageBus } = require('../../core/messaging/messageBus');
+    const messageBus = await getMessageBus();
+    const removed = messageBus.clearQuarantine(id === undefined ? undefined : parseInt(id, 10));
+    
+    if (id !== undefined && removed === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Quarantined message ${id} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      removed
+    });
+  } catch (error) {
+    logger.error('Failed to clear quarantined messages', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to clear quarantined messages',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the timeline of a trace from the spans recorded by this process
+ * Spans of agents running in other processes are only in the trace collector.
+ */
+exports.getTrace = (req, res) => {
+  try {
+    const { traceId } = req.params;
+    
+    if (!/^[0-9a-f]{32}$/.test(traceId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Trace ID must be 32 lowercase hex characters'
+      });
+    }
+    
+    const trace = getTracer().getTrace(traceId);
+    
+    if (!trace) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Trace ${traceId} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      trace
+    });
+  } catch (error) {
+    logger.error(`Failed to get trace ${req.params.traceId}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve trace',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the circuit breakers of the external services
+ */
+exports.getCircuitBreakers = async (req, res) => {
+  try {
+    const errorHandlingService = await getErrorHandlingService();
+    const circuitBreakers = await errorHandlingService.getCircuitBreakers();
+    
+    return res.json({
+      status: 'ok',
+      count: circuitBreakers.length,
+      circuitBreakers
+    });
+  } catch (error) {
+    logger.error('Failed to get circuit breakers', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve circuit breakers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Respond with the circuit breaker of a service after changing it
+ * @param {Object} res - Express response
+ * @param {string} service - Service name
+ * @param {string} action - Name of the change, for errors
+ * @param {Function} change - Change to make through the error handling service
+ */
+async function changeCircuitBreaker(res, service, action, change) {
+  try {
+    const errorHandlingService = await getErrorHandlingService();
+    const circuitBreaker = await change(errorHandlingService);
+    
+    return res.json({
+      status: 'ok',
+      circuitBreaker
+    });
+  } catch (error) {
+    logger.error(`Failed to ${action} circuit breaker of ${service}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to ${action} circuit breaker`,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Open the circuit of a service, shedding its requests until it is closed or reset
+ */
+exports.openCircuitBreaker = (req, res) => {
+  const { service } = req.params;
+  
+  return changeCircuitBreaker(res, service, 'open', errorHandlingService =>
+    errorHandlingService.forceOpenCircuitBreaker(service));
+};
+
+/**
+ * Close the circuit of a service, keeping it closed whatever fails until it is reset
+ */
+exports.closeCircuitBreaker = (req, res) => {
+  const { service } = req.params;
+  
+  return changeCircuitBreaker(res, service, 'close', errorHandlingService =>
+    errorHandlingService.forceCloseCircuitBreaker(service));
+};
+
+/**
+ * Reset the circuit breaker of a service, clearing its failures and forced state
+ */
+exports.resetCircuitBreaker = (req, res) => {
+  const { service } = req.params;
+  
+  return changeCircuitBreaker(res, service, 'reset', errorHandlingService =>
+    errorHandlingService.resetCircuitBreaker(service));
+};
+
+/**
+ * Parse the run history query of a job
+ * @param {Object} query - Request query
+ * @returns {Object} - { options } or { error } if the query is invalid
+ */
+function parseJobRunQuery(query) {
+  const { status } = query;
+  
+  if (status && !Object.values(JobStatus).includes(status)) {
+    return { error: `Status must be one of: ${Object.values(JobStatus).join(', ')}` };
+  }
+  
+  return {
+    options: {
+      status,
+      limit: Math.min(parseInt(query.limit || '20', 10), 500)
+    }
+  };
+}
+
+/**
+ * Get the scheduled jobs with their schedule, next run and last outcome
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const scheduler = await getScheduler();
+    const jobs = await scheduler.listJobs();
+    
+    return res.json({
+      status: 'ok',
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    logger.error('Failed to get scheduled jobs', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve scheduled jobs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a scheduled job with its latest runs
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { options, error } = parseJobRunQuery(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    const scheduler = await getScheduler();
+    const job = await scheduler.getJob(name, options);
+    
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${name} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      job
+    });
+  } catch (error) {
+    logger.error(`Failed to get scheduled job ${req.params.name}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve scheduled job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the run history of a scheduled job, newest first
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { options, error } = parseJobRunQuery(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    const scheduler = await getScheduler();
+    const runs = await scheduler.getRuns(name, options);
+    
+    if (!runs) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${name} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    logger.error(`Failed to get runs of scheduled job ${req.params.name}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve job runs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Run a scheduled job now
+ * Jobs registered on another instance run on that instance's next check for due jobs.
+ */
+exports.triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    const scheduler = await getScheduler();
+    const result = await scheduler.trigger(name);
+    
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${name} not found`
+      });
+    }
+    
+    if (result.running) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Job ${name} is already running`
+      });
+    }
+    
+    if (result.requested) {
+      return res.status(202).json({
+        status: 'ok',
+        message: `Job ${name} will run on the instance that has it registered`
+      });
+    }
+    
+    return res.status(202).json({
+      status: 'ok',
+      message: `Job ${name} started`,
+      run: result.run
+    });
+  } catch (error) {
+    logger.error(`Failed to trigger scheduled job ${req.params.name}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to trigger scheduled job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Respond with a scheduled job after pausing or resuming it
+ * @param {Object} res - Express response
+ * @param {string} name - Job name
+ * @param {string} action - pause or resume
+ */
+async function changeJob(res, name, action) {
+  try {
+    const scheduler = await getScheduler();
+    const job = await scheduler[action](name);
+    
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${name} not found`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      job
+    });
+  } catch (error) {
+    logger.error(`Failed to ${action} scheduled job ${name}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to ${action} scheduled job`,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Stop scheduling a job until it is resumed; it can still be triggered
+ */
+exports.pauseJob = (req, res) => changeJob(res, req.params.name, 'pause');
+
+/**
+ * Schedule a paused job again from its next scheduled time
+ */
+exports.resumeJob = (req, res) => changeJob(res, req.params.name, 'resume');
+
+/**
+ * Get the agent configuration in effect
+ */
+exports.getAgentsConfig = async (req, res) => {
+  try {
+    const configManager = await getConfigManager();
+    
+    return res.json({
+      status: 'ok',
+      agents: configManager.getAgentsConfig()
+    });
+  } catch (error) {
+    logger.error('Failed to get agent configuration', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve agent configuration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Respond with the outcome of a configuration change
+ * @param {Object} req - Express request, whose user is recorded as the actor
+ * @param {Object} res - Express response
+ * @param {Function} change - Change to make through the configuration manager
+ * @param {string} [agent] - Agent the change is limited to, which must exist
+ */
+async function changeAgentsConfig(req, res, change, agent) {
+  try {
+    const configManager = await getConfigManager();
+    
+    if (agent && !configManager.getAgentsConfig()[agent]) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Agent ${agent} not found`
+      });
+    }
+    
+    const entry = await change(configManager, {
+      actor: req.user ? req.user.email || String(req.user.id) : 'unknown',
+      source: ConfigSource.API,
+      reason: (req.body || {}).reason
+    });
+    
+    if (!entry) {
+      return res.json({
+        status: 'ok',
+        message: 'Agent configuration unchanged'
+      });
+    }
+    
+    return res.status(entry.status === ConfigChangeStatus.FAILED ? 500 : 200).json({
+      status: entry.status === ConfigChangeStatus.FAILED ? 'error' : 'ok',
+      message: entry.status === ConfigChangeStatus.FAILED
+        ? 'Some agents failed to apply the configuration and kept their previous one'
+        : 'Agent configuration applied',
+      change: entry
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        errors: error.details.errors
+      });
+    }
+    
+    logger.error('Failed to change agent configuration', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to change agent configuration',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace the configuration of every agent
+ * The new configuration is validated, applied to the running agents and written to
+ * config/agents.json.
+ */
+exports.updateAgentsConfig = (req, res) => {
+  const { agents } = req.body || {};
+  
+  return changeAgentsConfig(req, res, (configManager, change) => configManager.update(agents, change));
+};
+
+/**
+ * Replace the configuration of one agent
+ */
+exports.updateAgentConfig = (req, res) => {
+  const { agent } = req.params;
+  const { config: agentConfig } = req.body || {};
+  
+  return changeAgentsConfig(req, res, (configManager, change) => configManager.updateAgent(agent, agentConfig, change), agent);
+};
+
+/**
+ * Get the audit log of agent configuration changes, newest first
+ */
+exports.getConfigAuditLog = async (req, res) => {
+  try {
+    const { agent, status } = req.query;
+    
+    if (status && !Object.values(ConfigChangeStatus).includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status must be one of: ${Object.values(ConfigChangeStatus).join(', ')}`
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit || '50', 10), 500);
+    
+    const configManager = await getConfigManager();
+    const changes = await configManager.getAuditLog({ agent, status, limit });
+    
+    return res.json({
+      status: 'ok',
+      count: changes.length,
+      changes
+    });
+  } catch (error) {
+    logger.error('Failed to get configuration audit log', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve configuration audit log',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the AI spend budgets with their spend this month
+ */
+exports.getBudgets = async (req, res) => {
+  try {
+    const budgetManager = await getBudgetManager();
+    const budgets = await budgetManager.getBudgets();
+    
+    return res.json({
+      status: 'ok',
+      count: budgets.length,
+      budgets
+    });
+  } catch (error) {
+    logger.error('Failed to get AI budgets', error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve AI budgets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set the monthly AI spend budget of a user, team or agent
+ */
+exports.setBudget = async (req, res) => {
+  try {
+    const { scope, subject } = req.params;
+    const { monthlyLimit, warnAt, downgradeAt } = req.body || {};
+    
+    const budgetManager = await getBudgetManager();
+    const budget = await budgetManager.setBudget(
+      scope,
+      subject,
+      { monthlyLimit, warnAt, downgradeAt },
+      req.user ? req.user.email || String(req.user.id) : 'unknown'
+    );
+    
+    return res.json({
+      status: 'ok',
+      message: `AI budget of ${scope} ${subject} set`,
+      budget
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+        errors: error.details.errors
+      });
+    }
+    
+    logger.error(`Failed to set AI budget of ${req.params.scope} ${req.params.subject}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to set AI budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove the AI spend budget of a user, team or agent
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    const { scope, subject } = req.params;
+    
+    const budgetManager = await getBudgetManager();
+    const removed = await budgetManager.removeBudget(scope, subject);
+    
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No AI budget for ${scope} ${subject}`
+      });
+    }
+    
+    return res.json({
+      status: 'ok',
+      message: `AI budget of ${scope} ${subject} removed`
+    });
+  } catch (error) {
+    logger.error(`Failed to remove AI budget of ${req.params.scope} ${req.params.subject}`, error);
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove AI budget',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get recovery history for an agent
  */
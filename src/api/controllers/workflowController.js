@@ -0,0 +1,292 @@
+/**
+ * Workflow Controller
+ * Handles API endpoints for workflow templates and for controlling running workflows
+ */
+
+const { getInstance: getCoordinationService } = require('../../core/coordination/coordinationService');
+const { AuthorizationError, NotFoundError, ValidationError, WorkflowError } = require('../../core/error');
+const logger = require('../../common/services/logger');
+
+/**
+ * Send the response for a failed workflow request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the coordination service
+ * @param {string} message - Message for unexpected failures
+ */
+const sendWorkflowError = (res, error, message) => {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message,
+      code: error.code
+    });
+  }
+  
+  if (error instanceof AuthorizationError) {
+    return res.status(403).json({
+      status: 'error',
+      message: error.message,
+      code: error.code
+    });
+  }
+  
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error instanceof WorkflowError) {
+    return res.status(409).json({
+      status: 'error',
+      message: error.message,
+      code: error.code
+    });
+  }
+  
+  return res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Pause a running workflow
+ */
+exports.pauseWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const coordinationService = await getCoordinationService();
+    const result = await coordinationService.pauseWorkflow(id, {
+      reason: reason || null,
+      requestedBy: req.user ? req.user.id : null
+    });
+    
+    return res.json({
+      status: 'ok',
+      message: `Workflow ${id} paused`,
+      workflow: result
+    });
+  } catch (error) {
+    logger.error(`Failed to pause workflow ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to pause workflow');
+  }
+};
+
+/**
+ * Resume a paused workflow
+ */
+exports.resumeWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const coordinationService = await getCoordinationService();
+    const result = await coordinationService.resumeWorkflow(id, {
+      requestedBy: req.user ? req.user.id : null
+    });
+    
+    return res.json({
+      status: 'ok',
+      message: `Workflow ${id} resumed`,
+      workflow: result
+    });
+  } catch (error) {
+    logger.error(`Failed to resume workflow ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to resume workflow');
+  }
+};
+
+/**
+ * Cancel a running or paused workflow
+ */
+exports.cancelWorkflow = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const coordinationService = await getCoordinationService();
+    const result = await coordinationService.cancelWorkflow(id, reason, {
+      requestedBy: req.user ? req.user.id : null
+    });
+    
+    return res.json({
+      status: 'ok',
+      message: `Workflow ${id} cancelled`,
+      workflow: result
+    });
+  } catch (error) {
+    logger.error(`Failed to cancel workflow ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to cancel workflow');
+  }
+};
+
+/**
+ * List built-in workflows and the latest version of each stored template
+ */
+exports.listWorkflowTemplates = async (req, res) => {
+  try {
+    const coordinationService = await getCoordinationService();
+    const templates = await coordinationService.listWorkflowTemplates();
+    
+    return res.json({
+      status: 'ok',
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    logger.error('Failed to list workflow templates', error);
+    
+    return sendWorkflowError(res, error, 'Failed to list workflow templates');
+  }
+};
+
+/**
+ * Get a stored workflow template, optionally at a specific version
+ */
+exports.getWorkflowTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+    
+    const coordinationService = await getCoordinationService();
+    const template = await coordinationService.getWorkflowTemplate(id, version);
+    
+    return res.json({
+      status: 'ok',
+      template
+    });
+  } catch (error) {
+    logger.error(`Failed to get workflow template ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to get workflow template');
+  }
+};
+
+/**
+ * Save a new version of a workflow template
+ */
+exports.saveWorkflowTemplate = async (req, res) => {
+  try {
+    const { templateId, definition, source, format } = req.body;
+    
+    const coordinationService = await getCoordinationService();
+    const template = await coordinationService.saveWorkflowTemplate(templateId, { definition, source, format }, {
+      createdBy: req.user ? req.user.id : null
+    });
+    
+    return res.status(201).json({
+      status: 'ok',
+      message: `Saved workflow template ${templateId} version ${template.version}`,
+      template
+    });
+  } catch (error) {
+    logger.error(`Failed to save workflow template ${req.body.templateId}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to save workflow template');
+  }
+};
+
+/**
+ * Reload stored workflow templates, e.g. after another instance saved one
+ */
+exports.reloadWorkflowTemplates = async (req, res) => {
+  try {
+    const coordinationService = await getCoordinationService();
+    const loaded = await coordinationService.loadWorkflowTemplates();
+    
+    return res.json({
+      status: 'ok',
+      loaded
+    });
+  } catch (error) {
+    logger.error('Failed to reload workflow templates', error);
+    
+    return sendWorkflowError(res, error, 'Failed to reload workflow templates');
+  }
+};
+
+/**
+ * Start a workflow from a template
+ */
+exports.createFromTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parameters, version } = req.body;
+    
+    const coordinationService = await getCoordinationService();
+    const workflow = await coordinationService.startWorkflowFromTemplate(
+      id,
+      parameters,
+      { userId: req.user ? req.user.id : undefined },
+      version || null
+    );
+    
+    return res.status(201).json({
+      status: 'ok',
+      message: `Started workflow ${workflow.workflowId} from template ${id}`,
+      workflow
+    });
+  } catch (error) {
+    logger.error(`Failed to start workflow from template ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to start workflow from template');
+  }
+};
+
+/**
+ * List the open human tasks the current user may decide
+ */
+exports.listHumanTasks = async (req, res) => {
+  try {
+    const coordinationService = await getCoordinationService();
+    const tasks = coordinationService.listHumanTasks({
+      userId: req.user.id,
+      roles: req.user.roles || []
+    });
+    
+    return res.json({
+      status: 'ok',
+      count: tasks.length,
+      tasks
+    });
+  } catch (error) {
+    logger.error('Failed to list human tasks', error);
+    
+    return sendWorkflowError(res, error, 'Failed to list human tasks');
+  }
+};
+
+/**
+ * Approve, reject or request changes on a human task
+ */
+exports.submitHumanDecision = async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    const { decision, comments } = req.body;
+    
+    const coordinationService = await getCoordinationService();
+    const result = await coordinationService.submitHumanDecision(id, taskId, {
+      decision,
+      comments: comments || null,
+      decidedBy: req.user.id,
+      roles: req.user.roles || []
+    });
+    
+    return res.json({
+      status: 'ok',
+      message: `Recorded ${decision} for task ${taskId}`,
+      result
+    });
+  } catch (error) {
+    logger.error(`Failed to record decision for task ${req.params.taskId} of workflow ${req.params.id}`, error);
+    
+    return sendWorkflowError(res, error, 'Failed to record decision');
+  }
+};
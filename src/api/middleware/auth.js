@@ -6,6 +6,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../../models/userModel');
+const { runWithUsageAttribution } = require('../../core/usage/usageContext');
 
 /**
  * Generate access and refresh tokens
@@ -237,7 +238,8 @@ exports.authenticate = async (req, res, next) => {
       requiresPasswordChange: user.requiresPasswordChange
     };
     
-    next();
+    // AI calls made while handling the request are accounted to the user and their team
+    runWithUsageAttribution({ userId: user._id, team: user.organization }, next);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
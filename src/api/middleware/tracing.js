@@ -0,0 +1,62 @@
+/**
+ * Tracing Middleware
+ * Starts the trace of each API request, so the messages, AI calls and database
+ * writes made while handling it can be followed across the agents
+ */
+
+const { getTracer, runInSpan, parseTraceparent, formatTraceparent } = require('../../core/tracing');
+
+/**
+ * Run the rest of the request in a server span
+ * A valid `traceparent` header continues the caller's trace. The trace ID is sent
+ * back in the `X-Trace-Id` header to look the trace up at /api/system/traces/:traceId.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const traceRequest = (req, res, next) => {
+  const parent = parseTraceparent(req.get('traceparent'));
+
+  const span = getTracer().startSpan(`${req.method} ${req.path}`, {
+    kind: 'server',
+    parent,
+    attributes: {
+      'http.method': req.method,
+      'http.target': req.originalUrl,
+      'http.user_agent': req.get('user-agent')
+    }
+  });
+
+  res.set('traceparent', formatTraceparent(span));
+  res.set('X-Trace-Id', span.traceId);
+
+  res.on('finish', () => {
+    // The matched route is only known once the router has run
+    if (req.route) {
+      span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      span.setAttribute('http.route', `${req.baseUrl}${req.route.path}`);
+    }
+
+    span.setAttribute('http.status_code', res.statusCode);
+
+    if (res.statusCode >= 500) {
+      span.status = { code: 'error', message: `HTTP ${res.statusCode}` };
+    }
+
+    span.end();
+  });
+
+  // A request aborted by the client never finishes
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      span.status = { code: 'error', message: 'Request aborted' };
+      span.end();
+    }
+  });
+
+  runInSpan(span, next);
+};
+
+module.exports = {
+  traceRequest
+};
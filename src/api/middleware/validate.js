@@ -249,6 +249,38 @@ exports.updateContent = validate(Joi.object({
   userId: Joi.string()
 }));
 
+/**
+ * Workflow control schemas
+ */
+exports.pauseWorkflow = validate(Joi.object({
+  reason: Joi.string().max(500)
+}));
+
+exports.cancelWorkflow = validate(Joi.object({
+  reason: Joi.string().max(500).required()
+}));
+
+exports.submitHumanDecision = validate(Joi.object({
+  decision: Joi.string().valid('approve', 'reject', 'request-changes').required(),
+  comments: Joi.string().max(5000).allow('')
+}));
+
+exports.saveWorkflowTemplate = validate(Joi.object({
+  templateId: Joi.string().pattern(/^[a-z0-9][a-z0-9-]*$/).max(100).required(),
+  definition: Joi.object(),
+  source: Joi.string().max(100000),
+  format: Joi.string().valid('json', 'yaml').default('json')
+}).xor('definition', 'source'));
+
+exports.getWorkflowTemplate = validate(Joi.object({
+  version: Joi.number().integer().min(1)
+}), 'query');
+
+exports.createFromTemplate = validate(Joi.object({
+  parameters: Joi.object().default({}),
+  version: Joi.number().integer().min(1)
+}));
+
 /**
  * Integration schemas
  */
@@ -13,6 +13,7 @@ const contentController = require('./controllers/contentController');
 const analyticsController = require('./controllers/analyticsController');
 const systemController = require('./controllers/systemController');
 const integrationController = require('./controllers/integrationController');
+const workflowController = require('./controllers/workflowController');
 
 // Import middleware
 const auth = require('./middleware/auth');
@@ -89,9 +90,45 @@ router.get('/metrics',
 
 // Dead letter queue management - require admin permission
 router.get('/system/dead-letter-queue', adminMiddleware, systemController.getDeadLetterQueue);
+router.delete('/system/dead-letter-queue', adminMiddleware, systemController.purgeDeadLetterQueue);
+router.post('/system/dead-letter-queue/retry', adminMiddleware, systemController.retryDeadLetterQueueEntries);
+router.get('/system/dead-letter-queue/:key', adminMiddleware, systemController.getDeadLetterQueueEntry);
 router.post('/system/dead-letter-queue/:key/retry', adminMiddleware, systemController.retryDeadLetterQueueEntry);
 router.delete('/system/dead-letter-queue/:key', adminMiddleware, systemController.deleteDeadLetterQueueEntry);
 
+// Quarantine of messages that failed schema validation - require admin permission
+router.get('/system/message-quarantine', adminMiddleware, systemController.getMessageQuarantine);
+router.delete('/system/message-quarantine', adminMiddleware, systemController.clearMessageQuarantine);
+router.delete('/system/message-quarantine/:id', adminMiddleware, systemController.clearMessageQuarantine);
+
+// Circuit breakers of external services - require admin permission
+router.get('/system/circuit-breakers', adminMiddleware, systemController.getCircuitBreakers);
+router.post('/system/circuit-breakers/:service/open', adminMiddleware, systemController.openCircuitBreaker);
+router.post('/system/circuit-breakers/:service/close', adminMiddleware, systemController.closeCircuitBreaker);
+router.post('/system/circuit-breakers/:service/reset', adminMiddleware, systemController.resetCircuitBreaker);
+
+// Scheduled jobs of agents and modules - require admin permission
+router.get('/system/jobs', adminMiddleware, systemController.getJobs);
+router.get('/system/jobs/:name', adminMiddleware, systemController.getJob);
+router.get('/system/jobs/:name/runs', adminMiddleware, systemController.getJobRuns);
+router.post('/system/jobs/:name/trigger', adminMiddleware, systemController.triggerJob);
+router.post('/system/jobs/:name/pause', adminMiddleware, systemController.pauseJob);
+router.post('/system/jobs/:name/resume', adminMiddleware, systemController.resumeJob);
+
+// Agent configuration, applied without a restart - require admin permission
+router.get('/system/config/agents', adminMiddleware, systemController.getAgentsConfig);
+router.put('/system/config/agents', adminMiddleware, systemController.updateAgentsConfig);
+router.put('/system/config/agents/:agent', adminMiddleware, systemController.updateAgentConfig);
+router.get('/system/config/audit', adminMiddleware, systemController.getConfigAuditLog);
+
+// AI spend budgets of users, teams and agents - require admin permission
+router.get('/system/budgets', adminMiddleware, systemController.getBudgets);
+router.put('/system/budgets/:scope/:subject', adminMiddleware, systemController.setBudget);
+router.delete('/system/budgets/:scope/:subject', adminMiddleware, systemController.deleteBudget);
+
+// Request traces - require admin permission
+router.get('/system/traces/:traceId', adminMiddleware, systemController.getTrace);
+
 // Authentication routes - apply specific auth rate limiting
 const authSecurityMiddleware = [...baseSecurityMiddleware, security.authRateLimit];
 
@@ -133,6 +170,13 @@ router.post('/creation/generate',
   agentController.generateContent
 );
 
+// Streams the output as server-sent events while it is generated
+router.post('/creation/generate/stream', 
+  contentGenerationMiddleware, 
+  validate.generateContent, 
+  agentController.generateContentStream
+);
+
 router.post('/creation/edit', 
   contentGenerationMiddleware, 
   validate.editContent, 
@@ -202,6 +246,59 @@ router.post('/brand/guidelines',
   agentController.updateBrandGuidelines
 );
 
+// Workflow control routes - require write permission
+router.post('/workflows/:id/pause', 
+  [...authMiddleware, auth.requirePermission('content:write')], 
+  validate.pauseWorkflow, 
+  workflowController.pauseWorkflow
+);
+
+router.post('/workflows/:id/resume', 
+  [...authMiddleware, auth.requirePermission('content:write')], 
+  workflowController.resumeWorkflow
+);
+
+router.post('/workflows/:id/cancel', 
+  [...authMiddleware, auth.requirePermission('content:write')], 
+  validate.cancelWorkflow, 
+  workflowController.cancelWorkflow
+);
+
+// Human task routes - the coordinator checks the user is assigned to the task
+router.get('/human-tasks', authMiddleware, workflowController.listHumanTasks);
+
+router.post('/workflows/:id/tasks/:taskId/decision', 
+  authMiddleware, 
+  validate.submitHumanDecision, 
+  workflowController.submitHumanDecision
+);
+
+// Workflow template routes - reading requires read permission, saving and starting require write permission
+router.get('/workflow-templates', 
+  [...authMiddleware, auth.requirePermission('content:read')], 
+  workflowController.listWorkflowTemplates
+);
+
+router.post('/workflow-templates', 
+  [...authMiddleware, auth.requirePermission('content:write')], 
+  validate.saveWorkflowTemplate, 
+  workflowController.saveWorkflowTemplate
+);
+
+router.post('/workflow-templates/reload', adminMiddleware, workflowController.reloadWorkflowTemplates);
+
+router.get('/workflow-templates/:id', 
+  [...authMiddleware, auth.requirePermission('content:read')], 
+  validate.getWorkflowTemplate, 
+  workflowController.getWorkflowTemplate
+);
+
+router.post('/workflow-templates/:id/create', 
+  [...authMiddleware, auth.requirePermission('content:write')], 
+  validate.createFromTemplate, 
+  workflowController.createFromTemplate
+);
+
 // Content routes - read operations require read permission, write operations require write permission
 router.get('/content', 
   [...authMiddleware, auth.requirePermission('content:read')], 
@@ -266,6 +363,22 @@ router.get('/analytics/dashboard',
   analyticsController.getDashboardData
 );
 
+// AI token usage, cost and spend budgets
+router.get('/analytics/ai-usage', 
+  [...authMiddleware, auth.requirePermission('analytics:read')], 
+  analyticsController.getAIUsage
+);
+
+router.get('/analytics/ai-usage/content/:contentId', 
+  [...authMiddleware, auth.requirePermission('analytics:read')], 
+  analyticsController.getContentAICost
+);
+
+router.get('/analytics/ai-budgets', 
+  [...authMiddleware, auth.requirePermission('analytics:read')], 
+  analyticsController.getAIBudgetBurnDown
+);
+
 // Integration routes - either user authentication or API key authentication
 router.get('/integrations/status',
   authMiddleware,
@@ -6,6 +6,7 @@ const inquirer = require('inquirer');
 const { getInstance: getMessageBus } = require('../core/messaging/messageBus');
 const { getInstance: getCoordinationService } = require('../core/coordination/coordinationService');
 const { getInstance: getSharedDataStore } = require('../core/data/sharedDataStore');
+const { getInstance: getScheduler } = require('../core/scheduling/scheduler');
 const pkg = require('../../package.json');
 const logger = require('../core/utils/logger');
 
@@ -375,6 +376,118 @@ program
     }
   });
 
+// Format a date from the job store, which may be missing
+const formatTime = date => (date ? new Date(date).toISOString() : '-');
+
+// Command: List scheduled jobs
+program
+  .command('job:list')
+  .description('List scheduled jobs with their next run and last outcome')
+  .action(async () => {
+    try {
+      const scheduler = await getScheduler();
+      const jobs = await scheduler.listJobs();
+      
+      if (jobs.length === 0) {
+        console.log('No scheduled jobs');
+        return;
+      }
+      
+      console.log(`${jobs.length} scheduled jobs:`);
+      
+      jobs.forEach((job) => {
+        console.log(
+          `${job.name} | Schedule: ${job.schedule} | ${job.paused ? 'Paused' : `Next: ${formatTime(job.nextRunAt)}`} | ` +
+          `Last: ${formatTime(job.lastRunAt)} ${job.lastStatus || ''}${job.running ? ` | Running on ${job.lockedBy}` : ''}`
+        );
+      });
+    } catch (error) {
+      console.error('Failed to list jobs:', error.message);
+    } finally {
+      process.exit(0);
+    }
+  });
+
+// Command: Show the run history of a job
+program
+  .command('job:runs <name>')
+  .description('Show the latest runs of a scheduled job')
+  .option('-s, --status <status>', 'Only runs with this status (running, succeeded, failed)')
+  .option('-l, --limit <limit>', 'Maximum number of runs', '20')
+  .action(async (name, options) => {
+    try {
+      const scheduler = await getScheduler();
+      const runs = await scheduler.getRuns(name, { status: options.status, limit: parseInt(options.limit, 10) });
+      
+      if (!runs) {
+        console.log(`Job ${name} not found`);
+        return;
+      }
+      
+      if (runs.length === 0) {
+        console.log(`Job ${name} has not run yet`);
+        return;
+      }
+      
+      runs.forEach((run) => {
+        console.log(
+          `${formatTime(run.startedAt)} | ${run.status} | ${run.trigger} | Instance: ${run.instanceId}` +
+          `${run.durationMs !== null ? ` | ${run.durationMs}ms` : ''}${run.error ? ` | Error: ${run.error}` : ''}`
+        );
+      });
+    } catch (error) {
+      console.error('Failed to get job runs:', error.message);
+    } finally {
+      process.exit(0);
+    }
+  });
+
+// Command: Run a job now
+program
+  .command('job:trigger <name>')
+  .description('Run a scheduled job now on the instance that has it registered')
+  .action(async (name) => {
+    try {
+      const scheduler = await getScheduler();
+      const result = await scheduler.trigger(name);
+      
+      if (!result) {
+        console.log(`Job ${name} not found`);
+      } else if (result.running) {
+        console.log(`Job ${name} is already running`);
+      } else {
+        console.log(`Job ${name} triggered`);
+      }
+    } catch (error) {
+      console.error('Failed to trigger job:', error.message);
+    } finally {
+      process.exit(0);
+    }
+  });
+
+// Command: Pause or resume a job
+for (const action of ['pause', 'resume']) {
+  program
+    .command(`job:${action} <name>`)
+    .description(action === 'pause' ? 'Stop scheduling a job until it is resumed' : 'Schedule a paused job again')
+    .action(async (name) => {
+      try {
+        const scheduler = await getScheduler();
+        const job = await scheduler[action](name);
+        
+        if (!job) {
+          console.log(`Job ${name} not found`);
+        } else {
+          console.log(`Job ${name} ${action === 'pause' ? 'paused' : `resumed, next run at ${formatTime(job.nextRunAt)}`}`);
+        }
+      } catch (error) {
+        console.error(`Failed to ${action} job:`, error.message);
+      } finally {
+        process.exit(0);
+      }
+    });
+}
+
 // Parse arguments
 program.parse(process.argv);
 
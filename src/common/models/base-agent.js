@@ -3,6 +3,11 @@
  * Provides common functionality for all agent types
  */
 
+const AIProviderService = require('../services/ai-provider');
+const { getBulkhead, BulkheadType } = require('../../core/error/bulkhead');
+const { getInstance: getScheduler } = require('../../core/scheduling/scheduler');
+const { runWithUsageAttribution } = require('../../core/usage/usageContext');
+
 class BaseAgent {
   constructor(config) {
     // Extract services from config object
@@ -12,6 +17,7 @@ class BaseAgent {
     this.dataStore = config.dataStore;
     this.errorHandling = config.errorHandling;
     this.aiProvider = config.aiProvider;
+    this.scheduler = config.scheduler;
     
     // Get the agent name from the config
     this.name = config.name || 'unknown';
@@ -33,6 +39,15 @@ class BaseAgent {
     // Initialize modules map
     this.modules = new Map();
     this.isRunning = false;
+    this.scheduledJobs = [];
+    this.commandSubscriptions = [];
+  }
+
+  /**
+   * ID of the agent on the message bus, e.g. content-creation
+   */
+  get agentId() {
+    return this.config.id || this.name;
   }
 
   async initialize() {
@@ -44,11 +59,7 @@ class BaseAgent {
       for (const [moduleName, moduleConfig] of Object.entries(this.config.modules)) {
         if (moduleConfig.enabled) {
           try {
-            const ModuleClass = require(`../../agents/${this.name}/modules/${this._kebabCase(moduleName)}`);
-            const moduleInstance = new ModuleClass(moduleConfig, this.storage, this.logger);
-            await moduleInstance.initialize();
-            this.modules.set(moduleName, moduleInstance);
-            this.logger.info(`Module initialized: ${moduleName}`);
+            await this._loadModule(moduleName, moduleConfig);
           } catch (error) {
             this.logger.error(`Failed to initialize module ${moduleName}:`, error);
             // Log error but don't throw - allows agent to start even if module fails
@@ -64,19 +75,17 @@ class BaseAgent {
     if (this.messaging) {
       try {
         // Connect to message broker
-        if (!this.messaging.isConnected()) {
+        if (!this.messaging.isConnected) {
           await this.messaging.connect();
         }
         
-        // Subscribe to command queue
-        await this.messaging.subscribe(
-          `${this.name}_commands`,
-          this.handleCommand.bind(this)
-        );
+        await this.subscribeToCommands();
       } catch (error) {
         this.logger.error(`Error setting up messaging for agent ${this.name}:`, error);
         this.logger.warn(`Agent ${this.name} will operate with limited functionality`);
       }
+      
+      await this.registerCapabilities();
     }
     
     this.logger.info(`Agent initialized: ${this.name}`);
@@ -97,6 +106,8 @@ class BaseAgent {
       this.logger.info(`Module started: ${moduleName}`);
     }
     
+    await this._registerScheduledJobs();
+    
     this.logger.info(`Agent started: ${this.name}`);
   }
 
@@ -108,6 +119,8 @@ class BaseAgent {
     
     this.logger.info(`Stopping agent: ${this.name}`);
     
+    this._unregisterScheduledJobs();
+    
     // Stop all modules
     for (const [moduleName, module] of this.modules.entries()) {
       await module.stop();
@@ -118,30 +131,210 @@ class BaseAgent {
     this.logger.info(`Agent stopped: ${this.name}`);
   }
 
+  /**
+   * Apply a new configuration without restarting
+   * Loaded modules get their new settings through reconfigure(), modules that were
+   * enabled or disabled are loaded or stopped, and scheduled jobs are registered
+   * again so changed schedules take effect.
+   * @param {Object} agentConfig - Configuration of the agent, as in config/agents.json
+   */
+  async reconfigure(agentConfig) {
+    const modules = agentConfig.modules || {};
+    const moduleNames = new Set([...this.modules.keys(), ...Object.keys(modules)]);
+    
+    this.config = agentConfig;
+    
+    for (const moduleName of moduleNames) {
+      const moduleConfig = modules[moduleName];
+      const module = this.modules.get(moduleName);
+      
+      if (module && !(moduleConfig && moduleConfig.enabled)) {
+        if (this.isRunning) {
+          await module.stop();
+        }
+        this.modules.delete(moduleName);
+        this.logger.info(`Module disabled: ${moduleName}`);
+      } else if (module) {
+        if (typeof module.reconfigure === 'function') {
+          await module.reconfigure(moduleConfig);
+        } else {
+          module.config = moduleConfig;
+        }
+      } else if (moduleConfig && moduleConfig.enabled) {
+        const loaded = await this._loadModule(moduleName, moduleConfig);
+        
+        if (this.isRunning) {
+          await loaded.start();
+          this.logger.info(`Module started: ${moduleName}`);
+        }
+      }
+    }
+    
+    if (this.isRunning) {
+      this._unregisterScheduledJobs();
+      await this._registerScheduledJobs();
+    }
+    
+    this.logger.info(`Agent reconfigured: ${this.name}`);
+  }
+
+  /**
+   * Get the periodic jobs of the agent, run by the scheduler
+   * Agents and modules declare jobs with a getScheduledJobs() method returning
+   * { name, schedule, handler, description, runImmediately } definitions.
+   * @returns {Array<Object>} - Job definitions
+   */
+  getScheduledJobs() {
+    return [];
+  }
+
+  /**
+   * Get the commands this agent can handle
+   * @returns {Array<string>} - Command types, e.g. generate_content
+   */
+  getCapabilities() {
+    const capabilities = new Set();
+    
+    for (let prototype = Object.getPrototypeOf(this); prototype && prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+      for (const property of Object.getOwnPropertyNames(prototype)) {
+        const match = /^handle(\w+)Command$/.exec(property);
+        
+        if (match && typeof this[property] === 'function') {
+          capabilities.add(this._snakeCase(match[1]));
+        }
+      }
+    }
+    
+    return [...capabilities].sort();
+  }
+
+  /**
+   * Handle the commands of the agent sent on the message bus
+   * Each command the agent handles has its own routing key under the agent ID,
+   * e.g. content-creation.generate-content for generate_content. Commands sent
+   * with request() get the result of the handler as their reply.
+   */
+  async subscribeToCommands() {
+    for (const capability of this.getCapabilities()) {
+      const subscription = await this.messaging.handleRequest(
+        `${this.agentId}.${this._kebabCase(capability)}`,
+        (data, metadata) => this.handleCommand({
+          id: metadata.messageId,
+          type: capability,
+          payload: data,
+          metadata
+        })
+      );
+      
+      this.commandSubscriptions.push(subscription);
+    }
+  }
+
+  /**
+   * Subscribe to the domain events of the agents, e.g. content-strategy.brief.created
+   * Handlers get the event in the shape publishEvent() returns.
+   * @param {string} pattern - Routing key pattern of the events
+   * @param {Function} handler - Called with the event
+   * @returns {Promise<Object>} - Subscription
+   */
+  subscribeToAgentEvent(pattern, handler) {
+    return this.messaging.subscribeToEvent(pattern, (data, metadata) => handler({
+      id: metadata.messageId,
+      type: metadata.type,
+      agent: metadata.type.split('.')[0],
+      payload: data,
+      timestamp: metadata.timestamp,
+      correlation_id: metadata.correlationId || null
+    }));
+  }
+
+  /**
+   * Announce the commands this agent handles, so recovery only delegates work
+   * to agents that can do it
+   */
+  async registerCapabilities() {
+    try {
+      await this.messaging.publishEvent('agent.register', {
+        agentId: this.agentId,
+        status: 'starting',
+        metadata: {
+          name: this.name,
+          capabilities: this.getCapabilities()
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to register capabilities of agent ${this.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Perform a command another agent failed on, on its behalf
+   * The delegated command is named in the payload and may differ from the one
+   * that failed, e.g. generate_aligned_content for generate_content.
+   */
+  async handleHandleDelegationCommand(command) {
+    const { originalAgentId, command: delegatedType, data, delegationReason } = command.payload;
+    
+    this.logger.info(`Handling ${delegatedType} delegated by ${originalAgentId}`, { delegationReason });
+    
+    const result = await this._runCommandHandler({
+      id: command.id,
+      type: delegatedType,
+      payload: (data && data.payload) || data || {},
+      metadata: { delegatedBy: originalAgentId, delegationReason }
+    });
+    
+    return result;
+  }
+
+  /**
+   * Perform a failed command again using a fallback
+   * With the alternateProvider method, every AI call the command makes goes to
+   * the provider named in the payload.
+   */
+  async handleUseFallbackCommand(command) {
+    const { fallbackMethod, provider, model, command: fallbackType, data } = command.payload;
+    
+    if (fallbackMethod !== 'alternateProvider' || !provider || !fallbackType) {
+      throw new Error(`Unsupported fallback method: ${fallbackMethod}`);
+    }
+    
+    this.logger.info(`Running ${fallbackType} with alternate AI provider ${provider}`);
+    
+    const result = await AIProviderService.runWithProvider({ provider, model }, () => this._runCommandHandler({
+      id: command.id,
+      type: fallbackType,
+      payload: (data && data.payload) || data || {},
+      metadata: { fallbackMethod, provider }
+    }));
+    
+    return result;
+  }
+
   async handleCommand(command) {
     this.logger.info(`Received command: ${command.type}`, { commandId: command.id });
     
     try {
       // Check if command method exists
-      const handlerName = `handle${this._camelCase(command.type)}Command`;
+      const handlerName = this._commandHandlerName(command.type);
       
       if (typeof this[handlerName] === 'function') {
-        const result = await this[handlerName](command);
-        
-        // Publish success event
-        await this.messaging.publish(
-          'agent_events',
-          `${this.config.name}.${command.type}.success`,
+        // Bound how many commands the agent runs at once; the rest wait by priority
+        const result = await getBulkhead(BulkheadType.AGENT, this.name).run(
+          () => runWithUsageAttribution(this._usageAttribution(command), () => this[handlerName](command)),
           {
-            id: this._generateId(),
-            type: `${command.type}_success`,
-            agent: this.config.name,
-            payload: result,
-            timestamp: new Date().toISOString(),
-            correlation_id: command.id
+            priority: this._commandPriority(command),
+            info: { commandId: command.id, type: command.type }
           }
         );
         
+        await this.publishEvent('command_succeeded', {
+          command_id: command.id,
+          type: command.type,
+          result: result === undefined ? null : result
+        }, command.id);
+        
         return result;
       } else {
         throw new Error(`Unsupported command type: ${command.type}`);
@@ -149,50 +342,181 @@ class BaseAgent {
     } catch (error) {
       this.logger.error(`Error handling command ${command.type}:`, error);
       
-      // Publish failure event
-      await this.messaging.publish(
-        'agent_events',
-        `${this.config.name}.${command.type}.failure`,
-        {
-          id: this._generateId(),
-          type: `${command.type}_failure`,
-          agent: this.config.name,
-          payload: {
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-          },
-          timestamp: new Date().toISOString(),
-          correlation_id: command.id
-        }
-      );
+      await this.publishEvent('command_failed', {
+        command_id: command.id,
+        type: command.type,
+        error: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      }, command.id);
       
       throw error;
     }
   }
 
+  /**
+   * Get the commands the agent is running and those waiting for a free slot
+   * @returns {Object} - Bulkhead usage and the queued commands in the order they will run
+   */
+  getQueueStatus() {
+    const bulkhead = getBulkhead(BulkheadType.AGENT, this.name);
+    
+    return {
+      ...bulkhead.getStats(),
+      items: bulkhead.getQueue()
+    };
+  }
+
+  /**
+   * Publish a domain event of the agent on the message bus
+   * The routing key is the agent ID and the type split into a subject and an
+   * action, e.g. content-creation.content.created for content_created, as in
+   * messageSchemas.js. The payload is sent as JSON, as the AMQP transport would,
+   * so database IDs and dates are validated and delivered as strings.
+   * @param {string} type - Event type, e.g. content_created
+   * @param {Object} payload - Event data
+   * @param {string} [correlationId] - ID of the command the event belongs to
+   * @returns {Promise<Object>} - Published event
+   */
   async publishEvent(type, payload, correlationId = null) {
     const event = {
       id: this._generateId(),
       type,
-      agent: this.config.name,
-      payload,
+      agent: this.agentId,
+      payload: JSON.parse(JSON.stringify(payload)),
       timestamp: new Date().toISOString(),
       correlation_id: correlationId
     };
     
-    await this.messaging.publish(
-      'agent_events',
-      `${this.config.name}.${type}`,
-      event
+    await this.messaging.publishEvent(
+      `${this.agentId}.${type.replace('_', '.').replace(/_/g, '-')}`,
+      event.payload,
+      correlationId ? { correlationId } : {}
     );
     
     return event;
   }
 
+  /**
+   * Create and initialize a module from its configuration
+   * @private
+   * @returns {Promise<Object>} - Initialized module
+   */
+  async _loadModule(moduleName, moduleConfig) {
+    const ModuleClass = require(`../../agents/${this.name}/modules/${this._kebabCase(moduleName)}`);
+    const moduleInstance = new ModuleClass(moduleConfig, this.storage, this.logger);
+    await moduleInstance.initialize();
+    
+    // Modules that take an AI provider get the agent's, with their calls accounted to them
+    if ('aiProvider' in moduleInstance) {
+      const aiProvider = moduleInstance.aiProvider || this.aiProvider;
+      
+      if (aiProvider && typeof aiProvider.withAttribution === 'function') {
+        moduleInstance.aiProvider = aiProvider.withAttribution({ module: moduleName });
+      }
+    }
+    this.modules.set(moduleName, moduleInstance);
+    this.logger.info(`Module initialized: ${moduleName}`);
+    return moduleInstance;
+  }
+
+  /**
+   * Register the jobs of the agent and its modules with the scheduler, named
+   * after the agent ID, e.g. content-strategy.trend-refresh
+   * @private
+   */
+  async _registerScheduledJobs() {
+    const jobs = [this, ...this.modules.values()]
+      .filter(source => typeof source.getScheduledJobs === 'function')
+      .flatMap(source => source.getScheduledJobs());
+    
+    if (jobs.length === 0) {
+      return;
+    }
+    
+    if (!this.scheduler) {
+      this.scheduler = await getScheduler();
+    }
+    
+    for (const job of jobs) {
+      const name = `${this.agentId}.${job.name}`;
+      
+      try {
+        await this.scheduler.register(name, job);
+        this.scheduledJobs.push(name);
+      } catch (error) {
+        this.logger.error(`Failed to schedule job ${name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop scheduling the agent's jobs; their state and history stay with the scheduler
+   * @private
+   */
+  _unregisterScheduledJobs() {
+    for (const name of this.scheduledJobs) {
+      this.scheduler.unregister(name);
+    }
+    this.scheduledJobs = [];
+  }
+
   _generateId() {
     return `${this.config.name}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Run the handler of a command without publishing its outcome
+   * @private
+   */
+  _runCommandHandler(command) {
+    const handlerName = this._commandHandlerName(command.type);
+    
+    if (typeof this[handlerName] !== 'function') {
+      throw new Error(`Unsupported command type: ${command.type}`);
+    }
+    
+    return runWithUsageAttribution(this._usageAttribution(command), () => this[handlerName](command));
+  }
+
+  /**
+   * Get the work the AI calls made for a command are accounted to
+   * @private
+   */
+  _usageAttribution(command) {
+    const payload = command.payload || {};
+    const metadata = command.metadata || {};
+    
+    return {
+      agent: this.agentId,
+      workflowId: payload.workflowId,
+      contentId: payload.contentId || payload.content_id,
+      userId: payload.userId || metadata.userId,
+      team: payload.team || metadata.team
+    };
+  }
+
+  /**
+   * Get the priority of a command: the one in its metadata, else the one
+   * configured for its type in commandPriorities
+   * @private
+   */
+  _commandPriority(command) {
+    if (command.metadata && command.metadata.priority !== undefined) {
+      return command.metadata.priority;
+    }
+    
+    return (this.config.commandPriorities || {})[command.type];
+  }
+
+  _commandHandlerName(type) {
+    const name = this._camelCase(type);
+    return `handle${name.charAt(0).toUpperCase()}${name.slice(1)}Command`;
+  }
+
+  _snakeCase(str) {
+    return str.replace(/^[A-Z]/, (g) => g.toLowerCase()).replace(/[A-Z]/g, (g) => `_${g.toLowerCase()}`);
+  }
+
   _camelCase(str) {
     return str.replace(/_([a-z])/g, (g) => g[1].toUpperCase());
   }
@@ -36,6 +36,17 @@ class BaseModule {
     this.isRunning = false;
   }
 
+  /**
+   * Apply new settings without restarting the module
+   * Modules that derive state from their settings when initialized override this
+   * to derive it again.
+   * @param {Object} config - Module configuration, as in config/agents.json
+   */
+  reconfigure(config) {
+    this.config = config;
+    this.logger.debug(`Reconfigured module: ${this.name}`);
+  }
+
   /**
    * Validate configuration and set defaults
    * @param {Object} config - Module configuration
@@ -125,6 +136,39 @@ class BaseModule {
     };
   }
 
+  /**
+   * Pass a streamed AI output on to a receiver, marking where each of its sections starts
+   * A section starts at each complete line of the output that matches the heading pattern.
+   * @param {Object} [stream] - Receiver of the output; nothing is streamed without one
+   * @param {Function} stream.onText - Called with each piece of text as it arrives
+   * @param {Function} [stream.onSection] - Called with the index and title of each section once its heading arrives
+   * @param {RegExp} headingPattern - Matches the heading line of a section, capturing its title
+   * @returns {Function|undefined} Receiver of the pieces of the output, for the onText option of the AI provider
+   */
+  streamSections(stream, headingPattern) {
+    if (!stream) {
+      return undefined;
+    }
+
+    let partialLine = '';
+    let index = 0;
+
+    return (text) => {
+      stream.onText(text);
+
+      const lines = (partialLine + text).split('\n');
+      partialLine = lines.pop();
+
+      for (const line of lines) {
+        const heading = line.match(headingPattern);
+
+        if (heading && stream.onSection) {
+          stream.onSection({ index: index++, title: heading[1].trim() });
+        }
+      }
+    };
+  }
+
   /**
    * Calculate time difference in a human-readable format
    * @param {Date} date1 - First date
@@ -3,18 +3,125 @@
  * Provides access to AI models for text generation and analysis
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { OpenAI } = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
+const Ajv = require('ajv');
+const { getTracer } = require('../../core/tracing');
+const { getBulkhead, BulkheadType } = require('../../core/error/bulkhead');
+const { getUsageAttribution, runWithUsageAttribution } = require('../../core/usage/usageContext');
+const { ExternalServiceError } = require('../../core/error/errors');
+
+// Provider pinned for the calls made while serving a request, e.g. by a delegation
+// to an alternate provider
+const pinnedProvider = new AsyncLocalStorage();
+
+// Validates structured results, filling in the defaults of their schemas
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+// JSON schemas of the results of analysis tasks. Providers only take object schemas for
+// tools, so lists are wrapped in an object under the key named by listKey.
+const ANALYSIS_SCHEMAS = {
+  sentiment: {
+    schema: {
+      type: 'object',
+      properties: {
+        sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        scores: {
+          type: 'object',
+          properties: {
+            positive: { type: 'number', minimum: 0, maximum: 1 },
+            negative: { type: 'number', minimum: 0, maximum: 1 },
+            neutral: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        },
+        summary: { type: 'string' }
+      },
+      required: ['sentiment', 'confidence', 'summary']
+    }
+  },
+  entities: {
+    listKey: 'entities',
+    schema: {
+      type: 'object',
+      properties: {
+        entities: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              type: { type: 'string' },
+              start: { type: 'integer', minimum: 0 },
+              end: { type: 'integer', minimum: 0 },
+              confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            required: ['text', 'type']
+          }
+        }
+      },
+      required: ['entities']
+    }
+  },
+  keywords: {
+    listKey: 'keywords',
+    schema: {
+      type: 'object',
+      properties: {
+        keywords: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['keywords']
+    }
+  },
+  categorize: {
+    listKey: 'categories',
+    schema: {
+      type: 'object',
+      properties: {
+        categories: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['categories']
+    }
+  }
+};
+
+/**
+ * Estimate the tokens of a text, for streams stopped before the provider reported them
+ * English text averages about four characters per token.
+ * @param {string} text - Text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimate the input tokens of the messages of a call
+ * @param {Array} messages - Messages sent to the model
+ * @returns {number} - Estimated tokens
+ */
+function estimateMessageTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(String(message.content || '')), 0);
+}
 
 class AIProviderService {
   /**
    * Create a new AI provider service
    * @param {Object} config - Configuration object
+   * @param {UsageTracker} [config.usageTracker] - Records the tokens and cost of each call
+   * @param {BudgetManager} [config.budgetManager] - Checks the spend budgets of each call
+   * @param {Object} [config.fastModels] - Model used instead of the default one of each
+   *   provider when a budget runs low, e.g. the fast models of config/external-services.json
    * @param {Object} logger - Logger instance
    */
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.usageTracker = config.usageTracker || null;
+    this.budgetManager = config.budgetManager || null;
+    this.fastModels = config.fastModels || {};
+    this.usageAttribution = {};
     
     // Initialize OpenAI client if configured
     if (config.openai && config.openai.apiKey) {
@@ -43,6 +150,21 @@ class AIProviderService {
     // Retry configuration
     this.maxRetries = 3;
     this.retryDelay = 1000; // ms
+    
+    // Invalid structured results sent back to be corrected before giving up
+    this.maxRepairs = 2;
+  }
+  
+  /**
+   * Get this service with the usage of its AI calls attributed to the given work
+   * The returned service shares this one's clients, e.g. one per agent module.
+   * @param {Object} attribution - Any of agent, module, workflowId, contentId, userId and team
+   * @returns {AIProviderService} - Attributed service
+   */
+  withAttribution(attribution) {
+    const attributed = Object.create(this);
+    attributed.usageAttribution = { ...this.usageAttribution, ...attribution };
+    return attributed;
   }
   
   /**
@@ -53,11 +175,17 @@ class AIProviderService {
    * @param {Array} options.messages - Messages for chat completion
    * @param {number} options.temperature - Temperature (0.0 to 1.0)
    * @param {number} options.max_tokens - Maximum tokens to generate
+   * @param {Function} [options.onText] - Streams the output, called with each piece of text as it arrives
+   * @param {AbortSignal} [options.signal] - Aborts the request to the provider of a streamed output
+   * @param {Object} [options.structured] - Tool, with name, description and JSON schema, the
+   *   provider must answer through; the text is then the JSON of the tool's input
    * @returns {Promise<string>} Generated text
+   * @throws {RateLimitError} If a spend budget of the work the call is made for is spent
    */
   async generateText(options) {
-    const provider = options.provider || this.defaultProvider;
-    const model = options.model || this.defaultModels[provider];
+    const pinned = pinnedProvider.getStore();
+    const provider = pinned ? pinned.provider : (options.provider || this.defaultProvider);
+    const requestedModel = pinned ? (pinned.model || this.defaultModels[provider]) : (options.model || this.defaultModels[provider]);
     const temperature = options.temperature !== undefined ? options.temperature : 0.7;
     const maxTokens = options.max_tokens || 1000;
     
@@ -66,16 +194,33 @@ class AIProviderService {
       throw new Error('Messages array is required and must not be empty');
     }
     
+    const model = await this._budgetedModel(provider, requestedModel);
+    
+    // Once part of a streamed output has been passed on, a retry would repeat it
+    let streamed = false;
+    const stream = options.onText && {
+      signal: options.signal,
+      onText: text => {
+        streamed = true;
+        options.onText(text);
+      }
+    };
+    
     // Add retry logic
     let attempt = 0;
     let lastError = null;
     
     while (attempt < this.maxRetries) {
       try {
+        // Each attempt takes a slot of the provider's bulkhead, freed during the backoff
         if (provider === 'openai') {
-          return await this._generateWithOpenAI(model, options.messages, temperature, maxTokens);
+          return await getBulkhead(BulkheadType.PROVIDER, provider).run(() => this._traceCall(provider, model, attempt, () => stream
+            ? this._streamWithOpenAI(model, options.messages, temperature, maxTokens, stream)
+            : this._generateWithOpenAI(model, options.messages, temperature, maxTokens, options.structured)));
         } else if (provider === 'anthropic') {
-          return await this._generateWithAnthropic(model, options.messages, temperature, maxTokens);
+          return await getBulkhead(BulkheadType.PROVIDER, provider).run(() => this._traceCall(provider, model, attempt, () => stream
+            ? this._streamWithAnthropic(model, options.messages, temperature, maxTokens, stream)
+            : this._generateWithAnthropic(model, options.messages, temperature, maxTokens, options.structured)));
         } else {
           throw new Error(`Unsupported AI provider: ${provider}`);
         }
@@ -84,7 +229,7 @@ class AIProviderService {
         attempt++;
         
         // Check if error is retryable
-        if (error.status === 429 || error.status >= 500) {
+        if ((error.status === 429 || error.status >= 500) && !streamed && !(options.signal && options.signal.aborted)) {
           this.logger.warn(`AI request failed (attempt ${attempt}/${this.maxRetries}): ${error.message}`);
           
           if (attempt < this.maxRetries) {
@@ -105,11 +250,109 @@ class AIProviderService {
     throw lastError || new Error(`Failed to generate text with ${provider}`);
   }
   
+  /**
+   * Generate a result matching a JSON schema
+   * The provider answers through a tool taking the schema as its input. An answer that
+   * fails validation is sent back with its errors to be corrected, up to maxRepairs times.
+   * @param {string|Array} prompt - Prompt, or messages for chat completion
+   * @param {Object} schema - JSON schema of the result, of type object
+   * @param {Object} [options] - Options of generateText, except for streaming, and:
+   * @param {string} [options.name='result'] - Name of the result, e.g. seo_recommendations
+   * @param {string} [options.description] - Description of the result for the model
+   * @param {number} [options.maxRepairs] - Corrections to ask for before giving up
+   * @returns {Promise<Object>} Result, valid against the schema with its defaults filled in
+   * @throws {ExternalServiceError} If the provider gave no valid result
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const {
+      name = 'result',
+      description = `Record the ${name.replace(/_/g, ' ')}`,
+      maxRepairs = this.maxRepairs,
+      ...textOptions
+    } = options;
+    const validate = ajv.compile(schema);
+    const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : [...prompt];
+    let errors = [];
+    
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const output = await this.generateText({
+        ...textOptions,
+        messages,
+        structured: { name, description, schema },
+        onText: undefined
+      });
+      
+      let result;
+      try {
+        result = JSON.parse(output);
+      } catch (parseError) {
+        errors = [`the answer is not JSON: ${parseError.message}`];
+      }
+      
+      if (result !== undefined) {
+        if (validate(result)) {
+          return result;
+        }
+        
+        errors = validate.errors.map(error => `${name}${error.dataPath} ${error.message}`);
+      }
+      
+      this.logger.warn(`Invalid ${name} from AI (attempt ${attempt + 1}/${maxRepairs + 1})`, { errors });
+      
+      messages.push(
+        { role: 'assistant', content: output },
+        { role: 'user', content: `That ${name} does not match its schema:\n- ${errors.join('\n- ')}\nAnswer again with a corrected ${name}.` }
+      );
+    }
+    
+    throw new ExternalServiceError(
+      `AI provider gave no valid ${name} after ${maxRepairs} repairs`,
+      'AI_INVALID_STRUCTURED_OUTPUT',
+      { name, errors }
+    );
+  }
+  
+  /**
+   * Check the spend budgets of a call and pick its model
+   * Calls to the provider's default model use its fast model while a budget runs low.
+   * @private
+   */
+  async _budgetedModel(provider, model) {
+    if (!this.budgetManager) {
+      return model;
+    }
+    
+    const { downgrade } = await this.budgetManager.check({ ...getUsageAttribution(), ...this.usageAttribution });
+    const fastModel = this.fastModels[provider];
+    
+    if (downgrade && fastModel && model === this.defaultModels[provider]) {
+      this.logger.info(`AI budget running low, using ${fastModel} instead of ${model}`);
+      return fastModel;
+    }
+    
+    return model;
+  }
+  
+  /**
+   * Run a provider call as a span of the current trace; each retry gets its own span
+   * @private
+   */
+  _traceCall(provider, model, attempt, call) {
+    return getTracer().withChildSpan(`ai.generate ${provider}`, {
+      kind: 'client',
+      attributes: {
+        'ai.provider': provider,
+        'ai.model': model,
+        'ai.attempt': attempt + 1
+      }
+    }, call);
+  }
+  
   /**
    * Generate text using OpenAI
    * @private
    */
-  async _generateWithOpenAI(model, messages, temperature, maxTokens) {
+  async _generateWithOpenAI(model, messages, temperature, maxTokens, structured) {
     if (!this.openai) {
       throw new Error('OpenAI client not initialized');
     }
@@ -118,7 +361,14 @@ class AIProviderService {
       model,
       messages,
       temperature,
-      max_tokens: maxTokens
+      max_tokens: maxTokens,
+      ...(structured && {
+        tools: [{
+          type: 'function',
+          function: { name: structured.name, description: structured.description, parameters: structured.schema }
+        }],
+        tool_choice: { type: 'function', function: { name: structured.name } }
+      })
     });
     
     this.logger.debug('Generated text with OpenAI', {
@@ -128,27 +378,45 @@ class AIProviderService {
       totalTokens: completion.usage.total_tokens
     });
     
+    this._recordUsage({
+      provider: 'openai',
+      model: completion.model || model,
+      inputTokens: completion.usage.prompt_tokens,
+      outputTokens: completion.usage.completion_tokens
+    });
+    
+    const message = completion.choices[0].message;
+    
+    if (structured && message.tool_calls && message.tool_calls.length > 0) {
+      return message.tool_calls[0].function.arguments;
+    }
+    
     // Return only the content of the message
-    return completion.choices[0].message.content;
+    return message.content;
   }
   
   /**
    * Generate text using Anthropic
    * @private
    */
-  async _generateWithAnthropic(model, messages, temperature, maxTokens) {
+  async _generateWithAnthropic(model, messages, temperature, maxTokens, structured) {
     if (!this.anthropic) {
       throw new Error('Anthropic client not initialized');
     }
     
     // Convert messages to Anthropic format
-    const anthropicMessages = this._convertToAnthropicFormat(messages);
+    const { system, messages: anthropicMessages } = this._convertToAnthropicFormat(messages);
     
     const completion = await this.anthropic.messages.create({
       model,
+      ...(system && { system }),
       messages: anthropicMessages,
       temperature,
-      max_tokens: maxTokens
+      max_tokens: maxTokens,
+      ...(structured && {
+        tools: [{ name: structured.name, description: structured.description, input_schema: structured.schema }],
+        tool_choice: { type: 'tool', name: structured.name }
+      })
     });
     
     this.logger.debug('Generated text with Anthropic', {
@@ -157,28 +425,165 @@ class AIProviderService {
       outputTokens: completion.usage.output_tokens
     });
     
+    this._recordUsage({
+      provider: 'anthropic',
+      model: completion.model || model,
+      inputTokens: completion.usage.input_tokens,
+      outputTokens: completion.usage.output_tokens
+    });
+    
+    const toolUse = structured && completion.content.find(block => block.type === 'tool_use');
+    
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    
     // Return only the content of the message
     return completion.content[0].text;
   }
   
+  /**
+   * Stream text from OpenAI
+   * @private
+   */
+  async _streamWithOpenAI(model, messages, temperature, maxTokens, { onText, signal }) {
+    if (!this.openai) {
+      throw new Error('OpenAI client not initialized');
+    }
+    
+    const chunks = await this.openai.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      // The last chunk carries the token usage of the whole completion
+      stream_options: { include_usage: true }
+    }, { signal });
+    
+    let text = '';
+    let responseModel = model;
+    let usage = null;
+    
+    try {
+      for await (const chunk of chunks) {
+        const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+        
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        
+        responseModel = chunk.model || responseModel;
+        usage = chunk.usage || usage;
+      }
+      
+      this.logger.debug('Streamed text with OpenAI', {
+        model,
+        promptTokens: usage && usage.prompt_tokens,
+        completionTokens: usage && usage.completion_tokens
+      });
+      
+      return text;
+    } finally {
+      // The usage comes with the last chunk, so a stream that was aborted or failed
+      // is recorded with the tokens it is estimated to have used
+      this._recordUsage({
+        provider: 'openai',
+        model: responseModel,
+        inputTokens: usage ? usage.prompt_tokens : estimateMessageTokens(messages),
+        outputTokens: usage ? usage.completion_tokens : estimateTokens(text)
+      });
+    }
+  }
+  
+  /**
+   * Stream text from Anthropic
+   * @private
+   */
+  async _streamWithAnthropic(model, messages, temperature, maxTokens, { onText, signal }) {
+    if (!this.anthropic) {
+      throw new Error('Anthropic client not initialized');
+    }
+    
+    const { system, messages: anthropicMessages } = this._convertToAnthropicFormat(messages);
+    
+    const events = await this.anthropic.messages.create({
+      model,
+      ...(system && { system }),
+      messages: anthropicMessages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+    
+    let text = '';
+    let responseModel = model;
+    let inputTokens = null;
+    let outputTokens = null;
+    
+    try {
+      for await (const event of events) {
+        if (event.type === 'message_start') {
+          responseModel = event.message.model || responseModel;
+          inputTokens = event.message.usage.input_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage.output_tokens;
+        }
+      }
+      
+      this.logger.debug('Streamed text with Anthropic', { model, inputTokens, outputTokens });
+      
+      return text;
+    } finally {
+      // The output tokens come with the end of the message, so a stream that was
+      // aborted or failed is recorded with the tokens it is estimated to have used
+      this._recordUsage({
+        provider: 'anthropic',
+        model: responseModel,
+        inputTokens: inputTokens !== null ? inputTokens : estimateMessageTokens(messages),
+        outputTokens: outputTokens !== null ? outputTokens : estimateTokens(text)
+      });
+    }
+  }
+  
+  /**
+   * Record the tokens used by a call, without waiting for the record to be stored
+   * @private
+   */
+  _recordUsage(usage) {
+    if (!this.usageTracker) {
+      return;
+    }
+    
+    runWithUsageAttribution(this.usageAttribution, () => this.usageTracker.record(usage))
+      .catch(error => this.logger.error('Failed to record AI usage', error));
+  }
+  
   /**
    * Convert messages from OpenAI format to Anthropic format
+   * The messages API takes no system role; system messages go into its system parameter.
    * @private
+   * @returns {{system: (string|undefined), messages: Array<Object>}} System prompt and messages
    */
   _convertToAnthropicFormat(messages) {
-    return messages.map(message => {
-      // Map OpenAI roles to Anthropic roles
-      let role = message.role;
-      if (role === 'system') {
-        // We use the first message as a system message
-        return { role: 'system', content: message.content };
-      } else if (role === 'assistant') {
-        return { role: 'assistant', content: message.content };
-      } else {
-        // Default to user for any other role
-        return { role: 'user', content: message.content };
-      }
-    });
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    
+    const anthropicMessages = messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        // Default to user for any role other than assistant
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: message.content
+      }));
+    
+    return { system: system || undefined, messages: anthropicMessages };
   }
   
   /**
@@ -188,8 +593,10 @@ class AIProviderService {
    * @param {string} options.model - Model name
    * @param {string} options.text - Text to analyze
    * @param {string} options.task - Analysis task (sentiment, entities, summarize, etc.)
-   * @param {Object} options.parameters - Task-specific parameters
+   * @param {Object} options.parameters - Task-specific parameters; with format json the
+   *   results are structured, by the given schema or that of the task
    * @returns {Promise<Object>} Analysis results
+   * @throws {ExternalServiceError} If the provider gave no valid JSON results
    */
   async analyzeText(options) {
     const provider = options.provider || this.defaultProvider;
@@ -214,37 +621,29 @@ class AIProviderService {
       content: `${text}`
     };
     
-    // Generate analysis using AI
-    const result = await this.generateText({
+    const generationOptions = {
       provider,
       model,
-      messages: [systemMessage, userMessage],
       temperature: parameters.temperature || 0.2,
       max_tokens: parameters.max_tokens || 1000
-    });
+    };
     
-    // Parse JSON response if expected
     if (parameters.format === 'json') {
-      try {
-        return JSON.parse(result);
-      } catch (error) {
-        this.logger.warn('Failed to parse JSON from AI response', { error: error.message });
-        
-        // Try to extract JSON from the response
-        const jsonMatch = result.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            return JSON.parse(jsonMatch[0]);
-          } catch (nestedError) {
-            this.logger.error('Failed to extract JSON from response', { error: nestedError.message });
-          }
-        }
-        
-        // Return the raw text if JSON parsing fails
-        return { text: result, parsing_error: error.message };
-      }
+      const taskSchema = parameters.schema ? { schema: parameters.schema } : ANALYSIS_SCHEMAS[task];
+      const result = await this.generateStructured([systemMessage, userMessage], taskSchema ? taskSchema.schema : { type: 'object' }, {
+        ...generationOptions,
+        name: `${task}_analysis`
+      });
+      
+      return taskSchema && taskSchema.listKey ? result[taskSchema.listKey] : result;
     }
     
+    // Generate analysis using AI
+    const result = await this.generateText({
+      ...generationOptions,
+      messages: [systemMessage, userMessage]
+    });
+    
     return { text: result };
   }
   
@@ -353,4 +752,15 @@ class AIProviderService {
   }
 }
 
+/**
+ * Run a function with every AI call it makes going to the given provider
+ * The pinned provider overrides the provider and model chosen by the caller.
+ * @param {Object} selection - Provider to use
+ * @param {string} selection.provider - AI provider (openai or anthropic)
+ * @param {string} [selection.model] - Model name; the provider's default if omitted
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+AIProviderService.runWithProvider = ({ provider, model }, fn) => pinnedProvider.run({ provider, model }, fn);
+
 module.exports = AIProviderService;
\ No newline at end of file
@@ -6,6 +6,7 @@
 const { Sequelize } = require('sequelize');
 const models = require('../../models');
 const logger = require('./logger');
+const { instrumentSequelize } = require('../../core/tracing');
 
 class DatabaseService {
   constructor(config) {
@@ -80,6 +81,9 @@ class DatabaseService {
         }
       );
       
+      // Record writes made while handling a traced request
+      instrumentSequelize(this.sequelize);
+      
       // Test the connection
       await this.sequelize.authenticate();
       
@@ -5,6 +5,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { traceLogFormat } = require('../../core/tracing');
 
 // Ensure log directory exists
 const logPath = 'logs';
@@ -14,6 +15,7 @@ if (!fs.existsSync(logPath)) {
 
 // Define log format
 const logFormat = winston.format.combine(
+  traceLogFormat(),
   winston.format.timestamp(),
   winston.format.errors({ stack: true }),
   winston.format.json()
@@ -49,6 +49,24 @@ module.exports = {
     }
   },
   
+  // AI backend of services/AIProviderService: 'live' calls the providers in
+  // config/external-services.json, 'local' a local server and 'replay' recorded responses
+  aiBackend: {
+    mode: process.env.AI_BACKEND || 'live',
+    // OpenAI-compatible local server, such as Ollama or llama.cpp; its model serves every call
+    local: {
+      baseURL: process.env.AI_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+      model: process.env.AI_LOCAL_MODEL || 'llama3.1',
+      embeddingsModel: process.env.AI_LOCAL_EMBEDDINGS_MODEL || 'nomic-embed-text',
+      apiKey: process.env.AI_LOCAL_API_KEY
+    },
+    // Responses recorded per call; with record on, calls without one are made and recorded
+    replay: {
+      fixturesDir: process.env.AI_REPLAY_FIXTURES_DIR || '__tests__/fixtures/ai-replay',
+      record: process.env.AI_REPLAY_RECORD === 'true'
+    }
+  },
+  
   // Messaging specific settings
   messaging: {
     url: process.env.RABBITMQ_URL || 'amqp://localhost',
@@ -59,6 +59,11 @@ module.exports = {
     }
   },
   
+  // AI calls always go to the providers in config/external-services.json
+  aiBackend: {
+    mode: 'live'
+  },
+  
   // Messaging specific settings
   messaging: {
     url: process.env.RABBITMQ_URL,
@@ -38,6 +38,9 @@ module.exports = {
       model: 'claude-3-sonnet-20240229'
     }
   },
+  aiBackend: {
+    mode: 'live'
+  },
   messaging: {
     rabbitmq: {
       url: process.env.RABBITMQ_URL || 'amqp://localhost',
@@ -38,6 +38,21 @@ module.exports = {
       model: 'claude-3-haiku-20240307'
     }
   },
+  // Tests replay recorded AI responses rather than calling the providers; a call
+  // without a recorded response fails instead of going to the provider
+  aiBackend: {
+    mode: process.env.AI_BACKEND || 'replay',
+    local: {
+      baseURL: process.env.AI_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+      model: process.env.AI_LOCAL_MODEL || 'llama3.1',
+      embeddingsModel: process.env.AI_LOCAL_EMBEDDINGS_MODEL || 'nomic-embed-text',
+      apiKey: process.env.AI_LOCAL_API_KEY
+    },
+    replay: {
+      fixturesDir: process.env.AI_REPLAY_FIXTURES_DIR || '__tests__/fixtures/ai-replay',
+      record: process.env.AI_REPLAY_RECORD === 'true'
+    }
+  },
   messaging: {
     rabbitmq: {
       url: process.env.RABBITMQ_URL || 'amqp://localhost',
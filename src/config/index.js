@@ -55,6 +55,101 @@ const baseConfig = {
     }
   },
   
+  // Agent recovery configuration
+  recovery: {
+    deadLetterRetentionDays: parseInt(process.env.DEAD_LETTER_RETENTION_DAYS || '14', 10)
+  },
+  
+  // Tracing configuration
+  tracing: {
+    serviceName: process.env.OTEL_SERVICE_NAME || 'landing-pad-ai-agents',
+    // OpenTelemetry collector to export spans to, e.g. http://localhost:4318
+    exporterEndpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT,
+    maxTraces: parseInt(process.env.TRACE_STORE_SIZE || '1000', 10)
+  },
+  
+  // Circuit breaker configuration
+  circuitBreakers: {
+    // Redis holding the breaker state shared by all processes; defaults to the cache Redis
+    redisUrl: process.env.CIRCUIT_BREAKER_REDIS_URL,
+    defaults: {
+      threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5', 10),
+      resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT || '30000', 10)
+    },
+    // Per-service overrides of the defaults
+    services: {
+      openai: { threshold: 5, resetTimeout: 60000 },
+      anthropic: { threshold: 5, resetTimeout: 60000 },
+      wordpress: { threshold: 3, resetTimeout: 120000 }
+    }
+  },
+  
+  // Concurrency limits per agent and per AI provider; tasks beyond maxConcurrent
+  // wait in a queue by priority and are rejected once maxQueue are waiting.
+  // Per-command priorities of each agent are in config/agents.json
+  bulkheads: {
+    agents: {
+      defaults: {
+        maxConcurrent: parseInt(process.env.AGENT_MAX_CONCURRENT || '4', 10),
+        maxQueue: parseInt(process.env.AGENT_MAX_QUEUE || '50', 10),
+        // Milliseconds of waiting that raise a queued command's priority by one
+        agingInterval: parseInt(process.env.AGENT_QUEUE_AGING_INTERVAL || '30000', 10)
+      },
+      // Per-agent overrides of the defaults, keyed by agent name
+      pools: {
+        contentCreation: { maxConcurrent: 6, maxQueue: 100 },
+        contentManagement: { maxConcurrent: 2, maxQueue: 50 }
+      }
+    },
+    providers: {
+      defaults: {
+        maxConcurrent: parseInt(process.env.AI_PROVIDER_MAX_CONCURRENT || '8', 10),
+        maxQueue: parseInt(process.env.AI_PROVIDER_MAX_QUEUE || '200', 10)
+      },
+      // Per-provider overrides of the defaults
+      pools: {
+        openai: { maxConcurrent: 10, maxQueue: 200 },
+        anthropic: { maxConcurrent: 8, maxQueue: 200 }
+      }
+    }
+  },
+  
+  // Scheduler of the periodic jobs of agents and modules; job schedules are in
+  // config/agents.json, e.g. modules.trendAnalyzer.settings.schedule
+  scheduler: {
+    // Milliseconds between checks for due jobs
+    tickInterval: parseInt(process.env.SCHEDULER_TICK_INTERVAL || '15000', 10),
+    // Milliseconds a running job holds its lock without renewing it; another
+    // instance may run the job once it lapses
+    lockTtl: parseInt(process.env.SCHEDULER_LOCK_TTL || '300000', 10),
+    historyRetentionDays: parseInt(process.env.SCHEDULER_HISTORY_RETENTION_DAYS || '30', 10)
+  },
+  
+  // Reloading of the agent configuration in config/agents.json while agents run
+  configReload: {
+    // Path of the agent configuration; defaults to config/agents.json
+    agentsFile: process.env.AGENT_CONFIG_FILE,
+    // Apply edits to the file without a restart; changes through the admin API always apply
+    watch: process.env.AGENT_CONFIG_WATCH !== 'false',
+    // Milliseconds to wait for an edit of the file to settle before applying it
+    watchDebounce: parseInt(process.env.AGENT_CONFIG_WATCH_DEBOUNCE || '500', 10)
+  },
+  
+  // Accounting of AI token usage and cost
+  usage: {
+    // Price table of AI models in US dollars per million tokens; defaults to config/model-prices.json
+    pricesFile: process.env.AI_MODEL_PRICES_FILE,
+    // Monthly AI spend budgets of users, teams and agents
+    budgets: {
+      // Milliseconds budgets and their spend are cached before changes by other processes are read
+      refreshInterval: parseInt(process.env.AI_BUDGET_REFRESH_INTERVAL || '60000', 10),
+      // Share of a budget spent at which a warning event is published, unless the budget sets one
+      warnAt: parseFloat(process.env.AI_BUDGET_WARN_AT || '0.8'),
+      // Share of a budget spent from which calls use the fast model, unless the budget sets one
+      downgradeAt: parseFloat(process.env.AI_BUDGET_DOWNGRADE_AT || '0.9')
+    }
+  },
+  
   // Storage configuration
   storage: {
     // S3 configuration
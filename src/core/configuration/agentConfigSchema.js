@@ -0,0 +1,76 @@
+// src/core/configuration/agentConfigSchema.js
+// Validation of the agent configuration in config/agents.json. A configuration is
+// checked as a whole before it replaces the running one, so a typo in one agent
+// can't leave the others half-reconfigured. Module settings are free-form, apart
+// from `schedule`, which must be a valid cron expression.
+const Joi = require('joi');
+const CronExpression = require('../scheduling/cronExpression');
+
+const delegateSchema = Joi.object({
+  agent: Joi.string(),
+  command: Joi.string(),
+  provider: Joi.string(),
+  model: Joi.string()
+}).xor('agent', 'provider').unknown(true);
+
+const moduleSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  settings: Joi.object({
+    schedule: Joi.string()
+  }).unknown(true).default({})
+}).unknown(true);
+
+const agentSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  modules: Joi.object().pattern(Joi.string(), moduleSchema).default({}),
+  delegation: Joi.object().pattern(Joi.string(), Joi.array().items(delegateSchema).min(1)),
+  commandPriorities: Joi.object().pattern(Joi.string(), Joi.number().integer().min(1).max(10))
+}).unknown(true);
+
+const agentsSchema = Joi.object().pattern(Joi.string(), agentSchema).min(1);
+
+/**
+ * Validate an agent configuration
+ * @param {Object} agents - Agent configurations keyed by agent name, as in config/agents.json
+ * @returns {Array<string>} - Problems found; empty if the configuration is valid
+ */
+function validateAgentsConfig(agents) {
+  const { error } = agentsSchema.validate(agents, { abortEarly: false });
+
+  if (error) {
+    return error.details.map(detail => detail.message);
+  }
+
+  const errors = [];
+
+  for (const [agentName, agentConfig] of Object.entries(agents)) {
+    for (const [moduleName, moduleConfig] of Object.entries(agentConfig.modules || {})) {
+      const { schedule } = moduleConfig.settings || {};
+
+      if (schedule === undefined) {
+        continue;
+      }
+
+      try {
+        new CronExpression(schedule).next();
+      } catch (cronError) {
+        errors.push(`"${agentName}.modules.${moduleName}.settings.schedule": ${cronError.message}`);
+      }
+    }
+  }
+
+  const ids = Object.values(agents).map(agentConfig => agentConfig.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+
+  if (duplicate) {
+    errors.push(`Agent ID "${duplicate}" is used by more than one agent`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateAgentsConfig
+};
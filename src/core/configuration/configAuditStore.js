@@ -0,0 +1,166 @@
+// src/core/configuration/configAuditStore.js
+// PostgreSQL audit log of agent configuration changes: who changed the configuration,
+// from where, which settings changed and whether the change was applied. Rejected
+// changes are recorded too, with the validation errors. When PostgreSQL can't be
+// reached on startup, the latest changes are kept in memory for this process only.
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
+
+// Changes kept while the log is in memory
+const MEMORY_ENTRY_LIMIT = 500;
+
+const toPlain = record => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+class ConfigAuditStore {
+  constructor() {
+    this.sequelize = null;
+    this.ConfigChange = null;
+    this.isConnected = false;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  async connect() {
+    try {
+      const dbConfig = config.database.postgres;
+      this.sequelize = new Sequelize(
+        dbConfig.database,
+        dbConfig.username,
+        dbConfig.password,
+        {
+          host: dbConfig.host,
+          port: dbConfig.port,
+          dialect: 'postgres',
+          logging: false,
+        }
+      );
+      instrumentSequelize(this.sequelize);
+
+      this.ConfigChange = this.sequelize.define('config_change', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        actor: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        source: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        reason: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        agents: {
+          type: DataTypes.ARRAY(DataTypes.STRING),
+          allowNull: false,
+          defaultValue: []
+        },
+        changes: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        errors: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        }
+      }, {
+        updatedAt: false,
+        indexes: [
+          { fields: ['createdAt'] },
+          { fields: ['agents'], using: 'gin' }
+        ]
+      });
+
+      await this.ConfigChange.sync();
+
+      this.isConnected = true;
+      logger.info('ConfigAuditStore connected to PostgreSQL');
+    } catch (error) {
+      this.isConnected = false;
+      logger.warn(`PostgreSQL unavailable for the configuration audit log, keeping it in memory: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record a configuration change
+   * @param {Object} entry - Change
+   * @param {string} entry.actor - User or process that made the change
+   * @param {string} entry.source - Where the change came from, see ConfigSource
+   * @param {string} [entry.reason] - Why the change was made
+   * @param {string} entry.status - Outcome, see ConfigChangeStatus
+   * @param {Array<string>} entry.agents - Agents whose configuration changed
+   * @param {Array<Object>} entry.changes - Changed settings as { path, before, after }
+   * @param {Array<string>} [entry.errors] - Validation or reconfiguration errors
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async record(entry) {
+    const change = { reason: null, errors: [], ...entry };
+
+    if (!this.isConnected) {
+      const stored = { id: this.nextId++, ...change, createdAt: new Date() };
+
+      this.entries.push(stored);
+      if (this.entries.length > MEMORY_ENTRY_LIMIT) {
+        this.entries.shift();
+      }
+
+      return { ...stored };
+    }
+
+    return toPlain(await this.ConfigChange.create(change));
+  }
+
+  /**
+   * Get recorded changes, newest first
+   * @param {Object} [options] - Query options
+   * @param {string} [options.agent] - Only changes to this agent
+   * @param {string} [options.status] - Only changes with this status
+   * @param {number} [options.limit] - Maximum number of changes
+   * @returns {Promise<Array<Object>>} - Changes
+   */
+  async find({ agent, status, limit = 50 } = {}) {
+    if (!this.isConnected) {
+      return this.entries
+        .filter(entry => (!agent || entry.agents.includes(agent)) && (!status || entry.status === status))
+        .reverse()
+        .slice(0, limit)
+        .map(entry => ({ ...entry }));
+    }
+
+    const entries = await this.ConfigChange.findAll({
+      where: {
+        ...(agent && { agents: { [Op.contains]: [agent] } }),
+        ...(status && { status })
+      },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return entries.map(toPlain);
+  }
+
+  async close() {
+    if (this.sequelize) {
+      await this.sequelize.close();
+      this.sequelize = null;
+    }
+
+    this.isConnected = false;
+  }
+}
+
+module.exports = ConfigAuditStore;
@@ -0,0 +1,341 @@
+// src/core/configuration/configManager.js
+// Holds the agent configuration of config/agents.json and applies changes to it
+// without a restart. Changes come from edits to the file, which is watched, or from
+// the admin API, which also writes them to the file. Each change is validated as a
+// whole, pushed to the running agents whose configuration changed through their
+// reconfigure() hook, and recorded in the audit log along with who made it.
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../error/errors');
+const { validateAgentsConfig } = require('./agentConfigSchema');
+const ConfigAuditStore = require('./configAuditStore');
+
+// Where a change came from
+const ConfigSource = {
+  FILE: 'file',
+  API: 'api'
+};
+
+// Outcome of a change
+const ConfigChangeStatus = {
+  APPLIED: 'applied',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+// Actor recorded for edits to the configuration file
+const FILE_ACTOR = 'config file';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * List the settings that differ between two configurations
+ * Objects are compared key by key; any other value, including arrays, as a whole.
+ * @param {*} before - Previous value
+ * @param {*} after - New value
+ * @param {string} [prefix] - Path of the values
+ * @returns {Array<Object>} - Changed settings as { path, before, after }
+ */
+function diffConfig(before, after, prefix = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return keys.flatMap(key => diffConfig(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{
+    path: prefix,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  }];
+}
+
+class ConfigManager {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {string} [options.agentsFile] - Path of the agent configuration file
+   * @param {boolean} [options.watch] - Reload the file when it changes
+   * @param {number} [options.watchDebounce] - Milliseconds to wait for an edit to settle
+   * @param {ConfigAuditStore} [options.store] - Audit log of changes
+   */
+  constructor({
+    agentsFile = path.join(__dirname, '../../../config/agents.json'),
+    watch = true,
+    watchDebounce = 500,
+    store = new ConfigAuditStore()
+  } = {}) {
+    this.agentsFile = agentsFile;
+    this.watch = watch;
+    this.watchDebounce = watchDebounce;
+    this.store = store;
+    this.agentsConfig = {};
+    this.agents = new Map();
+    this.listeners = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.writtenContent = null;
+    this.updating = Promise.resolve();
+  }
+
+  async init() {
+    await this.store.connect();
+
+    try {
+      const content = await fs.promises.readFile(this.agentsFile, 'utf8');
+      this.agentsConfig = JSON.parse(content);
+    } catch (error) {
+      logger.warn(`Agent configuration not loaded from ${this.agentsFile}: ${error.message}`);
+    }
+
+    if (this.watch) {
+      this._watchFile();
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the agent configuration in effect
+   * @returns {Object} - Agent configurations keyed by agent name
+   */
+  getAgentsConfig() {
+    return JSON.parse(JSON.stringify(this.agentsConfig));
+  }
+
+  /**
+   * Push configuration changes to running agents
+   * @param {Object} agents - Agents keyed by their name in the configuration, e.g. contentStrategy
+   */
+  attachAgents(agents) {
+    for (const [name, agent] of Object.entries(agents)) {
+      if (agent) {
+        this.agents.set(name, agent);
+      }
+    }
+  }
+
+  /**
+   * Call a function with each applied configuration, e.g. to reload delegation policies
+   * @param {Function} listener - Called with the new configuration and the changed settings
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Replace the agent configuration
+   * Agents that fail to apply their new configuration keep the previous one.
+   * @param {Object} agents - New agent configurations keyed by agent name
+   * @param {Object} change - Change details
+   * @param {string} change.actor - User or process making the change
+   * @param {string} change.source - Where the change comes from, see ConfigSource
+   * @param {string} [change.reason] - Why the change is made
+   * @returns {Promise<Object|null>} - Audit entry, or null if nothing changed
+   * @throws {ValidationError} - If the configuration is invalid
+   */
+  update(agents, change) {
+    // Apply changes one at a time, so each is diffed against the one before it
+    const result = this.updating.then(() => this._update(agents, change));
+    this.updating = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Replace the configuration of one agent
+   * @param {string} name - Agent name, e.g. contentManagement
+   * @param {Object} agentConfig - New configuration of the agent
+   * @param {Object} change - Change details, see update()
+   * @returns {Promise<Object|null>} - Audit entry, or null if nothing changed
+   * @throws {ValidationError} - If the configuration is invalid
+   */
+  updateAgent(name, agentConfig, change) {
+    return this.update({ ...this.agentsConfig, [name]: agentConfig }, change);
+  }
+
+  /**
+   * Get recorded configuration changes, newest first
+   * @param {Object} [options] - Query options, see ConfigAuditStore.find()
+   * @returns {Promise<Array<Object>>} - Changes
+   */
+  getAuditLog(options = {}) {
+    return this.store.find(options);
+  }
+
+  async close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    clearTimeout(this.reloadTimer);
+    await this.updating;
+    await this.store.close();
+  }
+
+  /**
+   * @private
+   */
+  async _update(agents, { actor, source, reason = null }) {
+    const previous = this.agentsConfig;
+    const changes = isPlainObject(agents) ? diffConfig(previous, agents) : [];
+    const changedAgents = [...new Set(changes.map(({ path: changePath }) => changePath.split('.')[0]))];
+    const errors = isPlainObject(agents) ? validateAgentsConfig(agents) : ['Agent configuration must be an object'];
+
+    if (errors.length > 0) {
+      await this.store.record({ actor, source, reason, status: ConfigChangeStatus.REJECTED, agents: changedAgents, changes, errors });
+      logger.warn(`Rejected agent configuration change by ${actor}`, { source, errors });
+
+      throw new ValidationError('Invalid agent configuration', 'INVALID_AGENT_CONFIG', { errors });
+    }
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    const applied = { ...agents };
+    const failures = [];
+
+    for (const name of changedAgents) {
+      const agent = this.agents.get(name);
+
+      // Agents that are added or removed take effect on restart
+      if (!agent || !agents[name] || typeof agent.reconfigure !== 'function') {
+        continue;
+      }
+
+      try {
+        await agent.reconfigure(agents[name]);
+      } catch (error) {
+        logger.error(`Agent ${name} failed to apply its new configuration`, error);
+        failures.push(`${name}: ${error.message}`);
+        applied[name] = previous[name];
+
+        await agent.reconfigure(previous[name])
+          .catch(rollbackError => logger.error(`Agent ${name} failed to restore its configuration`, rollbackError));
+      }
+    }
+
+    this.agentsConfig = applied;
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(this.getAgentsConfig(), changes);
+      } catch (error) {
+        logger.error('Agent configuration listener failed', error);
+        failures.push(error.message);
+      }
+    }
+
+    if (source === ConfigSource.API) {
+      await this._writeFile(applied);
+    }
+
+    const entry = await this.store.record({
+      actor,
+      source,
+      reason,
+      status: failures.length > 0 ? ConfigChangeStatus.FAILED : ConfigChangeStatus.APPLIED,
+      agents: changedAgents,
+      changes,
+      errors: failures
+    });
+
+    logger.info(`Agent configuration changed by ${actor}`, { source, agents: changedAgents, changes: changes.length });
+    return entry;
+  }
+
+  /**
+   * Write the configuration back to the file, so it survives a restart
+   * @private
+   */
+  async _writeFile(agents) {
+    const content = `${JSON.stringify(agents, null, 2)}\n`;
+
+    // The watcher sees this write; remember it so it isn't applied a second time
+    this.writtenContent = content;
+    await fs.promises.writeFile(this.agentsFile, content);
+  }
+
+  /**
+   * Watch the directory of the file, so edits that replace the file are seen too
+   * @private
+   */
+  _watchFile() {
+    try {
+      this.watcher = fs.watch(path.dirname(this.agentsFile), (eventType, filename) => {
+        if (filename !== path.basename(this.agentsFile)) {
+          return;
+        }
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this._reloadFile(), this.watchDebounce);
+      });
+      this.watcher.unref();
+
+      logger.info(`Watching ${this.agentsFile} for agent configuration changes`);
+    } catch (error) {
+      logger.warn(`Unable to watch ${this.agentsFile}, configuration changes need the admin API: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the configuration file after it changed
+   * @private
+   */
+  async _reloadFile() {
+    let content;
+    let agents;
+
+    try {
+      content = await fs.promises.readFile(this.agentsFile, 'utf8');
+
+      if (content === this.writtenContent) {
+        return;
+      }
+
+      agents = JSON.parse(content);
+    } catch (error) {
+      logger.warn(`Ignoring unreadable agent configuration: ${error.message}`);
+      await this.store.record({
+        actor: FILE_ACTOR,
+        source: ConfigSource.FILE,
+        status: ConfigChangeStatus.REJECTED,
+        agents: [],
+        changes: [],
+        errors: [error.message]
+      }).catch(recordError => logger.error('Failed to record rejected configuration change', recordError));
+      return;
+    }
+
+    try {
+      await this.update(agents, { actor: FILE_ACTOR, source: ConfigSource.FILE });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        logger.error('Failed to apply agent configuration file', error);
+      }
+    }
+  }
+}
+
+// Singleton instance
+let configManagerInstance = null;
+
+module.exports = {
+  ConfigManager,
+  ConfigSource,
+  ConfigChangeStatus,
+  diffConfig,
+  getInstance: async () => {
+    if (!configManagerInstance) {
+      configManagerInstance = new ConfigManager(config.configReload);
+      await configManagerInstance.init();
+    }
+    return configManagerInstance;
+  }
+};
@@ -3,7 +3,16 @@ const { getInstance: getMessageBus } = require('../messaging/messageBus');
 const { createMessage } = require('../messaging/messageSchemas');
 const StateManager = require('./stateManager');
 const WorkflowRegistry = require('./workflowRegistry');
+const { evaluateGuard } = require('./guardExpression');
 const logger = require('../utils/logger');
+const yaml = require('js-yaml');
+const { AuthorizationError, NotFoundError, ValidationError, WorkflowError } = require('../error/errors');
+
+// Agent that tracks human task assignments and sends their reminders
+const HUMAN_TASK_AGENT = 'content-management';
+
+// Revisions the default workflows allow before an editor takes over
+const MAX_BRAND_REVISIONS = 3;
 
 class CoordinationService {
   constructor() {
@@ -11,6 +20,9 @@ class CoordinationService {
     this.stateManager = new StateManager();
     this.workflowRegistry = new WorkflowRegistry();
     this.activeWorkflows = new Map();
+    this.recoveredWorkflows = new Map();
+    this.stateTimers = new Map();
+    this.builtInWorkflows = new Set();
     this.subscriptions = [];
   }
 
@@ -20,10 +32,25 @@ class CoordinationService {
     
     // Register default workflows
     this.registerDefaultWorkflows();
+    this.builtInWorkflows = new Set(this.workflowRegistry.listWorkflows().map(workflow => workflow.type));
+    
+    // Register user-defined templates before recovery needs their definitions
+    try {
+      await this.loadWorkflowTemplates();
+    } catch (error) {
+      logger.error('Failed to load workflow templates', error);
+    }
     
     // Subscribe to workflow events
     await this.subscribeToEvents();
     
+    // Rehydrate workflows that were in flight when the process last stopped
+    try {
+      await this.recoverActiveWorkflows();
+    } catch (error) {
+      logger.error('Failed to recover active workflows', error);
+    }
+    
     logger.info('Agent Coordination Service initialized');
     return this;
   }
@@ -51,10 +78,13 @@ class CoordinationService {
           }
         },
         'content-review': {
-          agent: 'content-management',
+          type: 'human-task',
+          title: 'Editorial review',
+          role: 'editor',
           transitions: {
-            approved: 'content-management',
-            rejected: 'content-creation'
+            approve: 'content-management',
+            'request-changes': 'content-creation',
+            reject: 'workflow-failed'
           }
         },
         'content-management': {
@@ -80,11 +110,22 @@ class CoordinationService {
         },
         'content-revision': {
           agent: 'content-creation',
+          maxVisits: MAX_BRAND_REVISIONS,
+          onMaxVisits: 'brand-review',
           transitions: {
             success: 'brand-consistency-check',
             failure: 'workflow-failed'
           }
         },
+        'brand-review': {
+          type: 'human-task',
+          title: 'Brand review after repeated revisions',
+          role: 'editor',
+          transitions: {
+            approve: 'workflow-completed',
+            reject: 'workflow-failed'
+          }
+        },
         'workflow-completed': {
           final: true
         },
@@ -130,11 +171,22 @@ class CoordinationService {
         },
         'content-revision': {
           agent: 'content-creation',
+          maxVisits: MAX_BRAND_REVISIONS,
+          onMaxVisits: 'brand-review',
           transitions: {
             success: 'brand-consistency-check',
             failure: 'workflow-failed'
           }
         },
+        'brand-review': {
+          type: 'human-task',
+          title: 'Brand review after repeated revisions',
+          role: 'editor',
+          transitions: {
+            approve: 'workflow-completed',
+            reject: 'workflow-failed'
+          }
+        },
         'workflow-completed': {
           final: true
         },
@@ -166,11 +218,22 @@ class CoordinationService {
         },
         'content-revision': {
           agent: 'content-creation',
+          maxVisits: MAX_BRAND_REVISIONS,
+          onMaxVisits: 'brand-review',
           transitions: {
             success: 'brand-consistency-check',
             failure: 'workflow-failed'
           }
         },
+        'brand-review': {
+          type: 'human-task',
+          title: 'Brand review after repeated revisions',
+          role: 'editor',
+          transitions: {
+            approve: 'workflow-completed',
+            reject: 'workflow-failed'
+          }
+        },
         'workflow-completed': {
           final: true
         },
@@ -195,13 +258,13 @@ class CoordinationService {
     this.subscriptions.push(sub1, sub2, sub3, sub4, sub5, sub6);
   }
 
-  async startWorkflow(workflowType, data = {}, metadata = {}) {
+  async startWorkflow(workflowType, data = {}, metadata = {}, options = {}) {
     try {
       // Get workflow definition
-      const workflow = this.workflowRegistry.getWorkflow(workflowType);
+      const workflow = this.workflowRegistry.getWorkflow(workflowType, options.version);
       
       if (!workflow) {
-        throw new Error(`Workflow type '${workflowType}' not found`);
+        throw new Error(`Workflow type '${workflowType}'${options.version ? ` version ${options.version}` : ''} not found`);
       }
       
       // Generate workflow ID
@@ -216,7 +279,12 @@ class CoordinationService {
         history: [],
         startTime: new Date(),
         updatedTime: new Date(),
-        status: 'active'
+        status: 'active',
+        pendingTask: null,
+        branches: null,
+        heldResults: [],
+        humanTask: null,
+        templateVersion: workflow.version !== undefined ? workflow.version : null
       };
       
       // Save workflow instance
@@ -224,6 +292,7 @@ class CoordinationService {
       
       // Save initial state in state manager
       await this.stateManager.saveWorkflowState(workflowId, workflow.initialState, data);
+      await this.stateManager.saveWorkflowInstance(workflowInstance);
       
       // Publish workflow started event
       const eventData = {
@@ -242,7 +311,8 @@ class CoordinationService {
       return {
         workflowId,
         status: 'started',
-        initialState: workflow.initialState
+        initialState: workflow.initialState,
+        templateVersion: workflowInstance.templateVersion
       };
     } catch (error) {
       logger.error('Failed to start workflow', error);
@@ -258,13 +328,16 @@ class CoordinationService {
         throw new Error(`Workflow ${workflowId} not found`);
       }
       
-      const workflow = this.workflowRegistry.getWorkflow(workflowInstance.type);
+      const workflow = this.getWorkflowDefinition(workflowInstance);
       const stateDefinition = workflow.states[state];
       
       if (!stateDefinition) {
         throw new Error(`State ${state} not defined in workflow ${workflowInstance.type}`);
       }
       
+      // Any timer armed for the state being left no longer applies
+      this.clearStateTimeout(workflowId);
+      
       // Record state transition in history
       workflowInstance.history.push({
         fromState: workflowInstance.currentState,
@@ -275,11 +348,23 @@ class CoordinationService {
       // Update workflow instance
       workflowInstance.currentState = state;
       workflowInstance.updatedTime = new Date();
+      workflowInstance.pendingTask = null;
+      
+      // Branch outcomes of the last fork are kept until the workflow forks again
+      if (stateDefinition.type === 'fork') {
+        workflowInstance.branches = this.createBranches(stateDefinition);
+      }
+      
+      // Every visit to a human-task state opens a new task
+      workflowInstance.humanTask = stateDefinition.type === 'human-task'
+        ? this.createHumanTask(workflowInstance, stateDefinition)
+        : null;
       
       // Check if this is a final state
       if (stateDefinition.final) {
         if (state === 'workflow-completed') {
           workflowInstance.status = 'completed';
+          await this.stateManager.saveWorkflowInstance(workflowInstance);
           
           // Publish workflow completed event
           const eventData = {
@@ -296,6 +381,7 @@ class CoordinationService {
           this.activeWorkflows.delete(workflowId);
         } else if (state === 'workflow-failed') {
           workflowInstance.status = 'failed';
+          await this.stateManager.saveWorkflowInstance(workflowInstance);
           
           // Leave in active workflows for investigation
         }
@@ -304,24 +390,18 @@ class CoordinationService {
         return;
       }
       
+      // Join states complete as soon as they are entered, using the branch outcomes
+      if (stateDefinition.type === 'join') {
+        await this.stateManager.saveWorkflowInstance(workflowInstance);
+        await this.completeJoin(workflowInstance, stateDefinition);
+        return;
+      }
+      
       // If not a final state, dispatch task to the appropriate agent
-      if (stateDefinition.agent) {
-        // Get current workflow data
-        const stateData = await this.stateManager.getWorkflowState(workflowId);
-        
-        // Create command for the agent
-        const command = `${stateDefinition.agent}.execute-task`;
-        const commandData = {
-          taskType: state,
-          workflowId,
-          workflowType: workflowInstance.type,
-          data: stateData
-        };
-        
-        // Publish command to the agent
-        await this.messageBus.publishCommand(command, createMessage('commands', command, commandData).data);
-        
-        logger.info(`Dispatched task to agent ${stateDefinition.agent} for workflow ${workflowId} in state ${state}`);
+      if (this.isDispatchable(stateDefinition)) {
+        await this.dispatchTask(workflowInstance, stateDefinition);
+      } else {
+        await this.stateManager.saveWorkflowInstance(workflowInstance);
       }
     } catch (error) {
       logger.error(`Failed to transition workflow ${workflowId} to state ${state}`, error);
@@ -339,6 +419,670 @@ class CoordinationService {
     }
   }
 
+  /**
+   * Dispatch the task for the workflow's current state to its agent
+   * The pending task is persisted before publishing so that it can be
+   * re-dispatched if the process stops before the agent reports back.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} stateDefinition - Definition of the current state
+   * @param {Object} options - Dispatch options
+   * @param {string} options.deadline - Keep an existing timeout deadline instead of starting a new one
+   * @param {number} options.timeoutCount - Number of timeouts already seen in this state
+   */
+  async dispatchTask(workflowInstance, stateDefinition, options = {}) {
+    const workflowId = workflowInstance.id;
+    const state = workflowInstance.currentState;
+    const isFork = stateDefinition.type === 'fork';
+    const isHumanTask = stateDefinition.type === 'human-task';
+    const agent = isHumanTask ? HUMAN_TASK_AGENT : stateDefinition.agent;
+    const command = isFork ? null : `${agent}.${isHumanTask ? 'assign-human-task' : 'execute-task'}`;
+    const previousTask = workflowInstance.pendingTask;
+    
+    // Forks fan out to every branch that has not reported back yet
+    const pendingBranches = isFork
+      ? Object.keys(workflowInstance.branches).filter(name => workflowInstance.branches[name].status === 'pending')
+      : null;
+    
+    // Record the outstanding task before handing it to the agent
+    workflowInstance.pendingTask = {
+      agent: isFork ? null : agent,
+      command,
+      taskType: state,
+      dispatchId: this.generateId(),
+      dispatchedAt: new Date().toISOString(),
+      dispatchCount: previousTask && previousTask.taskType === state ? previousTask.dispatchCount + 1 : 1
+    };
+    
+    if (isFork) {
+      workflowInstance.pendingTask.branches = pendingBranches;
+    }
+    
+    // Persist the timeout deadline with the task so it survives restarts
+    if (stateDefinition.timeout) {
+      workflowInstance.pendingTask.deadline = options.deadline ||
+        new Date(Date.now() + stateDefinition.timeout).toISOString();
+      workflowInstance.pendingTask.timeoutCount = options.timeoutCount || 0;
+    }
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    if (workflowInstance.pendingTask.deadline) {
+      this.scheduleStateTimeout(workflowInstance);
+    }
+    
+    // Get current workflow data
+    const stateData = await this.stateManager.getWorkflowState(workflowId);
+    
+    if (isFork) {
+      for (const branchName of pendingBranches) {
+        await this.dispatchBranch(workflowInstance, stateDefinition, branchName, stateData);
+      }
+      return;
+    }
+    
+    if (isHumanTask) {
+      await this.assignHumanTask(workflowInstance, command);
+      return;
+    }
+    
+    // Create command for the agent
+    const commandData = {
+      taskType: state,
+      dispatchId: workflowInstance.pendingTask.dispatchId,
+      workflowId,
+      workflowType: workflowInstance.type,
+      data: stateData
+    };
+    
+    // Publish command to the agent
+    await this.messageBus.publishCommand(command, createMessage('commands', command, commandData).data);
+    
+    logger.info(`Dispatched task to agent ${stateDefinition.agent} for workflow ${workflowId} in state ${state}`);
+  }
+
+  /**
+   * Dispatch the task of a single fork branch to its agent
+   * Agents report back with the same branch name so the result can be
+   * matched to the branch.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} stateDefinition - Definition of the fork state
+   * @param {string} branchName - Branch to dispatch
+   * @param {Object} stateData - Current workflow data
+   */
+  async dispatchBranch(workflowInstance, stateDefinition, branchName, stateData) {
+    const branchDefinition = stateDefinition.branches[branchName];
+    const command = `${branchDefinition.agent}.execute-task`;
+    
+    const commandData = {
+      taskType: branchDefinition.taskType || workflowInstance.currentState,
+      dispatchId: workflowInstance.pendingTask.dispatchId,
+      workflowId: workflowInstance.id,
+      workflowType: workflowInstance.type,
+      branch: branchName,
+      data: stateData
+    };
+    
+    await this.messageBus.publishCommand(command, createMessage('commands', command, commandData).data);
+    
+    logger.info(`Dispatched branch ${branchName} to agent ${branchDefinition.agent} for workflow ${workflowInstance.id} in state ${workflowInstance.currentState}`);
+  }
+
+  /**
+   * Whether entering a state hands work to an agent, the fork branches or a person
+   * @param {Object} stateDefinition - State definition
+   * @returns {boolean} - Whether the state dispatches a task
+   */
+  isDispatchable(stateDefinition) {
+    return Boolean(stateDefinition.agent) || stateDefinition.type === 'fork' || stateDefinition.type === 'human-task';
+  }
+
+  /**
+   * Open the task a human-task state waits on
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} stateDefinition - Definition of the human-task state
+   * @returns {Object} - Human task
+   */
+  createHumanTask(workflowInstance, stateDefinition) {
+    const createdAt = new Date();
+    
+    return {
+      taskId: this.generateId(),
+      state: workflowInstance.currentState,
+      title: stateDefinition.title || `Review ${workflowInstance.currentState}`,
+      instructions: stateDefinition.instructions || null,
+      assignees: stateDefinition.assignees || [],
+      role: stateDefinition.role || null,
+      decisions: Object.keys(stateDefinition.transitions),
+      status: 'open',
+      createdAt: createdAt.toISOString(),
+      dueAt: stateDefinition.dueIn ? new Date(createdAt.getTime() + stateDefinition.dueIn).toISOString() : null,
+      decision: null
+    };
+  }
+
+  /**
+   * Hand a human task to the agent that tracks assignments and reminders
+   * Sent again on timeout retries and recovery; the agent treats it as an update.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {string} command - Command to publish
+   */
+  async assignHumanTask(workflowInstance, command) {
+    const task = workflowInstance.humanTask;
+    
+    const commandData = {
+      taskId: task.taskId,
+      workflowId: workflowInstance.id,
+      workflowType: workflowInstance.type,
+      state: task.state,
+      title: task.title,
+      instructions: task.instructions,
+      assignees: task.assignees,
+      role: task.role,
+      decisions: task.decisions,
+      dueAt: task.dueAt,
+      contentId: (workflowInstance.data && workflowInstance.data.contentId) || null
+    };
+    
+    await this.messageBus.publishCommand(command, createMessage('commands', command, commandData).data);
+    
+    logger.info(`Assigned human task ${task.taskId} for workflow ${workflowInstance.id} in state ${task.state}`);
+  }
+
+  /**
+   * Record a person's decision on an open human task and move the workflow on
+   * The decision is used as the transition type out of the human-task state; the task is reopened if the transition fails.
+   * @param {string} workflowId - Workflow ID
+   * @param {string} taskId - Human task ID
+   * @param {Object} decisionData - Decision
+   * @param {string} decisionData.decision - 'approve', 'reject' or 'request-changes'
+   * @param {string} [decisionData.comments] - Comments for the workflow data
+   * @param {string} decisionData.decidedBy - User ID of the decider
+   * @param {Array<string>} [decisionData.roles] - Roles of the decider
+   * @returns {Object} - Decision result including the state the workflow moved to
+   */
+  async submitHumanDecision(workflowId, taskId, { decision, comments = null, decidedBy, roles = [] }) {
+    const workflowInstance = this.getControllableWorkflow(workflowId, ['active'], 'decided');
+    const task = workflowInstance.humanTask;
+    
+    if (!task || task.taskId !== taskId || task.status !== 'open') {
+      throw new NotFoundError(`Human task ${taskId} is not open in workflow ${workflowId}`, 'HUMAN_TASK_NOT_FOUND', { workflowId, taskId });
+    }
+    
+    if (!task.decisions.includes(decision)) {
+      throw new ValidationError(
+        `Decision '${decision}' is not available for human task ${taskId}; expected one of ${task.decisions.join(', ')}`,
+        'INVALID_DECISION',
+        { workflowId, taskId }
+      );
+    }
+    
+    if (!this.canDecideHumanTask(task, decidedBy, roles)) {
+      throw new AuthorizationError(`User ${decidedBy} is not assigned to human task ${taskId}`, 'NOT_ASSIGNED', { workflowId, taskId });
+    }
+    
+    const decidedAt = new Date();
+    
+    // Mark the task decided up front so a second submission is refused while the transition runs
+    task.status = 'decided';
+    task.decision = {
+      decision,
+      comments,
+      decidedBy,
+      decidedAt: decidedAt.toISOString()
+    };
+    
+    const historyEntry = {
+      fromState: task.state,
+      toState: task.state,
+      timestamp: decidedAt,
+      action: 'human-decision',
+      taskId,
+      decision,
+      decidedBy,
+      comments
+    };
+    
+    workflowInstance.history.push(historyEntry);
+    
+    let transition;
+    
+    try {
+      transition = await this.transitionWorkflow(workflowId, decision, {
+        humanDecision: task.decision
+      });
+    } catch (error) {
+      // Reopen the task so the decision can be submitted again
+      task.status = 'open';
+      task.decision = null;
+      
+      const index = workflowInstance.history.indexOf(historyEntry);
+      
+      if (index !== -1) {
+        workflowInstance.history.splice(index, 1);
+      }
+      
+      throw error;
+    }
+    
+    const eventData = {
+      workflowId,
+      workflowType: workflowInstance.type,
+      taskId,
+      state: task.state,
+      decision,
+      decidedBy,
+      comments,
+      decidedAt: decidedAt.toISOString()
+    };
+    
+    await this.messageBus.publishEvent('workflow.human-task-decided', createMessage('events', 'workflow.human-task-decided', eventData).data);
+    
+    return {
+      workflowId,
+      taskId,
+      decision,
+      toState: transition.toState
+    };
+  }
+
+  /**
+   * Whether a user may decide a human task
+   * Admins may decide any task; otherwise the user must be assigned directly or through the task's role.
+   * @param {Object} task - Human task
+   * @param {string} userId - User ID
+   * @param {Array<string>} roles - User roles
+   * @returns {boolean} - Whether the user may decide the task
+   */
+  canDecideHumanTask(task, userId, roles = []) {
+    return roles.includes('admin') ||
+      task.assignees.includes(userId) ||
+      Boolean(task.role && roles.includes(task.role));
+  }
+
+  /**
+   * List the open human tasks, optionally only those a user may decide
+   * @param {Object} filters - Filters
+   * @param {string} [filters.userId] - Only tasks this user may decide
+   * @param {Array<string>} [filters.roles] - Roles of that user
+   * @returns {Array} - Open human tasks with their workflow
+   */
+  listHumanTasks({ userId, roles = [] } = {}) {
+    const tasks = [];
+    
+    for (const [workflowId, workflowInstance] of this.activeWorkflows.entries()) {
+      const task = workflowInstance.humanTask;
+      
+      if (!task || task.status !== 'open') {
+        continue;
+      }
+      
+      if (userId && !this.canDecideHumanTask(task, userId, roles)) {
+        continue;
+      }
+      
+      tasks.push({
+        ...task,
+        workflowId,
+        workflowType: workflowInstance.type,
+        workflowStatus: workflowInstance.status
+      });
+    }
+    
+    return tasks;
+  }
+
+  /**
+   * Create the branch tracking entries for a fork state
+   * @param {Object} stateDefinition - Definition of the fork state
+   * @returns {Object} - Branch entries keyed by branch name
+   */
+  createBranches(stateDefinition) {
+    const branches = {};
+    
+    for (const [branchName, branchDefinition] of Object.entries(stateDefinition.branches)) {
+      branches[branchName] = {
+        agent: branchDefinition.agent,
+        status: 'pending',
+        result: null,
+        error: null,
+        completedAt: null
+      };
+    }
+    
+    return branches;
+  }
+
+  /**
+   * Record the outcome of a fork branch and join once enough branches finished
+   * @param {string} workflowId - Workflow ID
+   * @param {string} branchName - Branch that reported back
+   * @param {string} outcome - 'completed' or 'failed'
+   * @param {Object} details - Branch result or error
+   * @returns {boolean} - Whether the outcome was recorded
+   */
+  async recordBranchOutcome(workflowId, branchName, outcome, details = {}) {
+    const workflowInstance = this.activeWorkflows.get(workflowId);
+    
+    if (!workflowInstance) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+    
+    const branch = workflowInstance.branches && workflowInstance.branches[branchName];
+    const workflow = this.getWorkflowDefinition(workflowInstance);
+    const stateDefinition = workflow.states[workflowInstance.currentState];
+    
+    // Late results from branches of a fork that has already joined are discarded
+    if (!branch || branch.status !== 'pending' || stateDefinition.type !== 'fork') {
+      logger.info(`Ignoring ${outcome} result for branch ${branchName} of workflow ${workflowId} in state ${workflowInstance.currentState}`);
+      return false;
+    }
+    
+    branch.status = outcome;
+    branch.result = outcome === 'completed' ? (details.result || {}) : null;
+    branch.error = outcome === 'failed' ? (details.error || 'Branch failed') : null;
+    branch.completedAt = new Date().toISOString();
+    workflowInstance.updatedTime = new Date();
+    
+    if (workflowInstance.pendingTask && workflowInstance.pendingTask.branches) {
+      workflowInstance.pendingTask.branches = workflowInstance.pendingTask.branches.filter(name => name !== branchName);
+    }
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    logger.info(`Branch ${branchName} of workflow ${workflowId} ${outcome}`);
+    
+    const joinDefinition = workflow.states[stateDefinition.join];
+    
+    if (this.evaluateJoin(workflowInstance.branches, joinDefinition) !== 'waiting') {
+      await this.transitionWorkflow(workflowId, 'join');
+    }
+    
+    return true;
+  }
+
+  /**
+   * Evaluate whether a join's condition has been decided
+   * @param {Object} branches - Branch entries of the fork
+   * @param {Object} joinDefinition - Definition of the join state
+   * @returns {string} - 'success', 'failure' or 'waiting'
+   */
+  evaluateJoin(branches, joinDefinition) {
+    const entries = Object.values(branches || {});
+    const required = joinDefinition.waitFor === undefined || joinDefinition.waitFor === 'all'
+      ? entries.length
+      : joinDefinition.waitFor;
+    
+    const completed = entries.filter(branch => branch.status === 'completed').length;
+    const pending = entries.filter(branch => branch.status === 'pending').length;
+    
+    if (completed >= required) {
+      return 'success';
+    }
+    
+    // Not enough branches left to satisfy the join
+    if (completed + pending < required) {
+      return 'failure';
+    }
+    
+    return 'waiting';
+  }
+
+  /**
+   * Leave a join state, merging the successful branch results into the workflow data
+   * Results are stored under their branch name unless the join uses `merge: 'flat'`.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} joinDefinition - Definition of the join state
+   */
+  async completeJoin(workflowInstance, joinDefinition) {
+    const branches = workflowInstance.branches || {};
+    const outcome = this.evaluateJoin(branches, joinDefinition) === 'success' ? 'success' : 'failure';
+    const merged = {};
+    
+    for (const [branchName, branch] of Object.entries(branches)) {
+      if (branch.status === 'pending') {
+        branch.status = 'cancelled';
+      }
+      
+      if (branch.status !== 'completed') {
+        continue;
+      }
+      
+      if (joinDefinition.merge === 'flat') {
+        Object.assign(merged, branch.result);
+      } else {
+        merged[branchName] = branch.result;
+      }
+    }
+    
+    if (outcome === 'failure') {
+      merged.branchErrors = Object.entries(branches)
+        .filter(([, branch]) => branch.status === 'failed')
+        .map(([branchName, branch]) => ({ branch: branchName, error: branch.error }));
+    }
+    
+    await this.transitionWorkflow(workflowInstance.id, outcome, merged);
+  }
+
+  /**
+   * Rehydrate active and paused workflow instances from the state store
+   * Instances already held in memory are left untouched. The outstanding
+   * agent task of each recovered instance is dispatched again, since any
+   * result published while the coordinator was down has been lost; paused
+   * instances are only dispatched again once they are resumed.
+   * @returns {Array} - Recovered workflows
+   */
+  async recoverActiveWorkflows() {
+    const instances = await this.stateManager.findWorkflowInstancesByStatus(['active', 'paused']);
+    const recovered = [];
+    
+    for (const instance of instances) {
+      if (this.activeWorkflows.has(instance.id)) {
+        continue;
+      }
+      
+      const workflow = this.getWorkflowDefinition(instance);
+      const stateDefinition = workflow && workflow.states[instance.currentState];
+      
+      if (!stateDefinition) {
+        logger.warn(`Cannot recover workflow ${instance.id}: state ${instance.currentState} of type ${instance.type} is not registered`);
+        continue;
+      }
+      
+      const pendingTask = instance.pendingTask;
+      instance.heldResults = instance.heldResults || [];
+      
+      try {
+        const state = await this.stateManager.getWorkflowState(instance.id);
+        instance.data = state.data || {};
+      } catch (error) {
+        instance.data = {};
+      }
+      
+      instance.history.push({
+        fromState: instance.currentState,
+        toState: instance.currentState,
+        timestamp: new Date(),
+        recovered: true
+      });
+      instance.updatedTime = new Date();
+      
+      this.activeWorkflows.set(instance.id, instance);
+      
+      let redispatched = false;
+      
+      try {
+        const deadline = stateDefinition.timeout && pendingTask && pendingTask.taskType === instance.currentState
+          ? pendingTask.deadline
+          : null;
+        
+        if (instance.status === 'paused') {
+          // Paused workflows stay put; the pending task is sent again on resume if nothing was held
+          instance.redispatchOnResume = Boolean(pendingTask) && instance.heldResults.length === 0;
+          await this.stateManager.saveWorkflowInstance(instance);
+        } else if (deadline && new Date(deadline).getTime() <= Date.now()) {
+          // The state timed out while the coordinator was down
+          await this.handleStateTimeout(instance.id, instance.currentState);
+        } else if (this.isDispatchable(stateDefinition)) {
+          // Only branches that have not reported back are dispatched again
+          if (stateDefinition.type === 'fork' && !instance.branches) {
+            instance.branches = this.createBranches(stateDefinition);
+          }
+          
+          if (stateDefinition.type === 'human-task' && !instance.humanTask) {
+            instance.humanTask = this.createHumanTask(instance, stateDefinition);
+          }
+          
+          await this.dispatchTask(instance, stateDefinition, {
+            deadline,
+            timeoutCount: deadline ? pendingTask.timeoutCount : 0
+          });
+          redispatched = true;
+        } else {
+          await this.stateManager.saveWorkflowInstance(instance);
+        }
+      } catch (error) {
+        logger.error(`Failed to resume recovered workflow ${instance.id} in state ${instance.currentState}`, error);
+      }
+      
+      const recoveryInfo = {
+        workflowId: instance.id,
+        type: instance.type,
+        currentState: instance.currentState,
+        pendingTask: pendingTask ? pendingTask.command : null,
+        redispatched,
+        recoveredAt: new Date()
+      };
+      
+      this.recoveredWorkflows.set(instance.id, recoveryInfo);
+      recovered.push(recoveryInfo);
+    }
+    
+    if (recovered.length > 0) {
+      logger.info(`Recovered ${recovered.length} active workflow(s) from the state store`);
+    }
+    
+    return recovered;
+  }
+
+  /**
+   * List the workflows recovered from the state store during init
+   * @returns {Array} - Recovered workflows
+   */
+  getRecoveredWorkflows() {
+    return Array.from(this.recoveredWorkflows.values());
+  }
+
+  /**
+   * Arm the in-process timer for the pending task's persisted deadline
+   * @param {Object} workflowInstance - Workflow instance
+   */
+  scheduleStateTimeout(workflowInstance) {
+    const { id: workflowId, currentState, pendingTask } = workflowInstance;
+    
+    this.clearStateTimeout(workflowId);
+    
+    // setTimeout cannot wait longer than 2^31 - 1 ms; longer deadlines are re-armed when reached
+    const remaining = new Date(pendingTask.deadline).getTime() - Date.now();
+    const delay = Math.min(Math.max(remaining, 0), 2147483647);
+    
+    const timer = setTimeout(() => {
+      this.stateTimers.delete(workflowId);
+      
+      this.handleStateTimeout(workflowId, currentState).catch(error => {
+        logger.error(`Failed to handle timeout for workflow ${workflowId} in state ${currentState}`, error);
+      });
+    }, delay);
+    
+    // Don't keep the process alive just for a workflow timer
+    if (timer.unref) {
+      timer.unref();
+    }
+    
+    this.stateTimers.set(workflowId, timer);
+  }
+
+  /**
+   * Cancel the timer armed for a workflow's current state
+   * @param {string} workflowId - Workflow ID
+   */
+  clearStateTimeout(workflowId) {
+    const timer = this.stateTimers.get(workflowId);
+    
+    if (timer) {
+      clearTimeout(timer);
+      this.stateTimers.delete(workflowId);
+    }
+  }
+
+  /**
+   * Handle a state whose agent did not report back before its deadline
+   * The task is dispatched again while timeout retries remain, after which
+   * the workflow follows the state's onTimeout transition.
+   * @param {string} workflowId - Workflow ID
+   * @param {string} state - State the timer was armed for
+   * @returns {Object|null} - Action taken, or null if the timer was stale
+   */
+  async handleStateTimeout(workflowId, state) {
+    const workflowInstance = this.activeWorkflows.get(workflowId);
+    
+    // Ignore timers for workflows that have moved on or finished
+    if (!workflowInstance || workflowInstance.status !== 'active' || workflowInstance.currentState !== state) {
+      return null;
+    }
+    
+    const pendingTask = workflowInstance.pendingTask;
+    
+    if (!pendingTask || !pendingTask.deadline) {
+      return null;
+    }
+    
+    // Deadline beyond the maximum timer delay - wait for the rest of it
+    if (new Date(pendingTask.deadline).getTime() > Date.now()) {
+      this.scheduleStateTimeout(workflowInstance);
+      return null;
+    }
+    
+    const workflow = this.getWorkflowDefinition(workflowInstance);
+    const stateDefinition = workflow.states[state];
+    
+    // The definition may have dropped its timeout since the deadline was set
+    if (!stateDefinition.timeout) {
+      return null;
+    }
+    
+    const timeoutCount = (pendingTask.timeoutCount || 0) + 1;
+    const maxRetries = stateDefinition.timeoutRetries || 0;
+    const action = timeoutCount <= maxRetries ? 'retry' : 'transition';
+    
+    logger.warn(`Workflow ${workflowId} timed out in state ${state} after ${stateDefinition.timeout}ms (timeout ${timeoutCount}, action: ${action})`);
+    
+    const eventData = {
+      workflowId,
+      workflowType: workflowInstance.type,
+      state,
+      agent: stateDefinition.agent || null,
+      timeout: stateDefinition.timeout,
+      timeoutCount,
+      action,
+      toState: action === 'retry' ? state : stateDefinition.onTimeout,
+      timestamp: new Date().toISOString()
+    };
+    
+    await this.messageBus.publishEvent('workflow.state-timed-out', createMessage('events', 'workflow.state-timed-out', eventData).data);
+    
+    if (action === 'retry') {
+      workflowInstance.updatedTime = new Date();
+      await this.dispatchTask(workflowInstance, stateDefinition, { timeoutCount });
+    } else {
+      await this.transitionWorkflow(workflowId, 'timeout', {
+        timedOutState: state,
+        timedOutAt: eventData.timestamp
+      });
+    }
+    
+    return eventData;
+  }
+
   async transitionWorkflow(workflowId, transitionType, data = {}) {
     try {
       const workflowInstance = this.activeWorkflows.get(workflowId);
@@ -347,7 +1091,7 @@ class CoordinationService {
         throw new Error(`Workflow ${workflowId} not found`);
       }
       
-      const workflow = this.workflowRegistry.getWorkflow(workflowInstance.type);
+      const workflow = this.getWorkflowDefinition(workflowInstance);
       const currentState = workflowInstance.currentState;
       const stateDefinition = workflow.states[currentState];
       
@@ -355,7 +1099,17 @@ class CoordinationService {
         throw new Error(`Current state ${currentState} not defined in workflow ${workflowInstance.type}`);
       }
       
-      const nextState = stateDefinition.transitions && stateDefinition.transitions[transitionType];
+      let nextState = stateDefinition.transitions && stateDefinition.transitions[transitionType];
+      
+      // States with a timeout escalate through their onTimeout target
+      if (!nextState && transitionType === 'timeout') {
+        nextState = stateDefinition.onTimeout;
+      }
+      
+      // Forks move to their join state once the branches have been decided
+      if (!nextState && transitionType === 'join' && stateDefinition.type === 'fork') {
+        nextState = stateDefinition.join;
+      }
       
       if (!nextState) {
         throw new Error(`Transition ${transitionType} not defined for state ${currentState} in workflow ${workflowInstance.type}`);
@@ -364,6 +1118,17 @@ class CoordinationService {
       // Update workflow data in state manager
       await this.stateManager.updateWorkflowState(workflowId, data);
       
+      // Guarded transitions pick their target from the workflow data, including the data just recorded
+      let guard = null;
+      
+      if (Array.isArray(nextState)) {
+        const option = await this.resolveGuardedTransition(workflowId, nextState);
+        nextState = option.to;
+        guard = option.when || null;
+      }
+      
+      nextState = this.applyVisitLimit(workflowInstance, workflow, nextState);
+      
       // Publish state change event
       const eventData = {
         workflowId,
@@ -371,6 +1136,7 @@ class CoordinationService {
         fromState: currentState,
         toState: nextState,
         transitionType,
+        guard,
         timestamp: new Date().toISOString()
       };
       
@@ -383,7 +1149,8 @@ class CoordinationService {
         workflowId,
         fromState: currentState,
         toState: nextState,
-        transitionType
+        transitionType,
+        guard
       };
     } catch (error) {
       logger.error(`Failed to transition workflow ${workflowId} with transition type ${transitionType}`, error);
@@ -391,7 +1158,515 @@ class CoordinationService {
     }
   }
   
+  /**
+   * Apply the maxVisits limit of the state a workflow is about to enter
+   * Once a state has been entered maxVisits times, the workflow moves to its
+   * onMaxVisits state instead, which stops revision loops from running forever.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} workflow - Workflow definition
+   * @param {string} state - State about to be entered
+   * @returns {string} - State to enter
+   */
+  applyVisitLimit(workflowInstance, workflow, state) {
+    const stateDefinition = workflow.states[state];
+    
+    if (!stateDefinition || !stateDefinition.maxVisits) {
+      return state;
+    }
+    
+    const visits = this.countStateVisits(workflowInstance)[state] || 0;
+    
+    if (visits < stateDefinition.maxVisits) {
+      return state;
+    }
+    
+    workflowInstance.history.push({
+      fromState: workflowInstance.currentState,
+      toState: state,
+      timestamp: new Date(),
+      action: 'max-visits-reached',
+      visits,
+      redirectedTo: stateDefinition.onMaxVisits
+    });
+    
+    logger.warn(`Workflow ${workflowInstance.id} entered state ${state} ${visits} times, moving to ${stateDefinition.onMaxVisits} instead`);
+    
+    return stateDefinition.onMaxVisits;
+  }
+  
+  /**
+   * Choose the option of a guarded transition
+   * Options are checked in order against the workflow data held by the state
+   * manager; the registry guarantees the last one has no guard.
+   * @param {string} workflowId - Workflow ID
+   * @param {Array<Object>} options - Guarded options ({ when, to })
+   * @returns {Object} - The first option whose guard passes
+   */
+  async resolveGuardedTransition(workflowId, options) {
+    const state = await this.stateManager.getWorkflowState(workflowId);
+    const workflowData = (state && state.data) || {};
+    
+    const option = options.find(candidate => candidate.when === undefined || evaluateGuard(candidate.when, workflowData));
+    
+    if (option.when) {
+      logger.debug(`Workflow ${workflowId} guard '${option.when}' passed, moving to ${option.to}`);
+    }
+    
+    return option;
+  }
+  
   // Event handlers
+  /**
+   * Pause a running workflow
+   * Agents already working on the current state may still report back; their
+   * results are held and only applied once the workflow is resumed.
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} options - Pause options
+   * @param {string} [options.reason] - Why the workflow is paused
+   * @param {string} [options.requestedBy] - User who paused the workflow
+   * @returns {Object} - Pause result
+   */
+  async pauseWorkflow(workflowId, { reason = null, requestedBy = null } = {}) {
+    const workflowInstance = this.getControllableWorkflow(workflowId, ['active'], 'paused');
+    const pausedAt = new Date();
+    
+    // Stop the state's clock, keeping the time that was left
+    this.clearStateTimeout(workflowId);
+    
+    const pendingTask = workflowInstance.pendingTask;
+    
+    if (pendingTask && pendingTask.deadline) {
+      pendingTask.remainingTimeout = Math.max(new Date(pendingTask.deadline).getTime() - pausedAt.getTime(), 0);
+      delete pendingTask.deadline;
+    }
+    
+    workflowInstance.status = 'paused';
+    workflowInstance.updatedTime = pausedAt;
+    workflowInstance.history.push({
+      fromState: workflowInstance.currentState,
+      toState: workflowInstance.currentState,
+      timestamp: pausedAt,
+      action: 'paused',
+      reason,
+      requestedBy
+    });
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    const eventData = {
+      workflowId,
+      workflowType: workflowInstance.type,
+      state: workflowInstance.currentState,
+      reason,
+      requestedBy,
+      pausedAt: pausedAt.toISOString()
+    };
+    
+    await this.messageBus.publishEvent('workflow.paused', createMessage('events', 'workflow.paused', eventData).data);
+    
+    logger.info(`Workflow ${workflowId} paused in state ${workflowInstance.currentState}`);
+    
+    return {
+      workflowId,
+      status: 'paused',
+      currentState: workflowInstance.currentState
+    };
+  }
+
+  /**
+   * Resume a paused workflow, applying any agent results held while it was paused
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} options - Resume options
+   * @param {string} [options.requestedBy] - User who resumed the workflow
+   * @returns {Object} - Resume result
+   */
+  async resumeWorkflow(workflowId, { requestedBy = null } = {}) {
+    const workflowInstance = this.getControllableWorkflow(workflowId, ['paused'], 'resumed');
+    const resumedAt = new Date();
+    const heldResults = workflowInstance.heldResults || [];
+    const state = workflowInstance.currentState;
+    
+    workflowInstance.status = 'active';
+    workflowInstance.heldResults = [];
+    workflowInstance.updatedTime = resumedAt;
+    workflowInstance.history.push({
+      fromState: state,
+      toState: state,
+      timestamp: resumedAt,
+      action: 'resumed',
+      requestedBy
+    });
+    
+    // Restart the state's clock with the time that was left when it was paused
+    const pendingTask = workflowInstance.pendingTask;
+    
+    if (pendingTask && pendingTask.remainingTimeout !== undefined) {
+      pendingTask.deadline = new Date(resumedAt.getTime() + pendingTask.remainingTimeout).toISOString();
+      delete pendingTask.remainingTimeout;
+    }
+    
+    const redispatch = workflowInstance.redispatchOnResume && heldResults.length === 0;
+    delete workflowInstance.redispatchOnResume;
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    const eventData = {
+      workflowId,
+      workflowType: workflowInstance.type,
+      state,
+      heldResults: heldResults.length,
+      requestedBy,
+      resumedAt: resumedAt.toISOString()
+    };
+    
+    await this.messageBus.publishEvent('workflow.resumed', createMessage('events', 'workflow.resumed', eventData).data);
+    
+    logger.info(`Workflow ${workflowId} resumed in state ${state} with ${heldResults.length} held result(s)`);
+    
+    if (redispatch) {
+      // Results sent while the coordinator was down are lost, so ask the agent again
+      const workflow = this.getWorkflowDefinition(workflowInstance);
+      
+      await this.dispatchTask(workflowInstance, workflow.states[state], {
+        deadline: pendingTask.deadline,
+        timeoutCount: pendingTask.timeoutCount || 0
+      });
+    } else if (pendingTask && pendingTask.deadline) {
+      this.scheduleStateTimeout(workflowInstance);
+    }
+    
+    // Apply the held results in the order the agents reported them
+    for (const held of heldResults) {
+      if (held.outcome === 'completed') {
+        await this.handleAgentTaskCompleted(held.data);
+      } else {
+        await this.handleAgentTaskFailed(held.data);
+      }
+    }
+    
+    return {
+      workflowId,
+      status: 'active',
+      currentState: state,
+      appliedResults: heldResults.length
+    };
+  }
+
+  /**
+   * Cancel a running or paused workflow
+   * @param {string} workflowId - Workflow ID
+   * @param {string} reason - Why the workflow is cancelled
+   * @param {Object} options - Cancel options
+   * @param {string} [options.requestedBy] - User who cancelled the workflow
+   * @returns {Object} - Cancel result
+   */
+  async cancelWorkflow(workflowId, reason, { requestedBy = null } = {}) {
+    if (!reason) {
+      throw new WorkflowError('A reason is required to cancel a workflow', 'CANCEL_REASON_REQUIRED', { workflowId });
+    }
+    
+    const workflowInstance = this.getControllableWorkflow(workflowId, ['active', 'paused'], 'cancelled');
+    const cancelledAt = new Date();
+    const state = workflowInstance.currentState;
+    
+    this.clearStateTimeout(workflowId);
+    
+    workflowInstance.status = 'cancelled';
+    workflowInstance.pendingTask = null;
+    workflowInstance.heldResults = [];
+    workflowInstance.updatedTime = cancelledAt;
+    workflowInstance.history.push({
+      fromState: state,
+      toState: state,
+      timestamp: cancelledAt,
+      action: 'cancelled',
+      reason,
+      requestedBy
+    });
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    // Results of tasks still in flight are dropped once the workflow is gone
+    this.activeWorkflows.delete(workflowId);
+    
+    const eventData = {
+      workflowId,
+      workflowType: workflowInstance.type,
+      contentId: (workflowInstance.data && workflowInstance.data.contentId) || null,
+      state,
+      reason,
+      requestedBy,
+      cancelledAt: cancelledAt.toISOString()
+    };
+    
+    await this.messageBus.publishEvent('workflow.cancelled', createMessage('events', 'workflow.cancelled', eventData).data);
+    
+    logger.info(`Workflow ${workflowId} cancelled in state ${state}: ${reason}`);
+    
+    return {
+      workflowId,
+      status: 'cancelled',
+      currentState: state
+    };
+  }
+
+  /**
+   * Get an in-memory workflow that may be paused, resumed or cancelled
+   * @param {string} workflowId - Workflow ID
+   * @param {Array<string>} allowedStatuses - Statuses the action is allowed from
+   * @param {string} action - Action being requested, for the error message
+   * @returns {Object} - Workflow instance
+   * @throws {NotFoundError} If the workflow is not running
+   * @throws {WorkflowError} If the workflow's status does not allow the action
+   */
+  getControllableWorkflow(workflowId, allowedStatuses, action) {
+    const workflowInstance = this.activeWorkflows.get(workflowId);
+    
+    if (!workflowInstance) {
+      throw new NotFoundError(`Workflow ${workflowId} not found or no longer running`, 'WORKFLOW_NOT_FOUND', { workflowId });
+    }
+    
+    if (!allowedStatuses.includes(workflowInstance.status)) {
+      throw new WorkflowError(
+        `Workflow ${workflowId} cannot be ${action} while ${workflowInstance.status}`,
+        'INVALID_WORKFLOW_STATUS',
+        { workflowId, status: workflowInstance.status }
+      );
+    }
+    
+    return workflowInstance;
+  }
+
+  /**
+   * Hold an agent result for a paused workflow until it is resumed
+   * @param {Object} data - Agent event data
+   * @param {string} outcome - 'completed' or 'failed'
+   * @returns {boolean} - Whether the result was held
+   */
+  async holdResultIfPaused(data, outcome) {
+    const workflowInstance = this.activeWorkflows.get(data.workflowId);
+    
+    if (!workflowInstance || workflowInstance.status !== 'paused') {
+      return false;
+    }
+    
+    workflowInstance.heldResults.push({
+      outcome,
+      data,
+      receivedAt: new Date().toISOString()
+    });
+    
+    await this.stateManager.saveWorkflowInstance(workflowInstance);
+    
+    logger.info(`Holding ${outcome} result for paused workflow ${data.workflowId}`);
+    
+    return true;
+  }
+
+  /**
+   * Get the definition a workflow instance runs on
+   * Instances started from a stored template keep using the template version they were started from.
+   * @param {Object} workflowInstance - Workflow instance
+   * @returns {Object|null} - Workflow definition
+   */
+  getWorkflowDefinition(workflowInstance) {
+    return this.workflowRegistry.getWorkflow(workflowInstance.type, workflowInstance.templateVersion);
+  }
+
+  /**
+   * Register every stored version of the user-defined workflow templates
+   * Invalid templates are skipped so a single bad template can't stop the coordinator.
+   * @returns {number} - Number of template versions registered
+   */
+  async loadWorkflowTemplates() {
+    const templates = await this.stateManager.listWorkflowTemplates();
+    let registered = 0;
+    
+    for (const template of templates) {
+      try {
+        this.workflowRegistry.registerWorkflow(template.templateId, {
+          ...template.definition,
+          version: template.version
+        });
+        registered++;
+      } catch (error) {
+        logger.warn(`Skipping workflow template ${template.templateId} version ${template.version}: ${error.message}`);
+      }
+    }
+    
+    if (registered > 0) {
+      logger.info(`Loaded ${registered} workflow template version(s) from the state store`);
+    }
+    
+    return registered;
+  }
+
+  /**
+   * Parse the JSON or YAML source of a workflow template
+   * @param {string} source - Template source
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {Object} - Workflow definition
+   * @throws {ValidationError} If the source can't be parsed
+   */
+  parseWorkflowTemplate(source, format = 'json') {
+    let definition;
+    
+    try {
+      definition = format === 'yaml' ? yaml.load(source) : JSON.parse(source);
+    } catch (error) {
+      throw new ValidationError(`Workflow template is not valid ${format.toUpperCase()}: ${error.message}`, 'INVALID_TEMPLATE_SOURCE');
+    }
+    
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError('Workflow template must define an object', 'INVALID_TEMPLATE_SOURCE');
+    }
+    
+    return definition;
+  }
+
+  /**
+   * Store a new version of a user-defined workflow template and make it available immediately
+   * @param {string} templateId - Template ID, used as the workflow type
+   * @param {Object} template - Template content
+   * @param {Object} [template.definition] - Workflow definition
+   * @param {string} [template.source] - JSON or YAML source, used instead of `definition`
+   * @param {string} [template.format] - Format of `source`: 'json' or 'yaml'
+   * @param {Object} options - Save options
+   * @param {string} [options.createdBy] - User who saved the template
+   * @returns {Object} - Stored template summary
+   * @throws {ValidationError} If the template is invalid
+   */
+  async saveWorkflowTemplate(templateId, { definition, source, format = 'json' }, { createdBy = null } = {}) {
+    if (this.builtInWorkflows.has(templateId)) {
+      throw new ValidationError(`'${templateId}' is a built-in workflow and can't be replaced by a template`, 'BUILT_IN_WORKFLOW');
+    }
+    
+    const parsed = source !== undefined ? this.parseWorkflowTemplate(source, format) : { ...definition };
+    
+    // Versions are assigned by the store
+    delete parsed.version;
+    
+    try {
+      this.workflowRegistry.validateWorkflowDefinition(templateId, parsed);
+    } catch (error) {
+      throw new ValidationError(error.message, 'INVALID_WORKFLOW_DEFINITION', { templateId });
+    }
+    
+    const stored = await this.stateManager.saveWorkflowTemplate({
+      templateId,
+      name: parsed.name,
+      description: parsed.description,
+      format: source !== undefined ? format : 'json',
+      source: source !== undefined ? source : null,
+      definition: parsed,
+      createdBy
+    });
+    
+    this.workflowRegistry.registerWorkflow(templateId, {
+      ...parsed,
+      version: stored.version
+    });
+    
+    return this.toTemplateSummary(stored);
+  }
+
+  /**
+   * List the workflows that can be started, built-in workflows first
+   * @returns {Array} - Latest version of each template
+   */
+  async listWorkflowTemplates() {
+    const templates = this.workflowRegistry.listWorkflows()
+      .filter(workflow => this.builtInWorkflows.has(workflow.type))
+      .map(workflow => ({
+        templateId: workflow.type,
+        name: workflow.name,
+        description: workflow.description,
+        version: null,
+        versions: 0,
+        builtIn: true
+      }));
+    
+    const latest = new Map();
+    const versionCounts = new Map();
+    
+    for (const template of await this.stateManager.listWorkflowTemplates()) {
+      latest.set(template.templateId, template);
+      versionCounts.set(template.templateId, (versionCounts.get(template.templateId) || 0) + 1);
+    }
+    
+    for (const [templateId, template] of latest.entries()) {
+      templates.push({
+        ...this.toTemplateSummary(template),
+        versions: versionCounts.get(templateId)
+      });
+    }
+    
+    return templates;
+  }
+
+  /**
+   * Get a stored workflow template
+   * @param {string} templateId - Template ID
+   * @param {number|null} version - Version to get, or null for the latest
+   * @returns {Object} - Template including its definition and source
+   * @throws {NotFoundError} If the template or version doesn't exist
+   */
+  async getWorkflowTemplate(templateId, version = null) {
+    const template = await this.stateManager.getWorkflowTemplate(templateId, version);
+    
+    if (!template) {
+      throw new NotFoundError(
+        `Workflow template ${templateId}${version ? ` version ${version}` : ''} not found`,
+        'TEMPLATE_NOT_FOUND',
+        { templateId, version }
+      );
+    }
+    
+    return template;
+  }
+
+  /**
+   * Start a workflow from a built-in workflow or a stored template
+   * @param {string} templateId - Template ID or built-in workflow type
+   * @param {Object} parameters - Initial workflow data
+   * @param {Object} metadata - Message metadata (e.g. userId)
+   * @param {number|null} version - Template version to start, or null for the latest
+   * @returns {Object} - Start result including the template version used
+   * @throws {NotFoundError} If the template or version isn't registered
+   */
+  async startWorkflowFromTemplate(templateId, parameters = {}, metadata = {}, version = null) {
+    if (!this.workflowRegistry.getWorkflow(templateId, version)) {
+      throw new NotFoundError(
+        `Workflow template ${templateId}${version ? ` version ${version}` : ''} not found`,
+        'TEMPLATE_NOT_FOUND',
+        { templateId, version }
+      );
+    }
+    
+    const result = await this.startWorkflow(templateId, parameters, metadata, { version });
+    
+    logger.info(`Started workflow ${result.workflowId} from template ${templateId} version ${result.templateVersion || 'built-in'}`);
+    
+    return result;
+  }
+
+  /**
+   * Strip a stored template down to what template listings show
+   * @param {Object} template - Stored template
+   * @returns {Object} - Template summary
+   */
+  toTemplateSummary(template) {
+    return {
+      templateId: template.templateId,
+      name: template.name,
+      description: template.description,
+      version: template.version,
+      builtIn: false,
+      createdBy: template.createdBy,
+      createdTime: template.createdTime
+    };
+  }
+
   async handleWorkflowStarted(data) {
     logger.info(`Workflow started: ${data.workflowId} (${data.workflowType})`);
   }
@@ -408,9 +1683,58 @@ class CoordinationService {
     logger.info(`Workflow state changed: ${data.workflowId} - ${data.fromState} -> ${data.toState} (${data.transitionType})`);
   }
   
+  /**
+   * Check whether an agent result belongs to a task the workflow is no longer waiting for
+   * Results of an earlier dispatch of a retried state, and results that arrive after
+   * the workflow left the state, must not move the workflow on.
+   * @param {Object} data - Agent event data
+   * @returns {boolean} - Whether the result is stale and was dropped
+   */
+  isStaleTaskResult(data) {
+    const { workflowId, taskType, dispatchId, branch } = data;
+    const workflowInstance = this.activeWorkflows.get(workflowId);
+    
+    if (!workflowInstance) {
+      return false;
+    }
+    
+    const pendingTask = workflowInstance.pendingTask;
+    
+    // Branch task types name the branch's work rather than the fork state
+    const wrongState = !branch && taskType !== undefined && taskType !== workflowInstance.currentState;
+    const wrongDispatch = dispatchId !== undefined && (!pendingTask || pendingTask.dispatchId !== dispatchId);
+    
+    if (wrongState || wrongDispatch) {
+      logger.warn(`Ignoring stale result for ${taskType || 'task'} (dispatch ${dispatchId || 'unknown'}) of workflow ${workflowId} in state ${workflowInstance.currentState}`);
+      return true;
+    }
+    
+    return false;
+  }
+  
   async handleAgentTaskCompleted(data) {
     try {
-      const { workflowId, result, transitionType = 'success' } = data;
+      const { workflowId, result, transitionType = 'success', branch } = data;
+      
+      // Results for cancelled or finished workflows must not touch their stored data
+      if (!this.activeWorkflows.has(workflowId)) {
+        logger.warn(`Ignoring task result for workflow ${workflowId}, which is no longer running`);
+        return;
+      }
+      
+      if (this.isStaleTaskResult(data)) {
+        return;
+      }
+      
+      if (await this.holdResultIfPaused(data, 'completed')) {
+        return;
+      }
+      
+      // Results of fork branches are held until the join merges them
+      if (branch) {
+        await this.recordBranchOutcome(workflowId, branch, 'completed', { result });
+        return;
+      }
       
       // Update workflow state with the task result
       await this.stateManager.updateWorkflowState(workflowId, result);
@@ -424,7 +1748,20 @@ class CoordinationService {
   
   async handleAgentTaskFailed(data) {
     try {
-      const { workflowId, error } = data;
+      const { workflowId, error, branch } = data;
+      
+      if (this.isStaleTaskResult(data)) {
+        return;
+      }
+      
+      if (await this.holdResultIfPaused(data, 'failed')) {
+        return;
+      }
+      
+      if (branch) {
+        await this.recordBranchOutcome(workflowId, branch, 'failed', { error });
+        return;
+      }
       
       // Transition the workflow to the failure state
       await this.transitionWorkflow(workflowId, 'failure', { error });
@@ -450,6 +1787,25 @@ class CoordinationService {
         
         // Workflow exists in state manager but not in active workflows, so it's completed or failed
         const state = await this.stateManager.getWorkflowState(workflowId);
+        const instance = await this.stateManager.getWorkflowInstance(workflowId);
+        
+        if (instance) {
+          const visits = this.countStateVisits(instance);
+          
+          return {
+            exists: true,
+            status: 'archived',
+            currentState: instance.currentState,
+            startTime: instance.startTime,
+            updatedTime: instance.updatedTime,
+            type: instance.type,
+            templateVersion: instance.templateVersion,
+            history: instance.history,
+            visits,
+            revisionCount: this.countRevisions(instance, visits),
+            data: state
+          };
+        }
         
         return {
           exists: true,
@@ -463,6 +1819,8 @@ class CoordinationService {
       }
     }
     
+    const visits = this.countStateVisits(workflowInstance);
+    
     return {
       exists: true,
       status: workflowInstance.status,
@@ -470,10 +1828,58 @@ class CoordinationService {
       startTime: workflowInstance.startTime,
       updatedTime: workflowInstance.updatedTime,
       type: workflowInstance.type,
-      history: workflowInstance.history
+      history: workflowInstance.history,
+      pendingTask: workflowInstance.pendingTask,
+      branches: workflowInstance.branches,
+      humanTask: workflowInstance.humanTask || null,
+      heldResults: workflowInstance.heldResults.length,
+      templateVersion: workflowInstance.templateVersion,
+      visits,
+      revisionCount: this.countRevisions(workflowInstance, visits),
+      recovered: this.recoveredWorkflows.has(workflowId)
     };
   }
   
+  /**
+   * Count how often each state has been entered, from the workflow history
+   * Entries recording actions (pauses, decisions, recovery...) are not visits.
+   * @param {Object} workflowInstance - Workflow instance
+   * @returns {Object} - Number of visits by state name
+   */
+  countStateVisits(workflowInstance) {
+    const visits = {};
+    
+    for (const entry of workflowInstance.history || []) {
+      if (entry.action || entry.recovered) {
+        continue;
+      }
+      
+      visits[entry.toState] = (visits[entry.toState] || 0) + 1;
+    }
+    
+    return visits;
+  }
+  
+  /**
+   * Count the revisions of a workflow
+   * A revision is a visit to a state guarded by maxVisits, i.e. a state in a
+   * revision loop such as content-revision.
+   * @param {Object} workflowInstance - Workflow instance
+   * @param {Object} visits - Number of visits by state name
+   * @returns {number} - Revision count
+   */
+  countRevisions(workflowInstance, visits) {
+    const workflow = this.getWorkflowDefinition(workflowInstance);
+    
+    if (!workflow) {
+      return 0;
+    }
+    
+    return Object.entries(visits)
+      .filter(([state]) => workflow.states[state] && workflow.states[state].maxVisits)
+      .reduce((total, [, count]) => total + count, 0);
+  }
+  
   async listActiveWorkflows() {
     const workflows = [];
     
@@ -484,7 +1890,8 @@ class CoordinationService {
         status: workflow.status,
         currentState: workflow.currentState,
         startTime: workflow.startTime,
-        updatedTime: workflow.updatedTime
+        updatedTime: workflow.updatedTime,
+        recovered: this.recoveredWorkflows.has(id)
       });
     }
     
@@ -496,12 +1903,17 @@ class CoordinationService {
   }
   
   async shutdown() {
+    // Stop state timers; deadlines are persisted and re-armed on the next init
+    for (const workflowId of Array.from(this.stateTimers.keys())) {
+      this.clearStateTimeout(workflowId);
+    }
+    
     // Unsubscribe from all events
     for (const subscription of this.subscriptions) {
       try {
-        // Our MessageBus returns an object with eventName and eventHandler
-        if (subscription && subscription.eventName && subscription.eventHandler) {
-          await this.messageBus.unsubscribe(subscription.eventName.split(':')[0], subscription.eventName.split(':')[1]);
+        // Removes just our own subscription, leaving other services on the same events alone
+        if (subscription) {
+          await this.messageBus.unsubscribe(subscription);
         }
       } catch (error) {
         logger.error(`Error unsubscribing from event`, error);
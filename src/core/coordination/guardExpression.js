@@ -0,0 +1,310 @@
+// src/core/coordination/guardExpression.js
+// Safe evaluation of transition guard expressions against workflow data.
+// Expressions are parsed into a small syntax tree and interpreted; nothing is
+// ever passed to eval or the Function constructor.
+//
+// Supported syntax:
+//   literals     0.8, 2000, -1, 'email', "email", true, false, null
+//   data paths   brandScore, seo.score, tags.length
+//   comparison   ==, !=, <, <=, >, >=
+//   negation     -threshold, -(seo.score)
+//   logic        &&, ||, !, parentheses
+
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+// Number of parsed expressions kept in the cache
+const MAX_CACHED_GUARDS = 500;
+
+// Parsed expressions are cached, since the same guards are evaluated on every transition;
+// Map order gives the oldest expression to evict
+const cache = new Map();
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Guard expression
+ * @returns {Array<Object>} - Tokens
+ * @throws {Error} If the expression contains an unexpected character
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const char = expression[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const rest = expression.slice(position);
+    const number = rest.match(/^\d+(\.\d+)?/);
+
+    if (number) {
+      tokens.push({ type: 'literal', value: parseFloat(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      const end = expression.indexOf(char, position + 1);
+
+      if (end === -1) {
+        throw new Error(`Unterminated string at position ${position}`);
+      }
+
+      tokens.push({ type: 'literal', value: expression.slice(position + 1, end), position });
+      position = end + 1;
+      continue;
+    }
+
+    const identifier = rest.match(/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/);
+
+    if (identifier) {
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, identifier[0])) {
+        tokens.push({ type: 'literal', value: KEYWORDS[identifier[0]], position });
+      } else {
+        tokens.push({ type: 'path', value: identifier[0].split('.'), position });
+      }
+
+      position += identifier[0].length;
+      continue;
+    }
+
+    const operator = ['&&', '||', ...COMPARISON_OPERATORS, '!', '-', '(', ')'].find(op => rest.startsWith(op));
+
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position });
+      position += operator.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' at position ${position}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * Precedence, lowest first: ||, &&, comparison, ! and -
+ * @param {string} expression - Guard expression
+ * @returns {Object} - Syntax tree
+ * @throws {Error} If the expression is not valid
+ */
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+  const parseOr = () => {
+    let node = parseAnd();
+
+    while (isOperator('||')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseComparison();
+
+    while (isOperator('&&')) {
+      index++;
+      node = { type: 'and', left: node, right: parseComparison() };
+    }
+
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseUnary();
+    const token = peek();
+
+    if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      index++;
+      return { type: 'compare', operator: token.value, left, right: parseUnary() };
+    }
+
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!')) {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (isOperator('-')) {
+      index++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (isOperator('(')) {
+      index++;
+      const node = parseOr();
+
+      if (!isOperator(')')) {
+        throw new Error(`Missing closing parenthesis for position ${token.position}`);
+      }
+
+      index++;
+      return node;
+    }
+
+    if (token.type === 'literal' || token.type === 'path') {
+      index++;
+      return token.type === 'literal'
+        ? { type: 'literal', value: token.value }
+        : { type: 'path', path: token.value };
+    }
+
+    throw new Error(`Unexpected '${token.value}' at position ${token.position}`);
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Expression is empty');
+  }
+
+  const tree = parseOr();
+
+  if (index < tokens.length) {
+    throw new Error(`Unexpected '${Array.isArray(peek().value) ? peek().value.join('.') : peek().value}' at position ${peek().position}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Parse a guard expression, reusing the cached tree when possible
+ * @param {string} expression - Guard expression
+ * @returns {Object} - Syntax tree
+ * @throws {Error} If the expression is not valid
+ */
+function compileGuard(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Expression must be a string');
+  }
+
+  if (!cache.has(expression)) {
+    cache.set(expression, parse(expression));
+
+    if (cache.size > MAX_CACHED_GUARDS) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return cache.get(expression);
+}
+
+/**
+ * Resolve a dotted path in the workflow data
+ * Only own properties are followed, so prototypes can't be reached.
+ * @param {Object} data - Workflow data
+ * @param {Array<string>} path - Path segments
+ * @returns {*} - Value, or undefined if the path doesn't exist
+ */
+function resolvePath(data, path) {
+  let value = data;
+
+  for (const key of path) {
+    if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+      return undefined;
+    }
+
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Evaluate a syntax tree node
+ * @param {Object} node - Syntax tree node
+ * @param {Object} data - Workflow data
+ * @returns {*} - Value of the node
+ */
+function evaluateNode(node, data) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(data, node.path);
+    case 'not':
+      return !evaluateNode(node.operand, data);
+    case 'negate': {
+      const operand = evaluateNode(node.operand, data);
+
+      // Only numbers can be negated; anything else (e.g. missing data) stays undefined
+      return typeof operand === 'number' ? -operand : undefined;
+    }
+    case 'and':
+      return Boolean(evaluateNode(node.left, data)) && Boolean(evaluateNode(node.right, data));
+    case 'or':
+      return Boolean(evaluateNode(node.left, data)) || Boolean(evaluateNode(node.right, data));
+    case 'compare': {
+      const left = evaluateNode(node.left, data);
+      const right = evaluateNode(node.right, data);
+
+      if (node.operator === '==') {
+        return left === right;
+      }
+
+      if (node.operator === '!=') {
+        return left !== right;
+      }
+
+      // Ordering only applies to two numbers or two strings; anything else (e.g. missing data) is false
+      const comparable = (typeof left === 'number' && typeof right === 'number') ||
+        (typeof left === 'string' && typeof right === 'string');
+
+      if (!comparable) {
+        return false;
+      }
+
+      switch (node.operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+      }
+    }
+    default:
+      throw new Error(`Unknown expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Evaluate a guard expression against workflow data
+ * @param {string} expression - Guard expression
+ * @param {Object} data - Workflow data
+ * @returns {boolean} - Whether the guard passes
+ */
+function evaluateGuard(expression, data = {}) {
+  return Boolean(evaluateNode(compileGuard(expression), data));
+}
+
+module.exports = {
+  MAX_CACHED_GUARDS,
+  compileGuard,
+  evaluateGuard
+};
@@ -3,11 +3,14 @@
 const { Sequelize, DataTypes, Op } = require('sequelize');
 const config = require('../../config');
 const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
 
 class StateManager {
   constructor() {
     this.sequelize = null;
     this.WorkflowState = null;
+    this.WorkflowInstance = null;
+    this.WorkflowTemplate = null;
     this.isConnected = false;
   }
 
@@ -27,6 +30,7 @@ class StateManager {
           logging: false,
         }
       );
+      instrumentSequelize(this.sequelize);
 
       // Define the WorkflowState model
       this.WorkflowState = this.sequelize.define('workflow_state', {
@@ -66,8 +70,126 @@ class StateManager {
         }
       });
 
-      // Sync model to ensure table exists
+      // Define the WorkflowInstance model used by the coordinator to survive restarts
+      this.WorkflowInstance = this.sequelize.define('workflow_instance', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        workflowId: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          unique: true
+        },
+        workflowType: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        currentState: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        status: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        history: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        pendingTask: {
+          type: DataTypes.JSONB,
+          allowNull: true
+        },
+        branches: {
+          type: DataTypes.JSONB,
+          allowNull: true
+        },
+        heldResults: {
+          type: DataTypes.JSONB,
+          allowNull: true
+        },
+        humanTask: {
+          type: DataTypes.JSONB,
+          allowNull: true
+        },
+        templateVersion: {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        },
+        startTime: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW
+        },
+        updatedTime: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW
+        }
+      });
+
+      // Define the WorkflowTemplate model holding user-defined workflow definitions
+      // Every save creates a new version; earlier versions are kept for the instances started from them
+      this.WorkflowTemplate = this.sequelize.define('workflow_template', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        templateId: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        version: {
+          type: DataTypes.INTEGER,
+          allowNull: false
+        },
+        name: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        format: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          defaultValue: 'json'
+        },
+        source: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        definition: {
+          type: DataTypes.JSONB,
+          allowNull: false
+        },
+        createdBy: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        createdTime: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW
+        }
+      }, {
+        indexes: [
+          { unique: true, fields: ['templateId', 'version'] }
+        ]
+      });
+
+      // Sync models to ensure tables exist
+      // sync() does not add columns to existing tables, so the workflow instance and template
+      // tables and the columns they gain later also have migrations in migrations/sequelize/migrations
       await this.WorkflowState.sync();
+      await this.WorkflowInstance.sync();
+      await this.WorkflowTemplate.sync();
       
       // Create indexes for efficient lookups
       await this.sequelize.query(
@@ -76,6 +198,9 @@ class StateManager {
       await this.sequelize.query(
         'CREATE INDEX IF NOT EXISTS idx_workflow_state_lastUpdated ON workflow_states (_lastUpdated)'
       );
+      await this.sequelize.query(
+        'CREATE INDEX IF NOT EXISTS idx_workflow_instance_status ON workflow_instances (status)'
+      );
       
       this.isConnected = true;
       logger.info('StateManager connected to PostgreSQL');
@@ -256,6 +381,224 @@ class StateManager {
     }
   }
 
+  /**
+   * Persist the coordinator's view of a workflow instance
+   * @param {Object} instance - Workflow instance (id, type, currentState, status, history, pendingTask, branches, heldResults, humanTask, templateVersion)
+   * @returns {boolean} - Success indicator
+   */
+  async saveWorkflowInstance(instance) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      await this.WorkflowInstance.upsert({
+        workflowId: instance.id,
+        workflowType: instance.type,
+        currentState: instance.currentState,
+        status: instance.status,
+        history: JSON.parse(JSON.stringify(instance.history || [])),
+        pendingTask: instance.pendingTask || null,
+        branches: instance.branches || null,
+        heldResults: instance.heldResults && instance.heldResults.length > 0 ? instance.heldResults : null,
+        humanTask: instance.humanTask || null,
+        templateVersion: instance.templateVersion || null,
+        startTime: instance.startTime,
+        updatedTime: instance.updatedTime || new Date()
+      });
+      
+      logger.debug(`Saved instance for workflow ${instance.id} (${instance.status}, ${instance.currentState})`);
+      
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save workflow instance for ${instance.id}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a persisted workflow instance
+   * @param {string} workflowId - Workflow ID
+   * @returns {Object|null} - Workflow instance or null if not found
+   */
+  async getWorkflowInstance(workflowId) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      const instance = await this.WorkflowInstance.findOne({
+        where: { workflowId }
+      });
+      
+      return instance ? this._toWorkflowInstance(instance) : null;
+    } catch (error) {
+      logger.error(`Failed to get workflow instance for ${workflowId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find persisted workflow instances by status
+   * @param {Array<string>} statuses - Statuses to match
+   * @returns {Array} - Workflow instances, oldest first
+   */
+  async findWorkflowInstancesByStatus(statuses = ['active']) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      const instances = await this.WorkflowInstance.findAll({
+        where: { status: { [Op.in]: statuses } },
+        order: [['startTime', 'ASC']]
+      });
+      
+      return instances.map(instance => this._toWorkflowInstance(instance));
+    } catch (error) {
+      logger.error(`Failed to find workflow instances with status ${statuses.join(', ')}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a WorkflowInstance row into the coordinator's instance shape
+   * @private
+   */
+  _toWorkflowInstance(row) {
+    const plain = row.get({ plain: true });
+    
+    return {
+      id: plain.workflowId,
+      type: plain.workflowType,
+      currentState: plain.currentState,
+      status: plain.status,
+      history: plain.history || [],
+      pendingTask: plain.pendingTask || null,
+      branches: plain.branches || null,
+      heldResults: plain.heldResults || [],
+      humanTask: plain.humanTask || null,
+      templateVersion: plain.templateVersion || null,
+      startTime: new Date(plain.startTime),
+      updatedTime: new Date(plain.updatedTime)
+    };
+  }
+
+  /**
+   * Store a new version of a workflow template
+   * @param {Object} template - Template (templateId, name, description, format, source, definition, createdBy)
+   * @returns {Object} - Stored template including its version number
+   */
+  async saveWorkflowTemplate(template) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      const row = await this.sequelize.transaction(async (transaction) => {
+        const latestVersion = await this.WorkflowTemplate.max('version', {
+          where: { templateId: template.templateId },
+          transaction
+        });
+        
+        return this.WorkflowTemplate.create({
+          templateId: template.templateId,
+          version: (latestVersion || 0) + 1,
+          name: template.name,
+          description: template.description || null,
+          format: template.format || 'json',
+          source: template.source || null,
+          definition: template.definition,
+          createdBy: template.createdBy || null,
+          createdTime: new Date()
+        }, { transaction });
+      });
+      
+      const saved = this._toWorkflowTemplate(row);
+      
+      logger.debug(`Saved workflow template ${saved.templateId} version ${saved.version}`);
+      
+      return saved;
+    } catch (error) {
+      logger.error(`Failed to save workflow template ${template.templateId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a workflow template
+   * @param {string} templateId - Template ID
+   * @param {number|null} version - Version to get, or null for the latest
+   * @returns {Object|null} - Template or null if not found
+   */
+  async getWorkflowTemplate(templateId, version = null) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      const where = { templateId };
+      
+      if (version !== null) {
+        where.version = version;
+      }
+      
+      const row = await this.WorkflowTemplate.findOne({
+        where,
+        order: [['version', 'DESC']]
+      });
+      
+      return row ? this._toWorkflowTemplate(row) : null;
+    } catch (error) {
+      logger.error(`Failed to get workflow template ${templateId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List stored workflow templates
+   * @param {Object} options - List options
+   * @param {string} [options.templateId] - Only list the versions of this template
+   * @returns {Array} - Templates ordered by template ID and version
+   */
+  async listWorkflowTemplates({ templateId } = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+    
+    try {
+      const rows = await this.WorkflowTemplate.findAll({
+        where: templateId ? { templateId } : {},
+        order: [['templateId', 'ASC'], ['version', 'ASC']]
+      });
+      
+      return rows.map(row => this._toWorkflowTemplate(row));
+    } catch (error) {
+      logger.error('Failed to list workflow templates', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a WorkflowTemplate row into a plain template
+   * @private
+   */
+  _toWorkflowTemplate(row) {
+    const plain = row.get({ plain: true });
+    
+    return {
+      templateId: plain.templateId,
+      version: plain.version,
+      name: plain.name,
+      description: plain.description,
+      format: plain.format,
+      source: plain.source,
+      definition: plain.definition,
+      createdBy: plain.createdBy,
+      createdTime: new Date(plain.createdTime)
+    };
+  }
+
   async cleanupOldWorkflows(olderThanDays = 30) {
     if (!this.isConnected) {
       await this.connect();
@@ -272,6 +615,13 @@ class StateManager {
         }
       });
       
+      await this.WorkflowInstance.destroy({
+        where: {
+          startTime: { [Op.lt]: cutoffDate },
+          status: { [Op.in]: ['completed', 'failed', 'cancelled'] }
+        }
+      });
+      
       logger.info(`Cleaned up ${result} old workflow states`);
       
       return result;
@@ -1,32 +1,71 @@
 // src/core/coordination/workflowRegistry.js
 const logger = require('../utils/logger');
+const { compileGuard } = require('./guardExpression');
+
+// Decisions a person can make on a human-task state, used as its transition types
+const HUMAN_DECISIONS = ['approve', 'reject', 'request-changes'];
+
+/**
+ * Get every state a state's transitions can lead to
+ * @param {Object} stateConfig - State definition
+ * @returns {Array<string>} - Target state names
+ */
+function getTransitionTargets(stateConfig) {
+  return Object.values(stateConfig.transitions || {}).flatMap(target =>
+    Array.isArray(target) ? target.map(option => option && option.to) : [target]
+  );
+}
 
 class WorkflowRegistry {
   constructor() {
     this.workflows = new Map();
+    this.workflowVersions = new Map();
   }
 
   /**
    * Register a new workflow definition
+   * Versioned definitions (e.g. from stored templates) keep every registered
+   * version, so instances started from an older version can still be run;
+   * the highest version becomes the current definition for the type.
    * @param {string} type - Unique identifier for the workflow
-   * @param {Object} definition - Workflow definition
+   * @param {Object} definition - Workflow definition, optionally with a `version` number
    * @returns {boolean} - Success indicator
    */
   registerWorkflow(type, definition) {
-    if (this.workflows.has(type)) {
+    const version = definition.version;
+    
+    if (this.workflows.has(type) && version === undefined) {
       logger.warn(`Workflow type '${type}' already registered, overwriting`);
     }
     
     // Validate workflow definition
     this.validateWorkflowDefinition(type, definition);
     
-    // Store the workflow
-    this.workflows.set(type, {
+    const entry = {
       ...definition,
       registeredAt: new Date()
-    });
+    };
+    
+    if (version !== undefined) {
+      if (!this.workflowVersions.has(type)) {
+        this.workflowVersions.set(type, new Map());
+      }
+      
+      this.workflowVersions.get(type).set(version, entry);
+      
+      const current = this.workflows.get(type);
+      
+      // Older versions are only kept for the instances started from them
+      if (current && current.version !== undefined && current.version > version) {
+        logger.info(`Registered workflow '${type}' version ${version}: ${definition.name}`);
+        return true;
+      }
+    }
+    
+    // Store the workflow
+    this.workflows.set(type, entry);
     
-    logger.info(`Registered workflow '${type}': ${definition.name}`);
+    logger.info(`Registered workflow '${type}'${version !== undefined ? ` version ${version}` : ''}: ${definition.name}`);
     
     return true;
   }
@@ -34,9 +73,15 @@ class WorkflowRegistry {
   /**
    * Get a workflow definition by type
    * @param {string} type - Workflow type identifier
+   * @param {number|null} [version] - Specific version to get, or the current definition if omitted
    * @returns {Object|null} - Workflow definition or null if not found
    */
-  getWorkflow(type) {
+  getWorkflow(type, version = null) {
+    if (version !== null && version !== undefined) {
+      const versions = this.workflowVersions.get(type);
+      return (versions && versions.get(version)) || null;
+    }
+    
     return this.workflows.get(type) || null;
   }
 
@@ -52,6 +97,7 @@ class WorkflowRegistry {
         type,
         name: definition.name,
         description: definition.description,
+        version: definition.version !== undefined ? definition.version : null,
         registeredAt: definition.registeredAt
       });
     }
@@ -71,6 +117,7 @@ class WorkflowRegistry {
     }
     
     this.workflows.delete(type);
+    this.workflowVersions.delete(type);
     logger.info(`Unregistered workflow '${type}'`);
     
     return true;
@@ -92,6 +139,10 @@ class WorkflowRegistry {
       throw new Error(`Workflow '${type}' is missing required 'initialState' field`);
     }
     
+    if (definition.version !== undefined && (!Number.isInteger(definition.version) || definition.version < 1)) {
+      throw new Error(`Workflow '${type}' version must be a positive integer`);
+    }
+    
     if (!definition.states || typeof definition.states !== 'object' || Object.keys(definition.states).length === 0) {
       throw new Error(`Workflow '${type}' must define at least one state`);
     }
@@ -103,22 +154,33 @@ class WorkflowRegistry {
     
     // Check each state for validity
     for (const [stateName, stateConfig] of Object.entries(definition.states)) {
+      if (!stateConfig || typeof stateConfig !== 'object') {
+        throw new Error(`State '${stateName}' in workflow '${type}' must be an object`);
+      }
+      
       // Final states don't need transitions or agents
       if (stateConfig.final) {
         continue;
       }
       
-      // Non-final states need either transitions or a next state
-      if (!stateConfig.transitions && !stateConfig.next) {
+      // Fork and join states have their own structure
+      if (stateConfig.type === 'fork' || stateConfig.type === 'join') {
+        this.validateForkJoin(type, stateName, stateConfig, definition);
+      } else if (stateConfig.type === 'human-task') {
+        this.validateHumanTask(type, stateName, stateConfig);
+      } else if (stateConfig.type !== undefined) {
+        throw new Error(`State '${stateName}' in workflow '${type}' has unknown type '${stateConfig.type}'`);
+      }
+      
+      // Non-final states need either transitions or a next state (forks continue at their join)
+      if (!stateConfig.transitions && !stateConfig.next && stateConfig.type !== 'fork') {
         throw new Error(`Non-final state '${stateName}' in workflow '${type}' must define transitions or next`);
       }
       
       // If transitions are defined, validate them
       if (stateConfig.transitions) {
-        for (const [transitionName, nextState] of Object.entries(stateConfig.transitions)) {
-          if (!definition.states[nextState]) {
-            throw new Error(`Transition '${transitionName}' in state '${stateName}' points to undefined state '${nextState}'`);
-          }
+        for (const [transitionName, target] of Object.entries(stateConfig.transitions)) {
+          this.validateTransition(type, stateName, transitionName, target, definition);
         }
       }
       
@@ -127,8 +189,14 @@ class WorkflowRegistry {
         throw new Error(`Next state '${stateConfig.next}' in state '${stateName}' is undefined`);
       }
       
-      // Non-final states should have an agent defined
-      if (!stateConfig.agent) {
+      // If a timeout is defined, validate it and its escalation target
+      this.validateStateTimeout(type, stateName, stateConfig, definition);
+      
+      // If a visit limit is defined, validate it and its fallback target
+      this.validateMaxVisits(type, stateName, stateConfig, definition);
+      
+      // Non-final states should have an agent defined (fork branches carry their own agents)
+      if (!stateConfig.agent && !stateConfig.type) {
         logger.warn(`State '${stateName}' in workflow '${type}' does not define an agent`);
       }
     }
@@ -144,6 +212,230 @@ class WorkflowRegistry {
     this.checkForUnreachableStates(type, definition);
   }
 
+  /**
+   * Validate a single transition
+   * A transition either names its target state, or lists guarded options such as
+   * `[{ when: "brandScore < 0.8", to: 'content-revision' }, { to: 'publish' }]`
+   * that are checked in order against the workflow data. The last option must
+   * have no guard, so the transition always has somewhere to go.
+   * @param {string} type - Workflow type
+   * @param {string} stateName - State name
+   * @param {string} transitionName - Transition type
+   * @param {string|Array<Object>} target - Target state or guarded options
+   * @param {Object} definition - Workflow definition
+   * @throws {Error} If the transition or one of its guard expressions is invalid
+   */
+  validateTransition(type, stateName, transitionName, target, definition) {
+    if (!Array.isArray(target)) {
+      if (!definition.states[target]) {
+        throw new Error(`Transition '${transitionName}' in state '${stateName}' points to undefined state '${target}'`);
+      }
+      return;
+    }
+    
+    if (target.length === 0) {
+      throw new Error(`Transition '${transitionName}' in state '${stateName}' must list at least one option`);
+    }
+    
+    target.forEach((option, index) => {
+      if (!option || typeof option !== 'object' || !definition.states[option.to]) {
+        throw new Error(`Transition '${transitionName}' in state '${stateName}' points to undefined state '${option && option.to}'`);
+      }
+      
+      if (option.when === undefined) {
+        if (index !== target.length - 1) {
+          throw new Error(`Only the last option of transition '${transitionName}' in state '${stateName}' may omit its 'when' guard`);
+        }
+        return;
+      }
+      
+      try {
+        compileGuard(option.when);
+      } catch (error) {
+        throw new Error(`Invalid guard '${option.when}' on transition '${transitionName}' in state '${stateName}' of workflow '${type}': ${error.message}`);
+      }
+    });
+    
+    if (target[target.length - 1].when !== undefined) {
+      throw new Error(`Transition '${transitionName}' in state '${stateName}' must end with an option without a 'when' guard`);
+    }
+  }
+
+  /**
+   * Validate the timeout settings of a state
+   * @param {string} type - Workflow type
+   * @param {string} stateName - State name
+   * @param {Object} stateConfig - State definition
+   * @param {Object} definition - Workflow definition
+   * @throws {Error} If the timeout settings are invalid
+   */
+  validateStateTimeout(type, stateName, stateConfig, definition) {
+    const { timeout, onTimeout, timeoutRetries } = stateConfig;
+    
+    if (timeout === undefined) {
+      if (onTimeout !== undefined || timeoutRetries !== undefined) {
+        throw new Error(`State '${stateName}' in workflow '${type}' defines onTimeout or timeoutRetries without a timeout`);
+      }
+      return;
+    }
+    
+    if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error(`Timeout for state '${stateName}' in workflow '${type}' must be a positive number of milliseconds`);
+    }
+    
+    if (!onTimeout) {
+      throw new Error(`State '${stateName}' in workflow '${type}' defines a timeout but no onTimeout transition`);
+    }
+    
+    if (!definition.states[onTimeout]) {
+      throw new Error(`Timeout transition in state '${stateName}' points to undefined state '${onTimeout}'`);
+    }
+    
+    if (timeoutRetries !== undefined && (!Number.isInteger(timeoutRetries) || timeoutRetries < 0)) {
+      throw new Error(`timeoutRetries for state '${stateName}' in workflow '${type}' must be a non-negative integer`);
+    }
+  }
+
+  /**
+   * Validate the visit limit of a state
+   * A state with maxVisits moves to its onMaxVisits state once it has been
+   * entered that many times. The fallback can't have a limit of its own, so
+   * a redirect never leads to another redirect.
+   * @param {string} type - Workflow type
+   * @param {string} stateName - State name
+   * @param {Object} stateConfig - State definition
+   * @param {Object} definition - Workflow definition
+   * @throws {Error} If the visit limit is invalid
+   */
+  validateMaxVisits(type, stateName, stateConfig, definition) {
+    const { maxVisits, onMaxVisits } = stateConfig;
+    
+    if (maxVisits === undefined) {
+      if (onMaxVisits !== undefined) {
+        throw new Error(`State '${stateName}' in workflow '${type}' defines onMaxVisits without maxVisits`);
+      }
+      return;
+    }
+    
+    if (!Number.isInteger(maxVisits) || maxVisits < 1) {
+      throw new Error(`maxVisits for state '${stateName}' in workflow '${type}' must be a positive integer`);
+    }
+    
+    if (!onMaxVisits) {
+      throw new Error(`State '${stateName}' in workflow '${type}' defines maxVisits but no onMaxVisits transition`);
+    }
+    
+    const fallback = definition.states[onMaxVisits];
+    
+    if (!fallback) {
+      throw new Error(`Max visits transition in state '${stateName}' points to undefined state '${onMaxVisits}'`);
+    }
+    
+    if (fallback.maxVisits !== undefined) {
+      throw new Error(`onMaxVisits state '${onMaxVisits}' of state '${stateName}' in workflow '${type}' must not define maxVisits itself`);
+    }
+  }
+
+  /**
+   * Validate the structure of a fork or join state
+   * A fork fans out to the agents of its branches and continues at its join
+   * state, which decides success or failure once all (or `waitFor`) branches
+   * have completed.
+   * @param {string} type - Workflow type
+   * @param {string} stateName - State name
+   * @param {Object} stateConfig - State definition
+   * @param {Object} definition - Workflow definition
+   * @throws {Error} If the fork or join is invalid
+   */
+  validateForkJoin(type, stateName, stateConfig, definition) {
+    if (stateConfig.type === 'fork') {
+      const branches = stateConfig.branches;
+      
+      if (!branches || typeof branches !== 'object' || Object.keys(branches).length === 0) {
+        throw new Error(`Fork state '${stateName}' in workflow '${type}' must define at least one branch`);
+      }
+      
+      for (const [branchName, branchConfig] of Object.entries(branches)) {
+        if (!branchConfig || !branchConfig.agent) {
+          throw new Error(`Branch '${branchName}' of fork state '${stateName}' in workflow '${type}' must define an agent`);
+        }
+      }
+      
+      const joinState = definition.states[stateConfig.join];
+      
+      if (!joinState) {
+        throw new Error(`Fork state '${stateName}' in workflow '${type}' points to undefined join state '${stateConfig.join}'`);
+      }
+      
+      if (joinState.type !== 'join') {
+        throw new Error(`Fork state '${stateName}' in workflow '${type}' must join at a state of type 'join', '${stateConfig.join}' is not`);
+      }
+      
+      const { waitFor } = joinState;
+      
+      if (waitFor !== undefined && waitFor !== 'all' && waitFor > Object.keys(branches).length) {
+        throw new Error(`Join state '${stateConfig.join}' in workflow '${type}' waits for ${waitFor} branches but fork state '${stateName}' only has ${Object.keys(branches).length}`);
+      }
+      
+      return;
+    }
+    
+    const { waitFor } = stateConfig;
+    
+    if (waitFor !== undefined && waitFor !== 'all' && (!Number.isInteger(waitFor) || waitFor < 1)) {
+      throw new Error(`waitFor of join state '${stateName}' in workflow '${type}' must be 'all' or a positive integer`);
+    }
+    
+    if (stateConfig.merge !== undefined && !['branch', 'flat'].includes(stateConfig.merge)) {
+      throw new Error(`merge of join state '${stateName}' in workflow '${type}' must be 'branch' or 'flat'`);
+    }
+    
+    if (!stateConfig.transitions || !stateConfig.transitions.success || !stateConfig.transitions.failure) {
+      throw new Error(`Join state '${stateName}' in workflow '${type}' must define success and failure transitions`);
+    }
+    
+    const forks = Object.values(definition.states).filter(state => state.type === 'fork' && state.join === stateName);
+    
+    if (forks.length === 0) {
+      throw new Error(`Join state '${stateName}' in workflow '${type}' is not the join of any fork state`);
+    }
+  }
+
+  /**
+   * Validate the structure of a human-task state
+   * A human-task state waits for an assigned user or role to decide, and the
+   * decision is used as the transition out of the state.
+   * @param {string} type - Workflow type
+   * @param {string} stateName - State name
+   * @param {Object} stateConfig - State definition
+   * @throws {Error} If the human task is invalid
+   */
+  validateHumanTask(type, stateName, stateConfig) {
+    const { assignees, role, dueIn, transitions } = stateConfig;
+    
+    if (assignees !== undefined && (!Array.isArray(assignees) || assignees.some(assignee => typeof assignee !== 'string'))) {
+      throw new Error(`Assignees of human-task state '${stateName}' in workflow '${type}' must be a list of user IDs`);
+    }
+    
+    if ((!assignees || assignees.length === 0) && !role) {
+      throw new Error(`Human-task state '${stateName}' in workflow '${type}' must define assignees or a role`);
+    }
+    
+    if (dueIn !== undefined && (typeof dueIn !== 'number' || !Number.isFinite(dueIn) || dueIn <= 0)) {
+      throw new Error(`dueIn for human-task state '${stateName}' in workflow '${type}' must be a positive number of milliseconds`);
+    }
+    
+    if (!transitions || Object.keys(transitions).length === 0) {
+      throw new Error(`Human-task state '${stateName}' in workflow '${type}' must define transitions for its decisions`);
+    }
+    
+    for (const decision of Object.keys(transitions)) {
+      if (!HUMAN_DECISIONS.includes(decision)) {
+        throw new Error(`Transition '${decision}' in human-task state '${stateName}' must be one of ${HUMAN_DECISIONS.join(', ')}`);
+      }
+    }
+  }
+
   /**
    * Check for unreachable states in the workflow
    * @param {string} type - Workflow type
@@ -166,17 +458,46 @@ class WorkflowRegistry {
           continue;
         }
         
-        // Add states reachable via transitions
-        if (stateConfig.transitions) {
-          for (const nextState of Object.values(stateConfig.transitions)) {
-            reachableStates.add(nextState);
-          }
+        // Add states reachable via transitions, including every guarded option
+        for (const nextState of getTransitionTargets(stateConfig)) {
+          reachableStates.add(nextState);
         }
         
         // Add state reachable via next
         if (stateConfig.next) {
           reachableStates.add(stateConfig.next);
         }
+        
+        // Add state reachable when the state times out
+        if (stateConfig.onTimeout) {
+          reachableStates.add(stateConfig.onTimeout);
+        }
+        
+        // Add state reachable instead once the state's visit limit is reached
+        if (stateConfig.onMaxVisits) {
+          reachableStates.add(stateConfig.onMaxVisits);
+        }
+        
+        // Add the join state a fork continues at
+        if (stateConfig.type === 'fork') {
+          reachableStates.add(stateConfig.join);
+        }
+      }
+    }
+    
+    // Join states can only be entered through their fork, which sets up the branches
+    for (const [stateName, stateConfig] of Object.entries(definition.states)) {
+      const targets = [
+        ...getTransitionTargets(stateConfig),
+        stateConfig.next,
+        stateConfig.onTimeout,
+        stateConfig.onMaxVisits
+      ].filter(Boolean);
+      
+      for (const target of targets) {
+        if (definition.states[target] && definition.states[target].type === 'join') {
+          throw new Error(`State '${stateName}' in workflow '${type}' transitions directly to join state '${target}'`);
+        }
       }
     }
     
@@ -187,6 +508,51 @@ class WorkflowRegistry {
     if (unreachableStates.length > 0) {
       logger.warn(`Workflow '${type}' has unreachable states: ${unreachableStates.join(', ')}`);
     }
+    
+    // Cycles are allowed (e.g. revision loops) as long as they can be left for a final state
+    const trappedStates = this.findStatesWithoutExit(definition)
+      .filter(state => reachableStates.has(state));
+    
+    if (trappedStates.length > 0) {
+      logger.warn(`Workflow '${type}' has states that cannot reach a final state: ${trappedStates.join(', ')}`);
+    }
+  }
+
+  /**
+   * Find the states from which no final state can be reached
+   * @param {Object} definition - Workflow definition
+   * @returns {Array<string>} - Names of states that cannot reach a final state
+   */
+  findStatesWithoutExit(definition) {
+    const exitStates = new Set(
+      Object.keys(definition.states).filter(stateName => definition.states[stateName].final)
+    );
+    let previousSize = -1;
+    
+    // Walk backwards from the final states until no new states are found
+    while (exitStates.size > previousSize) {
+      previousSize = exitStates.size;
+      
+      for (const [stateName, stateConfig] of Object.entries(definition.states)) {
+        if (exitStates.has(stateName)) {
+          continue;
+        }
+        
+        const targets = [
+          ...getTransitionTargets(stateConfig),
+          stateConfig.next,
+          stateConfig.onTimeout,
+          stateConfig.onMaxVisits,
+          stateConfig.type === 'fork' ? stateConfig.join : null
+        ];
+        
+        if (targets.some(target => target && exitStates.has(target))) {
+          exitStates.add(stateName);
+        }
+      }
+    }
+    
+    return Object.keys(definition.states).filter(stateName => !exitStates.has(stateName));
   }
 }
 
@@ -2,6 +2,7 @@
 const { Sequelize, DataTypes, Op } = require('sequelize');
 const config = require('../../config');
 const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
 
 class SharedDataStore {
   constructor() {
@@ -30,6 +31,7 @@ class SharedDataStore {
           logging: false,
         }
       );
+      instrumentSequelize(this.sequelize);
 
       // Define the Content model
       this.models.Content = this.sequelize.define('content_store', {
@@ -4,15 +4,32 @@
  * Provides comprehensive error recovery mechanisms for agent operations, including:
  * - Automatic agent recovery strategies
  * - Failed task retry handling
- * - Dead letter queues for unrecoverable tasks
+ * - Dead letter queue for unrecoverable tasks, persisted in PostgreSQL
+ * - Delegation of failed commands to capable agents or alternate AI providers,
+ *   following the policies in config/agents.json
  * - Agent health monitoring integration
  * - Recovery history tracking
  */
 
 const { getInstance: getMessageBus } = require('../messaging/messageBus');
 const { getInstance: getErrorHandlingService } = require('./errorHandlingService');
+const DeadLetterStore = require('./deadLetterStore');
+const config = require('../../config');
+const agentsConfig = require('../../../config/agents.json');
 const logger = require('../../common/services/logger');
 
+// How often expired dead letter entries are removed
+const DEAD_LETTER_EXPIRY_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Normalize a command name, so generate-content and generate_content match
+ * @param {string} command - Command name
+ * @returns {string} - Command name in snake case
+ */
+function normalizeCommand(command) {
+  return command.replace(/-/g, '_');
+}
+
 // Recovery strategies
 const RecoveryStrategy = {
   RESTART: 'restart',           // Restart the agent
@@ -29,10 +46,13 @@ class AgentRecoveryService {
     this.errorHandlingService = null;
     this.recoveryStrategies = new Map();
     this.recoveryHistory = new Map();
-    this.deadLetterQueue = new Map();
+    this.deadLetterStore = new DeadLetterStore();
+    this.deadLetterRetentionDays = (config.recovery && config.recovery.deadLetterRetentionDays) || 14;
+    this.deadLetterExpiryTimer = null;
     this.recoveryInProgress = new Set();
     this.maxRecoveryAttempts = 3;
-    this.delegationMappings = new Map();
+    this.delegationPolicies = new Map();
+    this.agentCapabilities = new Map();
   }
 
   async init() {
@@ -49,11 +69,20 @@ class AgentRecoveryService {
       await this.messageBus.subscribeToEvent('agent.recovery-completed', this.handleRecoveryCompleted.bind(this));
       await this.messageBus.subscribeToEvent('agent.recovery-failed', this.handleRecoveryFailed.bind(this));
       
+      // Track the commands each agent can handle
+      await this.messageBus.subscribeToEvent('agent.register', this.handleAgentRegistered.bind(this));
+      
       // Initialize default recovery strategies
       this._initializeDefaultRecoveryStrategies();
       
-      // Initialize delegation mappings
-      this._initializeDelegationMappings();
+      // Load delegation policies
+      this.setDelegationPolicies(agentsConfig);
+      
+      // Remove expired dead letter entries in the background
+      this.deadLetterExpiryTimer = setInterval(() => {
+        this.deadLetterStore.deleteExpired().catch(() => {});
+      }, DEAD_LETTER_EXPIRY_INTERVAL);
+      this.deadLetterExpiryTimer.unref();
       
       logger.info('Agent Recovery Service initialized');
       return this;
@@ -117,7 +146,7 @@ class AgentRecoveryService {
         logger.warn(`Max recovery attempts exceeded for agent ${agentId}`);
         
         // Add to dead letter queue
-        this._addToDeadLetterQueue(agentId, moduleId, error, category, data);
+        await this._addToDeadLetterQueue(agentId, moduleId, error, category, data, metadata);
         
         // Publish recovery failed event
         await this.messageBus.publishEvent('agent.recovery-failed', {
@@ -146,6 +175,14 @@ class AgentRecoveryService {
         strategyConfig = this.recoveryStrategies.get(`${agentId}:${category}`);
       }
       
+      // If still no strategy, delegate commands that have a delegation policy
+      if (!strategyConfig && this._getDelegates(agentId, this._getFailedCommand(agentId, data)).length > 0) {
+        strategyConfig = {
+          strategy: RecoveryStrategy.DELEGATE,
+          config: {}
+        };
+      }
+      
       // If still no strategy, try error category strategy
       if (!strategyConfig) {
         strategyConfig = this.recoveryStrategies.get(category);
@@ -160,15 +197,16 @@ class AgentRecoveryService {
       }
       
       // Apply recovery strategy
-      await this._applyRecoveryStrategy(agentId, moduleId, error, category, strategyConfig, data);
+      const delegate = await this._applyRecoveryStrategy(agentId, moduleId, error, category, strategyConfig, data);
       
-      // Add to recovery history
+      // Add to recovery history, with the delegate that served the command if any
       history.push({
         timestamp: Date.now(),
         strategy: strategyConfig.strategy,
         error,
         category,
-        moduleId
+        moduleId,
+        ...(delegate && { delegate })
       });
       
       this.recoveryHistory.set(agentId, history);
@@ -248,22 +286,23 @@ class AgentRecoveryService {
           // Publish workflow failed event
           await this.messageBus.publishEvent('workflow.failed', {
             workflowId,
+            workflowType: data.workflowType,
             error,
             stage: taskId,
             agentId,
-            timestamp: new Date().toISOString()
+            failedAt: new Date().toISOString()
           });
         }
         
         // Add to dead letter queue
-        this._addToDeadLetterQueue(agentId, null, error, category, data);
+        await this._addToDeadLetterQueue(agentId, null, error, category, data, metadata);
         
       } else {
         // Non-critical task that can't be retried
         logger.info(`Non-critical task ${taskId} failed and will not be retried`);
         
         // Add to dead letter queue
-        this._addToDeadLetterQueue(agentId, null, error, category, data);
+        await this._addToDeadLetterQueue(agentId, null, error, category, data, metadata);
       }
       
     } catch (error) {
@@ -300,68 +339,119 @@ class AgentRecoveryService {
   }
 
   /**
-   * Get recovery history for an agent
-   * @param {string} agentId - Agent ID
-   * @returns {Array} - Recovery history
+   * Handle agent registration event
+   * Agents register the commands they can handle; delegates are only chosen
+   * among agents that registered the delegated command.
+   * @param {Object} data - Event data
    */
-  getRecoveryHistory(agentId) {
-    return this.recoveryHistory.get(agentId) || [];
+  handleAgentRegistered(data) {
+    const { agentId, metadata } = data;
+    const capabilities = metadata && metadata.capabilities;
+    
+    if (!Array.isArray(capabilities)) {
+      return;
+    }
+    
+    this.agentCapabilities.set(agentId, new Set(capabilities.map(normalizeCommand)));
+    
+    logger.info(`Registered ${capabilities.length} capabilities for agent ${agentId}`);
   }
 
   /**
-   * Get dead letter queue entries
-   * @param {string} agentId - Agent ID (optional, for filtering by agent)
-   * @returns {Array} - Dead letter queue entries
+   * Load the delegation policies of the agents
+   * Each agent's `delegation` maps a command to the delegates to try in order: other
+   * agents (`agent`, optionally with the `command` to send them) or alternate AI
+   * providers (`provider`, optionally with a `model`). A `*` entry covers any command.
+   * @param {Object} agents - Agent configurations, as in config/agents.json
    */
-  getDeadLetterQueueEntries(agentId = null) {
-    if (agentId) {
-      const entries = [];
+  setDelegationPolicies(agents) {
+    this.delegationPolicies.clear();
+    
+    for (const [name, agentConfig] of Object.entries(agents || {})) {
+      if (!agentConfig.delegation) {
+        continue;
+      }
       
-      for (const [key, entry] of this.deadLetterQueue.entries()) {
-        if (entry.agentId === agentId) {
-          entries.push({ key, ...entry });
+      const policy = new Map();
+      
+      for (const [command, delegates] of Object.entries(agentConfig.delegation)) {
+        const invalid = delegates.find(delegate => Boolean(delegate.agent) === Boolean(delegate.provider));
+        
+        if (invalid) {
+          throw new Error(`Delegate of ${name}.${command} needs either an agent or a provider: ${JSON.stringify(invalid)}`);
         }
+        
+        policy.set(command === '*' ? command : normalizeCommand(command), delegates);
       }
       
-      return entries;
+      this.delegationPolicies.set(agentConfig.id || name, policy);
     }
-    
-    return Array.from(this.deadLetterQueue.entries()).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  /**
+   * Get recovery history for an agent
+   * @param {string} agentId - Agent ID
+   * @returns {Array} - Recovery history
+   */
+  getRecoveryHistory(agentId) {
+    return this.recoveryHistory.get(agentId) || [];
+  }
+
+  /**
+   * Get dead letter queue entries, newest first
+   * @param {Object} [filters] - agentId, category, error text, from/to creation time or keys
+   * @param {Object} [paging] - limit and offset
+   * @returns {Object} - total matching entries and the entries of the page
+   */
+  getDeadLetterQueueEntries(filters = {}, paging = {}) {
+    return this.deadLetterStore.findEntries(filters, paging);
+  }
+
+  /**
+   * Get a dead letter queue entry with its payload and attempt history
+   * @param {string} key - Dead letter queue entry key
+   * @returns {Object|null} - Entry, or null if it does not exist or has expired
+   */
+  getDeadLetterQueueEntry(key) {
+    return this.deadLetterStore.getEntry(key);
   }
 
   /**
    * Retry a dead letter queue entry
+   * The entry is removed once its command has been sent again; a failed retry is
+   * added to its attempt history and the entry is kept.
    * @param {string} key - Dead letter queue entry key
+   * @param {Object} [options] - Retry options
+   * @param {Object} [options.payload] - Edited payload to send instead of the original one
    * @returns {boolean} - Success status
    */
-  async retryDeadLetterQueueEntry(key) {
+  async retryDeadLetterQueueEntry(key, { payload } = {}) {
     try {
       // Get entry
-      const entry = this.deadLetterQueue.get(key);
+      const entry = await this.deadLetterStore.getEntry(key);
       
       if (!entry) {
         logger.warn(`Dead letter queue entry ${key} not found`);
         return false;
       }
       
-      logger.info(`Retrying dead letter queue entry ${key}`);
-      
-      // Apply appropriate retry based on entry type
-      if (entry.type === 'task') {
-        await this._retryTask(entry.agentId, entry.taskId, entry.data);
-      } else {
-        await this._applyRecoveryStrategy(
-          entry.agentId, 
-          entry.moduleId, 
-          entry.error, 
-          entry.category, 
-          { strategy: RecoveryStrategy.RESTART }, 
-          entry.data
-        );
+      logger.info(`Retrying dead letter queue entry ${key}${payload ? ' with an edited payload' : ''}`);
+      
+      try {
+        await this._replayDeadLetterEntry(entry, payload || entry.payload);
+      } catch (error) {
+        await this.deadLetterStore.recordAttempt(key, {
+          timestamp: new Date().toISOString(),
+          strategy: 'dead-letter-retry',
+          edited: Boolean(payload),
+          error: error.message
+        }, payload ? { payload } : {});
+        
+        throw error;
       }
       
       // Remove from dead letter queue
-      this.deadLetterQueue.delete(key);
+      await this.deadLetterStore.deleteEntries({ keys: [key] });
       
       return true;
     } catch (error) {
@@ -370,25 +460,43 @@ class AgentRecoveryService {
     }
   }
 
+  /**
+   * Retry every dead letter queue entry matching the filters
+   * @param {Object} filters - Filters, see getDeadLetterQueueEntries
+   * @param {Object} [options] - Retry options
+   * @param {number} [options.limit] - Maximum number of entries to retry
+   * @returns {Object} - Keys of the retried entries and of those that failed again
+   */
+  async retryDeadLetterQueueEntries(filters, { limit = 100 } = {}) {
+    const { entries } = await this.deadLetterStore.findEntries(filters, { limit });
+    const result = { retried: [], failed: [] };
+    
+    // One at a time, so a burst of retries doesn't overwhelm the agent that failed
+    for (const entry of entries) {
+      const retried = await this.retryDeadLetterQueueEntry(entry.key);
+      result[retried ? 'retried' : 'failed'].push(entry.key);
+    }
+    
+    logger.info(`Retried ${result.retried.length} dead letter queue entries, ${result.failed.length} failed`);
+    
+    return result;
+  }
+
   /**
    * Delete a dead letter queue entry
    * @param {string} key - Dead letter queue entry key
    * @returns {boolean} - Success status
    */
-  deleteDeadLetterQueueEntry(key) {
+  async deleteDeadLetterQueueEntry(key) {
     try {
-      // Get entry
-      const entry = this.deadLetterQueue.get(key);
+      const deleted = await this.deadLetterStore.deleteEntries({ keys: [key] });
       
-      if (!entry) {
+      if (deleted === 0) {
         logger.warn(`Dead letter queue entry ${key} not found`);
         return false;
       }
       
-      logger.info(`Deleting dead letter queue entry ${key}`);
-      
-      // Remove from dead letter queue
-      this.deadLetterQueue.delete(key);
+      logger.info(`Deleted dead letter queue entry ${key}`);
       
       return true;
     } catch (error) {
@@ -397,6 +505,19 @@ class AgentRecoveryService {
     }
   }
 
+  /**
+   * Delete every dead letter queue entry matching the filters
+   * @param {Object} filters - Filters, see getDeadLetterQueueEntries
+   * @returns {number} - Number of entries deleted
+   */
+  async purgeDeadLetterQueueEntries(filters) {
+    const deleted = await this.deadLetterStore.deleteEntries(filters);
+    
+    logger.info(`Purged ${deleted} dead letter queue entries`, { filters });
+    
+    return deleted;
+  }
+
   /**
    * Initialize default recovery strategies
    * @private
@@ -435,21 +556,80 @@ class AgentRecoveryService {
   }
 
   /**
-   * Initialize delegation mappings for agents
+   * Get the command an agent failed on, without the agent prefix of its routing key
+   * @private
+   */
+  _getFailedCommand(agentId, data) {
+    const command = data && data.command;
+    
+    if (!command) {
+      return null;
+    }
+    
+    return normalizeCommand(command.startsWith(`${agentId}.`) ? command.slice(agentId.length + 1) : command);
+  }
+
+  /**
+   * Get the delegates of a command from the policy of an agent
+   * @private
+   */
+  _getDelegates(agentId, command) {
+    const policy = this.delegationPolicies.get(agentId);
+    
+    if (!policy || !command) {
+      return [];
+    }
+    
+    return policy.get(normalizeCommand(command)) || policy.get('*') || [];
+  }
+
+  /**
+   * Check whether a delegate can perform a command
+   * Agents must have registered the command and delegation handling. Alternate
+   * providers are used by the failing agent, which must support the fallback, and
+   * are passed over while their circuit is open.
    * @private
+   * @returns {string|null} - Why the delegate can't be used, or null if it can
    */
-  _initializeDelegationMappings() {
-    // Map agents to potential delegates for failover
-    this.delegationMappings.set('content_creation', ['content_strategy', 'brand_consistency']);
-    this.delegationMappings.set('content_strategy', ['content_creation']);
-    this.delegationMappings.set('optimisation', ['content_management']);
-    this.delegationMappings.set('brand_consistency', ['content_creation']);
-    this.delegationMappings.set('content_management', ['content_creation']);
+  async _checkDelegate(agentId, command, delegate) {
+    if (delegate.agent) {
+      const capabilities = this.agentCapabilities.get(delegate.agent);
+      const delegatedCommand = normalizeCommand(delegate.command || command);
+      
+      if (!capabilities) {
+        return `agent ${delegate.agent} has not registered its capabilities`;
+      }
+      
+      if (!capabilities.has('handle_delegation') || !capabilities.has(delegatedCommand)) {
+        return `agent ${delegate.agent} can't handle ${delegatedCommand}`;
+      }
+      
+      return null;
+    }
+    
+    const capabilities = this.agentCapabilities.get(agentId);
+    
+    if (!capabilities || !capabilities.has('use_fallback') || !capabilities.has(command)) {
+      return `agent ${agentId} can't run ${command} with an alternate provider`;
+    }
+    
+    try {
+      const breaker = await this.errorHandlingService.getCircuitBreaker(delegate.provider);
+      
+      if (breaker.state === 'open') {
+        return `circuit of ${delegate.provider} is open`;
+      }
+    } catch (error) {
+      logger.warn(`Failed to check circuit breaker of ${delegate.provider}: ${error.message}`);
+    }
+    
+    return null;
   }
 
   /**
    * Apply recovery strategy
    * @private
+   * @returns {Object|undefined} - Delegate that was sent the command, for the delegate strategy
    */
   async _applyRecoveryStrategy(agentId, moduleId, error, category, strategyConfig, data) {
     const { strategy, config } = strategyConfig;
@@ -466,8 +646,7 @@ class AgentRecoveryService {
         break;
         
       case RecoveryStrategy.DELEGATE:
-        await this._delegateToAlternativeAgent(agentId, category, data);
-        break;
+        return this._delegateToAlternativeAgent(agentId, category, data);
         
       case RecoveryStrategy.SKIP:
         await this._skipFailedOperation(agentId, data);
@@ -546,30 +725,60 @@ class AgentRecoveryService {
 
   /**
    * Delegate to alternative agent
+   * Tries the delegates of the failed command's policy in order and sends the
+   * command to the first that can perform it.
    * @private
+   * @returns {Object} - Delegate that was sent the command
    */
   async _delegateToAlternativeAgent(agentId, category, data) {
     try {
-      // Get delegation mapping
-      const delegates = this.delegationMappings.get(agentId);
+      const command = this._getFailedCommand(agentId, data);
+      const delegates = this._getDelegates(agentId, command);
       
-      if (!delegates || delegates.length === 0) {
-        logger.warn(`No delegation mapping found for agent ${agentId}`);
-        throw new Error(`No delegation mapping found for agent ${agentId}`);
+      if (delegates.length === 0) {
+        logger.warn(`No delegation policy found for ${command || 'unknown command'} of agent ${agentId}`);
+        throw new Error(`No delegation policy found for ${command || 'unknown command'} of agent ${agentId}`);
       }
       
-      // Select delegate - for now, just take the first one
-      const delegateAgentId = delegates[0];
-      
-      logger.info(`Delegating operation from ${agentId} to ${delegateAgentId}`);
+      for (const delegate of delegates) {
+        const reason = await this._checkDelegate(agentId, command, delegate);
+        
+        if (reason) {
+          logger.info(`Skipping delegate for ${agentId}.${command}: ${reason}`);
+          continue;
+        }
+        
+        if (delegate.agent) {
+          const delegatedCommand = normalizeCommand(delegate.command || command);
+          
+          logger.info(`Delegating ${command} from ${agentId} to ${delegate.agent}.${delegatedCommand}`);
+          
+          await this.messageBus.publishCommand(`${delegate.agent}.handle-delegation`, {
+            originalAgentId: agentId,
+            command: delegatedCommand,
+            data,
+            delegationReason: category,
+            timestamp: new Date().toISOString()
+          });
+          
+          return { type: 'agent', agentId: delegate.agent, command: delegatedCommand };
+        }
+        
+        logger.info(`Delegating ${command} of ${agentId} to AI provider ${delegate.provider}`);
+        
+        await this.messageBus.publishCommand(`${agentId}.use-fallback`, {
+          fallbackMethod: 'alternateProvider',
+          provider: delegate.provider,
+          ...(delegate.model && { model: delegate.model }),
+          command,
+          data,
+          timestamp: new Date().toISOString()
+        });
+        
+        return { type: 'provider', provider: delegate.provider, model: delegate.model || null, command };
+      }
       
-      // Create delegation command
-      await this.messageBus.publishCommand(`${delegateAgentId}.handle-delegation`, {
-        originalAgentId: agentId,
-        data,
-        delegationReason: category,
-        timestamp: new Date().toISOString()
-      });
+      throw new Error(`No capable delegate for ${command} of agent ${agentId}`);
     } catch (error) {
       logger.error(`Failed to delegate operation for agent ${agentId}`, error);
       throw error;
@@ -589,6 +798,7 @@ class AgentRecoveryService {
         // Publish workflow state change event
         await this.messageBus.publishEvent('workflow.state-changed', {
           workflowId: data.workflowId,
+          workflowType: data.workflowType,
           fromState: data.taskType || 'unknown',
           toState: 'skip_recovery',
           transitionType: 'skip',
@@ -637,7 +847,7 @@ class AgentRecoveryService {
       logger.info(`Requesting manual intervention for agent ${agentId}`);
       
       // Add to dead letter queue
-      const key = this._addToDeadLetterQueue(agentId, moduleId, error, category, data);
+      const key = await this._addToDeadLetterQueue(agentId, moduleId, error, category, data);
       
       // Publish notification event
       await this.messageBus.publishEvent('system.notification', {
@@ -715,27 +925,67 @@ class AgentRecoveryService {
     return true;
   }
 
+  /**
+   * Send the command of a dead letter queue entry again
+   * @private
+   */
+  async _replayDeadLetterEntry(entry, payload) {
+    // Agents report the command they failed on, so it can be sent again as it was
+    if (entry.command) {
+      await this.messageBus.publishCommand(entry.command, payload, entry.correlationId ? { correlationId: entry.correlationId } : {});
+      return;
+    }
+    
+    if (entry.type === 'task') {
+      if (!await this._retryTask(entry.agentId, entry.taskId, payload)) {
+        throw new Error(`Could not send retry for task ${entry.taskId} to agent ${entry.agentId}`);
+      }
+      return;
+    }
+    
+    await this._applyRecoveryStrategy(
+      entry.agentId, 
+      entry.moduleId, 
+      entry.error, 
+      entry.category, 
+      { strategy: RecoveryStrategy.RESTART }, 
+      payload
+    );
+  }
+
   /**
    * Add an entry to the dead letter queue
+   * Failures to store the entry are logged with its payload rather than thrown,
+   * so recovery carries on.
    * @private
+   * @returns {string|null} - Entry key, or null if it could not be stored
    */
-  _addToDeadLetterQueue(agentId, moduleId, error, category, data) {
+  async _addToDeadLetterQueue(agentId, moduleId, error, category, data, metadata = {}) {
     const key = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+    const history = this.recoveryHistory.get(data.taskId ? `${agentId}:${data.taskId}` : agentId) || [];
     
     const entry = {
       key,
+      type: data.taskId ? 'task' : 'agent',
       agentId,
-      moduleId,
-      error,
+      moduleId: moduleId || null,
+      taskId: data.taskId || null,
+      workflowId: data.workflowId || null,
+      correlationId: (metadata && metadata.correlationId) || data.correlationId || null,
+      command: data.command || null,
+      payload: data.payload || data,
+      error: typeof error === 'string' ? error : JSON.stringify(error),
       category,
-      data,
-      timestamp: new Date(),
-      type: data.taskId ? 'task' : 'agent',
-      taskId: data.taskId,
-      workflowId: data.workflowId
+      attempts: history.map(attempt => ({ ...attempt, timestamp: new Date(attempt.timestamp).toISOString() })),
+      expiresAt: new Date(Date.now() + this.deadLetterRetentionDays * 24 * 60 * 60 * 1000)
     };
     
-    this.deadLetterQueue.set(key, entry);
+    try {
+      await this.deadLetterStore.addEntry(entry);
+    } catch (storeError) {
+      logger.error(`Failed to store dead letter queue entry for ${agentId}`, { entry, error: storeError.message });
+      return null;
+    }
     
     logger.info(`Added entry to dead letter queue: ${key} (${agentId})`);
     
@@ -0,0 +1,267 @@
+// src/core/error/bulkhead.js
+// Concurrency pools that keep one agent or AI provider from taking all the capacity
+// of the process. Tasks beyond a pool's limit wait in a queue ordered by message
+// priority (1-10, highest first) and are rejected with a RateLimitError once the
+// queue is full. Waiting tasks gain priority as they age, so a steady stream of
+// urgent work can't starve bulk jobs. AI calls made by a task inherit its priority.
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { RateLimitError } = require('./errors');
+const {
+  bulkheadActiveGauge,
+  bulkheadQueueDepthGauge,
+  bulkheadRejectionCounter
+} = require('../monitoring/metrics');
+
+// Kinds of bulkhead; their settings are in config.bulkheads.agents and .providers
+const BulkheadType = {
+  AGENT: 'agent',
+  PROVIDER: 'provider'
+};
+
+// Priority of messages that don't set one, as in the message metadata schema
+const DEFAULT_PRIORITY = 5;
+
+// Priority of the task being run
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Get the priority of the task being run
+ * @returns {number} - Priority from 1 to 10
+ */
+function currentPriority() {
+  const priority = priorityContext.getStore();
+  return priority === undefined ? DEFAULT_PRIORITY : priority;
+}
+
+/**
+ * Run a function at the given priority
+ * Bulkheads entered by the function, such as those of AI providers, queue its tasks
+ * at this priority.
+ * @param {number} priority - Priority from 1 to 10
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runWithPriority(priority, fn) {
+  return priorityContext.run(normalizePriority(priority), fn);
+}
+
+function normalizePriority(priority) {
+  const value = Number(priority);
+
+  if (!Number.isFinite(value)) {
+    return currentPriority();
+  }
+
+  return Math.min(10, Math.max(1, Math.round(value)));
+}
+
+class Bulkhead {
+  /**
+   * @param {Object} options - Bulkhead options
+   * @param {string} options.type - Kind of bulkhead, see BulkheadType
+   * @param {string} options.name - Agent or provider the bulkhead belongs to
+   * @param {number} [options.maxConcurrent] - Tasks that may run at the same time
+   * @param {number} [options.maxQueue] - Tasks that may wait for a free slot
+   * @param {number} [options.agingInterval] - Milliseconds of waiting that raise a
+   *   task's priority by one; 0 keeps priorities fixed
+   */
+  constructor({ type, name, maxConcurrent = 4, maxQueue = 50, agingInterval = 30000 }) {
+    this.type = type;
+    this.name = name;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.agingInterval = agingInterval;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task in the bulkhead, waiting for a free slot if all are taken
+   * @param {Function} fn - Task to run
+   * @param {Object} [options] - Run options
+   * @param {number} [options.priority] - Priority from 1 to 10; the current task's if omitted
+   * @param {Object} [options.info] - Description of the task listed while it is queued
+   * @returns {Promise<*>} - Result of the task
+   * @throws {RateLimitError} - If the queue is full
+   */
+  run(fn, { priority, info = {} } = {}) {
+    const taskPriority = normalizePriority(priority);
+    const task = () => priorityContext.run(taskPriority, fn);
+
+    if (this.active < this.maxConcurrent) {
+      return this._execute(task);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      bulkheadRejectionCounter.inc({ type: this.type, name: this.name });
+      logger.warn(`Bulkhead ${this.type} ${this.name} is full, rejecting task`, {
+        active: this.active,
+        queued: this.queue.length
+      });
+
+      return Promise.reject(new RateLimitError(
+        `Too many tasks for ${this.type} ${this.name}, try again later`,
+        'BULKHEAD_FULL',
+        { type: this.type, name: this.name, maxConcurrent: this.maxConcurrent, maxQueue: this.maxQueue }
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Queued tasks run later from another task's context, so keep their own trace
+      // and provider pinning
+      this.queue.push({
+        priority: taskPriority,
+        queuedAt: Date.now(),
+        info,
+        task: AsyncResource.bind(task),
+        resolve,
+        reject
+      });
+
+      this._updateMetrics();
+    });
+  }
+
+  /**
+   * Get the priority of a queued task, raised by the time it has waited
+   * @param {Object} entry - Queued task
+   * @param {number} now - Current time
+   * @returns {number} - Priority from 1 to 10
+   */
+  effectivePriority(entry, now) {
+    if (!this.agingInterval) {
+      return entry.priority;
+    }
+
+    return Math.min(10, entry.priority + Math.floor((now - entry.queuedAt) / this.agingInterval));
+  }
+
+  /**
+   * List the queued tasks in the order they will run
+   * @returns {Array<Object>} - Queued tasks with their priority and wait time
+   */
+  getQueue() {
+    const now = Date.now();
+
+    return this.queue
+      .map((entry, index) => ({ entry, index, effectivePriority: this.effectivePriority(entry, now) }))
+      .sort((a, b) => b.effectivePriority - a.effectivePriority || a.index - b.index)
+      .map(({ entry, effectivePriority }, position) => ({
+        ...entry.info,
+        position: position + 1,
+        priority: entry.priority,
+        effectivePriority,
+        queuedAt: new Date(entry.queuedAt).toISOString(),
+        waitMs: now - entry.queuedAt
+      }));
+  }
+
+  /**
+   * Get the usage of the bulkhead
+   * @returns {Object} - Running and queued tasks and the limits
+   */
+  getStats() {
+    return {
+      type: this.type,
+      name: this.name,
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue
+    };
+  }
+
+  async _execute(task) {
+    this.active++;
+    this._updateMetrics();
+
+    try {
+      return await task();
+    } finally {
+      this.active--;
+      this._next();
+    }
+  }
+
+  _next() {
+    if (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const { task, resolve, reject } = this._takeNext();
+      this._execute(task).then(resolve, reject);
+    } else {
+      this._updateMetrics();
+    }
+  }
+
+  /**
+   * Remove the queued task to run next: the highest priority after aging, and
+   * the longest waiting of those
+   * @private
+   */
+  _takeNext() {
+    const now = Date.now();
+    let next = 0;
+    let nextPriority = this.effectivePriority(this.queue[0], now);
+
+    for (let index = 1; index < this.queue.length; index++) {
+      const priority = this.effectivePriority(this.queue[index], now);
+
+      if (priority > nextPriority) {
+        next = index;
+        nextPriority = priority;
+      }
+    }
+
+    return this.queue.splice(next, 1)[0];
+  }
+
+  _updateMetrics() {
+    const labels = { type: this.type, name: this.name };
+
+    bulkheadActiveGauge.set(labels, this.active);
+    bulkheadQueueDepthGauge.set(labels, this.queue.length);
+  }
+}
+
+const bulkheads = new Map();
+
+/**
+ * Get the bulkhead of an agent or AI provider, creating it from the configuration
+ * @param {string} type - Kind of bulkhead, see BulkheadType
+ * @param {string} name - Agent name (e.g. contentCreation) or provider (e.g. openai)
+ * @returns {Bulkhead} - Bulkhead shared by the whole process
+ */
+function getBulkhead(type, name) {
+  const key = `${type}:${name}`;
+
+  if (!bulkheads.has(key)) {
+    const settings = ((config.bulkheads || {})[`${type}s`]) || {};
+
+    bulkheads.set(key, new Bulkhead({
+      type,
+      name,
+      ...settings.defaults,
+      ...(settings.pools || {})[name]
+    }));
+  }
+
+  return bulkheads.get(key);
+}
+
+/**
+ * Get the usage of every bulkhead created so far
+ * @returns {Array<Object>} - Stats of each bulkhead
+ */
+function getBulkheads() {
+  return [...bulkheads.values()].map(bulkhead => bulkhead.getStats());
+}
+
+module.exports = {
+  Bulkhead,
+  BulkheadType,
+  getBulkhead,
+  getBulkheads,
+  currentPriority,
+  runWithPriority
+};
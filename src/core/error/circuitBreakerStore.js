@@ -0,0 +1,266 @@
+// src/core/error/circuitBreakerStore.js
+// Circuit breaker state shared by every process through Redis, so a service that
+// fails in one worker is shed by all of them and stays shed across restarts.
+// When Redis is not configured or can't be reached, state is kept in memory for
+// this process only until Redis is back.
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'landing-pad:circuit-breaker';
+
+/**
+ * Convert a breaker to Redis hash fields
+ * @param {Object} breaker - Breaker state
+ * @returns {Object} - Hash fields, all strings
+ */
+function toHash(breaker) {
+  return {
+    state: breaker.state,
+    failures: String(breaker.failures || 0),
+    lastFailure: breaker.lastFailure ? String(breaker.lastFailure) : '',
+    nextAttempt: breaker.nextAttempt ? String(breaker.nextAttempt) : '',
+    forced: breaker.forced ? '1' : '0',
+    updatedAt: String(breaker.updatedAt || Date.now())
+  };
+}
+
+/**
+ * Convert Redis hash fields back to a breaker
+ * @param {Object} hash - Hash fields
+ * @returns {Object|null} - Breaker state, or null for an empty hash
+ */
+function fromHash(hash) {
+  if (!hash || !hash.state) {
+    return null;
+  }
+
+  return {
+    state: hash.state,
+    failures: parseInt(hash.failures || '0', 10),
+    lastFailure: hash.lastFailure ? parseInt(hash.lastFailure, 10) : null,
+    nextAttempt: hash.nextAttempt ? parseInt(hash.nextAttempt, 10) : null,
+    forced: hash.forced === '1',
+    updatedAt: hash.updatedAt ? parseInt(hash.updatedAt, 10) : null
+  };
+}
+
+class CircuitBreakerStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.url] - Redis URL; without one, state stays in memory
+   * @param {string} [options.keyPrefix] - Prefix of the Redis keys
+   */
+  constructor({ url, keyPrefix = KEY_PREFIX } = {}) {
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.client = null;
+    this.breakers = new Map();
+    this.trials = new Map();
+    this.usingFallback = false;
+  }
+
+  async connect() {
+    if (!this.url) {
+      logger.info('No Redis URL for circuit breakers; their state is kept per process');
+      return this;
+    }
+
+    let connected = false;
+
+    const client = createClient({
+      url: this.url,
+      socket: {
+        // Keep reconnecting once connected, but give up straight away on startup
+        reconnectStrategy: retries => (connected ? Math.min(retries * 500, 5000) : new Error('Redis unavailable'))
+      }
+    });
+
+    client.on('error', (error) => {
+      this.fallBack(error);
+    });
+
+    try {
+      await client.connect();
+      connected = true;
+      this.client = client;
+      logger.info('Circuit breaker state shared through Redis');
+    } catch (error) {
+      this.fallBack(error);
+    }
+
+    return this;
+  }
+
+  /**
+   * Note that Redis could not be used; warns once until Redis is back
+   * @param {Error} error - Redis error
+   */
+  fallBack(error) {
+    if (!this.usingFallback) {
+      this.usingFallback = true;
+      logger.warn(`Redis unavailable for circuit breakers, keeping their state in memory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run an operation on Redis, or on the in-memory state if Redis is unavailable
+   * Commands are not queued while Redis is down, so callers never wait for it.
+   * @param {Function} redisOperation - Operation on the Redis client
+   * @param {Function} memoryOperation - Same operation on the in-memory state
+   * @returns {Promise<*>} - Result of the operation
+   */
+  async run(redisOperation, memoryOperation) {
+    if (this.client && this.client.isReady) {
+      try {
+        const result = await redisOperation(this.client);
+
+        if (this.usingFallback) {
+          this.usingFallback = false;
+          logger.info('Circuit breaker state shared through Redis again');
+        }
+
+        return result;
+      } catch (error) {
+        this.fallBack(error);
+      }
+    }
+
+    return memoryOperation();
+  }
+
+  key(service) {
+    return `${this.keyPrefix}:${service}`;
+  }
+
+  /**
+   * Get the state of a breaker
+   * @param {string} service - Service name
+   * @returns {Promise<Object|null>} - Breaker state, or null if it has none yet
+   */
+  get(service) {
+    return this.run(
+      async client => fromHash(await client.hGetAll(this.key(service))),
+      () => (this.breakers.has(service) ? { ...this.breakers.get(service) } : null)
+    );
+  }
+
+  /**
+   * Store the state of a breaker
+   * @param {string} service - Service name
+   * @param {Object} breaker - Breaker state
+   */
+  save(service, breaker) {
+    const state = { ...breaker, updatedAt: Date.now() };
+
+    return this.run(
+      async (client) => {
+        await client.multi()
+          .hSet(this.key(service), toHash(state))
+          .sAdd(this.keyPrefix, service)
+          .exec();
+      },
+      () => {
+        this.breakers.set(service, state);
+      }
+    );
+  }
+
+  /**
+   * Count a failure of a service
+   * Failures from every process are counted atomically.
+   * @param {string} service - Service name
+   * @param {number} timestamp - Time of the failure
+   * @returns {Promise<number>} - Failures counted so far
+   */
+  recordFailure(service, timestamp) {
+    return this.run(
+      async (client) => {
+        const [failures] = await client.multi()
+          .hIncrBy(this.key(service), 'failures', 1)
+          .hSet(this.key(service), 'lastFailure', String(timestamp))
+          .hSetNX(this.key(service), 'state', 'closed')
+          .sAdd(this.keyPrefix, service)
+          .exec();
+
+        return Number(failures);
+      },
+      () => {
+        const breaker = this.breakers.get(service) || { state: 'closed', failures: 0, nextAttempt: null, forced: false };
+
+        breaker.failures++;
+        breaker.lastFailure = timestamp;
+        this.breakers.set(service, breaker);
+
+        return breaker.failures;
+      }
+    );
+  }
+
+  /**
+   * Claim the trial request of a half-open breaker
+   * Only one process gets the trial; the claim lapses after ttl in case it dies.
+   * @param {string} service - Service name
+   * @param {number} ttl - Milliseconds the claim is held
+   * @returns {Promise<boolean>} - true if this caller may send the trial request
+   */
+  acquireTrial(service, ttl) {
+    return this.run(
+      async client => (await client.set(`${this.key(service)}:trial`, '1', { NX: true, PX: ttl })) === 'OK',
+      () => {
+        const expiresAt = this.trials.get(service);
+
+        if (expiresAt && expiresAt > Date.now()) {
+          return false;
+        }
+
+        this.trials.set(service, Date.now() + ttl);
+        return true;
+      }
+    );
+  }
+
+  releaseTrial(service) {
+    return this.run(
+      async (client) => {
+        await client.del(`${this.key(service)}:trial`);
+      },
+      () => {
+        this.trials.delete(service);
+      }
+    );
+  }
+
+  /**
+   * Get the state of every breaker
+   * @returns {Promise<Object>} - Breaker states keyed by service
+   */
+  list() {
+    return this.run(
+      async (client) => {
+        const services = await client.sMembers(this.keyPrefix);
+        const hashes = await Promise.all(services.map(service => client.hGetAll(this.key(service))));
+        const breakers = {};
+
+        services.forEach((service, index) => {
+          const breaker = fromHash(hashes[index]);
+
+          if (breaker) {
+            breakers[service] = breaker;
+          }
+        });
+
+        return breakers;
+      },
+      () => Object.fromEntries([...this.breakers].map(([service, breaker]) => [service, { ...breaker }]))
+    );
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = CircuitBreakerStore;
@@ -0,0 +1,328 @@
+// src/core/error/deadLetterStore.js
+// PostgreSQL store for the dead letter queue of the agent recovery service.
+// Entries keep the original command and payload so they can be retried after a
+// restart, along with every recovery attempt made for them. Entries expire after
+// their retention period and are removed by deleteExpired().
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
+
+/**
+ * Escape the wildcards of LIKE patterns, so text is matched as it is
+ * @param {string} text - Text to search for
+ * @returns {string} - Text with %, _ and the escape character escaped
+ */
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
+class DeadLetterStore {
+  constructor() {
+    this.sequelize = null;
+    this.DeadLetterEntry = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    try {
+      const dbConfig = config.database.postgres;
+      this.sequelize = new Sequelize(
+        dbConfig.database,
+        dbConfig.username,
+        dbConfig.password,
+        {
+          host: dbConfig.host,
+          port: dbConfig.port,
+          dialect: 'postgres',
+          logging: false,
+        }
+      );
+      instrumentSequelize(this.sequelize);
+
+      this.DeadLetterEntry = this.sequelize.define('dead_letter_entry', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        key: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          unique: true
+        },
+        type: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        agentId: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        moduleId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        taskId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        workflowId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        correlationId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        command: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        payload: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        error: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        category: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        attempts: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+        createdTime: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW
+        },
+        updatedTime: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW
+        },
+        expiresAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        }
+      }, {
+        indexes: [
+          { fields: ['agentId'] },
+          { fields: ['category'] },
+          { fields: ['createdTime'] },
+          { fields: ['expiresAt'] }
+        ]
+      });
+
+      await this.DeadLetterEntry.sync();
+
+      this.isConnected = true;
+      logger.info('DeadLetterStore connected to PostgreSQL');
+
+      return this;
+    } catch (error) {
+      logger.error('Failed to connect DeadLetterStore to PostgreSQL', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the query conditions for dead letter filters
+   * Expired entries are never matched, even before they have been deleted.
+   * @param {Object} filters - Filters
+   * @param {string[]} [filters.keys] - Entry keys
+   * @param {string} [filters.agentId] - Agent that failed
+   * @param {string} [filters.category] - Error category
+   * @param {string} [filters.error] - Text the error message contains
+   * @param {Date} [filters.from] - Earliest creation time
+   * @param {Date} [filters.to] - Latest creation time
+   * @returns {Object} - Sequelize where clause
+   */
+  buildWhere({ keys, agentId, category, error, from, to } = {}) {
+    const where = {
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: new Date() } }
+      ]
+    };
+
+    if (keys) {
+      where.key = { [Op.in]: keys };
+    }
+
+    if (agentId) {
+      where.agentId = agentId;
+    }
+
+    if (category) {
+      where.category = category;
+    }
+
+    if (error) {
+      where.error = { [Op.iLike]: `%${escapeLike(error)}%` };
+    }
+
+    if (from || to) {
+      where.createdTime = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+
+    return where;
+  }
+
+  async addEntry(entry) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      const row = await this.DeadLetterEntry.create({
+        ...entry,
+        createdTime: new Date(),
+        updatedTime: new Date()
+      });
+
+      return row.get({ plain: true });
+    } catch (error) {
+      logger.error(`Failed to add dead letter entry for agent ${entry.agentId}`, error);
+      throw error;
+    }
+  }
+
+  async getEntry(key) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      const row = await this.DeadLetterEntry.findOne({
+        where: { ...this.buildWhere(), key }
+      });
+
+      return row ? row.get({ plain: true }) : null;
+    } catch (error) {
+      logger.error(`Failed to get dead letter entry ${key}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find dead letter entries, newest first
+   * @param {Object} [filters] - Filters, see buildWhere
+   * @param {Object} [options] - Paging
+   * @param {number} [options.limit] - Maximum number of entries
+   * @param {number} [options.offset] - Entries to skip
+   * @returns {Object} - total matching entries and the entries of the page
+   */
+  async findEntries(filters = {}, { limit = 100, offset = 0 } = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      const { count, rows } = await this.DeadLetterEntry.findAndCountAll({
+        where: this.buildWhere(filters),
+        order: [['createdTime', 'DESC']],
+        limit,
+        offset
+      });
+
+      return {
+        total: count,
+        entries: rows.map(row => row.get({ plain: true }))
+      };
+    } catch (error) {
+      logger.error('Failed to find dead letter entries', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a retry of an entry
+   * @param {string} key - Entry key
+   * @param {Object} attempt - Attempt to append to the history
+   * @param {Object} [changes] - Other fields to update, e.g. an edited payload
+   * @returns {Object|null} - Updated entry, or null if it does not exist
+   */
+  async recordAttempt(key, attempt, changes = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      const row = await this.DeadLetterEntry.findOne({ where: { key } });
+
+      if (!row) {
+        return null;
+      }
+
+      await row.update({
+        ...changes,
+        attempts: [...row.attempts, attempt],
+        updatedTime: new Date()
+      });
+
+      return row.get({ plain: true });
+    } catch (error) {
+      logger.error(`Failed to record attempt for dead letter entry ${key}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the entries matching the filters
+   * @param {Object} filters - Filters, see buildWhere
+   * @returns {number} - Number of entries deleted
+   */
+  async deleteEntries(filters) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      return await this.DeadLetterEntry.destroy({ where: this.buildWhere(filters) });
+    } catch (error) {
+      logger.error('Failed to delete dead letter entries', error);
+      throw error;
+    }
+  }
+
+  async deleteExpired() {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    try {
+      const deleted = await this.DeadLetterEntry.destroy({
+        where: { expiresAt: { [Op.lte]: new Date() } }
+      });
+
+      if (deleted > 0) {
+        logger.info(`Deleted ${deleted} expired dead letter entries`);
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete expired dead letter entries', error);
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.sequelize) {
+      await this.sequelize.close();
+      this.isConnected = false;
+      logger.info('DeadLetterStore connection closed');
+    }
+  }
+}
+
+module.exports = DeadLetterStore;
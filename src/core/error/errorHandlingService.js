@@ -10,8 +10,11 @@
  * - Error reporting and monitoring integration
  */
 
+const { Gauge } = require('prom-client');
+const config = require('../../config');
 const { getInstance: getMessageBus } = require('../messaging/messageBus');
 const logger = require('../utils/logger');
+const CircuitBreakerStore = require('./circuitBreakerStore');
 
 // Error categories
 const ErrorCategory = {
@@ -36,10 +39,63 @@ const ErrorSeverity = {
   CRITICAL: 'critical'
 };
 
+// Circuit breaker states
+const CircuitState = {
+  CLOSED: 'closed',
+  HALF_OPEN: 'half-open',
+  OPEN: 'open'
+};
+
+// Values of the circuit breaker state gauge
+const CIRCUIT_STATE_VALUES = {
+  [CircuitState.CLOSED]: 0,
+  [CircuitState.HALF_OPEN]: 1,
+  [CircuitState.OPEN]: 2
+};
+
+// Singleton instance
+let errorHandlingServiceInstance = null;
+
+const circuitFailuresGauge = new Gauge({
+  name: 'landing_pad_circuit_breaker_failures',
+  help: 'Failures counted by the circuit breaker of each service since it last closed',
+  labelNames: ['service']
+});
+
+const circuitStateGauge = new Gauge({
+  name: 'landing_pad_circuit_breaker_state',
+  help: 'State of the circuit breaker of each service (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['service'],
+  // Breakers are shared, so read them on each scrape to include changes made by other processes
+  async collect() {
+    if (errorHandlingServiceInstance) {
+      try {
+        const breakers = await errorHandlingServiceInstance.getCircuitBreakers();
+        breakers.forEach(breaker => updateCircuitMetrics(breaker.service, breaker));
+      } catch (error) {
+        logger.error('Failed to collect circuit breaker metrics', error);
+      }
+    }
+  }
+});
+
+/**
+ * Set the gauges of a circuit breaker
+ * @param {string} service - Service name
+ * @param {Object} breaker - Breaker state
+ */
+function updateCircuitMetrics(service, breaker) {
+  circuitStateGauge.set({ service }, CIRCUIT_STATE_VALUES[breaker.state]);
+  circuitFailuresGauge.set({ service }, breaker.failures || 0);
+}
+
 class ErrorHandlingService {
   constructor() {
     this.messageBus = null;
-    this.circuitBreakers = new Map();
+    this.circuitBreakerSettings = config.circuitBreakers || {};
+    this.circuitBreakerStore = new CircuitBreakerStore({
+      url: this.circuitBreakerSettings.redisUrl || config.cache?.redis?.url
+    });
     this.retryPolicies = new Map();
     
     // Default retry policies
@@ -54,6 +110,9 @@ class ErrorHandlingService {
       // Subscribe to error events
       await this.messageBus.subscribeToEvent('error.*', this._handleErrorEvent.bind(this));
       
+      // Share circuit breaker state with the other processes
+      await this.circuitBreakerStore.connect();
+      
       logger.info('Error handling service initialized');
       return this;
     } catch (error) {
@@ -144,7 +203,7 @@ class ErrorHandlingService {
       try {
         // Check circuit breaker if service is specified
         if (context.service) {
-          this._checkCircuitBreaker(context.service);
+          await this._checkCircuitBreaker(context.service);
         }
         
         // Execute operation
@@ -152,7 +211,7 @@ class ErrorHandlingService {
         
         // Record successful attempt if service is specified
         if (context.service) {
-          this._recordSuccess(context.service);
+          await this._recordSuccess(context.service);
         }
         
         return result;
@@ -160,9 +219,10 @@ class ErrorHandlingService {
         lastError = error;
         attempt++;
         
-        // Record failure if service is specified
-        if (context.service) {
-          this._recordFailure(context.service, error);
+        // Record failure if service is specified; requests shed by an open circuit
+        // never reached the service, so they don't count
+        if (context.service && !error.details?.circuitOpen) {
+          await this._recordFailure(context.service, error);
         }
         
         // Check if we should retry based on error
@@ -207,20 +267,84 @@ class ErrorHandlingService {
     });
   }
 
+  /**
+   * Get the circuit breakers of all services
+   * Configured services are listed even before their first failure.
+   * @returns {Promise<Array>} - Circuit breakers, sorted by service
+   */
+  async getCircuitBreakers() {
+    const breakers = await this.circuitBreakerStore.list();
+    const services = new Set([
+      ...Object.keys(this.circuitBreakerSettings.services || {}),
+      ...Object.keys(breakers)
+    ]);
+    
+    return [...services]
+      .sort()
+      .map(service => this._describeCircuitBreaker(service, breakers[service]));
+  }
+
+  /**
+   * Get the circuit breaker of a service
+   * @param {string} service - Service name
+   * @returns {Promise<Object>} - Circuit breaker
+   */
+  async getCircuitBreaker(service) {
+    return this._describeCircuitBreaker(service, await this.circuitBreakerStore.get(service));
+  }
+
+  /**
+   * Open the circuit of a service until it is closed or reset, shedding all its requests
+   * @param {string} service - Service name
+   * @returns {Promise<Object>} - Circuit breaker
+   */
+  async forceOpenCircuitBreaker(service) {
+    const breaker = await this.circuitBreakerStore.get(service) || this._createCircuitBreaker();
+    
+    await this._setCircuitState(service, breaker, {
+      ...breaker,
+      state: CircuitState.OPEN,
+      nextAttempt: null,
+      forced: true
+    }, 'forced open');
+    
+    return this.getCircuitBreaker(service);
+  }
+
+  /**
+   * Close the circuit of a service so failures don't open it until it is reset
+   * @param {string} service - Service name
+   * @returns {Promise<Object>} - Circuit breaker
+   */
+  async forceCloseCircuitBreaker(service) {
+    const breaker = await this.circuitBreakerStore.get(service) || this._createCircuitBreaker();
+    
+    await this._setCircuitState(service, breaker, {
+      ...this._createCircuitBreaker(),
+      forced: true
+    }, 'forced closed');
+    await this.circuitBreakerStore.releaseTrial(service);
+    
+    return this.getCircuitBreaker(service);
+  }
+
   /**
    * Reset circuit breaker for a service
+   * Clears its failures and any forced state.
    * @param {string} service - Service name
+   * @returns {Promise<Object>} - Circuit breaker
    */
-  resetCircuitBreaker(service) {
-    if (this.circuitBreakers.has(service)) {
-      const breaker = this.circuitBreakers.get(service);
-      breaker.state = 'closed';
-      breaker.failures = 0;
-      breaker.lastFailure = null;
-      breaker.nextAttempt = null;
-      
-      logger.info(`Circuit breaker reset for service: ${service}`);
-    }
+  async resetCircuitBreaker(service) {
+    const breaker = await this.circuitBreakerStore.get(service) || this._createCircuitBreaker();
+    
+    await this._setCircuitState(service, breaker, this._createCircuitBreaker(), 'reset');
+    await this.circuitBreakerStore.releaseTrial(service);
+    
+    return this.getCircuitBreaker(service);
+  }
+
+  async close() {
+    await this.circuitBreakerStore.close();
   }
 
   /**
@@ -503,64 +627,149 @@ class ErrorHandlingService {
   }
 
   /**
-   * Check circuit breaker before operation
+   * Get the threshold and reset timeout of a service's circuit breaker
    * @private
    */
-  _checkCircuitBreaker(service) {
-    // Initialize circuit breaker if it doesn't exist
-    if (!this.circuitBreakers.has(service)) {
-      this.circuitBreakers.set(service, {
-        state: 'closed',
-        failures: 0,
-        lastFailure: null,
-        nextAttempt: null,
-        threshold: 5,
-        resetTimeout: 30000 // 30 seconds
-      });
+  _getCircuitBreakerSettings(service) {
+    return {
+      threshold: 5,
+      resetTimeout: 30000, // 30 seconds
+      ...this.circuitBreakerSettings.defaults,
+      ...(this.circuitBreakerSettings.services || {})[service]
+    };
+  }
+
+  /**
+   * Create the state of a closed circuit breaker
+   * @private
+   */
+  _createCircuitBreaker() {
+    return {
+      state: CircuitState.CLOSED,
+      failures: 0,
+      lastFailure: null,
+      nextAttempt: null,
+      forced: false
+    };
+  }
+
+  /**
+   * Describe a circuit breaker for the admin API
+   * @private
+   */
+  _describeCircuitBreaker(service, breaker) {
+    const state = breaker || this._createCircuitBreaker();
+    
+    return {
+      service,
+      state: state.state,
+      failures: state.failures,
+      lastFailure: state.lastFailure ? new Date(state.lastFailure).toISOString() : null,
+      nextAttempt: state.nextAttempt ? new Date(state.nextAttempt).toISOString() : null,
+      forced: state.forced,
+      ...this._getCircuitBreakerSettings(service)
+    };
+  }
+
+  /**
+   * Store a new state of a circuit breaker and announce the change
+   * @private
+   */
+  async _setCircuitState(service, previous, breaker, reason) {
+    await this.circuitBreakerStore.save(service, breaker);
+    updateCircuitMetrics(service, breaker);
+    
+    const logData = { service, reason, failures: breaker.failures };
+    
+    if (breaker.state === CircuitState.OPEN) {
+      logger.warn(`Circuit opened for service: ${service} (${reason})`, logData);
+    } else {
+      logger.info(`Circuit ${breaker.state} for service: ${service} (${reason})`, logData);
     }
     
-    const breaker = this.circuitBreakers.get(service);
+    if (!this.messageBus || !this.messageBus.isConnected) {
+      return;
+    }
     
-    // If circuit is open, check if we should try again
-    if (breaker.state === 'open') {
-      const now = Date.now();
-      
-      if (!breaker.nextAttempt || now >= breaker.nextAttempt) {
-        // Allow a single trial request to go through
-        breaker.state = 'half-open';
-        logger.info(`Circuit half-open for service: ${service}`);
-        return;
-      }
-      
-      // Circuit is open and reset timeout hasn't elapsed
-      throw this.createError(
-        `Service ${service} is unavailable (circuit open)`,
-        ErrorCategory.EXTERNAL_SERVICE,
-        'SERVICE_UNAVAILABLE',
-        ErrorSeverity.ERROR
-      );
+    try {
+      await this.messageBus.publishEvent('circuit-breaker.state-changed', {
+        service,
+        state: breaker.state,
+        previousState: previous.state,
+        reason,
+        failures: breaker.failures,
+        forced: breaker.forced,
+        nextAttempt: breaker.nextAttempt ? new Date(breaker.nextAttempt).toISOString() : null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to publish circuit breaker event', error);
     }
   }
 
   /**
-   * Record successful operation for circuit breaker
+   * Create the error of a request shed by an open circuit
    * @private
    */
-  _recordSuccess(service) {
-    if (!this.circuitBreakers.has(service)) {
+  _createCircuitOpenError(service, breaker) {
+    return this.createError(
+      `Service ${service} is unavailable (circuit open)`,
+      ErrorCategory.EXTERNAL_SERVICE,
+      'SERVICE_UNAVAILABLE',
+      ErrorSeverity.ERROR,
+      {
+        service,
+        circuitOpen: true,
+        nextAttempt: breaker.nextAttempt ? new Date(breaker.nextAttempt).toISOString() : null
+      }
+    );
+  }
+
+  /**
+   * Check circuit breaker before operation
+   * Once the reset timeout of an open circuit has elapsed, a single trial request is
+   * let through across all processes; the others are shed until it completes.
+   * @private
+   */
+  async _checkCircuitBreaker(service) {
+    const breaker = await this.circuitBreakerStore.get(service);
+    
+    if (!breaker || breaker.state === CircuitState.CLOSED) {
       return;
     }
     
-    const breaker = this.circuitBreakers.get(service);
+    // Circuit is open and reset timeout hasn't elapsed
+    if (breaker.state === CircuitState.OPEN && (breaker.forced || Date.now() < breaker.nextAttempt)) {
+      throw this._createCircuitOpenError(service, breaker);
+    }
+    
+    // The trial is claimed for the reset timeout, so a trial that never completes
+    // lets another through after it
+    const { resetTimeout } = this._getCircuitBreakerSettings(service);
+    
+    if (!await this.circuitBreakerStore.acquireTrial(service, resetTimeout)) {
+      throw this._createCircuitOpenError(service, breaker);
+    }
+    
+    if (breaker.state === CircuitState.OPEN) {
+      await this._setCircuitState(service, breaker, {
+        ...breaker,
+        state: CircuitState.HALF_OPEN
+      }, 'reset timeout elapsed');
+    }
+  }
+
+  /**
+   * Record successful operation for circuit breaker
+   * @private
+   */
+  async _recordSuccess(service) {
+    const breaker = await this.circuitBreakerStore.get(service);
     
     // If circuit was half-open, close it
-    if (breaker.state === 'half-open') {
-      breaker.state = 'closed';
-      breaker.failures = 0;
-      breaker.lastFailure = null;
-      breaker.nextAttempt = null;
-      
-      logger.info(`Circuit closed for service: ${service}`);
+    if (breaker && breaker.state === CircuitState.HALF_OPEN) {
+      await this._setCircuitState(service, breaker, this._createCircuitBreaker(), 'trial request succeeded');
+      await this.circuitBreakerStore.releaseTrial(service);
     }
   }
 
@@ -568,50 +777,44 @@ class ErrorHandlingService {
    * Record operation failure for circuit breaker
    * @private
    */
-  _recordFailure(service, error) {
-    if (!this.circuitBreakers.has(service)) {
-      this.circuitBreakers.set(service, {
-        state: 'closed',
-        failures: 0,
-        lastFailure: null,
-        nextAttempt: null,
-        threshold: 5,
-        resetTimeout: 30000 // 30 seconds
-      });
-    }
-    
-    const breaker = this.circuitBreakers.get(service);
+  async _recordFailure(service, error) {
     const now = Date.now();
+    const failures = await this.circuitBreakerStore.recordFailure(service, now);
+    const breaker = await this.circuitBreakerStore.get(service);
+    
+    // Forced circuits only change when an administrator closes or resets them
+    if (!breaker || breaker.forced) {
+      return;
+    }
     
-    // Update circuit breaker state
-    breaker.failures++;
-    breaker.lastFailure = now;
+    const { threshold, resetTimeout } = this._getCircuitBreakerSettings(service);
     
     // If circuit was half-open, open it again
-    if (breaker.state === 'half-open') {
-      breaker.state = 'open';
-      breaker.nextAttempt = now + breaker.resetTimeout;
-      
-      logger.warn(`Circuit opened for service: ${service} after failed test`);
+    if (breaker.state === CircuitState.HALF_OPEN) {
+      await this._setCircuitState(service, breaker, {
+        ...breaker,
+        state: CircuitState.OPEN,
+        nextAttempt: now + resetTimeout
+      }, `failed test: ${error.message}`);
+      await this.circuitBreakerStore.releaseTrial(service);
       return;
     }
     
     // If failures exceed threshold, open the circuit
-    if (breaker.state === 'closed' && breaker.failures >= breaker.threshold) {
-      breaker.state = 'open';
-      breaker.nextAttempt = now + breaker.resetTimeout;
-      
-      logger.warn(`Circuit opened for service: ${service} after ${breaker.failures} failures`);
+    if (breaker.state === CircuitState.CLOSED && failures >= threshold) {
+      await this._setCircuitState(service, breaker, {
+        ...breaker,
+        state: CircuitState.OPEN,
+        nextAttempt: now + resetTimeout
+      }, `${failures} failures`);
     }
   }
 }
 
-// Error category and severity exports
+// Error category, severity and circuit state exports
 module.exports.ErrorCategory = ErrorCategory;
 module.exports.ErrorSeverity = ErrorSeverity;
-
-// Singleton instance
-let errorHandlingServiceInstance = null;
+module.exports.CircuitState = CircuitState;
 
 module.exports.getInstance = async () => {
   if (!errorHandlingServiceInstance) {
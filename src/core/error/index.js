@@ -7,17 +7,25 @@
 const errorHandlingService = require('./errorHandlingService');
 const agentRecoveryService = require('./agentRecoveryService');
 const errors = require('./errors');
+const bulkhead = require('./bulkhead');
 
 module.exports = {
   // Error handling service
   getInstance: errorHandlingService.getInstance,
   ErrorCategory: errorHandlingService.ErrorCategory,
   ErrorSeverity: errorHandlingService.ErrorSeverity,
+  CircuitState: errorHandlingService.CircuitState,
   
   // Agent recovery service
   getRecoveryService: agentRecoveryService.getInstance,
   RecoveryStrategy: agentRecoveryService.RecoveryStrategy,
   
+  // Concurrency limits of agents and AI providers
+  getBulkhead: bulkhead.getBulkhead,
+  getBulkheads: bulkhead.getBulkheads,
+  BulkheadType: bulkhead.BulkheadType,
+  runWithPriority: bulkhead.runWithPriority,
+  
   // Error classes
   LandingPadError: errors.LandingPadError,
   ValidationError: errors.ValidationError,
@@ -0,0 +1,398 @@
+// src/core/messaging/amqpTransport.js
+// RabbitMQ transport for the MessageBus, so agents can run in separate processes.
+// Commands go to a durable direct exchange with one durable queue per command, shared
+// by all processes handling it; events go to a durable topic exchange with a queue per
+// subscription. Replies to requests go through the default exchange straight to the
+// exclusive reply queue of the requesting process. Messages are persistent, publishes
+// wait for broker confirms and deliveries are acknowledged only once their handler
+// has finished.
+const amqp = require('amqplib');
+const logger = require('../utils/logger');
+
+const DEFAULT_RECONNECT_STRATEGY = {
+  retries: 10,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+class AmqpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.uri - Broker URI
+   * @param {number} [options.prefetch] - Unacknowledged deliveries allowed per consumer
+   * @param {number} [options.heartbeat] - Heartbeat interval in seconds
+   * @param {Object} [options.reconnectStrategy] - retries, initialDelay, maxDelay and factor
+   * @param {string} [options.commandExchange] - Direct exchange for commands
+   * @param {string} [options.eventExchange] - Topic exchange for events
+   * @param {string} [options.queuePrefix] - Prefix of the queues declared by the bus
+   * @param {string} [options.serviceName] - Name of this process; gives it durable event queues
+   */
+  constructor(options = {}) {
+    this.type = 'amqp';
+    this.uri = options.uri;
+    this.prefetch = options.prefetch || 1;
+    this.heartbeat = options.heartbeat;
+    this.reconnectStrategy = { ...DEFAULT_RECONNECT_STRATEGY, ...options.reconnectStrategy };
+    this.commandExchange = options.commandExchange || 'core-commands';
+    this.eventExchange = options.eventExchange || 'core-events';
+    this.queuePrefix = options.queuePrefix || 'landing-pad';
+    this.serviceName = options.serviceName || null;
+
+    this.connection = null;
+    this.channel = null;
+    this.isConnected = false;
+    this.closing = false;
+    this.consumers = new Map();
+    this.commandQueues = new Set();
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Connect to the broker, declare the exchanges and (re)start all consumers
+   */
+  async connect() {
+    this.closing = false;
+
+    const connection = await amqp.connect(this.uri, this.heartbeat ? { heartbeat: this.heartbeat } : undefined);
+
+    connection.on('error', (error) => {
+      logger.error('AMQP connection error', error);
+    });
+
+    connection.on('close', () => this.handleConnectionClosed(connection));
+
+    this.connection = connection;
+    const channel = await connection.createConfirmChannel();
+
+    // The broker closes a channel on errors such as a failed declaration, leaving the
+    // connection open but the transport unable to publish or consume
+    channel.on('error', (error) => {
+      logger.error('AMQP channel error', error);
+    });
+
+    channel.on('close', () => this.handleChannelClosed(channel));
+
+    this.channel = channel;
+    await this.channel.prefetch(this.prefetch);
+    await this.channel.assertExchange(this.commandExchange, 'direct', { durable: true });
+    await this.channel.assertExchange(this.eventExchange, 'topic', { durable: true });
+
+    this.commandQueues.clear();
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+
+    // Consumers registered before a reconnect carry on with the new channel
+    for (const consumer of this.consumers.values()) {
+      await this.startConsumer(consumer);
+    }
+
+    logger.info(`Connected to AMQP broker with ${this.consumers.size} consumers`);
+  }
+
+  async close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const connection = this.connection;
+
+    this.isConnected = false;
+    this.connection = null;
+    this.channel = null;
+    this.consumers.clear();
+
+    if (connection) {
+      await connection.close();
+    }
+  }
+
+  /**
+   * Handle the connection being closed by the broker or the network
+   * @param {Object} connection - Connection that was closed
+   */
+  handleConnectionClosed(connection) {
+    if (connection !== this.connection) {
+      return;
+    }
+
+    this.isConnected = false;
+    this.connection = null;
+    this.channel = null;
+
+    if (!this.closing) {
+      logger.warn('AMQP connection closed unexpectedly, reconnecting');
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Handle the channel being closed while its connection stays open
+   * The connection is closed too and both are opened again, restoring the consumers.
+   * @param {Object} channel - Channel that was closed
+   */
+  handleChannelClosed(channel) {
+    if (channel !== this.channel || this.closing) {
+      return;
+    }
+
+    const connection = this.connection;
+
+    this.isConnected = false;
+    this.connection = null;
+    this.channel = null;
+
+    logger.warn('AMQP channel closed unexpectedly, reconnecting');
+
+    connection.close().catch((error) => {
+      logger.debug(`Could not close AMQP connection of the closed channel: ${error.message}`);
+    });
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Try to reconnect with exponential backoff until the retries run out
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
+    }
+
+    const { retries, initialDelay, maxDelay, factor } = this.reconnectStrategy;
+
+    if (this.reconnectAttempts >= retries) {
+      logger.error(`Giving up reconnecting to AMQP broker after ${this.reconnectAttempts} attempts`);
+      return;
+    }
+
+    const delay = Math.min(initialDelay * Math.pow(factor, this.reconnectAttempts), maxDelay);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      try {
+        await this.connect();
+      } catch (error) {
+        logger.warn(`AMQP reconnect attempt ${this.reconnectAttempts} failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Publish a persistent message and wait for the broker to confirm it
+   * @param {string} kind - 'command', 'event' or 'reply'
+   * @param {string} routingKey - Routing key, or the reply address for replies
+   * @param {Object} message - Message envelope
+   */
+  async publish(kind, routingKey, message) {
+    if (!this.isConnected) {
+      throw new Error('AMQP transport not connected');
+    }
+
+    // Commands are kept in their queue until a consumer for them starts
+    if (kind === 'command') {
+      await this.assertCommandQueue(routingKey);
+    }
+
+    const { exchange, key } = this.getDestination(kind, routingKey);
+    const content = Buffer.from(JSON.stringify(message));
+
+    await new Promise((resolve, reject) => {
+      this.channel.publish(exchange, key, content, {
+        persistent: true,
+        contentType: 'application/json',
+        messageId: message.metadata.messageId,
+        type: routingKey
+      }, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Exchange and routing key a message is published with
+   * @param {string} kind - 'command', 'event' or 'reply'
+   * @param {string} routingKey - Routing key, or the reply address for replies
+   * @returns {Object} - exchange and key
+   */
+  getDestination(kind, routingKey) {
+    if (kind === 'reply') {
+      // The default exchange routes by queue name
+      return { exchange: '', key: this.getReplyQueue(routingKey) };
+    }
+
+    return {
+      exchange: kind === 'command' ? this.commandExchange : this.eventExchange,
+      key: routingKey
+    };
+  }
+
+  getReplyQueue(replyTo) {
+    return `${this.queuePrefix}.reply.${replyTo}`;
+  }
+
+  /**
+   * Consume the messages for a routing key or event pattern
+   * Subscriptions to the same key in this process share one consumer, so each of
+   * them gets every message instead of competing for it.
+   * @param {string} kind - 'command', 'event' or 'reply'
+   * @param {string} routingKey - Routing key, event pattern or reply address
+   * @param {Function} onMessage - Called with each message envelope
+   * @returns {Object} - Subscription handle for unsubscribe
+   */
+  async subscribe(kind, routingKey, onMessage) {
+    const key = `${kind}:${routingKey}`;
+    const handle = { key, onMessage };
+    let consumer = this.consumers.get(key);
+
+    if (consumer) {
+      consumer.handles.add(handle);
+      return handle;
+    }
+
+    consumer = {
+      kind,
+      routingKey,
+      handles: new Set([handle]),
+      consumerTag: null
+    };
+
+    this.consumers.set(key, consumer);
+
+    if (this.isConnected) {
+      await this.startConsumer(consumer);
+    }
+
+    return handle;
+  }
+
+  async unsubscribe(handle) {
+    const consumer = this.consumers.get(handle.key);
+
+    if (!consumer || !consumer.handles.delete(handle) || consumer.handles.size > 0) {
+      return;
+    }
+
+    this.consumers.delete(handle.key);
+
+    if (this.isConnected && consumer.consumerTag) {
+      await this.channel.cancel(consumer.consumerTag);
+    }
+  }
+
+  /**
+   * Declare the queue of a consumer and start consuming from it
+   * @param {Object} consumer - Consumer registration
+   */
+  async startConsumer(consumer) {
+    const queue = await this.assertConsumerQueue(consumer);
+
+    const channel = this.channel;
+    const { consumerTag } = await channel.consume(queue, (delivery) => this.handleDelivery(channel, consumer, delivery));
+
+    consumer.consumerTag = consumerTag;
+  }
+
+  async assertConsumerQueue(consumer) {
+    if (consumer.kind === 'command') {
+      return this.assertCommandQueue(consumer.routingKey);
+    }
+
+    if (consumer.kind === 'reply') {
+      // Replies are only wanted by the process waiting for them
+      const { queue } = await this.channel.assertQueue(this.getReplyQueue(consumer.routingKey), { exclusive: true, autoDelete: true });
+      return queue;
+    }
+
+    return this.assertEventQueue(consumer.routingKey);
+  }
+
+  async assertCommandQueue(routingKey) {
+    const queue = `${this.queuePrefix}.command.${routingKey}`;
+
+    if (!this.commandQueues.has(queue)) {
+      await this.channel.assertQueue(queue, { durable: true });
+      await this.channel.bindQueue(queue, this.commandExchange, routingKey);
+      this.commandQueues.add(queue);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Declare the queue for an event subscription
+   * Bus patterns use the same topic semantics as AMQP, so they are bound as they are.
+   * Named processes get a durable queue that keeps events while they are down;
+   * otherwise the queue only lives as long as the connection.
+   * @param {string} pattern - Event pattern
+   * @returns {string} - Queue name
+   */
+  async assertEventQueue(pattern) {
+    const { queue } = this.serviceName
+      ? await this.channel.assertQueue(`${this.queuePrefix}.${this.serviceName}.event.${pattern}`, { durable: true })
+      : await this.channel.assertQueue('', { exclusive: true, autoDelete: true });
+
+    await this.channel.bindQueue(queue, this.eventExchange, pattern);
+
+    return queue;
+  }
+
+  /**
+   * Pass a delivery to its consumer and acknowledge it once handled
+   * Malformed messages are dropped; failed ones are requeued once.
+   * @param {Object} channel - Channel the message was delivered on
+   * @param {Object} consumer - Consumer registration
+   * @param {Object|null} delivery - AMQP delivery, or null if the broker cancelled the consumer
+   */
+  async handleDelivery(channel, consumer, delivery) {
+    if (delivery === null) {
+      logger.warn(`AMQP consumer for ${consumer.kind} ${consumer.routingKey} was cancelled by the broker`);
+      return;
+    }
+
+    let message;
+
+    try {
+      message = JSON.parse(delivery.content.toString());
+    } catch (error) {
+      logger.error(`Dropping malformed ${consumer.kind} message on ${delivery.fields.routingKey}`, error);
+      this.settle(channel, delivery, false, false);
+      return;
+    }
+
+    try {
+      await Promise.all([...consumer.handles].map(handle => handle.onMessage(message)));
+      this.settle(channel, delivery, true);
+    } catch (error) {
+      logger.error(`Failed to handle ${consumer.kind} message on ${delivery.fields.routingKey}`, error);
+      this.settle(channel, delivery, false, !delivery.fields.redelivered);
+    }
+  }
+
+  settle(channel, delivery, acknowledged, requeue = false) {
+    try {
+      if (acknowledged) {
+        channel.ack(delivery);
+      } else {
+        channel.nack(delivery, false, requeue);
+      }
+    } catch (error) {
+      // The channel closed while the message was handled; the broker redelivers it
+      logger.warn(`Could not settle message on ${delivery.fields.routingKey}: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      connected: this.isConnected,
+      consumers: this.consumers.size,
+      prefetch: this.prefetch,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+}
+
+module.exports = AmqpTransport;
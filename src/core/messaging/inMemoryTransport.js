@@ -0,0 +1,100 @@
+// src/core/messaging/inMemoryTransport.js
+// In-process transport for the MessageBus.
+// Messages never leave the process, so every agent must run alongside the coordinator.
+// Commands and replies are delivered by exact routing key; events by AMQP-style topic patterns.
+const EventEmitter = require('events');
+const TopicTrie = require('./topicTrie');
+
+/**
+ * Pass a message to a subscriber without waiting for it
+ * The bus has logged a failed handler already, and with no broker there is no queue
+ * to put the message back on, so the failure ends here.
+ * @param {Function} onMessage - Subscriber
+ * @param {Object} message - Message envelope
+ */
+function deliver(onMessage, message) {
+  const handled = onMessage(message);
+
+  if (handled && typeof handled.catch === 'function') {
+    handled.catch(() => {});
+  }
+}
+
+class InMemoryTransport {
+  constructor() {
+    this.type = 'in-memory';
+    this.eventEmitter = new EventEmitter();
+    this.topics = new TopicTrie();
+    this.isConnected = false;
+
+    // Set higher event listener limit to avoid warnings
+    this.eventEmitter.setMaxListeners(100);
+  }
+
+  connect() {
+    // No actual connection needed
+    this.isConnected = true;
+  }
+
+  close() {
+    this.eventEmitter.removeAllListeners();
+    this.topics = new TopicTrie();
+    this.isConnected = false;
+  }
+
+  /**
+   * Deliver a message to the subscribers of a routing key
+   * Event subscribers whose patterns match the key more than once still get the message once.
+   * @param {string} kind - 'command', 'event' or 'reply'
+   * @param {string} routingKey - Routing key, or the reply address for replies
+   * @param {Object} message - Message envelope
+   */
+  publish(kind, routingKey, message) {
+    if (kind !== 'event') {
+      this.eventEmitter.emit(`${kind}:${routingKey}`, message);
+      return;
+    }
+
+    for (const subscription of this.topics.match(routingKey)) {
+      deliver(subscription.onMessage, message);
+    }
+  }
+
+  /**
+   * Register a handler for a routing key or event pattern
+   * @param {string} kind - 'command', 'event' or 'reply'
+   * @param {string} routingKey - Routing key, event pattern or reply address
+   * @param {Function} onMessage - Called with each message envelope
+   * @returns {Object} - Subscription handle for unsubscribe
+   */
+  subscribe(kind, routingKey, onMessage) {
+    const handle = { kind, routingKey, onMessage, listener: message => deliver(onMessage, message) };
+
+    if (kind === 'event') {
+      this.topics.add(routingKey, handle);
+    } else {
+      this.eventEmitter.on(`${kind}:${routingKey}`, handle.listener);
+    }
+
+    return handle;
+  }
+
+  unsubscribe(handle) {
+    if (handle.kind === 'event') {
+      this.topics.remove(handle.routingKey, handle);
+    } else {
+      this.eventEmitter.removeListener(`${handle.kind}:${handle.routingKey}`, handle.listener);
+    }
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      connected: this.isConnected,
+      eventSubscriptions: this.topics.size,
+      maxListeners: this.eventEmitter.getMaxListeners()
+    };
+  }
+}
+
+module.exports = InMemoryTransport;
@@ -1,24 +1,163 @@
 // src/core/messaging/messageBus.js
-// Simplified in-memory message bus implementation (no RabbitMQ dependency)
+// Message bus for commands and events between the coordinator and the agents.
+// Delivery is left to a pluggable transport: in-memory (single process, the default)
+// or AMQP (RabbitMQ, agents in separate processes), selected in config/messaging.json.
+// Messages are checked against messageSchemas.js when published and when consumed;
+// invalid ones are quarantined for the admins and, in reject mode, not passed on.
+// Besides fire-and-forget commands and events, request() sends a command and waits
+// for the reply of the handler registered with handleRequest().
+// Messages published inside a trace carry it in a `traceparent` metadata field, and
+// their handlers run in a span of that trace, so one API request can be followed
+// through every agent it reaches.
 const config = require('../../config');
 const logger = require('../utils/logger');
-const EventEmitter = require('events');
+const messagingConfig = require('../../../config/messaging.json');
+const InMemoryTransport = require('./inMemoryTransport');
+const { validatePattern } = require('./topicTrie');
+const { validateMessage, getLatestVersion } = require('./messageSchemas');
+const { getTracer, parseTraceparent, formatTraceparent } = require('../tracing');
+const { getUsageAttribution } = require('../usage/usageContext');
+
+const VALIDATION_MODES = ['off', 'warn', 'reject'];
+
+// Schema groups in messageSchemas.js for each kind of message
+const SCHEMA_TYPES = {
+  command: 'commands',
+  event: 'events'
+};
+
+/**
+ * Generate an ID for a message or request
+ * @returns {string} - Unique ID
+ */
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Load the error classes when they are needed
+ * They depend on services that use the bus, so they cannot be required up front.
+ * @returns {Object} - Error classes from core/error/errors.js
+ */
+function loadErrors() {
+  return require('../error/errors');
+}
+
+/**
+ * Replace ${VAR} placeholders in a configuration value with environment variables
+ * @param {string} value - Configuration value
+ * @returns {string} - Value with placeholders resolved
+ */
+function resolveEnvPlaceholders(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+}
+
+/**
+ * Create the transport selected in the messaging configuration
+ * MESSAGE_BUS_TRANSPORT overrides the configured transport.
+ * @param {Object} settings - Contents of config/messaging.json
+ * @returns {Object} - Transport instance
+ */
+function createTransport(settings = {}) {
+  const busSettings = settings.bus || {};
+  const transport = process.env.MESSAGE_BUS_TRANSPORT || busSettings.transport || 'in-memory';
+  
+  if (transport === 'in-memory') {
+    return new InMemoryTransport();
+  }
+  
+  if (transport === 'amqp') {
+    // Only loaded when used, so in-memory setups don't need a broker client
+    const AmqpTransport = require('./amqpTransport');
+    const rabbitMQ = settings.rabbitMQ || {};
+    const options = rabbitMQ.options || {};
+    const amqpSettings = busSettings.amqp || {};
+    
+    return new AmqpTransport({
+      uri: resolveEnvPlaceholders(rabbitMQ.uri) || config.messaging.url,
+      prefetch: amqpSettings.prefetch || options.prefetch,
+      heartbeat: options.heartbeat,
+      reconnectStrategy: options.reconnectStrategy,
+      commandExchange: amqpSettings.commandExchange,
+      eventExchange: amqpSettings.eventExchange,
+      queuePrefix: amqpSettings.queuePrefix,
+      serviceName: resolveEnvPlaceholders(amqpSettings.serviceName)
+    });
+  }
+  
+  throw new Error(`Unknown message bus transport '${transport}'`);
+}
+
+/**
+ * Read the MessageBus options from the messaging configuration
+ * MESSAGE_BUS_VALIDATION overrides the configured validation mode.
+ * @param {Object} settings - Contents of config/messaging.json
+ * @returns {Object} - MessageBus options
+ */
+function createBusOptions(settings = {}) {
+  const busSettings = settings.bus || {};
+  const validation = busSettings.validation || {};
+  const amqpSettings = busSettings.amqp || {};
+  
+  return {
+    source: resolveEnvPlaceholders(amqpSettings.serviceName) || undefined,
+    validationMode: process.env.MESSAGE_BUS_VALIDATION || validation.mode,
+    requireSchema: validation.requireSchema,
+    quarantineSize: validation.quarantineSize,
+    requestTimeout: busSettings.requestTimeout
+  };
+}
 
 class MessageBus {
-  constructor() {
-    this.eventEmitter = new EventEmitter();
-    this.isConnected = false;
+  /**
+   * @param {Object} [transport] - Transport delivering the messages, in-memory by default
+   * @param {Object} [options] - Bus options
+   * @param {string} [options.source] - Source stamped on published messages
+   * @param {string} [options.validationMode] - 'warn' (default), 'reject' or 'off'
+   * @param {boolean} [options.requireSchema] - Treat messages without a schema as invalid
+   * @param {number} [options.quarantineSize] - Invalid messages kept for inspection
+   * @param {number} [options.requestTimeout] - Default milliseconds request() waits for a reply
+   */
+  constructor(transport = new InMemoryTransport(), options = {}) {
+    const validationMode = options.validationMode || 'warn';
+    
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      throw new Error(`Unknown message validation mode '${validationMode}'`);
+    }
+    
+    this.transport = transport;
+    this.source = options.source || 'system';
+    this.validationMode = validationMode;
+    this.requireSchema = Boolean(options.requireSchema);
+    this.quarantineSize = options.quarantineSize || 500;
+    this.requestTimeout = options.requestTimeout || 30000;
     this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
+    this.quarantine = [];
+    this.nextQuarantineId = 1;
+    
+    // Envelopes are shared by the subscriptions they are delivered to, so each is validated once
+    this.validationResults = new WeakMap();
     
-    // Set higher event listener limit to avoid warnings
-    this.eventEmitter.setMaxListeners(100);
+    // Requests waiting for a reply, and requests being handled, by correlation ID
+    this.pendingRequests = new Map();
+    this.activeRequests = new Map();
+    this.replyAddress = null;
+    this.cancellationSubscription = null;
+  }
+
+  get isConnected() {
+    return this.transport.isConnected;
   }
 
   async connect() {
     try {
-      // No actual connection needed - this is an in-memory implementation
-      this.isConnected = true;
-      logger.info('MessageBus (in-memory) initialized successfully');
+      await this.transport.connect();
+      logger.info(`MessageBus (${this.transport.type}) initialized successfully`);
       return this;
     } catch (error) {
       logger.error('Failed to initialize message bus', error);
@@ -27,78 +166,349 @@ class MessageBus {
   }
 
   async close() {
-    // Remove all listeners
-    this.eventEmitter.removeAllListeners();
+    await this.transport.close();
     this.subscriptions.clear();
+    this.replyAddress = null;
+    this.cancellationSubscription = null;
+    
+    for (const correlationId of [...this.pendingRequests.keys()]) {
+      const { MessagingError } = loadErrors();
+      const pending = this.finishRequest(correlationId);
+      
+      pending.reject(new MessagingError(`MessageBus closed before ${pending.routingKey} replied`, 'BUS_CLOSED', { correlationId }));
+    }
     
-    this.isConnected = false;
     logger.info('MessageBus closed');
   }
 
-  async publishCommand(routingKey, data) {
+  /**
+   * Publish a command to the agents handling its routing key
+   * @param {string} routingKey - Routing key, e.g. `content-creation.execute-task`
+   * @param {Object} data - Command data
+   * @param {Object} [metadata] - Extra metadata, e.g. correlationId or schemaVersion
+   * @returns {boolean} - true once published
+   */
+  publishCommand(routingKey, data, metadata = {}) {
+    return this.publishMessage('command', routingKey, data, metadata);
+  }
+
+  /**
+   * Publish an event to the subscriptions whose patterns match its routing key
+   * @param {string} routingKey - Routing key, e.g. `workflow.completed`
+   * @param {Object} data - Event data
+   * @param {Object} [metadata] - Extra metadata, e.g. correlationId or schemaVersion
+   * @returns {boolean} - true once published
+   */
+  publishEvent(routingKey, data, metadata = {}) {
+    return this.publishMessage('event', routingKey, data, metadata);
+  }
+
+  publishMessage(kind, routingKey, data, metadata) {
+    return getTracer().withChildSpan(`publish ${routingKey}`, {
+      kind: 'producer',
+      attributes: {
+        'messaging.destination': routingKey,
+        'messaging.operation': 'publish',
+        'messaging.message_kind': kind
+      }
+    }, span => this.sendMessage(kind, routingKey, data, metadata, span));
+  }
+
+  /**
+   * Build the envelope of a message and hand it to the transport
+   * @param {string} kind - 'command' or 'event'
+   * @param {string} routingKey - Routing key
+   * @param {Object} data - Message data
+   * @param {Object} metadata - Extra metadata
+   * @param {Span|null} span - Producer span, if the message is published inside a trace
+   * @returns {boolean} - true once published
+   */
+  async sendMessage(kind, routingKey, data, metadata, span) {
     if (!this.isConnected) {
       throw new Error('MessageBus not connected');
     }
     
     try {
-      // Create the message envelope
+      // Create the message envelope; producers stamp the latest schema version they know.
+      // Inside a trace the trace ID is also the correlation ID, unless one is given.
+      // Commands carry the user and team their AI calls are accounted to, so agents in
+      // other processes attribute them as the API did.
+      const { userId, team } = kind === 'command' ? getUsageAttribution() : {};
       const message = {
         data,
         metadata: {
+          source: this.source,
+          schemaVersion: getLatestVersion(SCHEMA_TYPES[kind], routingKey) || undefined,
+          ...(span && { correlationId: span.traceId }),
+          ...(userId && { userId }),
+          ...(team && { team }),
+          ...metadata,
+          ...(span && { traceparent: formatTraceparent(span) }),
           type: routingKey,
-          timestamp: new Date(),
-          messageId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5)
+          timestamp: new Date().toISOString(),
+          messageId: generateId()
         }
       };
       
-      // Emit as command event
-      const eventName = `command:${routingKey}`;
-      this.eventEmitter.emit(eventName, message);
+      if (span) {
+        span.setAttribute('messaging.message_id', message.metadata.messageId);
+      }
+      
+      const validation = this.validateEnvelope(kind, routingKey, message, 'publish');
       
-      logger.debug(`Published command to ${routingKey}`);
+      if (!validation.valid && this.validationMode === 'reject') {
+        const { ValidationError } = loadErrors();
+        
+        throw new ValidationError(`Invalid ${kind} ${routingKey}: ${validation.error}`, 'INVALID_MESSAGE', {
+          routingKey,
+          messageId: message.metadata.messageId
+        });
+      }
+      
+      await this.transport.publish(kind, routingKey, message);
+      
+      logger.debug(`Published ${kind} to ${routingKey}`);
       return true;
     } catch (error) {
-      logger.error(`Failed to publish command to ${routingKey}`, error);
+      logger.error(`Failed to publish ${kind} to ${routingKey}`, error);
       throw error;
     }
   }
 
-  async publishEvent(routingKey, data) {
-    if (!this.isConnected) {
-      throw new Error('MessageBus not connected');
+  /**
+   * Send a command and wait for the reply of the handler registered with handleRequest()
+   * If no reply arrives in time, or the caller aborts, the handler is told to stop
+   * and a late reply is ignored.
+   * @param {string} routingKey - Routing key, e.g. `content-creation.generate-headlines`
+   * @param {Object} data - Command data
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait for the reply
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {Object} [options.metadata] - Extra metadata for the command
+   * @returns {Promise<*>} - Result returned by the handler
+   * @throws {TimeoutError} If no reply arrives in time
+   * @throws {MessagingError} If the request is cancelled or the handler fails
+   */
+  async request(routingKey, data, { timeout = this.requestTimeout, signal, metadata = {} } = {}) {
+    const { TimeoutError, MessagingError } = loadErrors();
+    const replyTo = await this.ensureReplyAddress();
+    
+    // Checked once the reply address is there, since the caller may abort while it's being set up
+    if (signal && signal.aborted) {
+      throw new MessagingError(`Request to ${routingKey} was cancelled`, 'REQUEST_CANCELLED', { routingKey });
     }
     
+    const correlationId = generateId();
+    
+    const reply = new Promise((resolve, reject) => {
+      const pending = { routingKey, resolve, reject, signal, timer: null, onAbort: null };
+      
+      pending.timer = setTimeout(() => {
+        this.finishRequest(correlationId);
+        this.cancelRequest(correlationId, routingKey, 'timeout');
+        reject(new TimeoutError(`Request to ${routingKey} timed out after ${timeout}ms`, 'REQUEST_TIMEOUT', {
+          routingKey,
+          correlationId,
+          timeout
+        }));
+      }, timeout);
+      
+      if (signal) {
+        pending.onAbort = () => {
+          this.finishRequest(correlationId);
+          this.cancelRequest(correlationId, routingKey, 'aborted');
+          reject(new MessagingError(`Request to ${routingKey} was cancelled`, 'REQUEST_CANCELLED', { routingKey, correlationId }));
+        };
+        signal.addEventListener('abort', pending.onAbort, { once: true });
+      }
+      
+      this.pendingRequests.set(correlationId, pending);
+    });
+    
+    // The reply may time out or be cancelled while the command is still being published;
+    // it is returned below, but must not count as an unhandled rejection in the meantime
+    reply.catch(() => {});
+    
     try {
-      // Create the message envelope
-      const message = {
-        data,
+      await this.publishCommand(routingKey, data, {
+        ...metadata,
+        correlationId,
+        replyTo,
+        deadline: new Date(Date.now() + timeout).toISOString()
+      });
+    } catch (error) {
+      this.finishRequest(correlationId);
+      throw error;
+    }
+    
+    return reply;
+  }
+
+  /**
+   * Answer requests sent with request()
+   * The handler's return value is sent back as the reply and errors it throws are
+   * passed on to the caller. Its metadata carries an AbortSignal that is aborted
+   * when the caller gives up, so long-running work can stop early. Commands sent
+   * with publishCommand() are handled without a reply.
+   * @param {string} routingKey - Routing key of the requests
+   * @param {Function} handler - Called with the data and metadata, returns the result
+   * @returns {Object} - Subscription
+   */
+  async handleRequest(routingKey, handler) {
+    await this.ensureCancellationSubscription();
+    
+    return this.subscribeToCommand(routingKey, async (data, metadata) => {
+      const { correlationId, replyTo, deadline } = metadata;
+      const controller = new AbortController();
+      const timer = deadline ? setTimeout(() => controller.abort(), new Date(deadline).getTime() - Date.now()) : null;
+      let reply;
+      
+      if (correlationId) {
+        this.activeRequests.set(correlationId, controller);
+      }
+      
+      try {
+        const result = await handler(data, { ...metadata, signal: controller.signal });
+        reply = { result: result === undefined ? null : result };
+      } catch (error) {
+        if (!replyTo) {
+          throw error;
+        }
+        
+        reply = { error: { name: error.name, message: error.message, code: error.code || null } };
+      } finally {
+        clearTimeout(timer);
+        this.activeRequests.delete(correlationId);
+      }
+      
+      if (!replyTo) {
+        return;
+      }
+      
+      if (controller.signal.aborted) {
+        logger.debug(`Not replying to cancelled request ${correlationId} for ${routingKey}`);
+        return;
+      }
+      
+      await this.transport.publish('reply', replyTo, {
+        data: reply,
         metadata: {
           type: routingKey,
-          timestamp: new Date(),
-          messageId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5)
+          correlationId,
+          source: this.source,
+          timestamp: new Date().toISOString(),
+          messageId: generateId()
         }
-      };
+      });
+    });
+  }
+
+  /**
+   * Subscribe to the replies for this bus, once
+   * @returns {Promise<string>} - Address replies are sent to
+   */
+  ensureReplyAddress() {
+    if (!this.replyAddress) {
+      const replyTo = `${this.source}.${generateId()}`;
       
-      // Emit as event
-      const eventName = `event:${routingKey}`;
-      this.eventEmitter.emit(eventName, message);
-      
-      // Also emit for pattern matching subscribers
-      // This is a simplistic implementation - in a real system,
-      // you would need to implement proper topic matching
-      const parts = routingKey.split('.');
-      while (parts.length > 0) {
-        const pattern = parts.join('.') + '.*';
-        this.eventEmitter.emit(`event-pattern:${pattern}`, message);
-        parts.pop();
-      }
+      this.replyAddress = Promise.resolve(this.transport.subscribe('reply', replyTo, (message) => this.handleReply(message)))
+        .then(() => replyTo)
+        .catch((error) => {
+          this.replyAddress = null;
+          throw error;
+        });
+    }
+    
+    return this.replyAddress;
+  }
+
+  /**
+   * Stop handlers when the caller of their request gives up, once
+   * @returns {Promise<Object>} - Subscription to cancellations
+   */
+  ensureCancellationSubscription() {
+    if (!this.cancellationSubscription) {
+      this.cancellationSubscription = this.subscribeToEvent('request.cancelled', (data) => {
+        const controller = this.activeRequests.get(data.correlationId);
+        
+        if (controller) {
+          logger.info(`Cancelling request ${data.correlationId} for ${data.routingKey}: ${data.reason}`);
+          controller.abort();
+        }
+      }).catch((error) => {
+        this.cancellationSubscription = null;
+        throw error;
+      });
+    }
+    
+    return this.cancellationSubscription;
+  }
+
+  /**
+   * Settle the pending request a reply belongs to
+   * @param {Object} message - Reply envelope
+   */
+  handleReply(message) {
+    const { correlationId } = message.metadata;
+    const pending = this.finishRequest(correlationId);
+    
+    if (!pending) {
+      logger.debug(`Ignoring reply to request ${correlationId}, which is no longer pending`);
+      return;
+    }
+    
+    const { error, result } = message.data;
+    
+    if (error) {
+      const { MessagingError } = loadErrors();
       
-      logger.debug(`Published event to ${routingKey}`);
-      return true;
-    } catch (error) {
-      logger.error(`Failed to publish event to ${routingKey}`, error);
-      throw error;
+      pending.reject(new MessagingError(error.message, error.code || 'REQUEST_FAILED', {
+        routingKey: pending.routingKey,
+        correlationId,
+        remoteError: error.name
+      }));
+      return;
+    }
+    
+    pending.resolve(result);
+  }
+
+  /**
+   * Stop tracking a pending request
+   * @param {string} correlationId - Correlation ID of the request
+   * @returns {Object|undefined} - The pending request, if it was still pending
+   */
+  finishRequest(correlationId) {
+    const pending = this.pendingRequests.get(correlationId);
+    
+    if (!pending) {
+      return undefined;
+    }
+    
+    this.pendingRequests.delete(correlationId);
+    clearTimeout(pending.timer);
+    
+    if (pending.onAbort) {
+      pending.signal.removeEventListener('abort', pending.onAbort);
     }
+    
+    return pending;
+  }
+
+  /**
+   * Tell the handler of a request that its caller gave up
+   * @param {string} correlationId - Correlation ID of the request
+   * @param {string} routingKey - Routing key of the request
+   * @param {string} reason - 'timeout' or 'aborted'
+   */
+  cancelRequest(correlationId, routingKey, reason) {
+    if (!this.isConnected) {
+      return;
+    }
+    
+    this.publishEvent('request.cancelled', { correlationId, routingKey, reason }).catch((error) => {
+      logger.warn(`Could not cancel request ${correlationId} for ${routingKey}: ${error.message}`);
+    });
   }
 
   async subscribeToCommand(routingKey, handler) {
@@ -112,24 +522,23 @@ class MessageBus {
       // Create the event handler
       const eventHandler = async (message) => {
         try {
-          await handler(message.data, { 
-            type: routingKey, 
-            timestamp: message.metadata.timestamp,
-            messageId: message.metadata.messageId
-          });
+          if (!this.acceptDelivery('command', routingKey, message)) {
+            return;
+          }
+          
+          await this.traceDelivery('command', routingKey, message, () => handler(message.data, this.getHandlerMetadata(message)));
         } catch (error) {
+          // Passed on, so the transport can requeue or drop the message
           logger.error(`Error handling command ${routingKey}`, error);
+          throw error;
         }
       };
       
       // Register the handler
-      this.eventEmitter.on(eventName, eventHandler);
-      
-      // Store subscription for later cleanup
-      this.subscriptions.set(eventName, { eventHandler });
+      const handle = await this.transport.subscribe('command', routingKey, eventHandler);
       
       logger.info(`Subscribed to command ${routingKey}`);
-      return { eventName, eventHandler };
+      return this.addSubscription(eventName, eventHandler, handle);
     } catch (error) {
       logger.error(`Failed to subscribe to command ${routingKey}`, error);
       throw error;
@@ -142,61 +551,257 @@ class MessageBus {
     }
     
     try {
+      validatePattern(pattern);
+      
       const eventName = `event:${pattern}`;
-      const patternEventName = `event-pattern:${pattern}`;
       
       // Create the event handler
       const eventHandler = async (message) => {
         try {
-          await handler(message.data, { 
-            type: message.metadata.type, 
-            timestamp: message.metadata.timestamp,
-            messageId: message.metadata.messageId
-          });
+          if (!this.acceptDelivery('event', message.metadata.type, message)) {
+            return;
+          }
+          
+          await this.traceDelivery('event', message.metadata.type, message, () => handler(message.data, this.getHandlerMetadata(message)));
         } catch (error) {
+          // Passed on, so the transport can requeue or drop the message
           logger.error(`Error handling event ${pattern}`, error);
+          throw error;
         }
       };
       
-      // Register the handler for exact matches
-      this.eventEmitter.on(eventName, eventHandler);
-      
-      // Register the handler for pattern matches
-      this.eventEmitter.on(patternEventName, eventHandler);
-      
-      // Store subscriptions for later cleanup
-      this.subscriptions.set(eventName, { eventHandler });
-      this.subscriptions.set(patternEventName, { eventHandler });
+      // Register the handler; `*` matches one segment of the event type and `#` any number
+      const handle = await this.transport.subscribe('event', pattern, eventHandler);
       
       logger.info(`Subscribed to event pattern ${pattern}`);
-      return { eventName, eventHandler };
+      return this.addSubscription(eventName, eventHandler, handle);
     } catch (error) {
       logger.error(`Failed to subscribe to event pattern ${pattern}`, error);
       throw error;
     }
   }
 
-  async unsubscribe(type, key) {
-    const subscriptionKey = `${type}:${key}`;
+  /**
+   * Metadata passed to subscription handlers along with the message data
+   * @param {Object} message - Message envelope
+   * @returns {Object} - Handler metadata
+   */
+  getHandlerMetadata(message) {
+    return {
+      type: message.metadata.type,
+      timestamp: message.metadata.timestamp,
+      messageId: message.metadata.messageId,
+      source: message.metadata.source,
+      correlationId: message.metadata.correlationId,
+      schemaVersion: message.metadata.schemaVersion,
+      replyTo: message.metadata.replyTo,
+      deadline: message.metadata.deadline,
+      traceparent: message.metadata.traceparent,
+      priority: message.metadata.priority,
+      userId: message.metadata.userId,
+      team: message.metadata.team
+    };
+  }
+
+  /**
+   * Run the handler of a delivered message in a span of the trace it was published in
+   * Messages published outside a trace are handled untraced.
+   * @param {string} kind - 'command' or 'event'
+   * @param {string} routingKey - Routing key of the message
+   * @param {Object} message - Message envelope
+   * @param {Function} fn - Calls the handler
+   * @returns {Promise<*>} - Result of the handler
+   */
+  traceDelivery(kind, routingKey, message, fn) {
+    const parent = parseTraceparent(message.metadata.traceparent);
     
-    if (this.subscriptions.has(subscriptionKey)) {
-      const { eventHandler } = this.subscriptions.get(subscriptionKey);
-      this.eventEmitter.removeListener(subscriptionKey, eventHandler);
-      this.subscriptions.delete(subscriptionKey);
-      
-      logger.info(`Unsubscribed from ${subscriptionKey}`);
+    if (!parent) {
+      return fn();
+    }
+    
+    return getTracer().withSpan(`process ${routingKey}`, {
+      kind: 'consumer',
+      parent,
+      attributes: {
+        'messaging.destination': routingKey,
+        'messaging.operation': 'process',
+        'messaging.message_kind': kind,
+        'messaging.message_id': message.metadata.messageId,
+        'messaging.source': message.metadata.source
+      }
+    }, fn);
+  }
+
+  /**
+   * Whether a delivered message may be passed to its handler
+   * Producers may run older code or skip the bus validation, so consumers check again.
+   * @param {string} kind - 'command' or 'event'
+   * @param {string} routingKey - Routing key of the message
+   * @param {Object} message - Message envelope
+   * @returns {boolean} - false if the message is invalid and the bus rejects invalid messages
+   */
+  acceptDelivery(kind, routingKey, message) {
+    const validation = this.validateEnvelope(kind, routingKey, message, 'consume');
+    
+    if (validation.valid || this.validationMode !== 'reject') {
       return true;
     }
     
+    logger.warn(`Dropped invalid ${kind} ${routingKey} (${message.metadata.messageId})`);
     return false;
   }
+
+  /**
+   * Validate a message envelope against the schema for its routing key
+   * Invalid messages are quarantined. Messages without a schema pass unless
+   * the bus requires one.
+   * @param {string} kind - 'command' or 'event'
+   * @param {string} routingKey - Routing key of the message
+   * @param {Object} message - Message envelope
+   * @param {string} direction - 'publish' or 'consume'
+   * @returns {Object} - Whether the message is valid, and the error if it is not
+   */
+  validateEnvelope(kind, routingKey, message, direction) {
+    if (this.validationMode === 'off') {
+      return { valid: true };
+    }
+    
+    const cached = this.validationResults.get(message);
+    
+    if (cached) {
+      return cached;
+    }
+    
+    const schemaType = SCHEMA_TYPES[kind];
+    let result;
+    
+    if (!getLatestVersion(schemaType, routingKey)) {
+      result = this.requireSchema
+        ? { valid: false, error: `No schema defined for ${kind} ${routingKey}` }
+        : { valid: true };
+    } else {
+      const validation = validateMessage(schemaType, routingKey, message.data, message.metadata);
+      result = validation.success ? { valid: true } : { valid: false, error: validation.error };
+    }
+    
+    this.validationResults.set(message, result);
+    
+    if (!result.valid) {
+      this.quarantineMessage(kind, routingKey, message, direction, result.error);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Keep an invalid message for inspection, dropping the oldest once the quarantine is full
+   * @param {string} kind - 'command' or 'event'
+   * @param {string} routingKey - Routing key of the message
+   * @param {Object} message - Message envelope
+   * @param {string} direction - 'publish' or 'consume'
+   * @param {string} error - Validation error
+   */
+  quarantineMessage(kind, routingKey, message, direction, error) {
+    const rejected = this.validationMode === 'reject';
+    
+    this.quarantine.push({
+      id: this.nextQuarantineId++,
+      kind,
+      routingKey,
+      direction,
+      rejected,
+      error,
+      message,
+      quarantinedAt: new Date().toISOString()
+    });
+    
+    if (this.quarantine.length > this.quarantineSize) {
+      this.quarantine.shift();
+    }
+    
+    logger.warn(`Invalid ${kind} ${routingKey} on ${direction}${rejected ? ', rejected' : ''}: ${error}`);
+  }
+
+  /**
+   * Get quarantined messages, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.kind] - 'command' or 'event'
+   * @param {string} [filters.routingKey] - Routing key of the messages
+   * @param {number} [filters.limit] - Maximum number of entries
+   * @returns {Array} - Quarantine entries
+   */
+  getQuarantine({ kind, routingKey, limit } = {}) {
+    const entries = this.quarantine
+      .filter(entry => (!kind || entry.kind === kind) && (!routingKey || entry.routingKey === routingKey))
+      .reverse();
+    
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Remove one quarantined message, or all of them
+   * @param {number} [id] - Quarantine entry to remove
+   * @returns {number} - Number of entries removed
+   */
+  clearQuarantine(id) {
+    const before = this.quarantine.length;
+    
+    this.quarantine = id === undefined ? [] : this.quarantine.filter(entry => entry.id !== id);
+    
+    return before - this.quarantine.length;
+  }
+
+  /**
+   * Keep track of a subscription so it can be removed later
+   * @param {string} eventName - Subscription type and key, e.g. `event:workflow.*`
+   * @param {Function} eventHandler - Handler registered with the transport
+   * @param {Object} handle - Transport handle
+   * @returns {Object} - Subscription, with an unsubscribe() that removes exactly this subscription
+   */
+  addSubscription(eventName, eventHandler, handle) {
+    const subscription = {
+      id: this.nextSubscriptionId++,
+      eventName,
+      eventHandler,
+      unsubscribe: () => this.unsubscribe(subscription)
+    };
+    
+    this.subscriptions.set(subscription.id, { subscription, handle });
+    
+    return subscription;
+  }
+
+  /**
+   * Remove a subscription
+   * Pass the subscription returned by subscribeToCommand or subscribeToEvent to
+   * remove just that one; passing a type and key removes every subscription to the key.
+   * @param {Object|string} subscriptionOrType - Subscription, or 'command' / 'event'
+   * @param {string} [key] - Routing key or pattern when a type is given
+   * @returns {boolean} - Whether anything was unsubscribed
+   */
+  async unsubscribe(subscriptionOrType, key) {
+    const entries = typeof subscriptionOrType === 'object' && subscriptionOrType !== null
+      ? [this.subscriptions.get(subscriptionOrType.id)].filter(entry => entry && entry.subscription === subscriptionOrType)
+      : [...this.subscriptions.values()].filter(entry => entry.subscription.eventName === `${subscriptionOrType}:${key}`);
+    
+    for (const { subscription, handle } of entries) {
+      await this.transport.unsubscribe(handle);
+      this.subscriptions.delete(subscription.id);
+      
+      logger.info(`Unsubscribed from ${subscription.eventName}`);
+    }
+    
+    return entries.length > 0;
+  }
   
-  async getStatus() {
+  getStatus() {
     return {
+      ...this.transport.getStatus(),
       connected: this.isConnected,
-      type: 'in-memory',
       subscriptionCount: this.subscriptions.size,
-      maxListeners: this.eventEmitter.getMaxListeners()
+      pendingRequests: this.pendingRequests.size,
+      validationMode: this.validationMode,
+      quarantined: this.quarantine.length
     };
   }
 }
@@ -206,9 +811,13 @@ let messageBusInstance = null;
 
 module.exports.getInstance = async () => {
   if (!messageBusInstance) {
-    messageBusInstance = new MessageBus();
+    messageBusInstance = new MessageBus(createTransport(messagingConfig), createBusOptions(messagingConfig));
     await messageBusInstance.connect();
   }
   
   return messageBusInstance;
-};
\ No newline at end of file
+};
+
+module.exports.MessageBus = MessageBus;
+module.exports.createTransport = createTransport;
+module.exports.createBusOptions = createBusOptions;
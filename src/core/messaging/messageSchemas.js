@@ -1,4 +1,8 @@
 // src/core/messaging/messageSchemas.js
+// Joi schemas for the commands, events and queries on the message bus.
+// A schema entry is either a Joi schema (version 1) or an object of schemas keyed
+// by version, so producers and consumers can move to a new version independently.
+// Keys may use `*` for a single segment, e.g. `*.execute-task`; exact keys win.
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
@@ -11,7 +15,12 @@ const metadataSchema = Joi.object({
   retryCount: Joi.number().integer().min(0).default(0),
   priority: Joi.number().integer().min(1).max(10).default(5),
   userId: Joi.string().allow(null),
-  sessionId: Joi.string().allow(null)
+  // Team (organization) AI usage of the message is accounted to
+  team: Joi.string().allow(null),
+  sessionId: Joi.string().allow(null),
+  schemaVersion: Joi.number().integer().min(1).default(1),
+  // W3C trace context of the trace the message was published in
+  traceparent: Joi.string().pattern(/^00-[0-9a-f]{32}-[0-9a-f]{16}-[0-9a-f]{2}$/)
 }).unknown(true);
 
 // Message schemas for different message types
@@ -54,6 +63,78 @@ const schemas = {
     'content.check-brand-consistency': Joi.object({
       contentId: Joi.string().required(),
       strictMode: Joi.boolean().default(false)
+    }),
+    
+    'content-management.assign-human-task': Joi.object({
+      taskId: Joi.string().required(),
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      state: Joi.string().required(),
+      title: Joi.string().required(),
+      instructions: Joi.string().allow(null),
+      assignees: Joi.array().items(Joi.string()).required(),
+      role: Joi.string().allow(null),
+      decisions: Joi.array().items(Joi.string().valid('approve', 'reject', 'request-changes')).min(1).required(),
+      dueAt: Joi.string().isoDate().allow(null),
+      contentId: Joi.string().allow(null)
+    }),
+    
+    'content-creation.generate-headlines': Joi.object({
+      topic: Joi.string().required(),
+      count: Joi.number().integer().min(1).max(20),
+      type: Joi.string(),
+      targetAudience: Joi.string().allow(null, ''),
+      userId: Joi.string().allow(null)
+    }),
+    
+    '*.execute-task': Joi.object({
+      taskType: Joi.string().required(),
+      dispatchId: Joi.string(),
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      branch: Joi.string(),
+      data: Joi.object().allow(null),
+      isRetry: Joi.boolean(),
+      retryTimestamp: Joi.string().isoDate()
+    }),
+    
+    '*.retry-task': Joi.object({
+      taskId: Joi.string().allow(null),
+      originalData: Joi.object().required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    '*.restart': Joi.object({
+      timestamp: Joi.string().isoDate().required(),
+      requestedBy: Joi.string()
+    }),
+    
+    '*.restart-module': Joi.object({
+      moduleId: Joi.string().required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    '*.recover': Joi.object({
+      agentId: Joi.string().required(),
+      reason: Joi.string().allow(null, ''),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    '*.handle-delegation': Joi.object({
+      originalAgentId: Joi.string().required(),
+      command: Joi.string().required(),
+      data: Joi.object().allow(null),
+      delegationReason: Joi.string().allow(null),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    '*.use-fallback': Joi.object({
+      fallbackMethod: Joi.string().required(),
+      provider: Joi.string(),
+      model: Joi.string(),
+      command: Joi.string(),
+      data: Joi.object().allow(null),
+      timestamp: Joi.string().isoDate().required()
     })
   },
   
@@ -127,7 +208,312 @@ const schemas = {
       contentId: Joi.string().allow(null),
       error: Joi.string().required(),
       failedAt: Joi.string().isoDate().required(),
-      stage: Joi.string().required()
+      stage: Joi.string().required(),
+      agentId: Joi.string()
+    }),
+    
+    'workflow.state-timed-out': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      state: Joi.string().required(),
+      agent: Joi.string().allow(null),
+      timeout: Joi.number().integer().min(1).required(),
+      timeoutCount: Joi.number().integer().min(1).required(),
+      action: Joi.string().valid('retry', 'transition').required(),
+      toState: Joi.string().required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'workflow.paused': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      state: Joi.string().required(),
+      reason: Joi.string().allow(null),
+      requestedBy: Joi.string().allow(null),
+      pausedAt: Joi.string().isoDate().required()
+    }),
+    
+    'workflow.resumed': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      state: Joi.string().required(),
+      heldResults: Joi.number().integer().min(0).required(),
+      requestedBy: Joi.string().allow(null),
+      resumedAt: Joi.string().isoDate().required()
+    }),
+    
+    'workflow.human-task-decided': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      taskId: Joi.string().required(),
+      state: Joi.string().required(),
+      decision: Joi.string().valid('approve', 'reject', 'request-changes').required(),
+      decidedBy: Joi.string().required(),
+      comments: Joi.string().allow(null, ''),
+      decidedAt: Joi.string().isoDate().required()
+    }),
+    
+    'workflow.cancelled': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      contentId: Joi.string().allow(null),
+      state: Joi.string().required(),
+      reason: Joi.string().required(),
+      requestedBy: Joi.string().allow(null),
+      cancelledAt: Joi.string().isoDate().required()
+    }),
+    
+    'workflow.state-changed': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      fromState: Joi.string().required(),
+      toState: Joi.string().required(),
+      transitionType: Joi.string().required(),
+      guard: Joi.string().allow(null),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'request.cancelled': Joi.object({
+      correlationId: Joi.string().required(),
+      routingKey: Joi.string().required(),
+      reason: Joi.string().valid('timeout', 'aborted').required()
+    }),
+    
+    // Task results reported by the agents for the commands they were sent
+    'agent.task-completed': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      taskType: Joi.string(),
+      dispatchId: Joi.string(),
+      taskId: Joi.string(),
+      agentId: Joi.string(),
+      branch: Joi.string(),
+      transitionType: Joi.string(),
+      result: Joi.object().allow(null)
+    }),
+    
+    'agent.task-failed': Joi.object({
+      workflowId: Joi.string().required(),
+      workflowType: Joi.string().required(),
+      taskType: Joi.string(),
+      dispatchId: Joi.string(),
+      taskId: Joi.string(),
+      agentId: Joi.string(),
+      branch: Joi.string(),
+      error: Joi.string().required(),
+      category: Joi.string(),
+      command: Joi.string(),
+      payload: Joi.object()
+    }),
+    
+    'agent.failed': Joi.object({
+      agentId: Joi.string().required(),
+      moduleId: Joi.string().allow(null),
+      error: Joi.string().required(),
+      category: Joi.string(),
+      command: Joi.string(),
+      payload: Joi.object()
+    }),
+    
+    // Agent health
+    'agent.register': Joi.object({
+      agentId: Joi.string().required(),
+      status: Joi.string().required(),
+      metadata: Joi.object(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'agent.heartbeat': Joi.object({
+      agentId: Joi.string().required(),
+      status: Joi.string().required(),
+      metrics: Joi.object(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'agent.status-changed': Joi.object({
+      agentId: Joi.string().required(),
+      status: Joi.string().required(),
+      previousStatus: Joi.string().allow(null),
+      reason: Joi.string().allow(''),
+      timestamp: Joi.string().isoDate()
+    }),
+    
+    'agent.recovery-completed': Joi.object({
+      agentId: Joi.string().required(),
+      strategy: Joi.string().required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'agent.recovery-failed': Joi.object({
+      agentId: Joi.string().required(),
+      moduleId: Joi.string().allow(null),
+      error: Joi.any(),
+      category: Joi.string(),
+      reason: Joi.string().required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    // System monitoring and errors
+    'system.health': Joi.object({
+      component: Joi.string().required(),
+      status: Joi.string().required(),
+      metrics: Joi.object(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'circuit-breaker.state-changed': Joi.object({
+      service: Joi.string().required(),
+      state: Joi.string().valid('closed', 'open', 'half-open').required(),
+      previousState: Joi.string().valid('closed', 'open', 'half-open').allow(null),
+      reason: Joi.string().required(),
+      failures: Joi.number().integer().min(0).required(),
+      forced: Joi.boolean().required(),
+      nextAttempt: Joi.string().isoDate().allow(null),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'system.notification': Joi.object({
+      type: Joi.string().required(),
+      level: Joi.string().valid('info', 'warning', 'error', 'critical').required(),
+      message: Joi.string().required(),
+      details: Joi.object()
+    }),
+    
+    'ai.budget-warning': Joi.object({
+      scope: Joi.string().valid('user', 'team', 'agent').required(),
+      subject: Joi.string().required(),
+      month: Joi.string().pattern(/^\d{4}-\d{2}$/).required(),
+      monthlyLimit: Joi.number().required(),
+      spent: Joi.number().required(),
+      percentUsed: Joi.number().required(),
+      status: Joi.string().valid('warning', 'downgraded', 'exceeded').required(),
+      timestamp: Joi.string().isoDate().required()
+    }),
+    
+    'error.*': Joi.object({
+      reference: Joi.string().required(),
+      message: Joi.string().required(),
+      code: Joi.string().allow(null),
+      severity: Joi.string().required(),
+      timestamp: Joi.date().required(),
+      service: Joi.string().allow(null),
+      context: Joi.object().allow(null)
+    }),
+    
+    // Outcome of each command an agent handles, e.g. content-creation.command.succeeded
+    '*.command.succeeded': Joi.object({
+      command_id: Joi.string().allow(null),
+      type: Joi.string().required(),
+      result: Joi.any()
+    }),
+    
+    '*.command.failed': Joi.object({
+      command_id: Joi.string().allow(null),
+      type: Joi.string().required(),
+      error: Joi.string().required(),
+      stack: Joi.string()
+    }),
+    
+    // Domain events of the agents, namespaced by the agent that emits them
+    'content-strategy.brief.created': Joi.object({
+      brief_id: Joi.string().required(),
+      type: Joi.string().required(),
+      topic: Joi.string().required()
+    }),
+    
+    'content-strategy.brief.updated': Joi.object({
+      brief_id: Joi.string().required(),
+      updates: Joi.array().items(Joi.string()).required()
+    }),
+    
+    'content-strategy.audience.analyzed': Joi.object({
+      segment: Joi.string().required(),
+      insights_summary: Joi.string().allow('', null)
+    }),
+    
+    'content-strategy.trend.researched': Joi.object({
+      topic: Joi.string().required(),
+      trend_summary: Joi.string().allow('', null)
+    }),
+    
+    'content-creation.content.created': Joi.object({
+      content_id: Joi.string().required(),
+      type: Joi.string().required(),
+      campaign_id: Joi.string(),
+      requires_review: Joi.boolean().required()
+    }),
+    
+    'content-creation.content.edited': Joi.object({
+      content_id: Joi.string().required(),
+      requires_review: Joi.boolean().required(),
+      auto_revised: Joi.boolean()
+    }),
+    
+    'content-creation.seo.recommendations-applied': Joi.object({
+      content_id: Joi.string().required(),
+      changes_applied: Joi.number().integer().min(0).required()
+    }),
+    
+    'content-creation.content.approved': Joi.object({
+      content_id: Joi.string().required(),
+      ready_for_publishing: Joi.boolean().required()
+    }),
+    
+    'content-management.content.categorised': Joi.object({
+      content_id: Joi.string().required(),
+      categories: Joi.array().required()
+    }),
+    
+    'content-management.content.scheduled': Joi.object({
+      content_id: Joi.string().required(),
+      publish_date: Joi.date().required(),
+      platform: Joi.string().required(),
+      scheduling_id: Joi.string().required()
+    }),
+    
+    'content-management.workflow.status-updated': Joi.object({
+      content_id: Joi.string().required(),
+      previous_status: Joi.string().allow(null),
+      new_status: Joi.string().required()
+    }),
+    
+    'content-management.content.needs-refresh': Joi.object({
+      content_ids: Joi.array().items(Joi.string()).required(),
+      threshold_days: Joi.number().integer().min(1).required()
+    }),
+    
+    'optimisation.analysis.completed': Joi.object({
+      content_id: Joi.string().required(),
+      analysis_id: Joi.string().required(),
+      performance_metrics: Joi.object(),
+      insights: Joi.array(),
+      recommendations: Joi.array()
+    }),
+    
+    'optimisation.seo.recommendations': Joi.object({
+      content_id: Joi.string().required(),
+      recommendations_id: Joi.string().required(),
+      recommendations: Joi.array().required()
+    }),
+    
+    'brand-consistency.review.completed': Joi.object({
+      content_id: Joi.string().required(),
+      review_id: Joi.string().required(),
+      status: Joi.string().required(),
+      score: Joi.number().min(0).max(100),
+      feedback: Joi.any(),
+      issues: Joi.array()
+    }),
+    
+    'brand-consistency.issues.fixed': Joi.object({
+      content_id: Joi.string().required(),
+      fixed_issues: Joi.array().required(),
+      remaining_issues: Joi.array().required()
+    }),
+    
+    'brand-consistency.guidelines.updated': Joi.object({
+      type: Joi.string().required(),
+      updated_by: Joi.string().required()
     })
   },
   
@@ -162,8 +548,68 @@ const schemas = {
   }
 };
 
+/**
+ * Find the schema entry for a message action
+ * @param {string} type - Message type (commands, events, queries)
+ * @param {string} action - Specific message action
+ * @returns {Object|null} - Joi schema or schemas keyed by version
+ */
+function findSchemaEntry(type, action) {
+  const group = schemas[type];
+  
+  if (!group || typeof action !== 'string') {
+    return null;
+  }
+  
+  if (group[action]) {
+    return group[action];
+  }
+  
+  const segments = action.split('.');
+  const pattern = Object.keys(group).find(key => {
+    const parts = key.split('.');
+    
+    return parts.includes('*') &&
+      parts.length === segments.length &&
+      parts.every((part, index) => part === '*' || part === segments[index]);
+  });
+  
+  return pattern ? group[pattern] : null;
+}
+
+/**
+ * Get the schemas of a message action keyed by version
+ * @param {string} type - Message type (commands, events, queries)
+ * @param {string} action - Specific message action
+ * @returns {Object|null} - Schemas keyed by version, or null if there is no schema
+ */
+function getSchemaVersions(type, action) {
+  const entry = findSchemaEntry(type, action);
+  
+  if (!entry) {
+    return null;
+  }
+  
+  return Joi.isSchema(entry) ? { 1: entry } : entry;
+}
+
+/**
+ * Get the latest schema version of a message action, which producers stamp on their messages
+ * @param {string} type - Message type (commands, events, queries)
+ * @param {string} action - Specific message action
+ * @returns {number|null} - Latest version, or null if there is no schema
+ */
+function getLatestVersion(type, action) {
+  const versions = getSchemaVersions(type, action);
+  
+  return versions ? Math.max(...Object.keys(versions).map(Number)) : null;
+}
+
 /**
  * Validates a message against its schema
+ * The schema version is taken from the metadata, version 1 if it has none. Messages
+ * from producers on a newer version than this process knows are checked against the
+ * latest known version, ignoring the fields it does not know about.
  * @param {string} type - Message type (commands, events, queries)
  * @param {string} action - Specific message action
  * @param {Object} data - Message data to validate
@@ -171,19 +617,31 @@ const schemas = {
  * @returns {Object} - Validation result with success flag and error if applicable
  */
 function validateMessage(type, action, data, metadata) {
-  // Get the schema for this message type and action
-  const schema = schemas[type] && schemas[type][action];
+  // Get the schemas for this message type and action
+  const versions = getSchemaVersions(type, action);
   
-  if (!schema) {
+  if (!versions) {
     return {
       success: false,
       error: `No schema defined for message type: ${type}.${action}`
     };
   }
   
+  const latestVersion = getLatestVersion(type, action);
+  const requestedVersion = (metadata && metadata.schemaVersion) || 1;
+  const newerVersion = Number.isInteger(requestedVersion) && requestedVersion > latestVersion;
+  const schema = newerVersion ? versions[latestVersion] : versions[requestedVersion];
+  
+  if (!schema) {
+    return {
+      success: false,
+      error: `No schema version ${requestedVersion} defined for message type: ${type}.${action}`
+    };
+  }
+  
   try {
     // Validate data against the schema
-    const dataValidation = schema.validate(data, { abortEarly: false });
+    const dataValidation = schema.validate(data, { abortEarly: false, allowUnknown: newerVersion });
     
     // Validate metadata against the metadata schema
     const metadataValidation = metadataSchema.validate(metadata, { abortEarly: false });
@@ -230,7 +688,8 @@ function createMessage(type, action, data, metadata = {}) {
     timestamp: new Date().toISOString(),
     messageId: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
     source: 'system',
-    retryCount: 0
+    retryCount: 0,
+    schemaVersion: getLatestVersion(type, action) || 1
   };
   
   const mergedMetadata = { ...defaultMetadata, ...metadata };
@@ -252,5 +711,6 @@ function createMessage(type, action, data, metadata = {}) {
 module.exports = {
   validateMessage,
   createMessage,
+  getLatestVersion,
   schemas
 };
@@ -0,0 +1,162 @@
+// src/core/messaging/topicTrie.js
+// Topic matching with AMQP semantics for event subscriptions.
+// Topics are dot-separated segments; in patterns `*` matches exactly one segment
+// and `#` matches zero or more. Patterns are compiled into a trie so a published
+// topic is matched against all subscriptions in one walk, and each subscriber is
+// returned once even when several of its paths match.
+
+/**
+ * Check that a subscription pattern is well formed
+ * @param {string} pattern - Topic pattern, e.g. `content.*.completed` or `workflow.#`
+ * @throws {Error} If the pattern has empty segments or wildcards inside a segment
+ */
+function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('Topic pattern must be a non-empty string');
+  }
+
+  for (const segment of pattern.split('.')) {
+    if (segment.length === 0) {
+      throw new Error(`Topic pattern '${pattern}' has an empty segment`);
+    }
+
+    if (segment !== '*' && segment !== '#' && /[*#]/.test(segment)) {
+      throw new Error(`Wildcards must be whole segments in topic pattern '${pattern}'`);
+    }
+  }
+}
+
+const createNode = () => ({
+  children: new Map(),
+  subscribers: new Set()
+});
+
+class TopicTrie {
+  constructor() {
+    this.root = createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Add a subscriber for a pattern
+   * @param {string} pattern - Topic pattern
+   * @param {*} subscriber - Subscriber to return for matching topics; must be unique per subscription
+   */
+  add(pattern, subscriber) {
+    validatePattern(pattern);
+
+    let node = this.root;
+
+    for (const segment of pattern.split('.')) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, createNode());
+      }
+
+      node = node.children.get(segment);
+    }
+
+    if (!node.subscribers.has(subscriber)) {
+      node.subscribers.add(subscriber);
+      this.size++;
+    }
+  }
+
+  /**
+   * Remove a subscriber added for a pattern, pruning branches left empty
+   * @param {string} pattern - Topic pattern the subscriber was added with
+   * @param {*} subscriber - Subscriber to remove
+   * @returns {boolean} - Whether the subscriber was found
+   */
+  remove(pattern, subscriber) {
+    const path = [this.root];
+
+    for (const segment of pattern.split('.')) {
+      const child = path[path.length - 1].children.get(segment);
+
+      if (!child) {
+        return false;
+      }
+
+      path.push(child);
+    }
+
+    const node = path[path.length - 1];
+
+    if (!node.subscribers.delete(subscriber)) {
+      return false;
+    }
+
+    this.size--;
+
+    const segments = pattern.split('.');
+
+    for (let depth = path.length - 1; depth > 0; depth--) {
+      const current = path[depth];
+
+      if (current.subscribers.size > 0 || current.children.size > 0) {
+        break;
+      }
+
+      path[depth - 1].children.delete(segments[depth - 1]);
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the subscribers of every pattern matching a topic
+   * @param {string} topic - Published topic, e.g. `content.blog.completed`
+   * @returns {Set} - Matching subscribers, each once
+   */
+  match(topic) {
+    const words = topic.split('.');
+    const matches = new Set();
+    const visited = new Map();
+
+    const walk = (node, index) => {
+      // A node can be reached at the same position through different # expansions
+      const seen = visited.get(node) || new Set();
+
+      if (seen.has(index)) {
+        return;
+      }
+
+      seen.add(index);
+      visited.set(node, seen);
+
+      const hash = node.children.get('#');
+
+      if (hash) {
+        for (let next = index; next <= words.length; next++) {
+          walk(hash, next);
+        }
+      }
+
+      if (index === words.length) {
+        for (const subscriber of node.subscribers) {
+          matches.add(subscriber);
+        }
+        return;
+      }
+
+      const exact = node.children.get(words[index]);
+
+      if (exact) {
+        walk(exact, index + 1);
+      }
+
+      const star = node.children.get('*');
+
+      if (star) {
+        walk(star, index + 1);
+      }
+    };
+
+    walk(this.root, 0);
+
+    return matches;
+  }
+}
+
+module.exports = TopicTrie;
+module.exports.validatePattern = validatePattern;
@@ -16,6 +16,7 @@ class HealthMonitoringService {
     this.agentHealth = null;
     this.messageBus = null;
     this.agents = new Map();
+    this.circuitBreakers = new Map();
     this.checkInterval = config.monitoring?.checkInterval || 30000; // Default: 30 seconds
     this.heartbeatTimeout = config.monitoring?.heartbeatTimeout || 90000; // Default: 90 seconds
     this.intervalId = null;
@@ -82,6 +83,9 @@ class HealthMonitoringService {
     // Subscribe to agent status changes
     await this.messageBus.subscribeToEvent('agent.status-changed', this.handleStatusChange.bind(this));
     
+    // Subscribe to circuit breaker changes, to show which services are being shed
+    await this.messageBus.subscribeToEvent('circuit-breaker.state-changed', this.handleCircuitBreakerChange.bind(this));
+    
     // Start monitoring agents
     this.startMonitoring();
     
@@ -171,6 +175,33 @@ class HealthMonitoringService {
     }
   }
 
+  handleCircuitBreakerChange(data) {
+    const { service, state, previousState, reason, failures, forced, nextAttempt, timestamp } = data;
+    
+    this.circuitBreakers.set(service, {
+      state,
+      reason,
+      failures,
+      forced,
+      nextAttempt,
+      since: timestamp
+    });
+    
+    if (state === 'open') {
+      logger.warn(`Requests to ${service} are being shed: circuit opened (${reason})`);
+    } else if (previousState === 'open' || previousState === 'half-open') {
+      logger.info(`Circuit breaker of ${service} is ${state} (${reason})`);
+    }
+  }
+
+  /**
+   * Get the last known state of the circuit breakers that changed since startup
+   * @returns {Object} - Circuit breakers keyed by service
+   */
+  getCircuitBreakers() {
+    return Object.fromEntries(this.circuitBreakers);
+  }
+
   async attemptAgentRecovery(agentId, reason) {
     logger.info(`Attempting to recover agent ${agentId}`);
     
@@ -278,6 +309,22 @@ class HealthMonitoringService {
           timestamp: new Date().toISOString()
         });
       }
+      
+      // Report the services whose requests are being shed
+      if (this.messageBus) {
+        const openCircuits = [...this.circuitBreakers]
+          .filter(([, breaker]) => breaker.state !== 'closed')
+          .map(([service, breaker]) => ({ service, ...breaker }));
+        
+        await this.messageBus.publishEvent('system.health', {
+          component: 'circuitBreakers',
+          status: openCircuits.some(breaker => breaker.state === 'open') ? 'degraded' : 'healthy',
+          metrics: {
+            open: openCircuits
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
     } catch (error) {
       logger.error('Failed to check system health', error);
     }
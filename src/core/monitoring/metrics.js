@@ -0,0 +1,131 @@
+/**
+ * Metrics
+ * Prometheus registry and custom metrics of the application, served by the metrics server.
+ * Modules that only record metrics require this file rather than the server.
+ */
+
+const promClient = require('prom-client');
+
+// Create Registry for metrics
+const register = new promClient.Registry();
+
+// Add default metrics
+promClient.collectDefaultMetrics({ register });
+
+// Create custom metrics
+
+// API request counter
+const httpRequestCounter = new promClient.Counter({
+  name: 'landing_pad_http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status_code']
+});
+
+// API request duration histogram
+const httpRequestDuration = new promClient.Histogram({
+  name: 'landing_pad_http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10]
+});
+
+// Agent task counter
+const agentTaskCounter = new promClient.Counter({
+  name: 'landing_pad_agent_tasks_total',
+  help: 'Total number of agent tasks executed',
+  labelNames: ['agent', 'task_type', 'status']
+});
+
+// AI provider requests counter
+const aiProviderRequestCounter = new promClient.Counter({
+  name: 'landing_pad_ai_provider_requests_total',
+  help: 'Total number of requests to AI providers',
+  labelNames: ['provider', 'model', 'status']
+});
+
+// AI provider token usage gauge
+const aiProviderTokenUsage = new promClient.Gauge({
+  name: 'landing_pad_ai_provider_token_usage',
+  help: 'Token usage for AI provider requests',
+  labelNames: ['provider', 'model', 'type']
+});
+
+// Tokens used by AI calls, by the agent that made them
+const aiTokenCounter = new promClient.Counter({
+  name: 'landing_pad_ai_tokens_total',
+  help: 'Total number of input and output tokens used by AI provider calls',
+  labelNames: ['provider', 'model', 'agent', 'type']
+});
+
+// Cost of AI calls in US dollars, from the model price table
+const aiCostCounter = new promClient.Counter({
+  name: 'landing_pad_ai_cost_usd_total',
+  help: 'Total cost in US dollars of AI provider calls to models with a price',
+  labelNames: ['provider', 'model', 'agent']
+});
+
+// Database operation counter
+const dbOperationCounter = new promClient.Counter({
+  name: 'landing_pad_db_operations_total',
+  help: 'Total number of database operations',
+  labelNames: ['operation', 'collection', 'status']
+});
+
+// Message bus message counter
+const messageBusCounter = new promClient.Counter({
+  name: 'landing_pad_message_bus_messages_total',
+  help: 'Total number of messages processed by the message bus',
+  labelNames: ['type', 'status']
+});
+
+// Tasks running in each bulkhead pool
+const bulkheadActiveGauge = new promClient.Gauge({
+  name: 'landing_pad_bulkhead_active_tasks',
+  help: 'Number of tasks running in an agent or AI provider bulkhead',
+  labelNames: ['type', 'name']
+});
+
+// Tasks waiting in each bulkhead queue
+const bulkheadQueueDepthGauge = new promClient.Gauge({
+  name: 'landing_pad_bulkhead_queue_depth',
+  help: 'Number of tasks waiting in the queue of an agent or AI provider bulkhead',
+  labelNames: ['type', 'name']
+});
+
+// Tasks rejected because a bulkhead queue was full
+const bulkheadRejectionCounter = new promClient.Counter({
+  name: 'landing_pad_bulkhead_rejections_total',
+  help: 'Total number of tasks rejected because a bulkhead queue was full',
+  labelNames: ['type', 'name']
+});
+
+// Register custom metrics
+register.registerMetric(httpRequestCounter);
+register.registerMetric(httpRequestDuration);
+register.registerMetric(agentTaskCounter);
+register.registerMetric(aiProviderRequestCounter);
+register.registerMetric(aiProviderTokenUsage);
+register.registerMetric(aiTokenCounter);
+register.registerMetric(aiCostCounter);
+register.registerMetric(dbOperationCounter);
+register.registerMetric(messageBusCounter);
+register.registerMetric(bulkheadActiveGauge);
+register.registerMetric(bulkheadQueueDepthGauge);
+register.registerMetric(bulkheadRejectionCounter);
+
+// Export metrics objects for use in other modules
+module.exports = {
+  httpRequestCounter,
+  httpRequestDuration,
+  agentTaskCounter,
+  aiProviderRequestCounter,
+  aiProviderTokenUsage,
+  aiTokenCounter,
+  aiCostCounter,
+  dbOperationCounter,
+  messageBusCounter,
+  bulkheadActiveGauge,
+  bulkheadQueueDepthGauge,
+  bulkheadRejectionCounter,
+  register
+};
@@ -0,0 +1,173 @@
+// src/core/scheduling/cronExpression.js
+// Five-field cron expressions (minute hour day-of-month month day-of-week) for the
+// scheduler. Expressions are evaluated in UTC so every instance agrees on when a job
+// is due. Fields take `*`, lists, ranges and steps (`*/15`, `1-5`, `0,30`), months
+// and weekdays take names (`jan`, `mon-fri`), and the @hourly, @daily, @weekly,
+// @monthly and @yearly shorthands are accepted.
+const { ValidationError } = require('../error/errors');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const SHORTHANDS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MINUTE = 60 * 1000;
+
+// Give up looking for the next run after this many years, e.g. for `0 0 30 2 *`
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a field value, which may be a number or a month or weekday name
+ * @private
+ */
+function parseValue(text, field, expression) {
+  const lower = text.toLowerCase();
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+  const value = nameIndex !== -1 ? nameIndex + field.offset : Number(lower);
+
+  if (!/^\d+$/.test(lower) && nameIndex === -1) {
+    throw new ValidationError(`Invalid ${field.name} "${text}" in cron expression "${expression}"`, 'INVALID_CRON_EXPRESSION');
+  }
+
+  if (value < field.min || value > field.max) {
+    throw new ValidationError(
+      `${field.name} ${value} is out of range ${field.min}-${field.max} in cron expression "${expression}"`,
+      'INVALID_CRON_EXPRESSION'
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @private
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new ValidationError(`Invalid step "${stepText}" in cron expression "${expression}"`, 'INVALID_CRON_EXPRESSION');
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+    } else {
+      start = parseValue(range, field, expression);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new ValidationError(`Invalid range "${range}" in cron expression "${expression}"`, 'INVALID_CRON_EXPRESSION');
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+class CronExpression {
+  /**
+   * @param {string} expression - Cron expression, e.g. `0 6 * * mon-fri`
+   * @throws {ValidationError} - If the expression is invalid
+   */
+  constructor(expression) {
+    const source = String(expression || '').trim();
+    const fields = (SHORTHANDS[source.toLowerCase()] || source).split(/\s+/);
+
+    if (fields.length !== FIELDS.length) {
+      throw new ValidationError(`Cron expression "${source}" must have ${FIELDS.length} fields`, 'INVALID_CRON_EXPRESSION');
+    }
+
+    this.expression = source;
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      fields.map((text, index) => parseField(text, FIELDS[index], source));
+
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.add(0);
+    }
+
+    // As in cron, a day matches either day field when both are restricted
+    this.anyDayOfMonth = fields[2] === '*';
+    this.anyDayOfWeek = fields[4] === '*';
+  }
+
+  /**
+   * Check whether the expression matches the day of a date
+   * @private
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getUTCDay());
+
+    if (this.anyDayOfMonth || this.anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * Get the first time after a date that the expression matches
+   * @param {Date} [from] - Time to start from; now if omitted
+   * @returns {Date} - Next matching minute
+   * @throws {ValidationError} - If the expression never matches
+   */
+  next(from = new Date()) {
+    const date = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE);
+    const limit = from.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+
+    throw new ValidationError(`Cron expression "${this.expression}" never matches`, 'INVALID_CRON_EXPRESSION');
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,457 @@
+// src/core/scheduling/jobStore.js
+// PostgreSQL store for the scheduler: the state of each job (schedule, pause,
+// next run and the lock of the instance running it) and the history of its runs.
+// Instances claim a run by updating the job row only if it is still in the state
+// they read, so each scheduled run happens on exactly one instance. When PostgreSQL
+// can't be reached on startup, state is kept in memory for this process only.
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
+
+// Runs kept per job while state is in memory
+const MEMORY_RUN_LIMIT = 100;
+
+const toPlain = record => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+class JobStore {
+  constructor() {
+    this.sequelize = null;
+    this.ScheduledJob = null;
+    this.JobRun = null;
+    this.isConnected = false;
+    this.jobs = new Map();
+    this.runs = [];
+    this.nextRunId = 1;
+  }
+
+  async connect() {
+    try {
+      const dbConfig = config.database.postgres;
+      this.sequelize = new Sequelize(
+        dbConfig.database,
+        dbConfig.username,
+        dbConfig.password,
+        {
+          host: dbConfig.host,
+          port: dbConfig.port,
+          dialect: 'postgres',
+          logging: false,
+        }
+      );
+      instrumentSequelize(this.sequelize);
+
+      this.ScheduledJob = this.sequelize.define('scheduled_job', {
+        name: {
+          type: DataTypes.STRING,
+          primaryKey: true
+        },
+        schedule: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+        paused: {
+          type: DataTypes.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        nextRunAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+        runRequestedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+        lockedBy: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        lockedUntil: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+        lastRunAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+        lastStatus: {
+          type: DataTypes.STRING,
+          allowNull: true
+        }
+      });
+
+      this.JobRun = this.sequelize.define('scheduled_job_run', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        jobName: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        instanceId: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        trigger: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        status: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        startedAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+        finishedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+        durationMs: {
+          type: DataTypes.INTEGER,
+          allowNull: true
+        },
+        error: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        }
+      }, {
+        indexes: [
+          { fields: ['jobName', 'startedAt'] },
+          { fields: ['status'] }
+        ]
+      });
+
+      await this.ScheduledJob.sync();
+      await this.JobRun.sync();
+
+      this.isConnected = true;
+      logger.info('JobStore connected to PostgreSQL');
+    } catch (error) {
+      this.isConnected = false;
+      logger.warn(`PostgreSQL unavailable for the scheduler, keeping job state in memory: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a job, or update its schedule if it changed
+   * A job that is already stored keeps its pause and next run unless its schedule changed.
+   * @param {string} name - Job name
+   * @param {Object} job - Job definition
+   * @param {string} job.schedule - Cron expression
+   * @param {string} [job.description] - What the job does
+   * @param {Date} job.nextRunAt - Next run for a new or rescheduled job
+   * @returns {Promise<Object>} - Stored job
+   */
+  async ensureJob(name, { schedule, description = null, nextRunAt }) {
+    const existing = await this.getJob(name);
+
+    if (existing && existing.schedule === schedule && existing.description === description) {
+      return existing;
+    }
+
+    const changes = existing && existing.schedule === schedule
+      ? { description }
+      : { schedule, description, nextRunAt };
+
+    if (!this.isConnected) {
+      const job = {
+        name,
+        paused: false,
+        runRequestedAt: null,
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: null,
+        lastStatus: null,
+        ...existing,
+        ...changes
+      };
+
+      this.jobs.set(name, job);
+      return { ...job };
+    }
+
+    if (existing) {
+      await this.ScheduledJob.update(changes, { where: { name } });
+    } else {
+      await this.ScheduledJob.findOrCreate({ where: { name }, defaults: { name, ...changes } });
+    }
+
+    return this.getJob(name);
+  }
+
+  async getJob(name) {
+    if (!this.isConnected) {
+      return this.jobs.has(name) ? { ...this.jobs.get(name) } : null;
+    }
+
+    return toPlain(await this.ScheduledJob.findByPk(name));
+  }
+
+  async listJobs() {
+    if (!this.isConnected) {
+      return [...this.jobs.values()]
+        .map(job => ({ ...job }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const jobs = await this.ScheduledJob.findAll({ order: [['name', 'ASC']] });
+    return jobs.map(toPlain);
+  }
+
+  /**
+   * Take the lock of a job to run it
+   * The claim only succeeds if the job is unlocked and its next run and run request
+   * are still those the caller read, so no other instance claimed the same run.
+   * @param {string} name - Job name
+   * @param {string} instanceId - Instance running the job
+   * @param {Object} claim - Claim
+   * @param {Object} claim.expected - Job state the caller read
+   * @param {Date} claim.now - Current time
+   * @param {Date} claim.lockedUntil - When the lock lapses if it isn't released
+   * @param {Date} [claim.nextRunAt] - Next scheduled run; unchanged if omitted
+   * @returns {Promise<boolean>} - true if the caller may run the job
+   */
+  async claim(name, instanceId, { expected, now, lockedUntil, nextRunAt }) {
+    const changes = {
+      lockedBy: instanceId,
+      lockedUntil,
+      runRequestedAt: null,
+      ...(nextRunAt !== undefined && { nextRunAt })
+    };
+
+    if (!this.isConnected) {
+      const job = this.jobs.get(name);
+      const unchanged = job &&
+        sameTime(job.nextRunAt, expected.nextRunAt) &&
+        sameTime(job.runRequestedAt, expected.runRequestedAt);
+
+      if (!unchanged || (job.lockedUntil && job.lockedUntil > now)) {
+        return false;
+      }
+
+      Object.assign(job, changes);
+      return true;
+    }
+
+    const [claimed] = await this.ScheduledJob.update(changes, {
+      where: {
+        name,
+        nextRunAt: expected.nextRunAt,
+        runRequestedAt: expected.runRequestedAt,
+        [Op.or]: [
+          { lockedUntil: null },
+          { lockedUntil: { [Op.lt]: now } }
+        ]
+      }
+    });
+
+    return claimed === 1;
+  }
+
+  /**
+   * Keep holding the lock of a job that is still running
+   * @param {string} name - Job name
+   * @param {string} instanceId - Instance running the job
+   * @param {Date} lockedUntil - New lapse time of the lock
+   */
+  async extendLock(name, instanceId, lockedUntil) {
+    if (!this.isConnected) {
+      const job = this.jobs.get(name);
+
+      if (job && job.lockedBy === instanceId) {
+        job.lockedUntil = lockedUntil;
+      }
+      return;
+    }
+
+    await this.ScheduledJob.update({ lockedUntil }, { where: { name, lockedBy: instanceId } });
+  }
+
+  /**
+   * Release the lock of a job after a run
+   * @param {string} name - Job name
+   * @param {string} instanceId - Instance that ran the job
+   * @param {Object} outcome - Outcome of the run
+   * @param {Date} outcome.lastRunAt - Start of the run
+   * @param {string} outcome.lastStatus - Status of the run
+   */
+  async release(name, instanceId, { lastRunAt, lastStatus }) {
+    const changes = { lockedBy: null, lockedUntil: null, lastRunAt, lastStatus };
+
+    if (!this.isConnected) {
+      const job = this.jobs.get(name);
+
+      if (job && job.lockedBy === instanceId) {
+        Object.assign(job, changes);
+      }
+      return;
+    }
+
+    await this.ScheduledJob.update(changes, { where: { name, lockedBy: instanceId } });
+  }
+
+  /**
+   * Ask the instance that has a job registered to run it on its next tick
+   * @param {string} name - Job name
+   * @param {Date} requestedAt - Time of the request
+   * @returns {Promise<boolean>} - false if there is no such job
+   */
+  async requestRun(name, requestedAt) {
+    if (!this.isConnected) {
+      const job = this.jobs.get(name);
+
+      if (job) {
+        job.runRequestedAt = requestedAt;
+      }
+      return Boolean(job);
+    }
+
+    const [updated] = await this.ScheduledJob.update({ runRequestedAt: requestedAt }, { where: { name } });
+    return updated === 1;
+  }
+
+  /**
+   * Pause or resume a job
+   * @param {string} name - Job name
+   * @param {boolean} paused - Whether the job is paused
+   * @param {Date} [nextRunAt] - Next run of a resumed job
+   * @returns {Promise<Object|null>} - Updated job, or null if there is no such job
+   */
+  async setPaused(name, paused, nextRunAt) {
+    const changes = { paused, ...(nextRunAt !== undefined && { nextRunAt }) };
+
+    if (!this.isConnected) {
+      const job = this.jobs.get(name);
+
+      if (!job) {
+        return null;
+      }
+
+      Object.assign(job, changes);
+      return { ...job };
+    }
+
+    const [updated] = await this.ScheduledJob.update(changes, { where: { name } });
+    return updated === 1 ? this.getJob(name) : null;
+  }
+
+  /**
+   * Record the start of a run
+   * @param {Object} run - Run
+   * @param {string} run.jobName - Job name
+   * @param {string} run.instanceId - Instance running the job
+   * @param {string} run.trigger - What started the run, see JobTrigger
+   * @param {Date} run.startedAt - Start of the run
+   * @returns {Promise<Object>} - Stored run
+   */
+  async createRun(run) {
+    const started = { ...run, status: 'running', finishedAt: null, durationMs: null, error: null };
+
+    if (!this.isConnected) {
+      const stored = { id: this.nextRunId++, ...started };
+      this.runs.push(stored);
+
+      const jobRuns = this.runs.filter(entry => entry.jobName === run.jobName);
+      if (jobRuns.length > MEMORY_RUN_LIMIT) {
+        this.runs.splice(this.runs.indexOf(jobRuns[0]), 1);
+      }
+
+      return { ...stored };
+    }
+
+    return toPlain(await this.JobRun.create(started));
+  }
+
+  /**
+   * Record the outcome of a run
+   * @param {number} id - Run ID
+   * @param {Object} outcome - Outcome
+   * @param {string} outcome.status - succeeded or failed
+   * @param {Date} outcome.finishedAt - End of the run
+   * @param {number} outcome.durationMs - Duration of the run
+   * @param {string} [outcome.error] - Error message of a failed run
+   */
+  async finishRun(id, { status, finishedAt, durationMs, error = null }) {
+    const changes = { status, finishedAt, durationMs, error };
+
+    if (!this.isConnected) {
+      const run = this.runs.find(entry => entry.id === id);
+
+      if (run) {
+        Object.assign(run, changes);
+      }
+      return;
+    }
+
+    await this.JobRun.update(changes, { where: { id } });
+  }
+
+  /**
+   * Get the runs of a job, newest first
+   * @param {string} name - Job name
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Only runs with this status
+   * @param {number} [options.limit] - Maximum number of runs
+   * @returns {Promise<Array<Object>>} - Runs
+   */
+  async findRuns(name, { status, limit = 20 } = {}) {
+    if (!this.isConnected) {
+      return this.runs
+        .filter(run => run.jobName === name && (!status || run.status === status))
+        .sort((a, b) => b.startedAt - a.startedAt || b.id - a.id)
+        .slice(0, limit)
+        .map(run => ({ ...run }));
+    }
+
+    const runs = await this.JobRun.findAll({
+      where: { jobName: name, ...(status && { status }) },
+      order: [['startedAt', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    return runs.map(toPlain);
+  }
+
+  /**
+   * Delete the runs of a job that started before a date
+   * @param {string} name - Job name
+   * @param {Date} before - Runs started before this date are deleted
+   * @returns {Promise<number>} - Number of runs deleted
+   */
+  async deleteRunsBefore(name, before) {
+    if (!this.isConnected) {
+      const kept = this.runs.filter(run => run.jobName !== name || run.startedAt >= before);
+      const deleted = this.runs.length - kept.length;
+
+      this.runs = kept;
+      return deleted;
+    }
+
+    const deleted = await this.JobRun.destroy({ where: { jobName: name, startedAt: { [Op.lt]: before } } });
+    return deleted;
+  }
+
+  async close() {
+    if (this.sequelize) {
+      await this.sequelize.close();
+      this.sequelize = null;
+    }
+
+    this.isConnected = false;
+  }
+}
+
+module.exports = JobStore;
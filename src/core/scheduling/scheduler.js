@@ -0,0 +1,358 @@
+// src/core/scheduling/scheduler.js
+// Central scheduler for the periodic work of agents and modules. Jobs are registered
+// with a cron expression by the instances that can run them; every instance ticks,
+// but a run is claimed through the job store so only one instance performs it. Each
+// run is recorded with its trigger, duration and outcome, and jobs can be listed,
+// triggered, paused and resumed from the API and CLI of any instance.
+const os = require('os');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { getTracer } = require('../tracing');
+const CronExpression = require('./cronExpression');
+const JobStore = require('./jobStore');
+
+// What started a run
+const JobTrigger = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+// Outcome of a run
+const JobStatus = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class Scheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {JobStore} [options.store] - Store of job state and history
+   * @param {string} [options.instanceId] - ID of this instance in job locks and runs
+   * @param {number} [options.tickInterval] - Milliseconds between checks for due jobs
+   * @param {number} [options.lockTtl] - Milliseconds a job lock is held without renewal
+   * @param {number} [options.historyRetentionDays] - Days runs are kept
+   */
+  constructor({
+    store = new JobStore(),
+    instanceId = `${os.hostname()}-${process.pid}`,
+    tickInterval = 15000,
+    lockTtl = 5 * 60 * 1000,
+    historyRetentionDays = 30
+  } = {}) {
+    this.store = store;
+    this.instanceId = instanceId;
+    this.tickInterval = tickInterval;
+    this.lockTtl = lockTtl;
+    this.historyRetentionDays = historyRetentionDays;
+    this.jobs = new Map();
+    this.running = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  async init() {
+    await this.store.connect();
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Scheduler tick failed', error));
+    }, this.tickInterval);
+    this.timer.unref();
+
+    logger.info(`Scheduler started on instance ${this.instanceId}`);
+    return this;
+  }
+
+  /**
+   * Register a job this instance can run
+   * @param {string} name - Job name, e.g. content-strategy.trend-refresh
+   * @param {Object} job - Job definition
+   * @param {string} job.schedule - Cron expression, evaluated in UTC
+   * @param {Function} job.handler - Function performing the job
+   * @param {string} [job.description] - What the job does
+   * @param {boolean} [job.runImmediately] - Run a job that has never run right away
+   *   rather than at its first scheduled time
+   * @returns {Promise<Object>} - Stored job
+   * @throws {ValidationError} - If the schedule is not a valid cron expression
+   */
+  async register(name, { schedule, handler, description = null, runImmediately = false }) {
+    const cron = new CronExpression(schedule);
+    const now = new Date();
+
+    this.jobs.set(name, { name, cron, handler, description });
+
+    const stored = await this.store.ensureJob(name, {
+      schedule: cron.toString(),
+      description,
+      nextRunAt: runImmediately ? now : cron.next(now)
+    });
+
+    logger.info(`Registered job ${name} (${cron}), next run at ${stored.nextRunAt ? new Date(stored.nextRunAt).toISOString() : 'none'}`);
+    return stored;
+  }
+
+  /**
+   * Stop running a job on this instance; its state and history are kept
+   * @param {string} name - Job name
+   */
+  unregister(name) {
+    this.jobs.delete(name);
+  }
+
+  /**
+   * Start the registered jobs that are due or were triggered from another instance
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      for (const job of this.jobs.values()) {
+        if (this.running.has(job.name)) {
+          continue;
+        }
+
+        const state = await this.store.getJob(job.name);
+        const now = new Date();
+        const requested = state && state.runRequestedAt;
+        const due = state && !state.paused && state.nextRunAt && new Date(state.nextRunAt) <= now;
+
+        if (!requested && !due) {
+          continue;
+        }
+
+        const claimed = await this.store.claim(job.name, this.instanceId, {
+          expected: state,
+          now,
+          lockedUntil: new Date(now.getTime() + this.lockTtl),
+          ...(due && { nextRunAt: job.cron.next(now) })
+        });
+
+        if (claimed) {
+          this._startRun(job, requested ? JobTrigger.MANUAL : JobTrigger.SCHEDULE)
+            .catch(error => logger.error(`Failed to start job ${job.name}`, error));
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a job now
+   * A job registered on this instance starts right away; any other job runs on the
+   * next tick of an instance that has it registered.
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} - { run } of a started run, { requested: true } of a
+   *   requested one or { running: true } if the job is running; null if there is no such job
+   */
+  async trigger(name) {
+    const state = await this.store.getJob(name);
+
+    if (!state) {
+      return null;
+    }
+
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      await this.store.requestRun(name, new Date());
+      logger.info(`Requested a run of job ${name}`);
+      return { requested: true };
+    }
+
+    const now = new Date();
+    const claimed = !this.running.has(name) && await this.store.claim(name, this.instanceId, {
+      expected: state,
+      now,
+      lockedUntil: new Date(now.getTime() + this.lockTtl)
+    });
+
+    if (!claimed) {
+      return { running: true };
+    }
+
+    const { run } = await this._startRun(job, JobTrigger.MANUAL);
+    return { run };
+  }
+
+  /**
+   * Stop scheduling a job until it is resumed; runs in progress finish
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} - Updated job, or null if there is no such job
+   */
+  async pause(name) {
+    const job = await this.store.setPaused(name, true);
+
+    if (job) {
+      logger.info(`Paused job ${name}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Schedule a paused job again from its next scheduled time
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} - Updated job, or null if there is no such job
+   */
+  async resume(name) {
+    const state = await this.store.getJob(name);
+
+    if (!state) {
+      return null;
+    }
+
+    const job = await this.store.setPaused(name, false, new CronExpression(state.schedule).next(new Date()));
+    logger.info(`Resumed job ${name}`);
+
+    return job;
+  }
+
+  /**
+   * List every job with its state and whether this instance can run it
+   * @returns {Promise<Array<Object>>} - Jobs
+   */
+  async listJobs() {
+    const jobs = await this.store.listJobs();
+    return jobs.map(job => this._describeJob(job));
+  }
+
+  /**
+   * Get a job with its latest runs
+   * @param {string} name - Job name
+   * @param {Object} [options] - Run query options, see getRuns
+   * @returns {Promise<Object|null>} - Job, or null if there is no such job
+   */
+  async getJob(name, options = {}) {
+    const job = await this.store.getJob(name);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      ...this._describeJob(job),
+      runs: await this.store.findRuns(name, options)
+    };
+  }
+
+  /**
+   * Get the run history of a job, newest first
+   * @param {string} name - Job name
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Only runs with this status, see JobStatus
+   * @param {number} [options.limit] - Maximum number of runs
+   * @returns {Promise<Array<Object>|null>} - Runs, or null if there is no such job
+   */
+  async getRuns(name, options = {}) {
+    if (!await this.store.getJob(name)) {
+      return null;
+    }
+
+    return this.store.findRuns(name, options);
+  }
+
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await Promise.all([...this.running.values()].map(({ done }) => done));
+    await this.store.close();
+  }
+
+  _describeJob(job) {
+    return {
+      ...job,
+      registered: this.jobs.has(job.name),
+      running: Boolean(job.lockedBy && job.lockedUntil && new Date(job.lockedUntil) > new Date())
+    };
+  }
+
+  /**
+   * Run a claimed job in the background, recording the run and renewing the lock
+   * @private
+   * @returns {Promise<Object>} - { run, done } once the run is recorded
+   */
+  async _startRun(job, trigger) {
+    const startedAt = new Date();
+    let run;
+
+    try {
+      run = await this.store.createRun({ jobName: job.name, instanceId: this.instanceId, trigger, startedAt });
+    } catch (error) {
+      await this.store.release(job.name, this.instanceId, { lastRunAt: startedAt, lastStatus: JobStatus.FAILED });
+      throw error;
+    }
+
+    const renewal = setInterval(() => {
+      this.store.extendLock(job.name, this.instanceId, new Date(Date.now() + this.lockTtl))
+        .catch(error => logger.warn(`Failed to renew the lock of job ${job.name}: ${error.message}`));
+    }, Math.max(1000, Math.floor(this.lockTtl / 2)));
+    renewal.unref();
+
+    const done = this._performRun(job, trigger, run, startedAt)
+      .finally(() => {
+        clearInterval(renewal);
+        this.running.delete(job.name);
+      });
+
+    this.running.set(job.name, { run, done });
+    return { run, done };
+  }
+
+  /**
+   * @private
+   */
+  async _performRun(job, trigger, run, startedAt) {
+    let status = JobStatus.SUCCEEDED;
+    let errorMessage = null;
+
+    logger.info(`Running job ${job.name}`, { trigger, runId: run.id });
+
+    try {
+      await getTracer().withSpan(`job ${job.name}`, { attributes: { 'job.name': job.name, 'job.trigger': trigger } }, () => job.handler());
+    } catch (error) {
+      status = JobStatus.FAILED;
+      errorMessage = error.message;
+      logger.error(`Job ${job.name} failed`, error);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+
+    try {
+      await this.store.finishRun(run.id, { status, finishedAt, durationMs, error: errorMessage });
+      await this.store.release(job.name, this.instanceId, { lastRunAt: startedAt, lastStatus: status });
+      await this.store.deleteRunsBefore(job.name, new Date(finishedAt.getTime() - this.historyRetentionDays * DAY));
+    } catch (error) {
+      logger.error(`Failed to record run of job ${job.name}`, error);
+    }
+
+    logger.info(`Job ${job.name} ${status} in ${durationMs}ms`, { runId: run.id });
+    return { ...run, status, finishedAt, durationMs, error: errorMessage };
+  }
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+module.exports = {
+  Scheduler,
+  JobTrigger,
+  JobStatus,
+  getInstance: async () => {
+    if (!schedulerInstance) {
+      schedulerInstance = new Scheduler(config.scheduler);
+      await schedulerInstance.init();
+    }
+    return schedulerInstance;
+  }
+};
@@ -0,0 +1,110 @@
+// src/core/tracing/index.js
+// Shared tracer of the process and the hooks that attach it to Sequelize and winston.
+// Traces start at the entry points (API requests); messages, AI provider calls and
+// database writes made while handling one become spans of its trace.
+const winston = require('winston');
+const config = require('../../config');
+const OtlpExporter = require('./otlpExporter');
+const {
+  Tracer,
+  currentSpan,
+  runInSpan,
+  getTraceContext,
+  parseTraceparent,
+  formatTraceparent
+} = require('./tracer');
+
+// Sequelize query types that change data
+const WRITE_QUERY_TYPES = ['INSERT', 'UPDATE', 'UPSERT', 'DELETE', 'BULKUPDATE', 'BULKDELETE'];
+
+let tracer = null;
+
+/**
+ * Get the tracer of this process, creating it from the tracing configuration
+ * Spans are exported to an OpenTelemetry collector when an endpoint is configured.
+ * @returns {Tracer} - Tracer
+ */
+function getTracer() {
+  if (!tracer) {
+    const settings = config.tracing || {};
+
+    tracer = new Tracer({
+      serviceName: settings.serviceName,
+      maxTraces: settings.maxTraces
+    });
+
+    if (settings.exporterEndpoint) {
+      tracer.addExporter(new OtlpExporter({
+        endpoint: settings.exporterEndpoint,
+        serviceName: tracer.serviceName
+      }));
+    }
+  }
+
+  return tracer;
+}
+
+/**
+ * Record the writes made through a Sequelize instance as spans of the current trace
+ * Writes outside a trace are not recorded. Statements are left out of the span, as
+ * their values may hold user content.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Sequelize} - The same instance
+ */
+function instrumentSequelize(sequelize) {
+  const spans = new WeakMap();
+
+  sequelize.addHook('beforeQuery', (options, query) => {
+    if (!WRITE_QUERY_TYPES.includes(options.type) || !currentSpan()) {
+      return;
+    }
+
+    const model = options.model || query.model;
+
+    spans.set(query, getTracer().startSpan(`db ${options.type.toLowerCase()}${model ? ` ${model.getTableName()}` : ''}`, {
+      kind: 'client',
+      attributes: {
+        'db.system': 'postgresql',
+        'db.name': sequelize.config.database,
+        'db.operation': options.type,
+        ...(model && { 'db.sql.table': String(model.getTableName()) })
+      }
+    }));
+  });
+
+  sequelize.addHook('afterQuery', (options, query) => {
+    const span = spans.get(query);
+
+    if (span) {
+      spans.delete(query);
+      span.end();
+    }
+  });
+
+  return sequelize;
+}
+
+/**
+ * winston format adding the IDs of the current trace to log entries
+ */
+const traceLogFormat = winston.format((info) => {
+  const context = getTraceContext();
+
+  if (context) {
+    info.traceId = context.traceId;
+    info.spanId = context.spanId;
+  }
+
+  return info;
+});
+
+module.exports = {
+  getTracer,
+  instrumentSequelize,
+  traceLogFormat,
+  currentSpan,
+  runInSpan,
+  getTraceContext,
+  parseTraceparent,
+  formatTraceparent
+};
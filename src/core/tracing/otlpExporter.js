@@ -0,0 +1,163 @@
+// src/core/tracing/otlpExporter.js
+// Sends finished spans to an OpenTelemetry collector with OTLP over HTTP (JSON).
+// Spans are batched and sent every few seconds; if the collector can't be reached
+// the batch is dropped, so tracing never holds up or fails the traced work.
+const logger = require('../utils/logger');
+
+// OTLP enum values
+const SPAN_KIND_CODES = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5
+};
+
+const STATUS_CODES = {
+  unset: 0,
+  ok: 1,
+  error: 2
+};
+
+/**
+ * Convert a millisecond timestamp to OTLP nanoseconds
+ * @param {number} ms - Timestamp in milliseconds
+ * @returns {string} - Nanoseconds since the epoch
+ */
+function toNanos(ms) {
+  return (BigInt(Math.floor(ms)) * 1000000n + BigInt(Math.round((ms % 1) * 1e6))).toString();
+}
+
+/**
+ * Convert attributes to OTLP key/value pairs
+ * @param {Object} attributes - Attributes
+ * @returns {Array} - OTLP attributes
+ */
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+
+    if (typeof value === 'number') {
+      return { key, value: Number.isInteger(value) ? { intValue: value } : { doubleValue: value } };
+    }
+
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+class OtlpExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Collector URL, e.g. http://localhost:4318
+   * @param {string} options.serviceName - Service name of the exported spans
+   * @param {number} [options.interval] - Milliseconds between batches
+   * @param {number} [options.maxBatchSize] - Spans per request
+   * @param {number} [options.maxQueueSize] - Spans kept while waiting; the oldest are dropped
+   */
+  constructor({ endpoint, serviceName, interval = 5000, maxBatchSize = 512, maxQueueSize = 2048 }) {
+    this.url = `${endpoint.replace(/\/+$/, '')}/v1/traces`;
+    this.serviceName = serviceName;
+    this.maxBatchSize = maxBatchSize;
+    this.maxQueueSize = maxQueueSize;
+    this.queue = [];
+    this.failing = false;
+
+    this.timer = setInterval(() => {
+      this.flush();
+    }, interval);
+    this.timer.unref();
+  }
+
+  export(span) {
+    this.queue.push(span);
+
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.shift();
+    }
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Build an OTLP export request
+   * @param {Array} spans - Finished spans
+   * @returns {Object} - ExportTraceServiceRequest as JSON
+   */
+  toRequest(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toAttributes({ 'service.name': this.serviceName })
+        },
+        scopeSpans: [{
+          scope: { name: 'landing-pad-ai-agents' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+            name: span.name,
+            kind: SPAN_KIND_CODES[span.kind],
+            startTimeUnixNano: toNanos(span.startTime),
+            endTimeUnixNano: toNanos(span.endTime),
+            attributes: toAttributes(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: toNanos(event.time),
+              attributes: toAttributes(event.attributes)
+            })),
+            status: {
+              code: STATUS_CODES[span.status.code],
+              ...(span.status.message && { message: span.status.message })
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Send the queued spans
+   * @returns {Promise<void>} - Resolves once sent or dropped
+   */
+  async flush() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatchSize);
+
+      try {
+        const response = await fetch(this.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(this.toRequest(batch)),
+          signal: AbortSignal.timeout(10000)
+        });
+
+        if (!response.ok) {
+          throw new Error(`Collector responded with ${response.status}`);
+        }
+
+        if (this.failing) {
+          this.failing = false;
+          logger.info(`Exporting traces to ${this.url} again`);
+        }
+      } catch (error) {
+        // Warn once until the collector is back, rather than for every batch
+        if (!this.failing) {
+          this.failing = true;
+          logger.warn(`Could not export traces to ${this.url}, dropping spans until it is reachable: ${error.message}`);
+        }
+        return;
+      }
+    }
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+module.exports = OtlpExporter;
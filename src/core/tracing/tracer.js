@@ -0,0 +1,363 @@
+// src/core/tracing/tracer.js
+// Trace context for following one request through the API, the message bus, the
+// agents, AI providers and database writes. The current span is kept in
+// AsyncLocalStorage, so it follows the request across awaits and callbacks without
+// being passed around. Span and trace IDs follow the W3C trace context format and
+// travel between processes in `traceparent` headers and message metadata.
+// Finished spans are kept per trace for /system/traces/:traceId and handed to the
+// exporters, e.g. the OTLP exporter for an OpenTelemetry collector.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const SPAN_KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Current time in milliseconds since the epoch, with sub-millisecond precision
+ * @returns {number} - Timestamp
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Generate a random ID of hex characters
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex ID
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Parse a W3C traceparent value
+ * @param {string} value - e.g. `00-<traceId>-<spanId>-01`
+ * @returns {Object|null} - traceId and spanId of the remote parent, or null if invalid
+ */
+function parseTraceparent(value) {
+  const match = typeof value === 'string' && TRACEPARENT_PATTERN.exec(value.trim().toLowerCase());
+
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+
+  return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * Format a span as a W3C traceparent value
+ * @param {Object} span - Span, or any object with traceId and spanId
+ * @returns {string} - traceparent value
+ */
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+class Span {
+  /**
+   * @param {Tracer} tracer - Tracer that records the span when it ends
+   * @param {string} name - Operation name, e.g. `publish content-creation.execute-task`
+   * @param {Object} options - Span options
+   * @param {string} options.kind - One of SPAN_KINDS
+   * @param {Object} [options.parent] - Parent span or remote parent (traceId, spanId)
+   * @param {Object} [options.attributes] - Attributes describing the operation
+   */
+  constructor(tracer, name, { kind, parent, attributes }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'unset' };
+    this.startTime = now();
+    this.endTime = null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error} error - Error that ended the operation
+   */
+  recordError(error) {
+    this.status = { code: 'error', message: error.message };
+
+    return this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message
+    });
+  }
+
+  /**
+   * End the span and record it; ending a span twice has no effect
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+
+    this.endTime = now();
+
+    if (this.status.code === 'unset') {
+      this.status = { code: 'ok' };
+    }
+
+    this.tracer.record(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: this.endTime !== null ? new Date(this.endTime).toISOString() : null,
+      durationMs: this.endTime !== null ? Number((this.endTime - this.startTime).toFixed(3)) : null,
+      attributes: this.attributes,
+      events: this.events.map(event => ({ ...event, time: new Date(event.time).toISOString() })),
+      status: this.status
+    };
+  }
+}
+
+class Tracer {
+  /**
+   * @param {Object} [options] - Tracer options
+   * @param {string} [options.serviceName] - Name of this process in exported traces
+   * @param {number} [options.maxTraces] - Number of recent traces kept for lookup
+   * @param {number} [options.maxSpansPerTrace] - Spans kept per trace
+   */
+  constructor({ serviceName = 'landing-pad-ai-agents', maxTraces = 1000, maxSpansPerTrace = 1000 } = {}) {
+    this.serviceName = serviceName;
+    this.maxTraces = maxTraces;
+    this.maxSpansPerTrace = maxSpansPerTrace;
+    // Finished spans by trace ID; Map order gives the oldest trace to evict
+    this.traces = new Map();
+    this.exporters = [];
+  }
+
+  /**
+   * Start a span as a child of the current span, or of options.parent
+   * A span without a parent starts a new trace. The span does not become the
+   * current span; use withSpan() to run code inside it.
+   * @param {string} name - Operation name
+   * @param {Object} [options] - Span options
+   * @param {string} [options.kind] - One of SPAN_KINDS, default 'internal'
+   * @param {Object} [options.parent] - Parent span or remote parent (traceId, spanId)
+   * @param {Object} [options.attributes] - Attributes describing the operation
+   * @returns {Span} - Started span
+   */
+  startSpan(name, { kind = 'internal', parent = currentSpan(), attributes = {} } = {}) {
+    if (!SPAN_KINDS.includes(kind)) {
+      throw new Error(`Unknown span kind '${kind}'`);
+    }
+
+    return new Span(this, name, { kind, parent, attributes });
+  }
+
+  /**
+   * Run a function inside a new span
+   * The span ends when the function (or the promise it returns) settles and is
+   * marked as failed if it throws.
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options, see startSpan()
+   * @param {Function} fn - Function to run, called with the span
+   * @returns {*} - Result of the function
+   */
+  withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    return storage.run(span, () => {
+      let result;
+
+      try {
+        result = fn(span);
+      } catch (error) {
+        span.recordError(error);
+        span.end();
+        throw error;
+      }
+
+      if (!result || typeof result.then !== 'function') {
+        span.end();
+        return result;
+      }
+
+      return result.then(
+        (value) => {
+          span.end();
+          return value;
+        },
+        (error) => {
+          span.recordError(error);
+          span.end();
+          throw error;
+        }
+      );
+    });
+  }
+
+  /**
+   * Run a function inside a span if a trace is active, and untraced otherwise
+   * For work that should be part of a request's trace but would only add noise
+   * as a trace of its own, such as database writes or heartbeats.
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options, see startSpan()
+   * @param {Function} fn - Function to run, called with the span or null
+   * @returns {*} - Result of the function
+   */
+  withChildSpan(name, options, fn) {
+    if (!options.parent && !currentSpan()) {
+      return fn(null);
+    }
+
+    return this.withSpan(name, options, fn);
+  }
+
+  /**
+   * Keep a finished span and pass it to the exporters
+   * @param {Span} span - Finished span
+   */
+  record(span) {
+    let spans = this.traces.get(span.traceId);
+
+    if (!spans) {
+      spans = [];
+      this.traces.set(span.traceId, spans);
+
+      if (this.traces.size > this.maxTraces) {
+        this.traces.delete(this.traces.keys().next().value);
+      }
+    }
+
+    if (spans.length < this.maxSpansPerTrace) {
+      spans.push(span);
+    }
+
+    for (const exporter of this.exporters) {
+      exporter.export(span);
+    }
+  }
+
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+  }
+
+  /**
+   * Reconstruct the timeline of a trace from the spans recorded in this process
+   * @param {string} traceId - Trace ID
+   * @returns {Object|null} - Timeline with spans in start order, or null if unknown
+   */
+  getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+
+    if (!spans) {
+      return null;
+    }
+
+    const ordered = [...spans].sort((a, b) => a.startTime - b.startTime);
+    const start = ordered[0].startTime;
+    const end = Math.max(...ordered.map(span => span.endTime));
+    const byId = new Map(ordered.map(span => [span.spanId, span]));
+
+    // Depth in the span tree; spans whose parent is in another process count as roots
+    const depthOf = (span) => {
+      let depth = 0;
+
+      for (let parent = byId.get(span.parentSpanId); parent && depth < ordered.length; parent = byId.get(parent.parentSpanId)) {
+        depth++;
+      }
+
+      return depth;
+    };
+
+    return {
+      traceId,
+      startTime: new Date(start).toISOString(),
+      durationMs: Number((end - start).toFixed(3)),
+      spanCount: ordered.length,
+      service: this.serviceName,
+      spans: ordered.map(span => ({
+        ...span.toJSON(),
+        offsetMs: Number((span.startTime - start).toFixed(3)),
+        depth: depthOf(span)
+      }))
+    };
+  }
+
+  /**
+   * Flush and stop the exporters
+   */
+  async shutdown() {
+    await Promise.all(this.exporters.map(exporter => exporter.shutdown()));
+  }
+}
+
+/**
+ * Span the current code runs in
+ * @returns {Span|null} - Current span
+ */
+function currentSpan() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run a function with a span as the current span
+ * For spans that outlive the function, e.g. an HTTP request that ends when the
+ * response is sent; the caller ends the span.
+ * @param {Span} span - Span to make current
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runInSpan(span, fn) {
+  return storage.run(span, fn);
+}
+
+/**
+ * IDs of the current trace, for logs and message metadata
+ * @returns {Object|null} - traceId and spanId, or null outside a trace
+ */
+function getTraceContext() {
+  const span = currentSpan();
+
+  return span ? { traceId: span.traceId, spanId: span.spanId } : null;
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  SPAN_KINDS,
+  currentSpan,
+  runInSpan,
+  getTraceContext,
+  parseTraceparent,
+  formatTraceparent
+};
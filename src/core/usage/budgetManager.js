@@ -0,0 +1,418 @@
+// src/core/usage/budgetManager.js
+// Monthly AI spend budgets of users, teams and agents, checked before every AI call.
+// A call counts against the budgets of the user, team and agent it is attributed to,
+// and their spend is what the usage tracker recorded since the start of the calendar
+// month (UTC). Past a budget's warning share an ai.budget-warning event is published
+// once a month, past its downgrade share calls use the provider's fast model instead
+// of its default one, and once it is spent calls are rejected until the month ends.
+const Joi = require('joi');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { RateLimitError, ValidationError } = require('../error/errors');
+const { getInstance: getMessageBus } = require('../messaging/messageBus');
+const { getInstance: getUsageTracker } = require('./usageTracker');
+const { getUsageAttribution } = require('./usageContext');
+const BudgetStore = require('./budgetStore');
+
+// Who a budget is for
+const BudgetScope = {
+  USER: 'user',
+  TEAM: 'team',
+  AGENT: 'agent'
+};
+
+// Usage attribution field naming the subject of each scope
+const SCOPE_FIELDS = {
+  [BudgetScope.USER]: 'userId',
+  [BudgetScope.TEAM]: 'team',
+  [BudgetScope.AGENT]: 'agent'
+};
+
+// How much of a budget is spent this month
+const BudgetStatus = {
+  OK: 'ok',
+  WARNING: 'warning',
+  DOWNGRADED: 'downgraded',
+  EXCEEDED: 'exceeded'
+};
+
+const budgetSettingsSchema = Joi.object({
+  monthlyLimit: Joi.number().positive().required(),
+  warnAt: Joi.number().greater(0).max(1),
+  downgradeAt: Joi.number().greater(0).max(1)
+});
+
+const budgetKey = (scope, subject) => `${scope}:${subject}`;
+
+// Calendar months in UTC, e.g. 2025-03
+const monthOf = date => date.toISOString().slice(0, 7);
+const monthStart = month => new Date(`${month}-01T00:00:00.000Z`);
+const nextMonthStart = month => {
+  const start = monthStart(month);
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+};
+
+const roundCost = cost => Math.round(cost * 1000000) / 1000000;
+
+class BudgetManager {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {BudgetStore} [options.store] - Record of budgets
+   * @param {UsageTracker} [options.usageTracker] - Source of spend; the shared tracker if omitted
+   * @param {MessageBus} [options.messageBus] - Bus for warning events; the shared bus if omitted
+   * @param {number} [options.refreshInterval] - Milliseconds budgets and spend are cached for
+   * @param {number} [options.warnAt] - Default share of a budget at which to warn
+   * @param {number} [options.downgradeAt] - Default share of a budget from which to use the fast model
+   */
+  constructor({
+    store = new BudgetStore(),
+    usageTracker = null,
+    messageBus = null,
+    refreshInterval = 60000,
+    warnAt = 0.8,
+    downgradeAt = 0.9
+  } = {}) {
+    this.store = store;
+    this.usageTracker = usageTracker;
+    this.messageBus = messageBus;
+    this.refreshInterval = refreshInterval;
+    this.warnAt = warnAt;
+    this.downgradeAt = downgradeAt;
+    this.budgets = [];
+    this.budgetsLoadedAt = 0;
+    this.spend = new Map();
+  }
+
+  async init() {
+    await this.store.connect();
+
+    if (!this.usageTracker) {
+      this.usageTracker = await getUsageTracker();
+    }
+
+    if (!this.messageBus) {
+      try {
+        this.messageBus = await getMessageBus();
+      } catch (error) {
+        logger.warn(`Message bus unavailable, AI budget warnings are only logged: ${error.message}`);
+      }
+    }
+
+    // Spend recorded by this process counts straight away; other processes' spend
+    // counts when the totals are next refreshed
+    this.usageTracker.onRecord(usage => this._addSpend(usage));
+
+    await this._loadBudgets();
+    return this;
+  }
+
+  /**
+   * Check the budgets of an AI call about to be made
+   * @param {Object} [attribution] - Work the call is made for; defaults to the usage context
+   * @returns {Promise<Object>} - { downgrade, budgets }, downgrade telling whether the call
+   *   should use the fast model, and the status of each budget the call counts against
+   * @throws {RateLimitError} - If a budget the call counts against is spent
+   */
+  async check(attribution = getUsageAttribution()) {
+    const month = monthOf(new Date());
+    const budgets = (await this._getBudgets())
+      .filter(budget => attribution[SCOPE_FIELDS[budget.scope]] === budget.subject);
+
+    if (budgets.length === 0) {
+      return { downgrade: false, budgets: [] };
+    }
+
+    const statuses = await Promise.all(budgets.map(async budget =>
+      this._statusOf(budget, month, await this._spentThisMonth(budget, month))));
+
+    await Promise.all(statuses.map(status => this._warnIfLow(status)));
+
+    const exceeded = statuses.find(status => status.status === BudgetStatus.EXCEEDED);
+
+    if (exceeded) {
+      logger.warn(`Rejected AI call, the ${month} budget of ${exceeded.scope} ${exceeded.subject} is spent`);
+
+      throw new RateLimitError(
+        `The AI budget of ${exceeded.scope} ${exceeded.subject} for ${month} is spent`,
+        'AI_BUDGET_EXCEEDED',
+        {
+          scope: exceeded.scope,
+          subject: exceeded.subject,
+          month,
+          monthlyLimit: exceeded.monthlyLimit,
+          spent: exceeded.spent
+        }
+      );
+    }
+
+    return {
+      downgrade: statuses.some(status => status.status === BudgetStatus.DOWNGRADED),
+      budgets: statuses
+    };
+  }
+
+  /**
+   * Get all budgets with their spend this month
+   * @returns {Promise<Array<Object>>} - Budgets with month, spent, remaining, percentUsed and status
+   */
+  async getBudgets() {
+    const month = monthOf(new Date());
+    await this._loadBudgets();
+
+    return Promise.all(this.budgets.map(async budget =>
+      this._statusOf(budget, month, await this._spentThisMonth(budget, month, true))));
+  }
+
+  /**
+   * Create or replace the budget of a user, team or agent
+   * @param {string} scope - user, team or agent, see BudgetScope
+   * @param {string} subject - User ID, team (organization) or agent ID
+   * @param {Object} settings - Budget settings
+   * @param {number} settings.monthlyLimit - US dollars per calendar month
+   * @param {number} [settings.warnAt] - Share of the limit at which to warn, e.g. 0.8
+   * @param {number} [settings.downgradeAt] - Share of the limit from which to use the fast model
+   * @param {string} [actor] - User setting the budget
+   * @returns {Promise<Object>} - Budget with its spend this month
+   * @throws {ValidationError} - If the scope or settings are invalid
+   */
+  async setBudget(scope, subject, settings, actor) {
+    const { error, value } = budgetSettingsSchema.validate(settings || {}, { abortEarly: false });
+    const errors = [
+      ...(Object.values(BudgetScope).includes(scope) ? [] : [`scope must be one of: ${Object.values(BudgetScope).join(', ')}`]),
+      ...(error ? error.details.map(detail => detail.message) : [])
+    ];
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid AI budget', 'INVALID_AI_BUDGET', { errors });
+    }
+
+    const budget = await this.store.save({
+      scope,
+      subject,
+      monthlyLimit: value.monthlyLimit,
+      warnAt: value.warnAt || this.warnAt,
+      downgradeAt: value.downgradeAt || this.downgradeAt,
+      updatedBy: actor || null
+    });
+
+    logger.info(`AI budget of ${scope} ${subject} set to $${budget.monthlyLimit} a month by ${actor || 'unknown'}`);
+    await this._loadBudgets();
+
+    const month = monthOf(new Date());
+    return this._statusOf(budget, month, await this._spentThisMonth(budget, month));
+  }
+
+  /**
+   * Remove the budget of a user, team or agent
+   * @param {string} scope - user, team or agent
+   * @param {string} subject - Who the budget is for
+   * @returns {Promise<boolean>} - Whether there was a budget
+   */
+  async removeBudget(scope, subject) {
+    const removed = await this.store.remove(scope, subject);
+
+    if (removed) {
+      this.spend.delete(budgetKey(scope, subject));
+      await this._loadBudgets();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the burn-down of each budget over a month
+   * @param {string} [month] - Month, e.g. 2025-03; defaults to the current month
+   * @returns {Promise<Object>} - { month, budgets }, each budget with its status, the
+   *   spend projected by the end of the month and, for each day so far, the spend of
+   *   the day and what was left of the budget at its end
+   */
+  async getBurnDown(month = monthOf(new Date())) {
+    const from = monthStart(month);
+    const to = nextMonthStart(month);
+    const daysInMonth = Math.round((to - from) / 86400000);
+    const isCurrentMonth = month === monthOf(new Date());
+    const elapsedDays = isCurrentMonth ? new Date().getUTCDate() : daysInMonth;
+
+    await this._loadBudgets();
+
+    const budgets = await Promise.all(this.budgets.map(async budget => {
+      const { groups } = await this.usageTracker.getSummary({
+        groupBy: 'day',
+        from,
+        to,
+        [SCOPE_FIELDS[budget.scope]]: budget.subject
+      });
+      const spentByDay = new Map(groups.map(group => [group.key, group.cost]));
+
+      let cumulative = 0;
+      const days = Array.from({ length: elapsedDays }, (_, index) => {
+        const date = new Date(from.getTime() + (index * 86400000)).toISOString().slice(0, 10);
+        const spent = spentByDay.get(date) || 0;
+
+        cumulative += spent;
+        return {
+          date,
+          spent: roundCost(spent),
+          remaining: roundCost(Math.max(budget.monthlyLimit - cumulative, 0))
+        };
+      });
+
+      return {
+        ...this._statusOf(budget, month, cumulative),
+        projected: roundCost(isCurrentMonth ? (cumulative / elapsedDays) * daysInMonth : cumulative),
+        days
+      };
+    }));
+
+    return { month, budgets };
+  }
+
+  async close() {
+    await this.store.close();
+  }
+
+  /**
+   * Get the budgets, reloading them when other processes may have changed them
+   * @private
+   */
+  async _getBudgets() {
+    if (Date.now() - this.budgetsLoadedAt >= this.refreshInterval) {
+      await this._loadBudgets();
+    }
+
+    return this.budgets;
+  }
+
+  /**
+   * @private
+   */
+  async _loadBudgets() {
+    try {
+      this.budgets = await this.store.findAll();
+      this.budgetsLoadedAt = Date.now();
+    } catch (error) {
+      // Keep enforcing the budgets loaded last
+      logger.error('Failed to load AI budgets', error);
+    }
+  }
+
+  /**
+   * Get the spend of a budget this month, from the usage record when the total kept
+   * here is older than the refresh interval
+   * @private
+   */
+  async _spentThisMonth(budget, month, refresh = false) {
+    const key = budgetKey(budget.scope, budget.subject);
+    const cached = this.spend.get(key);
+
+    if (!refresh && cached && cached.month === month && Date.now() - cached.loadedAt < this.refreshInterval) {
+      return cached.spent;
+    }
+
+    const { totals } = await this.usageTracker.getSummary({
+      from: monthStart(month),
+      to: nextMonthStart(month),
+      [SCOPE_FIELDS[budget.scope]]: budget.subject
+    });
+
+    this.spend.set(key, { month, spent: totals.cost, loadedAt: Date.now() });
+    return totals.cost;
+  }
+
+  /**
+   * Add the cost of a recorded call to the spend of its budgets
+   * @private
+   */
+  _addSpend(usage) {
+    if (!usage.cost) {
+      return;
+    }
+
+    const month = monthOf(new Date());
+
+    for (const [scope, field] of Object.entries(SCOPE_FIELDS)) {
+      const cached = usage[field] && this.spend.get(budgetKey(scope, usage[field]));
+
+      if (cached && cached.month === month) {
+        cached.spent += usage.cost;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _statusOf(budget, month, spent) {
+    const { monthlyLimit, warnAt, downgradeAt } = budget;
+    let status = BudgetStatus.OK;
+
+    if (spent >= monthlyLimit) {
+      status = BudgetStatus.EXCEEDED;
+    } else if (spent >= monthlyLimit * downgradeAt) {
+      status = BudgetStatus.DOWNGRADED;
+    } else if (spent >= monthlyLimit * warnAt) {
+      status = BudgetStatus.WARNING;
+    }
+
+    return {
+      ...budget,
+      month,
+      spent: roundCost(spent),
+      remaining: roundCost(Math.max(monthlyLimit - spent, 0)),
+      percentUsed: Math.round((spent / monthlyLimit) * 1000) / 10,
+      status
+    };
+  }
+
+  /**
+   * Publish a warning the first time a month a budget passes its warning share
+   * Failing to send the warning never fails the call.
+   * @private
+   */
+  async _warnIfLow(status) {
+    const budget = this.budgets.find(({ id }) => id === status.id);
+
+    if (!budget || status.spent < status.monthlyLimit * status.warnAt || budget.warnedMonth === status.month) {
+      return;
+    }
+
+    // Marked before it is sent so concurrent calls don't warn again
+    budget.warnedMonth = status.month;
+    logger.warn(`AI budget of ${status.scope} ${status.subject} is ${status.percentUsed}% spent for ${status.month}`);
+
+    try {
+      await this.store.markWarned(budget.id, status.month);
+
+      if (this.messageBus) {
+        await this.messageBus.publishEvent('ai.budget-warning', {
+          scope: status.scope,
+          subject: status.subject,
+          month: status.month,
+          monthlyLimit: status.monthlyLimit,
+          spent: status.spent,
+          percentUsed: status.percentUsed,
+          status: status.status,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      logger.error(`Failed to send the AI budget warning of ${status.scope} ${status.subject}`, error);
+    }
+  }
+}
+
+// Singleton instance
+let budgetManagerInstance = null;
+
+module.exports = {
+  BudgetManager,
+  BudgetScope,
+  BudgetStatus,
+  getInstance: async () => {
+    if (!budgetManagerInstance) {
+      budgetManagerInstance = new BudgetManager(config.usage.budgets);
+      await budgetManagerInstance.init();
+    }
+    return budgetManagerInstance;
+  }
+};
@@ -0,0 +1,193 @@
+// src/core/usage/budgetStore.js
+// PostgreSQL record of the monthly AI spend budgets of users, teams and agents, with
+// the month each budget last sent a low budget warning. When PostgreSQL can't be
+// reached on startup, budgets are kept in memory for this process only.
+const { Sequelize, DataTypes } = require('sequelize');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
+
+const toPlain = record => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+// DECIMAL columns are read back as strings
+const toBudget = record => {
+  const budget = toPlain(record);
+  return budget && { ...budget, monthlyLimit: Number(budget.monthlyLimit), warnAt: Number(budget.warnAt), downgradeAt: Number(budget.downgradeAt) };
+};
+
+class BudgetStore {
+  constructor() {
+    this.sequelize = null;
+    this.AIBudget = null;
+    this.isConnected = false;
+    this.budgets = [];
+    this.nextId = 1;
+  }
+
+  async connect() {
+    try {
+      const dbConfig = config.database.postgres;
+      this.sequelize = new Sequelize(
+        dbConfig.database,
+        dbConfig.username,
+        dbConfig.password,
+        {
+          host: dbConfig.host,
+          port: dbConfig.port,
+          dialect: 'postgres',
+          logging: false,
+        }
+      );
+      instrumentSequelize(this.sequelize);
+
+      this.AIBudget = this.sequelize.define('ai_budget', {
+        id: {
+          type: DataTypes.INTEGER,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        // user, team or agent
+        scope: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        // User ID, team (organization) or agent ID the budget is for
+        subject: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        // US dollars per calendar month
+        monthlyLimit: {
+          type: DataTypes.DECIMAL(12, 2),
+          allowNull: false
+        },
+        // Share of the limit spent at which a warning is sent
+        warnAt: {
+          type: DataTypes.DECIMAL(4, 3),
+          allowNull: false
+        },
+        // Share of the limit spent from which calls use the fast model
+        downgradeAt: {
+          type: DataTypes.DECIMAL(4, 3),
+          allowNull: false
+        },
+        // Month the last warning was sent for, e.g. 2025-03
+        warnedMonth: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        updatedBy: {
+          type: DataTypes.STRING,
+          allowNull: true
+        }
+      }, {
+        tableName: 'ai_budgets',
+        indexes: [
+          { unique: true, fields: ['scope', 'subject'] }
+        ]
+      });
+
+      await this.AIBudget.sync();
+
+      this.isConnected = true;
+      logger.info('BudgetStore connected to PostgreSQL');
+    } catch (error) {
+      this.isConnected = false;
+      logger.warn(`PostgreSQL unavailable for AI budgets, keeping them in memory: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get all budgets
+   * @returns {Promise<Array<Object>>} - Budgets by scope and subject
+   */
+  async findAll() {
+    if (!this.isConnected) {
+      return this.budgets.map(budget => ({ ...budget }));
+    }
+
+    const budgets = await this.AIBudget.findAll({ order: [['scope', 'ASC'], ['subject', 'ASC']] });
+    return budgets.map(toBudget);
+  }
+
+  /**
+   * Create or replace the budget of a user, team or agent
+   * @param {Object} budget - Budget
+   * @param {string} budget.scope - user, team or agent
+   * @param {string} budget.subject - Who the budget is for
+   * @param {number} budget.monthlyLimit - US dollars per calendar month
+   * @param {number} budget.warnAt - Share of the limit at which to warn
+   * @param {number} budget.downgradeAt - Share of the limit from which to use the fast model
+   * @param {string} [budget.updatedBy] - User who set the budget
+   * @returns {Promise<Object>} - Stored budget
+   */
+  async save(budget) {
+    if (!this.isConnected) {
+      const now = new Date();
+      const existing = this.budgets.find(({ scope, subject }) => scope === budget.scope && subject === budget.subject);
+
+      if (existing) {
+        Object.assign(existing, budget, { updatedAt: now });
+        return { ...existing };
+      }
+
+      const stored = { id: this.nextId++, warnedMonth: null, updatedBy: null, ...budget, createdAt: now, updatedAt: now };
+      this.budgets.push(stored);
+      return { ...stored };
+    }
+
+    const [stored] = await this.AIBudget.upsert(budget, { conflictFields: ['scope', 'subject'] });
+    return toBudget(stored);
+  }
+
+  /**
+   * Record that a budget sent its warning for a month
+   * @param {number} id - Budget ID
+   * @param {string} month - Month, e.g. 2025-03
+   */
+  async markWarned(id, month) {
+    if (!this.isConnected) {
+      const budget = this.budgets.find(stored => stored.id === id);
+
+      if (budget) {
+        budget.warnedMonth = month;
+      }
+      return;
+    }
+
+    await this.AIBudget.update({ warnedMonth: month }, { where: { id } });
+  }
+
+  /**
+   * Remove the budget of a user, team or agent
+   * @param {string} scope - user, team or agent
+   * @param {string} subject - Who the budget is for
+   * @returns {Promise<boolean>} - Whether there was a budget
+   */
+  async remove(scope, subject) {
+    if (!this.isConnected) {
+      const index = this.budgets.findIndex(budget => budget.scope === scope && budget.subject === subject);
+
+      if (index !== -1) {
+        this.budgets.splice(index, 1);
+      }
+      return index !== -1;
+    }
+
+    const removed = await this.AIBudget.destroy({ where: { scope, subject } });
+    return removed > 0;
+  }
+
+  async close() {
+    if (this.sequelize) {
+      await this.sequelize.close();
+      this.sequelize = null;
+    }
+
+    this.isConnected = false;
+  }
+}
+
+module.exports = BudgetStore;
@@ -0,0 +1,83 @@
+// src/core/usage/modelPricing.js
+// Prices of AI models, in US dollars per million input and output tokens, from the
+// price table in config/model-prices.json. Models are looked up by exact name, then
+// by the longest name they start with, so dated versions such as
+// claude-3-opus-20240229 use the price of claude-3-opus.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+class ModelPricing {
+  /**
+   * @param {Object} prices - Prices keyed by provider, then model, as { input, output }
+   */
+  constructor(prices = {}) {
+    this.prices = prices;
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Load the price table from a JSON file
+   * Without a readable table every call is recorded without a cost.
+   * @param {string} [file] - Path of the price table; defaults to config/model-prices.json
+   * @returns {ModelPricing} - Pricing
+   */
+  static fromFile(file = path.join(__dirname, '../../../config/model-prices.json')) {
+    try {
+      return new ModelPricing(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      logger.warn(`AI model prices not loaded from ${file}, usage is recorded without cost: ${error.message}`);
+      return new ModelPricing();
+    }
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} provider - AI provider, e.g. anthropic
+   * @param {string} model - Model name
+   * @returns {Object|null} - Price per million tokens as { input, output }, or null if unknown
+   */
+  getPrice(provider, model) {
+    const models = this.prices[provider] || {};
+
+    if (models[model]) {
+      return models[model];
+    }
+
+    const prefix = Object.keys(models)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? models[prefix] : null;
+  }
+
+  /**
+   * Work out the cost of a call
+   * @param {Object} usage - Tokens used by the call
+   * @param {string} usage.provider - AI provider
+   * @param {string} usage.model - Model name
+   * @param {number} usage.inputTokens - Input (prompt) tokens
+   * @param {number} usage.outputTokens - Output (completion) tokens
+   * @returns {number|null} - Cost in US dollars, or null if the model has no price
+   */
+  getCost({ provider, model, inputTokens, outputTokens }) {
+    const price = this.getPrice(provider, model);
+
+    if (!price) {
+      const key = `${provider}/${model}`;
+
+      if (!this.unpricedModels.has(key)) {
+        this.unpricedModels.add(key);
+        logger.warn(`No price for AI model ${key}, its usage is recorded without cost`);
+      }
+
+      return null;
+    }
+
+    return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / TOKENS_PER_PRICE_UNIT;
+  }
+}
+
+module.exports = ModelPricing;
@@ -0,0 +1,44 @@
+// src/core/usage/usageContext.js
+// Who and what an AI call is made for: the agent and module making it, and the
+// workflow, content item, user and team it serves. The attribution is kept in
+// AsyncLocalStorage, so the API, the agents and the modules each add what they
+// know and the usage tracker reads it when a call completes.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Fields AI usage is attributed to
+const ATTRIBUTION_FIELDS = ['agent', 'module', 'workflowId', 'contentId', 'userId', 'team'];
+
+/**
+ * Get the attribution of AI calls made now
+ * @returns {Object} - Attribution fields that are set, e.g. { agent, userId }
+ */
+function getUsageAttribution() {
+  return { ...storage.getStore() };
+}
+
+/**
+ * Run a function with its AI calls attributed to the given work
+ * Fields that are not given keep the value of the surrounding attribution.
+ * @param {Object} attribution - Any of agent, module, workflowId, contentId, userId and team
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function runWithUsageAttribution(attribution, fn) {
+  const merged = getUsageAttribution();
+
+  for (const field of ATTRIBUTION_FIELDS) {
+    if (attribution[field] !== undefined && attribution[field] !== null) {
+      merged[field] = String(attribution[field]);
+    }
+  }
+
+  return storage.run(merged, fn);
+}
+
+module.exports = {
+  ATTRIBUTION_FIELDS,
+  getUsageAttribution,
+  runWithUsageAttribution
+};
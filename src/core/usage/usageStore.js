@@ -0,0 +1,319 @@
+// src/core/usage/usageStore.js
+// PostgreSQL record of every AI call: the tokens it used, what it cost and the work
+// it was made for, summed up by any of those for the analytics endpoints. When
+// PostgreSQL can't be reached on startup, the latest calls are kept in memory for
+// this process only.
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { instrumentSequelize } = require('../tracing');
+
+// Calls kept while the record is in memory
+const MEMORY_ENTRY_LIMIT = 5000;
+
+// Fields usage can be grouped by, and the column of each
+const GROUP_COLUMNS = {
+  provider: 'provider',
+  model: 'model',
+  agent: 'agent',
+  module: 'module',
+  workflow: 'workflowId',
+  content: 'contentId',
+  user: 'userId',
+  team: 'team',
+  day: 'createdAt'
+};
+
+// Fields usage can be filtered by
+const FILTER_FIELDS = ['provider', 'model', 'agent', 'module', 'workflowId', 'contentId', 'userId', 'team'];
+
+const toPlain = record => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record);
+
+const USAGE_FIELDS = ['calls', 'inputTokens', 'outputTokens', 'cost', 'unpricedCalls'];
+
+/**
+ * Sum the usage of calls
+ * @param {Array<Object>} entries - Calls
+ * @returns {Object} - calls, inputTokens, outputTokens, cost and unpricedCalls
+ */
+function sumCalls(entries) {
+  return sumGroups(entries.map(entry => ({
+    calls: 1,
+    inputTokens: entry.inputTokens,
+    outputTokens: entry.outputTokens,
+    cost: entry.cost || 0,
+    unpricedCalls: entry.cost === null ? 1 : 0
+  })));
+}
+
+/**
+ * Sum the usage of groups of calls
+ * @param {Array<Object>} groups - Usage of each group, as returned by sumCalls()
+ * @returns {Object} - Usage of all the groups
+ */
+function sumGroups(groups) {
+  const sum = Object.fromEntries(USAGE_FIELDS.map(field => [field, 0]));
+
+  for (const group of groups) {
+    for (const field of USAGE_FIELDS) {
+      sum[field] += group[field];
+    }
+  }
+
+  return sum;
+}
+
+class UsageStore {
+  constructor() {
+    this.sequelize = null;
+    this.AIUsage = null;
+    this.isConnected = false;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  async connect() {
+    try {
+      const dbConfig = config.database.postgres;
+      this.sequelize = new Sequelize(
+        dbConfig.database,
+        dbConfig.username,
+        dbConfig.password,
+        {
+          host: dbConfig.host,
+          port: dbConfig.port,
+          dialect: 'postgres',
+          logging: false,
+        }
+      );
+      instrumentSequelize(this.sequelize);
+
+      this.AIUsage = this.sequelize.define('ai_usage', {
+        id: {
+          type: DataTypes.BIGINT,
+          primaryKey: true,
+          autoIncrement: true
+        },
+        provider: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        model: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        operation: {
+          type: DataTypes.STRING,
+          allowNull: false
+        },
+        inputTokens: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        outputTokens: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        // US dollars; null when the model has no price
+        cost: {
+          type: DataTypes.DECIMAL(14, 6),
+          allowNull: true
+        },
+        agent: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        module: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        workflowId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        contentId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        userId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        // Organization of the user
+        team: {
+          type: DataTypes.STRING,
+          allowNull: true
+        },
+        traceId: {
+          type: DataTypes.STRING,
+          allowNull: true
+        }
+      }, {
+        tableName: 'ai_usage',
+        updatedAt: false,
+        indexes: [
+          { fields: ['createdAt'] },
+          { fields: ['agent', 'createdAt'] },
+          { fields: ['contentId'] },
+          { fields: ['workflowId'] },
+          { fields: ['userId', 'createdAt'] },
+          { fields: ['team', 'createdAt'] }
+        ]
+      });
+
+      await this.AIUsage.sync();
+
+      this.isConnected = true;
+      logger.info('UsageStore connected to PostgreSQL');
+    } catch (error) {
+      this.isConnected = false;
+      logger.warn(`PostgreSQL unavailable for AI usage, keeping it in memory: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record an AI call
+   * @param {Object} usage - Call
+   * @param {string} usage.provider - AI provider
+   * @param {string} usage.model - Model name
+   * @param {string} usage.operation - e.g. generate or embeddings
+   * @param {number} usage.inputTokens - Input tokens
+   * @param {number} usage.outputTokens - Output tokens
+   * @param {number|null} usage.cost - Cost in US dollars
+   * @returns {Promise<Object>} - Stored call
+   */
+  async record(usage) {
+    const entry = {
+      agent: null,
+      module: null,
+      workflowId: null,
+      contentId: null,
+      userId: null,
+      team: null,
+      traceId: null,
+      ...usage
+    };
+
+    if (!this.isConnected) {
+      const stored = { id: this.nextId++, ...entry, createdAt: new Date() };
+
+      this.entries.push(stored);
+      if (this.entries.length > MEMORY_ENTRY_LIMIT) {
+        this.entries.shift();
+      }
+
+      return { ...stored };
+    }
+
+    const stored = toPlain(await this.AIUsage.create(entry));
+    return { ...stored, cost: stored.cost === null ? null : Number(stored.cost) };
+  }
+
+  /**
+   * Sum up the usage of the calls matching a query
+   * @param {Object} [options] - Query options
+   * @param {string} [options.groupBy] - One of GROUP_COLUMNS; totals only if omitted
+   * @param {Date} [options.from] - Only calls made at or after this time
+   * @param {Date} [options.to] - Only calls made before this time
+   * @param {string} [options.provider] - Only calls of this provider; likewise model,
+   *   agent, module, workflowId, contentId, userId and team
+   * @returns {Promise<Object>} - { totals, groups }, each with calls, inputTokens,
+   *   outputTokens, cost and unpricedCalls; groups are by cost, highest first
+   */
+  async summarize({ groupBy, from, to, ...filters } = {}) {
+    const groupColumn = GROUP_COLUMNS[groupBy];
+
+    if (!this.isConnected) {
+      return this._summarizeEntries(groupBy, this.entries.filter(entry =>
+        (!from || entry.createdAt >= from) &&
+        (!to || entry.createdAt < to) &&
+        FILTER_FIELDS.every(field => !filters[field] || entry[field] === filters[field])
+      ));
+    }
+
+    const createdAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lt]: to })
+    };
+    const where = {
+      ...((from || to) && { createdAt }),
+      ...Object.fromEntries(FILTER_FIELDS.filter(field => filters[field]).map(field => [field, filters[field]]))
+    };
+    const { fn, col } = Sequelize;
+    const key = groupBy === 'day' ? fn('date_trunc', 'day', col('createdAt')) : col(groupColumn);
+
+    const rows = await this.AIUsage.findAll({
+      attributes: [
+        ...(groupColumn ? [[key, 'key']] : []),
+        [fn('COUNT', col('id')), 'calls'],
+        [fn('COALESCE', fn('SUM', col('inputTokens')), 0), 'inputTokens'],
+        [fn('COALESCE', fn('SUM', col('outputTokens')), 0), 'outputTokens'],
+        [fn('COALESCE', fn('SUM', col('cost')), 0), 'cost'],
+        [fn('COUNT', Sequelize.literal('CASE WHEN "cost" IS NULL THEN 1 END')), 'unpricedCalls']
+      ],
+      where,
+      ...(groupColumn && { group: [key] }),
+      raw: true
+    });
+
+    const groups = rows.map(row => ({
+      ...(groupColumn && { key: row.key instanceof Date ? row.key.toISOString().slice(0, 10) : row.key }),
+      calls: Number(row.calls),
+      inputTokens: Number(row.inputTokens),
+      outputTokens: Number(row.outputTokens),
+      cost: Number(row.cost),
+      unpricedCalls: Number(row.unpricedCalls)
+    }));
+
+    return this._summaryOf(groupColumn ? groups : [], sumGroups(groups));
+  }
+
+  async close() {
+    if (this.sequelize) {
+      await this.sequelize.close();
+      this.sequelize = null;
+    }
+
+    this.isConnected = false;
+  }
+
+  /**
+   * Sum up calls kept in memory
+   * @private
+   */
+  _summarizeEntries(groupBy, entries) {
+    const groupColumn = GROUP_COLUMNS[groupBy];
+    const groups = new Map();
+
+    if (groupColumn) {
+      for (const entry of entries) {
+        const key = groupBy === 'day' ? entry.createdAt.toISOString().slice(0, 10) : entry[groupColumn];
+
+        groups.set(key, [...(groups.get(key) || []), entry]);
+      }
+    }
+
+    return this._summaryOf(
+      [...groups.entries()].map(([key, groupEntries]) => ({ key, ...sumCalls(groupEntries) })),
+      sumCalls(entries)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _summaryOf(groups, totals) {
+    return {
+      totals,
+      groups: groups.sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+    };
+  }
+}
+
+UsageStore.GROUP_BY = Object.keys(GROUP_COLUMNS);
+
+module.exports = UsageStore;
@@ -0,0 +1,119 @@
+// src/core/usage/usageTracker.js
+// Accounting of the tokens and cost of every AI call. Providers report the usage in
+// each response; the tracker prices it with the model price table, attributes it to
+// the agent, module, workflow, content item and user in the usage context, counts it
+// in Prometheus and stores it for the /analytics/ai-usage endpoints. Recording never
+// fails the call it accounts for.
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { currentSpan } = require('../tracing');
+const { aiTokenCounter, aiCostCounter } = require('../monitoring/metrics');
+const { getUsageAttribution } = require('./usageContext');
+const ModelPricing = require('./modelPricing');
+const UsageStore = require('./usageStore');
+
+class UsageTracker {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {UsageStore} [options.store] - Record of AI calls
+   * @param {ModelPricing} [options.pricing] - Model prices; loaded from options.pricesFile if omitted
+   * @param {string} [options.pricesFile] - Path of the model price table
+   */
+  constructor({ store = new UsageStore(), pricing, pricesFile } = {}) {
+    this.store = store;
+    this.pricing = pricing || ModelPricing.fromFile(pricesFile);
+    this.listeners = [];
+  }
+
+  async init() {
+    await this.store.connect();
+    return this;
+  }
+
+  /**
+   * Call a function with each AI call as it is recorded, e.g. to keep spend totals current
+   * @param {Function} listener - Called with the call, priced and attributed
+   */
+  onRecord(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Record the usage of an AI call made in the current usage context
+   * @param {Object} usage - Usage reported by the provider
+   * @param {string} usage.provider - AI provider, e.g. openai
+   * @param {string} usage.model - Model that served the call
+   * @param {string} [usage.operation] - generate or embeddings
+   * @param {number} [usage.inputTokens] - Input (prompt) tokens
+   * @param {number} [usage.outputTokens] - Output (completion) tokens
+   * @returns {Promise<Object|null>} - Recorded call, or null if it couldn't be stored
+   */
+  async record({ provider, model, operation = 'generate', inputTokens = 0, outputTokens = 0 }) {
+    const attribution = getUsageAttribution();
+    const cost = this.pricing.getCost({ provider, model, inputTokens, outputTokens });
+    const span = currentSpan();
+    const agent = attribution.agent || 'none';
+
+    aiTokenCounter.inc({ provider, model, agent, type: 'input' }, inputTokens);
+    aiTokenCounter.inc({ provider, model, agent, type: 'output' }, outputTokens);
+
+    if (cost !== null) {
+      aiCostCounter.inc({ provider, model, agent }, cost);
+    }
+
+    const usage = {
+      provider,
+      model,
+      operation,
+      inputTokens,
+      outputTokens,
+      cost,
+      ...attribution,
+      traceId: span ? span.traceId : null
+    };
+
+    for (const listener of this.listeners) {
+      try {
+        listener(usage);
+      } catch (error) {
+        logger.error(`Usage listener failed for ${provider}/${model}`, error);
+      }
+    }
+
+    try {
+      const entry = await this.store.record(usage);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to record usage of ${provider}/${model}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Sum up recorded usage
+   * @param {Object} [options] - Query options, see UsageStore.summarize()
+   * @returns {Promise<Object>} - { totals, groups }
+   */
+  getSummary(options = {}) {
+    return this.store.summarize(options);
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+// Singleton instance
+let usageTrackerInstance = null;
+
+module.exports = {
+  UsageTracker,
+  GROUP_BY: UsageStore.GROUP_BY,
+  getInstance: async () => {
+    if (!usageTrackerInstance) {
+      usageTrackerInstance = new UsageTracker(config.usage);
+      await usageTrackerInstance.init();
+    }
+    return usageTrackerInstance;
+  }
+};
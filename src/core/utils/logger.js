@@ -5,23 +5,40 @@
  * In a real application, this would use a more robust logging solution.
  */
 
+const { getTraceContext } = require('../tracing/tracer');
+
+/**
+ * Add the IDs of the current trace to log metadata
+ * @param {*} meta - Log metadata
+ * @returns {*} - Metadata with traceId and spanId inside a trace
+ */
+function withTrace(meta) {
+  const context = getTraceContext();
+  
+  if (!context || typeof meta !== 'object' || meta === null || meta instanceof Error) {
+    return meta;
+  }
+  
+  return { ...context, ...meta };
+}
+
 // Simple logger implementation for development
 const logger = {
   info: (message, meta = {}) => {
-    console.log(`[INFO] ${message}`, meta);
+    console.log(`[INFO] ${message}`, withTrace(meta));
   },
   
   error: (message, error = null, meta = {}) => {
-    console.error(`[ERROR] ${message}`, error, meta);
+    console.error(`[ERROR] ${message}`, error, withTrace(meta));
   },
   
   warn: (message, meta = {}) => {
-    console.warn(`[WARN] ${message}`, meta);
+    console.warn(`[WARN] ${message}`, withTrace(meta));
   },
   
   debug: (message, meta = {}) => {
     if (process.env.NODE_ENV !== 'production') {
-      console.debug(`[DEBUG] ${message}`, meta);
+      console.debug(`[DEBUG] ${message}`, withTrace(meta));
     }
   }
 };
@@ -19,8 +19,13 @@ const amqp = require('amqplib');
 const { getInstance: getMessageBus } = require('./core/messaging/messageBus');
 const { getInstance: getCoordinationService } = require('./core/coordination/coordinationService');
 const { getInstance: getSharedDataStore } = require('./core/data/sharedDataStore');
-const { getInstance: getErrorHandlingService } = require('./core/error');
+const { getInstance: getErrorHandlingService, getRecoveryService } = require('./core/error');
 const { withErrorHandling } = require('./core/error');
+const { getTracer, traceLogFormat } = require('./core/tracing');
+const { getInstance: getScheduler } = require('./core/scheduling/scheduler');
+const { getInstance: getConfigManager } = require('./core/configuration/configManager');
+const { getInstance: getUsageTracker } = require('./core/usage/usageTracker');
+const { getInstance: getBudgetManager } = require('./core/usage/budgetManager');
 
 // Import agent classes
 const ContentStrategyAgent = require('./agents/content_strategy');
@@ -39,6 +44,7 @@ const AIProviderService = require('./common/services/ai-provider');
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: format.combine(
+    traceLogFormat(),
     format.timestamp(),
     format.json()
   ),
@@ -62,19 +68,10 @@ async function initialize() {
     // Load configuration
     const config = await ConfigLoader.load();
     
-    // Load agent configurations from config/agents.json
-    const fs = require('fs');
-    const path = require('path');
-    const agentConfigPath = path.join(__dirname, '../config/agents.json');
-    
-    if (fs.existsSync(agentConfigPath)) {
-      const agentConfigs = JSON.parse(fs.readFileSync(agentConfigPath, 'utf8'));
-      // Add agent configurations to the main config
-      config.agents = agentConfigs;
-      logger.info('Agent configurations loaded successfully');
-    } else {
-      logger.warn('Agent configuration file not found at: ' + agentConfigPath);
-    }
+    // Load agent configurations from config/agents.json; changes are applied while agents run
+    services.configManager = await getConfigManager();
+    config.agents = services.configManager.getAgentsConfig();
+    logger.info('Agent configurations loaded successfully');
     
     logger.info('Configuration loaded successfully');
     
@@ -91,6 +88,9 @@ async function initialize() {
     services.coordinationService = await getCoordinationService();
     logger.info('Coordination Service initialized');
     
+    services.scheduler = await getScheduler();
+    logger.info('Scheduler initialized');
+    
     // Initialize PostgreSQL and database service
     const DatabaseService = require('./common/services/databaseService');
     
@@ -112,7 +112,12 @@ async function initialize() {
     services.storage = new StorageService(services.database.models);
     logger.info('Storage service initialized');
     
-    // Initialize AI provider service
+    // Initialize AI provider service, accounting the tokens and cost of every call and
+    // holding calls to the spend budgets, with the fast models of config/external-services.json
+    // used while a budget runs low
+    services.usageTracker = await getUsageTracker();
+    services.budgetManager = await getBudgetManager();
+    const aiProviders = config.externalServices?.ai?.providers || {};
     services.aiProvider = new AIProviderService({
       openai: {
         apiKey: process.env.OPENAI_API_KEY,
@@ -120,7 +125,10 @@ async function initialize() {
       },
       anthropic: {
         apiKey: process.env.ANTHROPIC_API_KEY
-      }
+      },
+      usageTracker: services.usageTracker,
+      budgetManager: services.budgetManager,
+      fastModels: Object.fromEntries(Object.entries(aiProviders).map(([name, provider]) => [name, provider.models?.fast]))
     }, logger);
     logger.info('AI provider service initialized');
     
@@ -133,6 +141,7 @@ async function initialize() {
         storage: services.storage,
         errorHandling: services.errorHandling,
         aiProvider: services.aiProvider,
+        scheduler: services.scheduler,
         logger: logger,
         // Include agent-specific configuration from config.agents
         agentConfigs: config.agents || {}
@@ -166,6 +175,13 @@ async function initialize() {
         )()
       };
       
+      // Push configuration changes to the agents and the delegation policies of recovery
+      services.configManager.attachAgents(agents);
+      services.configManager.onChange(async (agentConfigs) => {
+        const recoveryService = await getRecoveryService();
+        recoveryService.setDelegationPolicies(agentConfigs);
+      });
+      
       logger.info(`All agents initialized successfully`);
     } catch (error) {
       // Log error but continue with available agents
@@ -198,6 +214,10 @@ function initializeWebServer() {
   const session = require('express-session');
   const { rateLimit } = require('express-rate-limit');
   
+  // Trace each request first, so everything below runs inside its span
+  const { traceRequest } = require('./api/middleware/tracing');
+  app.use(traceRequest);
+  
   // Configure middleware
   // Apply Helmet with enhanced security settings 
   app.use(helmet({
@@ -218,8 +238,8 @@ function initializeWebServer() {
   app.use(cors({
     origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : (process.env.NODE_ENV === 'production' ? false : '*'),
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-API-Key'],
-    exposedHeaders: ['X-New-Access-Token', 'X-New-Refresh-Token'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-API-Key', 'traceparent'],
+    exposedHeaders: ['X-New-Access-Token', 'X-New-Refresh-Token', 'X-Trace-Id', 'traceparent'],
     credentials: true,
     maxAge: 86400 // 24 hours in seconds
   }));
@@ -326,6 +346,45 @@ function setupGracefulShutdown() {
       }
     }
     
+    // Stop the scheduler once its running jobs finish
+    if (services.scheduler) {
+      try {
+        await services.scheduler.close();
+        logger.info('Scheduler stopped');
+      } catch (error) {
+        logger.error('Error stopping scheduler:', error);
+      }
+    }
+    
+    // Stop watching the agent configuration
+    if (services.configManager) {
+      try {
+        await services.configManager.close();
+        logger.info('Configuration manager stopped');
+      } catch (error) {
+        logger.error('Error stopping configuration manager:', error);
+      }
+    }
+    
+    // Close the AI budgets and usage record
+    if (services.budgetManager) {
+      try {
+        await services.budgetManager.close();
+        logger.info('Budget manager closed');
+      } catch (error) {
+        logger.error('Error closing budget manager:', error);
+      }
+    }
+    
+    if (services.usageTracker) {
+      try {
+        await services.usageTracker.close();
+        logger.info('Usage tracker closed');
+      } catch (error) {
+        logger.error('Error closing usage tracker:', error);
+      }
+    }
+    
     // Close coordination service
     if (services.coordinationService) {
       try {
@@ -366,6 +425,16 @@ function setupGracefulShutdown() {
       }
     }
     
+    // Close circuit breaker store connection
+    if (services.errorHandling) {
+      try {
+        await services.errorHandling.close();
+        logger.info('Circuit breaker store connection closed');
+      } catch (error) {
+        logger.error('Error closing circuit breaker store connection:', error);
+      }
+    }
+    
     // Close database connection
     if (services.database) {
       try {
@@ -376,6 +445,13 @@ function setupGracefulShutdown() {
       }
     }
     
+    // Send the spans still waiting for the trace collector
+    try {
+      await getTracer().shutdown();
+    } catch (error) {
+      logger.error('Error flushing traces:', error);
+    }
+    
     logger.info('Shutdown complete');
     process.exit(0);
   };
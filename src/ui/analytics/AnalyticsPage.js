@@ -63,6 +63,38 @@ function ChartContainer({ title, children }) {
   );
 }
 
+// Budget left at the end of each day so far, against spending the budget evenly over the month
+function budgetBurnDownData(budget) {
+  const [year, month] = budget.month.split('-').map(Number);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  
+  return {
+    labels: budget.days.map(day => day.date.slice(8)),
+    datasets: [
+      {
+        label: 'Remaining ($)',
+        data: budget.days.map(day => day.remaining),
+        borderColor: 'rgb(53, 162, 235)',
+        backgroundColor: 'rgba(53, 162, 235, 0.5)',
+      },
+      {
+        label: 'Even spend ($)',
+        data: budget.days.map((day, index) => budget.monthlyLimit * (1 - (index + 1) / daysInMonth)),
+        borderColor: 'rgb(201, 203, 207)',
+        borderDash: [5, 5],
+        pointRadius: 0,
+      },
+    ],
+  };
+}
+
+const budgetStatusColors = {
+  ok: 'success.main',
+  warning: 'warning.main',
+  downgraded: 'warning.dark',
+  exceeded: 'error.main'
+};
+
 function AnalyticsPage() {
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('lastMonth');
@@ -70,7 +102,8 @@ function AnalyticsPage() {
     traffic: null,
     contentPerformance: null,
     socialEngagement: null,
-    conversionRates: null
+    conversionRates: null,
+    aiBudgets: null
   });
   const [summaryMetrics, setSummaryMetrics] = useState([]);
   const [activeTab, setActiveTab] = useState(0);
@@ -83,11 +116,14 @@ function AnalyticsPage() {
     
     try {
       // Fetch all data in parallel
-      const [dashboardData, trafficData, contentData, socialData] = await Promise.all([
+      const [dashboardData, trafficData, contentData, socialData, budgetData] = await Promise.all([
         analyticsService.getSummaryMetrics(timeRange),
         analyticsService.getTrafficData(timeRange),
         analyticsService.getContentPerformance(timeRange),
-        analyticsService.getSocialEngagement(timeRange)
+        analyticsService.getSocialEngagement(timeRange),
+        // Budgets are for the current month whatever the time range; the rest of the
+        // dashboard still shows if they can't be loaded
+        analyticsService.getBudgetBurnDown().catch(() => null)
       ]);
       
       // Process dashboard summary metrics
@@ -98,7 +134,8 @@ function AnalyticsPage() {
         traffic: trafficData,
         contentPerformance: contentData,
         socialEngagement: socialData,
-        conversionRates: trafficData.conversionData // This might be part of traffic data
+        conversionRates: trafficData.conversionData, // This might be part of traffic data
+        aiBudgets: budgetData
       });
     } catch (err) {
       console.error('Error fetching analytics data:', err);
@@ -224,6 +261,7 @@ function AnalyticsPage() {
           <Tab label="Website Analytics" />
           <Tab label="Content Performance" />
           <Tab label="Social Media" />
+          <Tab label="AI Budgets" />
         </Tabs>
       </Box>
       
@@ -288,6 +326,31 @@ function AnalyticsPage() {
           </Grid>
         </Grid>
       )}
+      
+      {/* AI Budgets Tab */}
+      {activeTab === 3 && (
+        <Grid container spacing={3}>
+          {!analyticsData.aiBudgets || analyticsData.aiBudgets.budgets.length === 0 ? (
+            <Grid item xs={12}>
+              <Alert severity="info">
+                {analyticsData.aiBudgets ? 'No AI budgets are set.' : 'AI budgets could not be loaded.'}
+              </Alert>
+            </Grid>
+          ) : analyticsData.aiBudgets.budgets.map(budget => (
+            <Grid item xs={12} md={6} key={`${budget.scope}:${budget.subject}`}>
+              <ChartContainer title={`${budget.scope} ${budget.subject}`}>
+                <Typography variant="body2" sx={{ color: budgetStatusColors[budget.status], mb: 1 }}>
+                  ${budget.spent.toFixed(2)} of ${budget.monthlyLimit.toFixed(2)} spent ({budget.percentUsed}%),
+                  ${budget.projected.toFixed(2)} projected by the end of {budget.month}
+                </Typography>
+                <Box sx={{ height: 300 }}>
+                  <Line options={lineOptions} data={budgetBurnDownData(budget)} />
+                </Box>
+              </ChartContainer>
+            </Grid>
+          ))}
+        </Grid>
+      )}
     </Box>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Box, Typography, Paper, Grid, Card, CardContent, CardActions,
   Button, Chip, CircularProgress, TextField, FormControl, 
@@ -13,7 +13,7 @@ import PublishIcon from '@mui/icons-material/Publish';
 import DeleteIcon from '@mui/icons-material/Delete';
 import FilterListIcon from '@mui/icons-material/FilterList';
 import VisibilityIcon from '@mui/icons-material/Visibility';
-import { contentService, integrationService } from '../services/api';
+import { agentService, contentService, integrationService } from '../services/api';
 
 // Available content publishing destinations - this will be replaced with data from the API
 const publishDestinations = [
@@ -228,6 +228,159 @@ function PublishDialog({ open, content, destinations, onClose, onPublish }) {
   );
 }
 
+function GenerateDialog({ open, onClose, onGenerated }) {
+  const [form, setForm] = useState({ type: 'blog', topic: '', keywords: '' });
+  const [generating, setGenerating] = useState(false);
+  const [text, setText] = useState('');
+  const [section, setSection] = useState(null);
+  const [generated, setGenerated] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+  
+  useEffect(() => {
+    if (open) {
+      setText('');
+      setSection(null);
+      setGenerated(false);
+      setError(null);
+    }
+  }, [open]);
+  
+  // Stop a generation still running when the page is left
+  useEffect(() => () => abortRef.current?.abort(), []);
+  
+  const handleChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+  
+  const handleGenerate = async () => {
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+    
+    setGenerating(true);
+    setText('');
+    setSection(null);
+    setError(null);
+    
+    try {
+      const userId = JSON.parse(localStorage.getItem('user'))?.id || 'anonymous';
+      const result = await agentService.streamContent({
+        overrides: {
+          type: form.type,
+          topic: form.topic,
+          keywords: form.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean)
+        },
+        userId
+      }, {
+        onText: (delta) => setText(previous => previous + delta),
+        onSection: setSection,
+        signal: abortController.signal
+      });
+      
+      setGenerated(true);
+      onGenerated(result);
+    } catch (err) {
+      if (!abortController.signal.aborted) {
+        setError('Failed to generate content. Please try again.');
+        console.error('Generation error:', err);
+      }
+    } finally {
+      abortRef.current = null;
+      setGenerating(false);
+    }
+  };
+  
+  // Closing the dialog while generating disconnects from the server, which stops the generation
+  const handleClose = () => {
+    abortRef.current?.abort();
+    onClose(generated);
+  };
+  
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Generate Content</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="generate-type-label">Type</InputLabel>
+              <Select
+                labelId="generate-type-label"
+                value={form.type}
+                label="Type"
+                onChange={handleChange('type')}
+                disabled={generating}
+              >
+                <MenuItem value="blog">Blog Post</MenuItem>
+                <MenuItem value="landing_page">Landing Page</MenuItem>
+                <MenuItem value="website">Website Page</MenuItem>
+                <MenuItem value="social">Social Media</MenuItem>
+                <MenuItem value="email">Email</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Topic"
+              value={form.topic}
+              onChange={handleChange('topic')}
+              disabled={generating}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              size="small"
+              label="Keywords (comma separated)"
+              value={form.keywords}
+              onChange={handleChange('keywords')}
+              disabled={generating}
+            />
+          </Grid>
+        </Grid>
+        
+        {(generating || text) && (
+          <Box sx={{ mt: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              {generating && <CircularProgress size={16} />}
+              <Typography variant="subtitle2">
+                {generating ? 'Writing' : 'Finished'}
+              </Typography>
+              {section && (
+                <Chip size="small" label={`Section ${section.index + 1}: ${section.title}`} />
+              )}
+            </Box>
+            <Paper variant="outlined" sx={{ p: 2, maxHeight: 400, overflow: 'auto' }}>
+              <Typography variant="body2" component="div" sx={{ whiteSpace: 'pre-wrap' }}>
+                {text}
+              </Typography>
+            </Paper>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{generating ? 'Cancel' : 'Close'}</Button>
+        <Button
+          onClick={handleGenerate}
+          variant="contained"
+          startIcon={generating ? <CircularProgress size={20} color="inherit" /> : <AddIcon />}
+          disabled={!form.topic || generating}
+        >
+          {generating ? 'Generating...' : 'Generate'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
 function ContentPage() {
   const [loading, setLoading] = useState(true);
   const [contentItems, setContentItems] = useState([]);
@@ -236,6 +389,7 @@ function ContentPage() {
     open: false,
     content: null
   });
+  const [generateDialogOpen, setGenerateDialogOpen] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
   const [integrations, setIntegrations] = useState([]);
@@ -367,6 +521,19 @@ function ContentPage() {
     }
   };
   
+  const handleContentGenerated = () => {
+    setSuccessMessage('Content generated successfully');
+  };
+  
+  // The list is refreshed once the dialog closes, as reloading it would replace the dialog
+  const handleCloseGenerateDialog = (generated) => {
+    setGenerateDialogOpen(false);
+    
+    if (generated) {
+      fetchContent();
+    }
+  };
+  
   const handleDeleteContent = async (content) => {
     if (window.confirm(`Are you sure you want to delete "${content.title}"?`)) {
       try {
@@ -437,7 +604,7 @@ function ContentPage() {
         <Button 
           variant="contained" 
           startIcon={<AddIcon />}
-          onClick={() => console.log('Create new content')}
+          onClick={() => setGenerateDialogOpen(true)}
         >
           Create New
         </Button>
@@ -506,6 +673,12 @@ function ContentPage() {
         onClose={handleClosePublishDialog}
         onPublish={handlePublishContent}
       />
+      
+      <GenerateDialog
+        open={generateDialogOpen}
+        onClose={handleCloseGenerateDialog}
+        onGenerated={handleContentGenerated}
+      />
     </Box>
   );
 }
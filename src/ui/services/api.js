@@ -40,6 +40,50 @@ apiClient.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Refresh the expired auth token, or wait for the refresh already under way
+// Shared by the response interceptor and the requests made without apiClient.
+const refreshAuthToken = async () => {
+  if (isRefreshing) {
+    // If we're already refreshing, wait in the queue for the new token
+    return new Promise((resolve, reject) => {
+      requestsQueue.push({ resolve, reject });
+    });
+  }
+  
+  isRefreshing = true;
+  
+  try {
+    // Try to refresh the token - this would call your /auth/refresh endpoint
+    const refreshToken = localStorage.getItem('refreshToken');
+    
+    if (!refreshToken) {
+      throw new Error('No refresh token available. Please login again.');
+    }
+    
+    const response = await axios.post(`${API_URL}/auth/refresh`, {
+      refreshToken
+    });
+    
+    const { token, user } = response.data;
+    
+    // Store the new token
+    localStorage.setItem('authToken', token);
+    localStorage.setItem('user', JSON.stringify(user));
+    
+    // Process any queued requests
+    processQueue(null, token);
+    
+    return token;
+  } catch (err) {
+    // If refresh fails, logout user and reject all queued requests
+    authService.logout();
+    processQueue(new Error('Failed to refresh token. Please login again.'));
+    throw err;
+  } finally {
+    isRefreshing = false;
+  }
+};
+
 // Add response interceptor for token refresh
 apiClient.interceptors.response.use(
   (response) => response,
@@ -53,57 +97,13 @@ apiClient.interceptors.response.use(
       error.response.data?.error?.code === 'token_expired' &&
       !originalRequest._retry
     ) {
-      if (isRefreshing) {
-        // If we're already refreshing, add this request to the queue
-        return new Promise((resolve, reject) => {
-          requestsQueue.push({ resolve, reject });
-        })
-          .then(token => {
-            originalRequest.headers.Authorization = `Bearer ${token}`;
-            return axios(originalRequest);
-          })
-          .catch(err => Promise.reject(err));
-      }
-      
       originalRequest._retry = true;
-      isRefreshing = true;
       
-      try {
-        // Try to refresh the token - this would call your /auth/refresh endpoint
-        const refreshToken = localStorage.getItem('refreshToken');
-        
-        if (!refreshToken) {
-          // If no refresh token, logout and reject
-          authService.logout();
-          return Promise.reject(new Error('No refresh token available. Please login again.'));
-        }
-        
-        const response = await axios.post(`${API_URL}/auth/refresh`, {
-          refreshToken
-        });
-        
-        const { token, user } = response.data;
-        
-        // Store the new token
-        localStorage.setItem('authToken', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        
-        // Update Authorization header for original request
-        originalRequest.headers.Authorization = `Bearer ${token}`;
-        
-        // Process any queued requests
-        processQueue(null, token);
-        
-        // Return the original request with the new token
-        return axios(originalRequest);
-      } catch (err) {
-        // If refresh fails, logout user and reject all queued requests
-        authService.logout();
-        processQueue(new Error('Failed to refresh token. Please login again.'));
-        return Promise.reject(err);
-      } finally {
-        isRefreshing = false;
-      }
+      const token = await refreshAuthToken();
+      
+      // Retry the original request with the new token
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return axios(originalRequest);
     }
     
     // If it's not a token issue or we already tried to refresh, reject normally
@@ -260,6 +260,17 @@ export const analyticsService = {
       console.error('Error fetching social engagement:', error);
       throw error;
     }
+  },
+  
+  // Get the burn-down of the AI spend budgets over a month (YYYY-MM, default current)
+  getBudgetBurnDown: async (month) => {
+    try {
+      const response = await apiClient.get('/analytics/ai-budgets', { params: { month } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching AI budget burn-down:', error);
+      throw error;
+    }
   }
 };
 
@@ -507,7 +518,71 @@ export const agentService = {
       throw error;
     }
   },
-  
+
+  // Generate content, receiving it as it is written; aborting the signal stops the generation
+  streamContent: async (contentData, { onText, onSection, signal } = {}) => {
+    // The response body is read as it arrives, which axios does not support in browsers
+    const request = () => fetch(`${API_URL}/creation/generate/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('authToken')}`
+      },
+      body: JSON.stringify(contentData),
+      signal
+    });
+
+    let response = await request();
+
+    // Refresh an expired token and try once more, as apiClient does
+    if (response.status === 401) {
+      const data = await response.clone().json().catch(() => ({}));
+
+      if (data.error?.code === 'token_expired') {
+        await refreshAuthToken();
+        response = await request();
+      }
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error?.message || `Content generation failed with status ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        throw new Error('Content generation ended unexpectedly');
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Server-sent events are separated by a blank line
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const name = event.match(/^event: (.+)$/m)?.[1];
+        const data = JSON.parse(event.match(/^data: (.+)$/m)?.[1] || '{}');
+
+        if (name === 'text') {
+          onText?.(data.text);
+        } else if (name === 'section') {
+          onSection?.(data);
+        } else if (name === 'done') {
+          return data;
+        } else if (name === 'error') {
+          throw new Error(data.message);
+        }
+      }
+    }
+  },
+
   // Edit content
   editContent: async (editData) => {
     try {
@@ -600,9 +675,9 @@ export const workflowService = {
   },
   
   // Cancel a workflow
-  cancelWorkflow: async (workflowId) => {
+  cancelWorkflow: async (workflowId, reason) => {
     try {
-      const response = await apiClient.post(`/workflows/${workflowId}/cancel`);
+      const response = await apiClient.post(`/workflows/${workflowId}/cancel`, { reason });
       return response.data;
     } catch (error) {
       console.error(`Error canceling workflow ${workflowId}:`, error);
@@ -611,9 +686,9 @@ export const workflowService = {
   },
   
   // Pause a workflow
-  pauseWorkflow: async (workflowId) => {
+  pauseWorkflow: async (workflowId, reason) => {
     try {
-      const response = await apiClient.post(`/workflows/${workflowId}/pause`);
+      const response = await apiClient.post(`/workflows/${workflowId}/pause`, { reason });
       return response.data;
     } catch (error) {
       console.error(`Error pausing workflow ${workflowId}:`, error);
@@ -632,6 +707,28 @@ export const workflowService = {
     }
   },
   
+  // Get the open human tasks for the current user
+  getHumanTasks: async () => {
+    try {
+      const response = await apiClient.get('/human-tasks');
+      return response.data.tasks;
+    } catch (error) {
+      console.error('Error fetching human tasks:', error);
+      throw error;
+    }
+  },
+  
+  // Approve, reject or request changes on a human task
+  submitDecision: async (workflowId, taskId, decision, comments) => {
+    try {
+      const response = await apiClient.post(`/workflows/${workflowId}/tasks/${taskId}/decision`, { decision, comments });
+      return response.data;
+    } catch (error) {
+      console.error(`Error submitting decision for task ${taskId}:`, error);
+      throw error;
+    }
+  },
+  
   // Get predefined workflow templates
   getWorkflowTemplates: async () => {
     try {
@@ -643,6 +740,17 @@ export const workflowService = {
     }
   },
   
+  // Save a new version of a workflow template
+  saveWorkflowTemplate: async (templateData) => {
+    try {
+      const response = await apiClient.post('/workflow-templates', templateData);
+      return response.data.template;
+    } catch (error) {
+      console.error('Error saving workflow template:', error);
+      throw error;
+    }
+  },
+  
   // Create workflow from template
   createFromTemplate: async (templateId, parameters) => {
     try {
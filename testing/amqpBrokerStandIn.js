@@ -0,0 +1,331 @@
+/**
+ * In-process stand-in for a RabbitMQ broker, for testing the AMQP transport
+ * without a running broker.
+ *
+ * It implements the parts of amqplib used by the transport: the default, direct
+ * and topic exchanges, queues and bindings, confirm channels, consumers with prefetch,
+ * acks and nacks, and connections and channels that can be dropped to test
+ * reconnection.
+ *
+ * Usage:
+ *   jest.mock('amqplib', () => require('../testing/amqpBrokerStandIn').createAmqplibStandIn());
+ *   const broker = require('amqplib').__broker;
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Check whether a topic routing key matches a binding key
+ * @param {string} bindingKey - Binding key, with * (one word) and # (zero or more words)
+ * @param {string} routingKey - Routing key
+ * @returns {boolean} Whether the key matches
+ */
+function topicMatches(bindingKey, routingKey) {
+  const match = (pattern, words) => {
+    if (pattern.length === 0) {
+      return words.length === 0;
+    }
+
+    const [head, ...rest] = pattern;
+
+    if (head === '#') {
+      return words.some((_, index) => match(rest, words.slice(index))) || match(rest, []);
+    }
+
+    return words.length > 0 && (head === '*' || head === words[0]) && match(rest, words.slice(1));
+  };
+
+  return match(bindingKey.split('.'), routingKey.split('.'));
+}
+
+class BrokerStandIn {
+  constructor() {
+    this.exchanges = new Map();
+    this.queues = new Map();
+    this.connections = new Set();
+    this.published = [];
+    this.refuseConnections = false;
+    this.nextQueue = 1;
+    this.nextTag = 1;
+  }
+
+  /**
+   * Open a connection, as amqplib.connect does
+   * @returns {Promise<Object>} Connection
+   */
+  connect(uri, options) {
+    if (this.refuseConnections) {
+      return Promise.reject(new Error('connect ECONNREFUSED'));
+    }
+
+    const connection = new EventEmitter();
+    connection.uri = uri;
+    connection.options = options;
+    connection.channels = [];
+    connection.createConfirmChannel = () => {
+      const channel = this.createChannel(connection);
+      connection.channels.push(channel);
+      return Promise.resolve(channel);
+    };
+    connection.close = () => {
+      this.closeConnection(connection);
+      return Promise.resolve();
+    };
+
+    this.connections.add(connection);
+
+    return Promise.resolve(connection);
+  }
+
+  /**
+   * Drop every open connection, as a broker restart or network failure would
+   */
+  dropConnections() {
+    for (const connection of [...this.connections]) {
+      this.closeConnection(connection);
+    }
+  }
+
+  closeConnection(connection) {
+    if (!this.connections.has(connection)) {
+      return;
+    }
+
+    this.connections.delete(connection);
+
+    for (const channel of connection.channels) {
+      this.closeChannel(channel);
+    }
+
+    // Queues that only lived as long as the connection go away with it
+    for (const [name, queue] of this.queues.entries()) {
+      if (queue.owner === connection) {
+        this.queues.delete(name);
+      }
+    }
+
+    connection.emit('close');
+  }
+
+  /**
+   * Close a channel, as the broker does on a channel error such as a failed declaration
+   * @param {Object} channel - Channel to close
+   * @param {Error} [error] - Error the channel is closed with
+   */
+  closeChannel(channel, error) {
+    if (channel.closed) {
+      return;
+    }
+
+    channel.closed = true;
+
+    for (const queue of this.queues.values()) {
+      queue.consumers = queue.consumers.filter(consumer => consumer.channel !== channel);
+    }
+
+    // Unacknowledged messages go back to their queue, marked as redelivered
+    for (const { queue, message } of channel.unacked.values()) {
+      queue.messages.unshift({ ...message, redelivered: true });
+    }
+
+    channel.unacked.clear();
+
+    if (error) {
+      channel.emit('error', error);
+    }
+
+    channel.emit('close');
+  }
+
+  createChannel(connection) {
+    const broker = this;
+    const channel = Object.assign(new EventEmitter(), {
+      closed: false,
+      prefetchCount: 0,
+      unacked: new Map(),
+      nextDeliveryTag: 1,
+
+      prefetch(count) {
+        channel.prefetchCount = count;
+        return Promise.resolve();
+      },
+
+      assertExchange(name, type, options) {
+        broker.exchanges.set(name, { type, options });
+        return Promise.resolve({ exchange: name });
+      },
+
+      assertQueue(name, options = {}) {
+        const queueName = name || `amq.gen-${broker.nextQueue++}`;
+
+        if (!broker.queues.has(queueName)) {
+          broker.queues.set(queueName, {
+            name: queueName,
+            options,
+            owner: options.exclusive ? connection : null,
+            bindings: [],
+            messages: [],
+            consumers: []
+          });
+        }
+
+        return Promise.resolve({ queue: queueName });
+      },
+
+      bindQueue(queueName, exchange, bindingKey) {
+        const queue = broker.queues.get(queueName);
+
+        if (!queue.bindings.some(binding => binding.exchange === exchange && binding.bindingKey === bindingKey)) {
+          queue.bindings.push({ exchange, bindingKey });
+        }
+
+        return Promise.resolve();
+      },
+
+      publish(exchange, routingKey, content, options, callback) {
+        if (channel.closed) {
+          throw new Error('Channel closed');
+        }
+
+        broker.route(exchange, routingKey, content, options);
+        setImmediate(() => callback && callback(null));
+
+        return true;
+      },
+
+      consume(queueName, onMessage) {
+        const consumerTag = `ctag-${broker.nextTag++}`;
+
+        broker.queues.get(queueName).consumers.push({ consumerTag, channel, onMessage });
+        setImmediate(() => broker.dispatch());
+
+        return Promise.resolve({ consumerTag });
+      },
+
+      cancel(consumerTag) {
+        for (const queue of broker.queues.values()) {
+          queue.consumers = queue.consumers.filter(consumer => consumer.consumerTag !== consumerTag);
+        }
+
+        return Promise.resolve();
+      },
+
+      ack(delivery) {
+        channel.settle(delivery);
+      },
+
+      nack(delivery, allUpTo, requeue = true) {
+        const { queue, message } = channel.settle(delivery);
+
+        if (requeue) {
+          queue.messages.push({ ...message, redelivered: true });
+        } else {
+          queue.deadLettered = [...(queue.deadLettered || []), message];
+        }
+
+        setImmediate(() => broker.dispatch());
+      },
+
+      settle(delivery) {
+        if (channel.closed) {
+          throw new Error('Channel closed');
+        }
+
+        const entry = channel.unacked.get(delivery.fields.deliveryTag);
+
+        if (!entry) {
+          throw new Error(`Unknown delivery tag ${delivery.fields.deliveryTag}`);
+        }
+
+        channel.unacked.delete(delivery.fields.deliveryTag);
+        setImmediate(() => broker.dispatch());
+
+        return entry;
+      }
+    });
+
+    return channel;
+  }
+
+  route(exchangeName, routingKey, content, options) {
+    const exchange = this.exchanges.get(exchangeName);
+
+    this.published.push({ exchange: exchangeName, routingKey, content, options });
+
+    for (const queue of this.queues.values()) {
+      // The default exchange delivers to the queue named by the routing key
+      const bound = exchangeName === '' ? queue.name === routingKey : queue.bindings.some(binding => binding.exchange === exchangeName && (
+        exchange.type === 'topic'
+          ? topicMatches(binding.bindingKey, routingKey)
+          : binding.bindingKey === routingKey
+      ));
+
+      if (bound) {
+        queue.messages.push({ content, routingKey, options, redelivered: false });
+      }
+    }
+
+    setImmediate(() => this.dispatch());
+  }
+
+  /**
+   * Hand queued messages to consumers whose channel has prefetch room left
+   */
+  dispatch() {
+    for (const queue of this.queues.values()) {
+      let delivered = true;
+
+      while (queue.messages.length > 0 && delivered) {
+        delivered = false;
+
+        for (const consumer of queue.consumers) {
+          const { channel } = consumer;
+
+          if (queue.messages.length === 0 || (channel.prefetchCount && channel.unacked.size >= channel.prefetchCount)) {
+            continue;
+          }
+
+          const message = queue.messages.shift();
+          const deliveryTag = channel.nextDeliveryTag++;
+
+          channel.unacked.set(deliveryTag, { queue, message });
+          consumer.onMessage({
+            content: message.content,
+            fields: { deliveryTag, routingKey: message.routingKey, redelivered: message.redelivered },
+            properties: message.options || {}
+          });
+          delivered = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Count the messages waiting in a queue
+   * @param {string} queueName - Queue name
+   * @returns {number} Number of ready messages
+   */
+  queueDepth(queueName) {
+    const queue = this.queues.get(queueName);
+    return queue ? queue.messages.length : 0;
+  }
+}
+
+/**
+ * Create an amqplib replacement backed by a fresh broker stand-in
+ * @returns {Object} Module with connect() and the broker as __broker
+ */
+function createAmqplibStandIn() {
+  const broker = new BrokerStandIn();
+
+  return {
+    connect: (uri, options) => broker.connect(uri, options),
+    __broker: broker
+  };
+}
+
+module.exports = {
+  BrokerStandIn,
+  createAmqplibStandIn,
+  topicMatches
+};
@@ -4,11 +4,20 @@
  * Utility functions and factories for testing.
  */
 
-const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const jwt = require('jsonwebtoken');
 
+/**
+ * Load mongoose when a helper needs it, so suites that only use the request,
+ * response and service mocks run without the MongoDB test packages
+ */
+const loadMongoose = () => require('mongoose');
+
+/**
+ * Create an ID in the 24 hex digit format of MongoDB ObjectIds
+ */
+const createObjectId = () => uuidv4().replace(/-/g, '').slice(0, 24);
+
 // MongoDB memory server instance for tests
 let mongoServer;
 
@@ -16,6 +25,9 @@ let mongoServer;
  * Set up MongoDB memory server for testing
  */
 const setupTestDatabase = async () => {
+  const mongoose = loadMongoose();
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  
   // Close any existing connection
   await mongoose.disconnect();
   
@@ -34,7 +46,7 @@ const setupTestDatabase = async () => {
  * Close MongoDB memory server
  */
 const closeTestDatabase = async () => {
-  await mongoose.disconnect();
+  await loadMongoose().disconnect();
   await mongoServer.stop();
 };
 
@@ -188,7 +200,7 @@ const mockFactories = {
    */
   createUser: (overrides = {}) => {
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       email: overrides.email || `test.user.${uuidv4().substring(0, 8)}@example.com`,
       firstName: overrides.firstName || 'Test',
       lastName: overrides.lastName || 'User',
@@ -208,7 +220,7 @@ const mockFactories = {
     const type = overrides.type || 'content_creation';
     
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       id,
       name: overrides.name || `${type}-agent-${id.substring(0, 8)}`,
       type,
@@ -230,7 +242,7 @@ const mockFactories = {
     const title = overrides.title || `Test Content ${id.substring(0, 8)}`;
     
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       id,
       title,
       slug: overrides.slug || title.toLowerCase().replace(/\s+/g, '-'),
@@ -252,7 +264,7 @@ const mockFactories = {
     const id = overrides.id || uuidv4();
     
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       id,
       name: overrides.name || `Test Workflow ${id.substring(0, 8)}`,
       description: overrides.description || 'Test workflow description',
@@ -286,7 +298,7 @@ const mockFactories = {
     const id = overrides.id || uuidv4();
     
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       id,
       title: overrides.title || `Test Brief ${id.substring(0, 8)}`,
       description: overrides.description || 'Test brief description',
@@ -307,7 +319,7 @@ const mockFactories = {
    */
   createMetrics: (overrides = {}) => {
     return {
-      _id: overrides._id || new mongoose.Types.ObjectId(),
+      _id: overrides._id || createObjectId(),
       contentId: overrides.contentId || mockFactories.createContent()._id,
       views: overrides.views || Math.floor(Math.random() * 1000),
       shares: overrides.shares || Math.floor(Math.random() * 100),